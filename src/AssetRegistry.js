@@ -0,0 +1,353 @@
+import { KrakenValidationError } from './errors';
+
+/**
+ * Other names of the Kraken assets, by altname
+ */
+const ALIASES = {
+  XBT: ['BTC'],
+  XDG: ['DOGE']
+};
+
+/**
+ * Params that hold asset or pair names, by endpoint
+ */
+const NAMED_PARAMS = {
+  Assets: { asset: 'asset' },
+  AssetPairs: { pair: 'pair' },
+  Ticker: { pair: 'pair' },
+  OHLC: { pair: 'pair' },
+  Depth: { pair: 'pair' },
+  Trades: { pair: 'pair' },
+  Spread: { pair: 'pair' },
+  TradeBalance: { asset: 'asset' },
+  Ledgers: { asset: 'asset' },
+  TradeVolume: { pair: 'pair' },
+  AddOrder: { pair: 'pair' },
+  DepositMethods: { asset: 'asset' },
+  DepositAddresses: { asset: 'asset' },
+  DepositStatus: { asset: 'asset' },
+  WithdrawInfo: { asset: 'asset' },
+  Withdraw: { asset: 'asset' },
+  WithdrawStatus: { asset: 'asset' },
+  WithdrawCancel: { asset: 'asset' }
+};
+
+/**
+ * Objects of the results keyed by the names of the params, null is the result itself
+ */
+const KEYED_RESULTS = {
+  Assets: [null],
+  AssetPairs: [null],
+  Ticker: [null],
+  OHLC: [null],
+  Depth: [null],
+  Trades: [null],
+  Spread: [null],
+  TradeVolume: ['fees', 'fees_maker']
+};
+
+/**
+ * Removes the case, whitespace and separators of a name, ETH/USD, eth-usd and ETHUSD are the same
+ *
+ * @param {String} name Asset or pair name
+ * @returns String
+ */
+const compact = name => String(name).toUpperCase().replace(/[\s/\-_]/g, '');
+
+const toNumber = value => (value === undefined || value === null ? null : Number(value));
+
+const toAsset = (key, raw) => ({
+  key,
+  altname: raw.altname,
+  aclass: raw.aclass,
+  decimals: raw.decimals,
+  displayDecimals: raw.display_decimals,
+  status: raw.status || null
+});
+
+const toPair = (key, raw) => ({
+  key,
+  altname: raw.altname,
+  wsname: raw.wsname || null,
+  base: raw.base,
+  quote: raw.quote,
+  lot: raw.lot,
+  pairDecimals: raw.pair_decimals,
+  lotDecimals: raw.lot_decimals,
+  costDecimals: raw.cost_decimals !== undefined ? raw.cost_decimals : null,
+  lotMultiplier: raw.lot_multiplier,
+  ordermin: toNumber(raw.ordermin),
+  costmin: toNumber(raw.costmin),
+  tickSize: toNumber(raw.tick_size),
+  fees: raw.fees || [],
+  feesMaker: raw.fees_maker || [],
+  feeVolumeCurrency: raw.fee_volume_currency || null,
+  leverageBuy: raw.leverage_buy || [],
+  leverageSell: raw.leverage_sell || [],
+  status: raw.status || null
+});
+
+/**
+ * AssetRegistry resolves any spelling of an asset or a pair to the Kraken name:
+ * altnames (ETHUSD), wsnames (ETH/USD), canonical names (XETHZUSD) and aliases (BTC for XBT)
+ * The assets and pairs are loaded from getAssetInfo and getTradableAssetPairs and cached
+ */
+class AssetRegistry {
+  /**
+   * Create a new AssetRegistry
+   * @param {Kraken} kraken - Client used to load the assets and pairs
+   * @param {Object} [options]
+   * @param {number} [options.ttl=3600000] - Time in ms before the assets and pairs are loaded again
+   */
+  constructor(kraken, options = {}) {
+    this.__kraken = kraken;
+    this.__ttl = options.ttl || 3600000;
+    this.__loading = null;
+    this.__loadedAt = 0;
+    this.__assets = {};
+    this.__pairs = {};
+    this.__assetIndex = {};
+    this.__pairIndex = {};
+  }
+
+  get loaded() {
+    return this.__loadedAt > 0;
+  }
+
+  get assets() {
+    return Object.keys(this.__assets).map(key => this.__assets[key]);
+  }
+
+  get pairs() {
+    return Object.keys(this.__pairs).map(key => this.__pairs[key]);
+  }
+
+  /**
+   * Loads the assets and pairs unless they are cached, concurrent calls share the requests
+   * If loading again fails the cached values are kept
+   *
+   * @param {boolean} [force=false] - Ignore the cache
+   * @return Promise - resolves with the registry
+   */
+  load(force = false) {
+    if (this.__loading) {
+      return this.__loading;
+    }
+    if (!force && this.loaded && Date.now() - this.__loadedAt < this.__ttl) {
+      return Promise.resolve(this);
+    }
+
+    this.__loading = Promise.all([
+      this.__kraken.getAssetInfo(),
+      this.__kraken.getTradableAssetPairs()
+    ]).then(([assets, pairs]) => {
+      this.__loading = null;
+      this.build(assets, pairs);
+      return this;
+    }, (error) => {
+      this.__loading = null;
+      if (this.loaded) {
+        return this;
+      }
+      throw error;
+    });
+
+    return this.__loading;
+  }
+
+  /**
+   * Indexes every spelling of the assets and pairs
+   * Canonical names, altnames and wsnames win over the names made from the base and
+   * quote, so the dark pool pairs (.d) never replace the regular ones
+   *
+   * @param {Object} assets - Result of getAssetInfo
+   * @param {Object} pairs - Result of getTradableAssetPairs
+   */
+  build(assets, pairs) {
+    const indexes = { asset: {}, pair: {} };
+    const add = (kind, name, key) => {
+      const spelling = compact(name);
+      if (name && !indexes[kind][spelling]) {
+        indexes[kind][spelling] = key;
+      }
+    };
+
+    this.__assets = Object.keys(assets).reduce((all, key) => Object.assign(all, {
+      [key]: toAsset(key, assets[key])
+    }), {});
+    this.__pairs = Object.keys(pairs).reduce((all, key) => Object.assign(all, {
+      [key]: toPair(key, pairs[key])
+    }), {});
+
+    const assetNames = (key) => {
+      const asset = this.__assets[key];
+      if (!asset) {
+        return [key];
+      }
+      return [key, asset.altname].concat(ALIASES[asset.altname] || []);
+    };
+
+    this.assets.forEach((asset) => {
+      add('asset', asset.key, asset.key);
+      add('asset', asset.altname, asset.key);
+    });
+    this.assets.forEach((asset) => {
+      (ALIASES[asset.altname] || []).forEach(alias => add('asset', alias, asset.key));
+    });
+
+    this.pairs.forEach((pair) => {
+      add('pair', pair.key, pair.key);
+      add('pair', pair.altname, pair.key);
+      add('pair', pair.wsname, pair.key);
+    });
+    this.pairs.filter(pair => pair.key.indexOf('.d') < 0).forEach((pair) => {
+      assetNames(pair.base).forEach((base) => {
+        assetNames(pair.quote).forEach(quote => add('pair', `${base}${quote}`, pair.key));
+      });
+    });
+
+    this.__assetIndex = indexes.asset;
+    this.__pairIndex = indexes.pair;
+    this.__loadedAt = Date.now();
+  }
+
+  /**
+   * Returns an asset, the registry must be loaded
+   *
+   * @param {string} name - Any spelling, ex: ETH, XETH, BTC
+   * @return {Object} - { key, altname, aclass, decimals, displayDecimals, status } or null
+   */
+  asset(name) {
+    return this.__assets[this.__assetIndex[compact(name)]] || null;
+  }
+
+  /**
+   * Returns a pair, the registry must be loaded
+   *
+   * @param {string} name - Any spelling, ex: ETHUSD, ETH/USD, XETHZUSD, BTC-USD
+   * @return {Object} - { key, altname, wsname, base, quote, pairDecimals, lotDecimals,
+   *                    costDecimals, lotMultiplier, ordermin, costmin, tickSize, fees,
+   *                    feesMaker, feeVolumeCurrency, leverageBuy, leverageSell, status } or null
+   */
+  pair(name) {
+    return this.__pairs[this.__pairIndex[compact(name)]] || null;
+  }
+
+  /**
+   * Loads the registry if needed and returns an asset
+   *
+   * @param {string} name - Any spelling of the asset
+   * @return Promise - asset, rejects with a KrakenValidationError if it does not exist
+   */
+  resolveAsset(name) {
+    return this.load().then(() => {
+      const asset = this.asset(name);
+      if (!asset) {
+        throw new KrakenValidationError(`Unknown asset ${name}`, { params: { asset: name } });
+      }
+      return asset;
+    });
+  }
+
+  /**
+   * Loads the registry if needed and returns a pair
+   *
+   * @param {string} name - Any spelling of the pair
+   * @return Promise - pair, rejects with a KrakenValidationError if it does not exist
+   */
+  resolvePair(name) {
+    return this.load().then(() => {
+      const pair = this.pair(name);
+      if (!pair) {
+        throw new KrakenValidationError(`Unknown pair ${name}`, { params: { pair: name } });
+      }
+      return pair;
+    });
+  }
+
+  /**
+   * Returns the fee of a pair for a 30 days volume
+   *
+   * @param {string} name - Any spelling of the pair
+   * @param {number} [volume=0] - 30 days volume in the fee volume currency
+   * @param {boolean} [maker=false] - Maker fee instead of taker fee
+   * @return {number} - Fee percentage or null if the pair has no fees
+   */
+  fee(name, volume = 0, maker = false) {
+    const pair = this.pair(name);
+    if (!pair) {
+      return null;
+    }
+    const schedule = maker && pair.feesMaker.length ? pair.feesMaker : pair.fees;
+    const tier = schedule.filter(level => volume >= level[0]).pop();
+    return tier ? tier[1] : null;
+  }
+
+  /**
+   * Replaces the asset and pair names of the params with the Kraken names
+   *
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} params - Validated params
+   * @return Promise - { params, names: { <Kraken name>: [names of the caller] } or null },
+   *                    two spellings of the same name are sent once
+   */
+  translate(endPoint, params) {
+    const fields = NAMED_PARAMS[endPoint] || {};
+    const named = Object.keys(fields).filter(field => params[field] !== undefined);
+    if (!named.length) {
+      return Promise.resolve({ params, names: null });
+    }
+
+    return this.load().then(() => {
+      const translated = Object.assign({}, params);
+      const names = {};
+      named.forEach((field) => {
+        const keys = String(params[field]).split(',').map((name) => {
+          const model = fields[field] === 'pair' ? this.pair(name) : this.asset(name);
+          if (!model) {
+            return name;
+          }
+          names[model.key] = (names[model.key] || []).concat(name);
+          return model.key;
+        });
+        translated[field] = keys.filter((key, index) => keys.indexOf(key) === index).join(',');
+      });
+      return { params: translated, names };
+    });
+  }
+
+  /**
+   * Renames the keys of a result with the names used by the caller
+   *
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} result - Result of the call
+   * @param {Object} names - { <Kraken name>: [names of the caller] }
+   * @return {Object} - Result with the keys renamed, a result named two ways by the caller is
+   *                    under both names
+   */
+  static rekey(endPoint, result, names) {
+    const paths = KEYED_RESULTS[endPoint];
+    if (!paths || !result || typeof result !== 'object') {
+      return result;
+    }
+
+    const rename = object => Object.keys(object).reduce((renamed, key) => {
+      [].concat(names[key] || key).forEach((name) => {
+        renamed[name] = object[key]; // eslint-disable-line no-param-reassign
+      });
+      return renamed;
+    }, {});
+
+    return paths.reduce((renamed, path) => {
+      if (path === null) {
+        return rename(renamed);
+      }
+      if (!renamed[path] || typeof renamed[path] !== 'object') {
+        return renamed;
+      }
+      return Object.assign({}, renamed, { [path]: rename(renamed[path]) });
+    }, result);
+  }
+}
+
+module.exports = AssetRegistry;
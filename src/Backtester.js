@@ -0,0 +1,319 @@
+import fs from 'fs';
+import path from 'path';
+
+import Kraken from './Kraken';
+import PaperAccount from './PaperAccount';
+import { KrakenValidationError } from './errors';
+import { PAGE_SIZES } from './helpers/paginate';
+
+const SOURCES = ['ohlc', 'trades'];
+
+/**
+ * Prices an order can fill at during an event: the trade price, or the path of a
+ * candle, to the low first when it closes up and to the high first when it closes down
+ *
+ * @param {Object} event Candle { open, high, low, close } or trade { price }
+ * @returns Array
+ */
+const pathOf = (event) => {
+  if (event.price !== undefined) {
+    return [event.price];
+  }
+  return event.close >= event.open
+    ? [event.open, event.low, event.high, event.close]
+    : [event.open, event.high, event.low, event.close];
+};
+
+const priceOf = event => (event.price !== undefined ? event.price : event.close);
+
+const readCache = (file) => {
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Backtester replays the history of a pair to a strategy that trades on a PaperAccount
+ * The candles of getOHLC or the trades of getTrades are downloaded with their since
+ * cursors and can be cached in a directory, then every event is replayed in time order:
+ * the open orders fill along the prices of the event, then the strategy is called with
+ * the event and places orders with the params of setAddOrder. Market orders fill at the
+ * price of the event with the slippage and the fees are the maker and taker fees of the pair
+ *
+ * The same data and options always give the same report
+ */
+class Backtester {
+  /**
+   * Create a new Backtester
+   * @param {Kraken} kraken - Client used to download the history and load the pair
+   * @param {Object} options
+   * @param {string} options.pair - Any spelling of the pair
+   * @param {string} [options.source=ohlc] - ohlc (candles of getOHLC) or trades (getTrades)
+   * @param {number} [options.interval=60] - Interval of the candles in minutes
+   * @param {number} [options.since] - Unix time of the first event
+   * @param {number} [options.until] - Unix time after the last event
+   * @param {Array} [options.data] - Events to replay instead of downloading them, normalised
+   *                                 candles or trades
+   * @param {string} [options.cache] - Directory where the downloads are kept, the next
+   *                                   runs only download what is newer
+   * @param {Object} [options.balances={ ZUSD: 10000 }] - Starting balances
+   * @param {number} [options.slippage=0] - Fraction of the price lost by the orders that
+   *                                        take liquidity, ex: 0.001
+   * @param {Object} [options.fees] - { maker, taker } percentages instead of the fee schedule
+   *                                  of the pair
+   * @param {number} [options.volume=0] - 30 days volume for the fee schedule
+   */
+  constructor(kraken, options = {}) {
+    if (!options.pair) {
+      throw new KrakenValidationError('Pair option is required', { params: options });
+    }
+    if (options.source && SOURCES.indexOf(options.source) < 0) {
+      throw new KrakenValidationError(`Source option must be one of ${SOURCES.join(', ')}`, { params: options });
+    }
+
+    this.__kraken = kraken;
+    this.__pair = options.pair;
+    this.__source = options.source || 'ohlc';
+    this.__interval = options.interval || 60;
+    this.__since = options.since || 0;
+    this.__until = options.until || Infinity;
+    this.__data = options.data || null;
+    this.__cache = options.cache || null;
+    this.__balances = options.balances;
+    this.__slippage = options.slippage || 0;
+    this.__fees = options.fees || null;
+    this.__volume = options.volume || 0;
+  }
+
+  /**
+   * File of the cache for the pair, source and interval
+   *
+   * @param {Object} pair - Registry pair
+   * @return {string} - null without cache
+   */
+  cacheFile(pair) {
+    if (!this.__cache) {
+      return null;
+    }
+    const name = this.__source === 'ohlc'
+      ? `${pair.key}-ohlc-${this.__interval}.json`
+      : `${pair.key}-trades.json`;
+    return path.join(this.__cache, name);
+  }
+
+  /**
+   * Downloads the events that are not in the cache and returns every event of the range
+   *
+   * @return Promise - events in time order
+   */
+  load() {
+    if (this.__data) {
+      return Promise.resolve(this.select(this.__data));
+    }
+
+    return this.__kraken.registry.resolvePair(this.__pair).then((pair) => {
+      const file = this.cacheFile(pair);
+      const cached = readCache(file) || { cursor: this.__since || undefined, events: [] };
+      const download = this.__source === 'ohlc'
+        ? this.downloadCandles(pair, cached)
+        : this.downloadTrades(pair, cached);
+
+      return download.then((history) => {
+        if (file) {
+          if (!fs.existsSync(this.__cache)) {
+            fs.mkdirSync(this.__cache, { recursive: true });
+          }
+          fs.writeFileSync(file, JSON.stringify(history));
+        }
+        return this.select(history.events);
+      });
+    });
+  }
+
+  /**
+   * Events of the range, in time order
+   */
+  select(events) {
+    return events
+      .filter(event => event.time >= this.__since && event.time < this.__until)
+      .map((event, index) => ({ event, index }))
+      // The index keeps the order of the events of the same second
+      .sort((a, b) => (a.event.time - b.event.time) || (a.index - b.index))
+      .map(({ event }) => event);
+  }
+
+  /**
+   * Candles after the cursor, Kraken only returns the last 720 ones of an interval
+   * The candle still open is left out, it is downloaded again by the next run
+   *
+   * @return Promise - { cursor, events }
+   */
+  downloadCandles(pair, cached) {
+    return this.__kraken.getOHLC({
+      pair: pair.key,
+      interval: this.__interval,
+      since: cached.cursor,
+      normalize: true
+    }).then(({ candles, last }) => {
+      const byTime = {};
+      cached.events.concat(candles.filter(candle => candle.time <= last)).forEach((candle) => {
+        byTime[candle.time] = candle;
+      });
+      const events = Object.keys(byTime).map(time => byTime[time])
+        .sort((a, b) => a.time - b.time);
+      return { cursor: last, events };
+    });
+  }
+
+  /**
+   * Pages of trades from the cursor until the range or the history ends
+   *
+   * @return Promise - { cursor, events }
+   */
+  downloadTrades(pair, cached) {
+    const page = history => this.__kraken.getTrades({
+      pair: pair.key,
+      since: history.cursor,
+      normalize: true
+    }).then(({ trades, last }) => {
+      const next = { cursor: last, events: history.events.concat(trades) };
+      const newest = trades.length ? trades[trades.length - 1].time : Infinity;
+      if (trades.length < PAGE_SIZES.Trades || String(last) === String(history.cursor) ||
+        newest >= this.__until) {
+        return next;
+      }
+      return page(next);
+    });
+    return page(cached);
+  }
+
+  /**
+   * Replays the events to a strategy
+   *
+   * @param {Function} strategy - (event, context) => nothing or a Promise, called once per
+   *                              event after the open orders filled along its prices
+   *                              context = { index, time, price, kraken: client whose trading
+   *                              methods are simulated, account: PaperAccount,
+   *                              history(count): the last count events up to this one }
+   * @return Promise - report { pair, start, end, events, initialEquity, finalEquity, pnl,
+   *                   return, maxDrawdown, exposure, fees, balances, trades, orders, equity }
+   */
+  run(strategy) {
+    return Promise.all([
+      this.load(),
+      this.__kraken.registry.resolvePair(this.__pair)
+    ]).then(([events, pair]) => {
+      const state = { time: events.length ? events[0].time : 0, price: null };
+      const account = new PaperAccount(this.market(pair, state), {
+        balances: this.__balances,
+        volume: this.__volume
+      });
+      const trader = new Kraken(null, null, { paper: account, rateLimit: false, retry: false });
+      const equity = [];
+      let exposed = 0;
+
+      const valueAt = (price) => {
+        const balances = account.balances;
+        return parseFloat(balances[pair.quote] || 0) +
+          (parseFloat(balances[pair.base] || 0) * price);
+      };
+
+      const replay = (chain, event, index) => chain.then(() => {
+        state.time = event.time;
+        // The orders placed on the previous events fill along the prices of this one
+        const fills = pathOf(event).reduce((previous, price) => previous.then(() => {
+          state.price = price;
+          return account.update();
+        }), Promise.resolve());
+
+        return fills.then(() => strategy(event, {
+          index,
+          time: event.time,
+          price: priceOf(event),
+          kraken: trader,
+          account,
+          history: count => events.slice(Math.max(0, (index + 1) - count), index + 1)
+        })).then(() => {
+          const price = priceOf(event);
+          equity.push({ time: event.time, equity: valueAt(price) });
+          if (Math.abs(parseFloat(account.balances[pair.base] || 0)) > 1e-12) {
+            exposed += 1;
+          }
+        });
+      });
+
+      const first = events.length ? pathOf(events[0])[0] : null;
+      state.price = first;
+      return account.update()
+        .then(() => {
+          state.initialEquity = valueAt(first || 0);
+        })
+        .then(() => events.reduce(replay, Promise.resolve()))
+        .then(() => Backtester.report(pair, events, account, equity, exposed, state));
+    });
+  }
+
+  /**
+   * Market of the paper account, one price at a time
+   *
+   * @param {Object} pair - Registry pair of the backtest
+   * @param {Object} state - { time, price } of the replay
+   * @return Object - see PaperAccount
+   */
+  market(pair, state) {
+    const registry = this.__kraken.registry;
+    return {
+      pair: name => registry.resolvePair(name),
+      asset: name => registry.resolveAsset(name),
+      book: () => Promise.resolve({
+        asks: [[state.price * (1 + this.__slippage), Infinity]],
+        bids: [[state.price * (1 - this.__slippage), Infinity]]
+      }),
+      prices: pairs => Promise.resolve(pairs.filter(other => other.key === pair.key)
+        .reduce(all => Object.assign(all, {
+          [pair.key]: { ask: state.price, bid: state.price, last: state.price }
+        }), {})),
+      fee: (other, maker, volume) => Promise.resolve(this.__fees
+        ? this.__fees[maker ? 'maker' : 'taker']
+        : registry.fee(other.key, volume, maker)),
+      now: () => state.time
+    };
+  }
+
+  /**
+   * Summary of a replay, the values are in the quote currency of the pair
+   */
+  static report(pair, events, account, equity, exposed, state) {
+    const trades = account.trades;
+    const initialEquity = state.initialEquity;
+    const finalEquity = equity.length ? equity[equity.length - 1].equity : initialEquity;
+    let peak = initialEquity;
+    const maxDrawdown = equity.reduce((worst, point) => {
+      peak = Math.max(peak, point.equity);
+      return peak > 0 ? Math.max(worst, (peak - point.equity) / peak) : worst;
+    }, 0);
+
+    return {
+      pair: pair.key,
+      start: events.length ? events[0].time : null,
+      end: events.length ? events[events.length - 1].time : null,
+      events: events.length,
+      initialEquity,
+      finalEquity,
+      pnl: finalEquity - initialEquity,
+      return: initialEquity ? (finalEquity - initialEquity) / initialEquity : 0,
+      maxDrawdown,
+      exposure: events.length ? exposed / events.length : 0,
+      fees: Object.keys(trades).reduce((total, id) => total + parseFloat(trades[id].fee), 0),
+      balances: account.balances,
+      trades: Object.keys(trades).map(id => Object.assign({ id }, trades[id])),
+      orders: account.orders,
+      equity
+    };
+  }
+}
+
+Backtester.SOURCES = SOURCES;
+
+module.exports = Backtester;
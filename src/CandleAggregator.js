@@ -0,0 +1,179 @@
+import EventEmitter from 'events';
+
+import { toWsName } from './helpers/pairs';
+import { parseBar, toTrade, toCandle, open, addTrade, flat, resample } from './helpers/candles';
+
+/**
+ * CandleAggregator merges trades as they arrive into the open candle of any interval,
+ * or of volume or tick bars, and closes it when a trade of the next one arrives
+ * It can be seeded with the open candle of getOHLC and fed by the trade channel of a
+ * KrakenStream to chart a live timeframe that Kraken doesn't have
+ *
+ * Events:
+ *  candle - a closed candle { time, open, high, low, close, vwap, volume, count }
+ *  update - the open candle after each trade
+ */
+class CandleAggregator extends EventEmitter {
+  /**
+   * Create a new CandleAggregator
+   * @param {Object} bar - { interval: minutes or a duration like '3m', '2h', fill: emit
+   *                       candles without trades at the previous close } or
+   *                       { volume: volume of a bar } or { ticks: trades in a bar }
+   */
+  constructor(bar) {
+    super();
+    this.__bar = parseBar(bar);
+    this.__current = null;
+  }
+
+  /**
+   * Open candle, null before the first trade
+   * @return Object
+   */
+  get current() {
+    return this.__current ? Object.assign({}, this.__current) : null;
+  }
+
+  /**
+   * Starts from the open candle of getOHLC, the trades already in it must not be added again
+   * Only for interval bars, the candle must be of the same interval
+   *
+   * @param {Array|Object} candle - Raw candle or candle model
+   */
+  seed(candle) {
+    this.__current = toCandle(candle);
+  }
+
+  /**
+   * Adds trades in time order, raw trades of getTrades or of the trade channel or models
+   *
+   * @param {Array|Object} trades - One trade or a list of trades
+   * @return Array - candles closed by the trades
+   */
+  add(trades) {
+    // A raw trade is an array of values, a list of trades an array of arrays or models
+    const single = !Array.isArray(trades) ||
+      (trades.length > 0 && !Array.isArray(trades[0]) && typeof trades[0] !== 'object');
+    const list = single ? [trades] : trades;
+    const closed = [];
+    list.map(toTrade).forEach((trade) => {
+      closed.push(...this.addOne(trade));
+      this.emit('update', this.current);
+    });
+    return closed;
+  }
+
+  addOne(trade) {
+    const bar = this.__bar;
+    const closed = [];
+    const close = (next) => {
+      if (this.__current) {
+        closed.push(this.__current);
+        this.emit('candle', Object.assign({}, this.__current));
+      }
+      this.__current = next;
+    };
+
+    if (bar.interval) {
+      const time = Math.floor(trade.time / bar.interval) * bar.interval;
+      const last = this.__current;
+      if (last && last.time === time) {
+        addTrade(last, trade);
+        return closed;
+      }
+      // Trades older than the open candle are late, they are dropped
+      if (last && time < last.time) {
+        return closed;
+      }
+      if (last && bar.fill) {
+        for (let gap = last.time + bar.interval; gap < time; gap += bar.interval) {
+          close(flat(gap, last));
+        }
+      }
+      close(open(time, trade));
+      return closed;
+    }
+
+    if (bar.ticks) {
+      if (!this.__current || this.__current.count >= bar.ticks) {
+        close(open(trade.time, trade));
+      } else {
+        addTrade(this.__current, trade);
+      }
+      return closed;
+    }
+
+    let remaining = trade.volume;
+    do {
+      const room = this.__current ? bar.volume - this.__current.volume : 0;
+      if (!this.__current || room <= 1e-12) {
+        const next = open(trade.time, Object.assign({}, trade, { volume: 0 }));
+        next.count = 0;
+        close(next);
+      } else {
+        const part = Math.min(room, remaining);
+        addTrade(this.__current, Object.assign({}, trade, { volume: part }));
+        remaining -= part;
+      }
+    } while (remaining > 1e-12);
+    return closed;
+  }
+
+  /**
+   * Closes the open candle of an interval bar once its time is over, for the
+   * intervals without trades
+   *
+   * @param {number} [now] - Unix time in seconds, default the current time
+   * @return Array - closed candles, with fill the candles without trades until now
+   */
+  tick(now = Date.now() / 1000) {
+    const { interval, fill } = this.__bar;
+    const closed = [];
+    while (interval && this.__current && now >= this.__current.time + interval) {
+      const current = this.__current;
+      closed.push(current);
+      this.__current = fill ? flat(current.time + interval, current) : null;
+      this.emit('candle', Object.assign({}, current));
+    }
+    return closed;
+  }
+
+  /**
+   * Adds the trades of a pair of the trade channel of a KrakenStream
+   *
+   * @param {KrakenStream} stream
+   * @param {string} pair - Any spelling of the pair known by the stream, ex: ETHUSD, ETH/USD
+   * @return Function - stops listening to the stream
+   */
+  attach(stream, pair) {
+    const wsname = toWsName(pair);
+    const listener = (event) => {
+      if (event.pair === wsname) {
+        this.add(event.data);
+      }
+    };
+    stream.on('trade', listener);
+    return () => stream.removeListener('trade', listener);
+  }
+
+  /**
+   * Builds the candles of trades in time order
+   * Interval bars start at a multiple of the interval and only exist when there are trades,
+   * unless fill is set. Volume bars close when they reach the volume, a trade is split
+   * between two bars when needed. Tick bars close after a number of trades. The last
+   * candle may not be complete
+   *
+   * @param {Array} trades - Raw trades or trade models
+   * @param {Object} bar - See the constructor
+   * @return Array - candles
+   */
+  static fromTrades(trades, bar) {
+    const aggregator = new CandleAggregator(bar);
+    const candles = trades.length ? aggregator.add(trades) : [];
+    return aggregator.current ? candles.concat(aggregator.current) : candles;
+  }
+}
+
+CandleAggregator.resample = resample;
+
+module.exports = CandleAggregator;
@@ -1,7 +1,54 @@
 import crypto from 'crypto';
 import querystring from 'querystring';
 
-import request from './helpers/request';
+import { abortError } from './helpers/request';
+import { toWsName } from './helpers/pairs';
+import validate from './helpers/schema';
+import createOTP from './helpers/otp';
+import createNonce from './helpers/nonce';
+import { extractNormalize, ticker, ohlc, trades, spread } from './helpers/models';
+import AssetRegistry from './AssetRegistry';
+import OrderBuilder from './OrderBuilder';
+import CandleAggregator from './CandleAggregator';
+import PaperAccount from './PaperAccount';
+import SafetyPolicy from './SafetyPolicy';
+import ResponseCache from './ResponseCache';
+import HttpTransport from './HttpTransport';
+import createLiveMarket from './helpers/paperMarket';
+import { privatePages, publicPages } from './helpers/paginate';
+import RateLimiter from './helpers/rateLimiter';
+import retry, { createPolicy, NON_IDEMPOTENT } from './helpers/retry';
+import runMiddleware, { REDACTED, sanitize, isMiddleware } from './helpers/middleware';
+import {
+  KrakenValidationError,
+  KrakenApiError,
+  KrakenAuthError,
+  KrakenNetworkError,
+  createApiError,
+  createNetworkError
+} from './errors';
+
+const NUMBER = /^\d*\.?\d+$/;
+
+/**
+ * Checks if an order of OpenOrders or ClosedOrders was placed with the params of AddOrder
+ * Relative prices and volumes in the quote currency (viqc) can't be compared, they are
+ * left out
+ *
+ * @param {Object} order - Order info, { opentm, vol, descr: { pair, type, ordertype, price } }
+ * @param {Object} params - Params of AddOrder
+ * @returns Boolean
+ */
+const isOrderOf = (order, params) => {
+  const descr = order.descr || {};
+  const same = (value, expected) => !NUMBER.test(String(expected)) ||
+    parseFloat(value) === parseFloat(expected);
+  const flags = String(params.oflags || '').split(',');
+  return descr.type === params.type && descr.ordertype === params.ordertype &&
+    toWsName(String(descr.pair)) === toWsName(String(params.pair)) &&
+    same(descr.price, params.price) &&
+    (flags.indexOf('viqc') >= 0 || same(order.vol, params.volume));
+};
 
 /**
  * Kraken encapsulates the methods for varios API wrapper objects
@@ -14,67 +61,512 @@ class Kraken {
    * @param {string} [apiKey] - The API key to authenticate to Kraken. If the API
    *                                                key is not provided request will be made to the
    *                                                public endpoints only.
-   * @param {string} [apiBase=api.kraken.com] - The base Kraken API URL
+   * @param {string} [apiBase=api.kraken.com] - The base Kraken API URL. It can also be
+   *                                                an object with the options, ex:
+   *                                                new Kraken(key, secret, { tier: 'pro' })
+   * @param {Object} [options] - { apiBase, apiProtocol: https (default) or http, port: 443 by
+   *                                                 default, 80 for http, apiVersion,
+   *                                                 apiOTP: 2FA password, function returning it
+   *                                                 or TOTP options { secret, step, digits },
+   *                                                 tier: starter (default), intermediate or pro,
+   *                                                 rateLimit: { costs, max, decay,
+   *                                                 publicInterval } or false to disable it,
+   *                                                 publicLimiter: RateLimiter of the public
+   *                                                 calls shared by the clients of one IP,
+   *                                                 retry: { attempts, baseDelay, maxDelay,
+   *                                                 jitter, errors, statusCodes, networkErrors,
+   *                                                 dedupe } or false to disable it,
+   *                                                 nonce: { file, store, window } or a provider
+   *                                                 with a next() method,
+   *                                                 normalize: true or { decimal } to return
+   *                                                 named models of the market data,
+   *                                                 registry: true or { ttl } to resolve the
+   *                                                 asset and pair names of every call, off by
+   *                                                 default as it keys the results by the
+   *                                                 names of the caller,
+   *                                                 paper: true or { balances, volume, depth,
+   *                                                 tradeVolume } to simulate the trading
+   *                                                 endpoints with a PaperAccount, or the
+   *                                                 PaperAccount to use,
+   *                                                 policy: { readOnly, killSwitch, maxNotional,
+   *                                                 maxDailyVolume, maxPriceDeviation, pairs,
+   *                                                 maxOpenOrders, withdrawals } or a
+   *                                                 SafetyPolicy to check the orders and
+   *                                                 withdrawals before they are sent,
+   *                                                 cache: true or { ttl, allowPrivate, store,
+   *                                                 maxEntries } or a ResponseCache to keep
+   *                                                 the results of the reference and market
+   *                                                 data endpoints,
+   *                                                 http: { keepAlive, maxSockets, timeout,
+   *                                                 connectTimeout, proxy } of the
+   *                                                 HttpTransport, transport: an object with a
+   *                                                 request(options, data) method sending the
+   *                                                 requests instead
+   *                                               }
    */
-  constructor(apiKey = null, apiSecret = null, apiBase = 'api.kraken.com', apiProtocol = 'https', apiVersion = 0, apiOTP = null) {
+  constructor(apiKey = null, apiSecret = null, apiBase = 'api.kraken.com', apiProtocol = 'https', apiVersion = 0, apiOTP = null, options = {}) {
+    const settings = apiBase && typeof apiBase === 'object'
+      ? apiBase
+      : Object.assign({ apiBase, apiProtocol, apiVersion, apiOTP }, options);
+
     this.__apiKey = apiKey;
     this.__apiSecret = apiSecret;
-    this.__apiBase = apiBase;
-    this.__apiProtocol = apiProtocol;
-    this.__apiVersion = apiVersion;
-    this.__apiOTP = apiOTP;
+    this.__apiBase = settings.apiBase || 'api.kraken.com';
+    this.__apiProtocol = settings.apiProtocol || 'https';
+    this.__apiPort = settings.port || (this.__apiProtocol === 'http' ? 80 : 443);
+    this.__apiVersion = settings.apiVersion || 0;
+    this.__apiOTP = settings.apiOTP || null;
+    this.__otp = createOTP(this.__apiOTP);
+    this.__nonce = createNonce(settings.nonce);
+    this.__sequence = Promise.resolve();
+    this.__normalize = settings.normalize || false;
+    this.__registryOptions = typeof settings.registry === 'object' ? settings.registry : {};
+    this.__resolveNames = Boolean(settings.registry);
+    this.__registry = null;
+    this.__orders = null;
+    this.__limiter = settings.rateLimit === false
+      ? null
+      : new RateLimiter(Object.assign({ tier: settings.tier }, settings.rateLimit));
+    // Kraken limits the public calls by IP, the clients of one IP can share their limiter
+    this.__publicLimiter = this.__limiter && settings.publicLimiter
+      ? settings.publicLimiter
+      : this.__limiter;
+    this.__retry = createPolicy(settings.retry);
+    this.__paper = null;
+    if (settings.paper instanceof PaperAccount) {
+      this.__paper = settings.paper;
+    } else if (settings.paper) {
+      const paperOptions = Object.assign({
+        tradeVolume: Boolean(apiKey && apiSecret)
+      }, typeof settings.paper === 'object' ? settings.paper : {});
+      this.__paper = new PaperAccount(createLiveMarket(this, paperOptions), paperOptions);
+    }
+    if (settings.transport && typeof settings.transport.request !== 'function') {
+      throw new KrakenValidationError('Transport must have a request(options, data) method');
+    }
+    this.__transport = settings.transport || new HttpTransport(settings.http);
+    this.__middleware = [];
+    this.__cache = null;
+    if (settings.cache instanceof ResponseCache) {
+      this.__cache = settings.cache;
+    } else if (settings.cache) {
+      this.__cache = new ResponseCache(typeof settings.cache === 'object' ? settings.cache : {});
+    }
+    this.__policy = null;
+    if (settings.policy instanceof SafetyPolicy) {
+      this.__policy = settings.policy;
+    } else if (settings.policy) {
+      this.__policy = new SafetyPolicy(settings.policy);
+    }
   }
 
-  doRequest(type, endPoint, params = {}) {
+  /**
+   * Returns the client side API call counter
+   * @return {Object} - { counter, max, pending } or null if the rate limiter is disabled
+   */
+  get apiCounter() {
+    if (!this.__limiter) {
+      return null;
+    }
+    return {
+      counter: this.__limiter.counter,
+      max: this.__limiter.max,
+      pending: this.__limiter.pending
+    };
+  }
+
+  /**
+   * Registry of the assets and pairs, loaded on first use
+   * @return {AssetRegistry}
+   */
+  get registry() {
+    if (!this.__registry) {
+      this.__registry = new AssetRegistry(this, this.__registryOptions);
+    }
+    return this.__registry;
+  }
+
+  /**
+   * Order builder, ex: kraken.orders.limit('ETHUSD', 'buy', 1, 300)
+   * @return {OrderBuilder}
+   */
+  get orders() {
+    if (!this.__orders) {
+      this.__orders = new OrderBuilder(this);
+    }
+    return this.__orders;
+  }
+
+  /**
+   * Normalize option of the market data, false, true or { decimal }
+   * @return {boolean|Object}
+   */
+  get normalize() {
+    return this.__normalize;
+  }
+
+  /**
+   * Simulated account of the paper mode, null otherwise
+   * @return {PaperAccount}
+   */
+  get paper() {
+    return this.__paper;
+  }
+
+  /**
+   * Safety policy of the orders and withdrawals, null without the policy option
+   * @return {SafetyPolicy}
+   */
+  get policy() {
+    return this.__policy;
+  }
+
+  /**
+   * Transport sending the requests
+   * @return {HttpTransport}
+   */
+  get transport() {
+    return this.__transport;
+  }
+
+  /**
+   * Cache of the results, null without the cache option
+   * @return {ResponseCache}
+   */
+  get cache() {
+    return this.__cache;
+  }
+
+  /**
+   * Deletes the results kept by the cache: every result without endPoint, every result of
+   * the endpoint without params, or the result of one call
+   *
+   * @param {string} [endPoint] - Kraken method name, ex: AssetPairs
+   * @param {Object} [params] - Params of the call, ex: { pair: 'ETHUSD' }
+   * @return Promise
+   */
+  invalidateCache(endPoint, params) {
+    if (!this.__cache) {
+      return Promise.resolve();
+    }
+    if (!endPoint || !params) {
+      return this.__cache.invalidate(endPoint);
+    }
+    // The keys are made of the params sent to Kraken
+    const validation = validate(endPoint, params);
+    const translating = this.__resolveNames
+      ? this.registry.translate(endPoint, validation.params)
+      : Promise.resolve({ params: validation.params });
+    return translating.then(translated => this.__cache.invalidate(
+      endPoint,
+      translated.params,
+      this.__apiKey
+    ));
+  }
+
+  /**
+   * Adds a middleware around the calls, the first one added runs first
+   * A middleware is a function (context, next) that calls next to go on with the call, or
+   * an object with beforeRequest, afterResponse and onError hooks getting the context.
+   * The context has type, endpoint, params and headers that can be changed before the
+   * request, then request, response, error and duration in ms. The key, the signature and
+   * the OTP are redacted
+   *
+   * @param {Function|Object} middleware
+   * @return {Kraken} - the client, to chain the calls
+   */
+  use(middleware) {
+    if (!isMiddleware(middleware)) {
+      throw new KrakenValidationError('Middleware must be a function or an object with beforeRequest, afterResponse or onError hooks');
+    }
+    this.__middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Sends a call through the validation, the safety policy, the middleware, the cache, the
+   * rate limiter and the retries
+   *
+   * @param {string} type - public or private
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} [params] - Params of the call, signal: AbortSignal cancelling it
+   * @param {Object} [options] - { live: send a private call that paper mode doesn't simulate
+   *                             to Kraken, for the fees of the key of the paper account }
+   * @return Promise - resolves with the result of Kraken
+   */
+  doRequest(type, endPoint, params = {}, { live = false } = {}) {
     return new Promise((resolve, reject) => {
-      let path = `/${this.__apiVersion}`;
-      let signature = '';
-      let headers = {};
-      let method = 'GET';
-      let paramsSet = params; // eslint-disable-line prefer-const
-
-      headers = {
-        'User-Agent': 'Kraken Wrapper Node API Client'
-      };
-
-      if (type === 'private') {
-        if (!this.__apiKey || !this.__apiSecret) {
-          resolve({ error: 'You must configure the API KEY and SECRET to make this request' });
-        }
-        path = `${path}/private/${endPoint}`;
-        method = 'POST';
+      // The signal cancels the call, it is not sent to Kraken
+      const signal = params && params.signal ? params.signal : null;
+      let sendParams = params;
+      if (signal) {
+        sendParams = Object.assign({}, params);
+        delete sendParams.signal;
+      }
 
-        const nonce = new Date() * 1000;
+      // Nothing is sent if any param is not valid
+      const validation = validate(endPoint, sendParams);
+      if (validation.errors.length) {
+        reject(new KrakenValidationError(validation.errors.join('; '), {
+          endpoint: endPoint,
+          params,
+          errors: validation.errors
+        }));
+        return;
+      }
 
-        paramsSet.nonce = nonce;
+      // In paper mode the trading endpoints never reach Kraken and don't need a key
+      const simulated = Boolean(this.__paper) && type === 'private' &&
+        PaperAccount.ENDPOINTS.indexOf(endPoint) >= 0;
 
-        signature = this.createSignature(path, paramsSet, nonce);
+      // The other private calls would reach the real account, ex: Withdraw
+      if (this.__paper && type === 'private' && !simulated && !live) {
+        reject(new KrakenValidationError(`${endPoint} is not simulated in paper mode, it is not sent to Kraken`, { endpoint: endPoint, params }));
+        return;
+      }
 
-        headers = {
-          'API-Key': this.__apiKey,
-          'API-Sign': signature,
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Content-Length': querystring.stringify(paramsSet).length
-        };
-      } else {
-        path = `${path}/public/${endPoint}`;
+      if (type === 'private' && !simulated && (!this.__apiKey || !this.__apiSecret)) {
+        reject(new KrakenAuthError('You must configure the API KEY and SECRET to make this request', { endpoint: endPoint, params }));
+        return;
       }
 
-      const options = {
+      const aborted = () => createNetworkError(abortError(), { endpoint: endPoint, params });
+      if (signal && signal.aborted) {
+        reject(aborted());
+        return;
+      }
+      // The call rejects at once, the request in flight is aborted by the transport
+      const onAbort = () => reject(aborted());
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      const settled = () => signal && signal.removeEventListener('abort', onAbort);
+
+      // The safety policy checks the orders and withdrawals before anything is sent
+      const checking = this.__policy
+        ? this.__policy.check(this, endPoint, validation.params)
+        : Promise.resolve(null);
+      let ticket = null;
+
+      checking.then((checked) => {
+        ticket = checked;
+        // With the registry the asset and pair names are sent as Kraken names and the
+        // result is keyed by the names of the caller
+        return this.__resolveNames
+          ? this.registry.translate(endPoint, validation.params)
+          : { params: validation.params, names: null };
+      }).then(({ params: paramsSet, names }) => {
+        // The middleware see the params and the request with the secrets redacted, the
+        // params they change are the ones sent
+        const context = {
+          type,
+          endpoint: endPoint,
+          params: sanitize(paramsSet),
+          headers: {},
+          request: null,
+          simulated,
+          startedAt: Date.now()
+        };
+        const outgoing = () => Object.assign({}, context.params, context.params.otp === REDACTED
+          ? { otp: paramsSet.otp }
+          : {});
+
+        // The nonce, the OTP and the signature are created when the rate limiter lets the call go
+        const sendRequest = () => {
+          // A call aborted while it waited for the rate limiter or a retry is not sent
+          if (signal && signal.aborted) {
+            return Promise.reject(abortError());
+          }
+          return this.prepareRequest(type, endPoint, outgoing(), context.headers)
+            .then(({ options, data }) => {
+              context.request = {
+                method: options.method,
+                path: options.path,
+                headers: sanitize(options.headers),
+                params: sanitize(data)
+              };
+              return this.__transport.request(signal
+                ? Object.assign({}, options, { signal })
+                : options, data);
+            });
+        };
+        // Without a nonce window a call sent after another one could reach Kraken first
+        const send = () => (
+          type === 'private' && !this.__nonce.window ? this.inSequence(sendRequest) : sendRequest()
+        );
+
+        const limiter = type === 'public' ? this.__publicLimiter : this.__limiter;
+        const attempt = () => (limiter ? limiter.schedule(type, endPoint, send) : send());
+        const startedAt = Math.floor(Date.now() / 1000);
+        const canRetry = classification =>
+          this.canRetry(endPoint, params, classification, startedAt);
+
+        const check = (response) => {
+          const details = { endpoint: endPoint, params, response };
+
+          if (!response || typeof response !== 'object' || !Array.isArray(response.error)) {
+            throw new KrakenNetworkError('The response of Kraken is not valid', details);
+          }
+
+          // Warnings (W prefix) don't make the call fail
+          const errors = response.error.filter(error => error.charAt(0) !== 'W');
+          if (errors.length) {
+            // Only the private counter is full, a throttled public call doesn't stall the
+            // private calls of the key
+            if (type === 'private' && this.__limiter && errors.indexOf('EAPI:Rate limit exceeded') >= 0) {
+              this.__limiter.penalize();
+            }
+            throw createApiError(errors, details);
+          }
+          return response;
+        };
+
+        // The middleware get the errors of Kraken as well, and can answer instead of it
+        const load = () => runMiddleware(this.__middleware, context, () => (simulated
+          ? this.__paper.handle(endPoint, outgoing())
+          : retry(attempt, this.__retry, { canRetry })
+        ).then(check).catch((error) => {
+          throw createNetworkError(error, { endpoint: endPoint, params });
+        })).then(response => check(response).result);
+
+        // The cache answers with the results it keeps and sends the identical calls once,
+        // a call with a signal can be aborted so the other calls don't share it
+        const answer = this.__cache && !simulated
+          ? this.__cache.fetch(endPoint, paramsSet, this.__apiKey, load, { shared: !signal })
+          : load();
+
+        return answer.then(result => (names
+          ? AssetRegistry.rekey(endPoint, result, names)
+          : result));
+      }).then((result) => {
+        settled();
+        if (ticket) {
+          this.__policy.done(ticket, true);
+        }
+        resolve(result);
+      }).catch((error) => {
+        settled();
+        // An order whose answer was lost may have been placed, it is counted
+        if (ticket) {
+          this.__policy.done(ticket, !(error instanceof KrakenApiError));
+        }
+        reject(createNetworkError(error, { endpoint: endPoint, params }));
+      });
+    });
+  }
+
+  /**
+   * Runs task after the previous tasks of the sequence have settled
+   *
+   * @param {Function} task - Function returning a Promise
+   * @return Promise - settles with the result of task
+   */
+  inSequence(task) {
+    const result = this.__sequence.then(() => task());
+    this.__sequence = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Builds the options and the data of a request, private requests get the
+   * nonce, the OTP and the signature
+   *
+   * @param {string} type - public or private
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} params - Validated params of the call, otp overrides the apiOTP option
+   * @param {Object} [extraHeaders] - Headers added by the middleware, they can't replace the
+   *                                  key, the signature and the content headers
+   * @return Promise - { options: https request options, data: params to send }
+   */
+  prepareRequest(type, endPoint, params, extraHeaders = {}) {
+    const data = Object.assign({}, params);
+    const otp = data.otp !== undefined ? createOTP(data.otp) : this.__otp;
+    delete data.otp;
+
+    let path = `/${this.__apiVersion}`;
+    let headers = Object.assign({
+      'User-Agent': 'Kraken Wrapper Node API Client'
+    }, extraHeaders);
+    let method = 'GET';
+
+    const build = () => ({
+      options: {
+        protocol: `${this.__apiProtocol}:`,
         hostname: this.__apiBase,
-        port: 443,
+        port: this.__apiPort,
         path,
         method,
-        headers,
-        timeout: 4000
-      };
+        headers
+      },
+      data
+    });
 
-      request(options, paramsSet).then((response) => {
-        resolve(response);
-      }).catch(error => reject(error));
+    if (type !== 'private') {
+      path = `${path}/public/${endPoint}`;
+      return Promise.resolve(build());
+    }
+
+    path = `${path}/private/${endPoint}`;
+    method = 'POST';
+
+    return (otp ? otp() : Promise.resolve(null)).then((code) => {
+      if (code) {
+        data.otp = code;
+      }
+      return this.__nonce.next();
+    }).then((nonce) => {
+      data.nonce = nonce;
+
+      headers = Object.assign({}, extraHeaders, {
+        'API-Key': this.__apiKey,
+        'API-Sign': this.createSignature(path, data, nonce),
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': querystring.stringify(data).length
+      });
+
+      return build();
     });
   }
 
+  /**
+   * Decides if a failed call can be sent again
+   * Calls that are not idempotent are only repeated when the request never left
+   * the client, or for AddOrder, when the retry policy has dedupe enabled and the
+   * order has a userref that can be used to check if it was placed: an order of that
+   * userref opened since the first attempt with the same pair, side, type, price and
+   * volume
+   *
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} params - Params of the call
+   * @param {Object} classification - { retryable, sent }
+   * @param {number} since - Unix time of the first attempt
+   * @return Promise - resolves with true, false or the response of the placed order
+   */
+  canRetry(endPoint, params, classification, since) {
+    if (NON_IDEMPOTENT.indexOf(endPoint) < 0 || !classification.sent) {
+      return Promise.resolve(true);
+    }
+    if (endPoint !== 'AddOrder' || !this.__retry.dedupe || !params || !params.userref) {
+      return Promise.resolve(false);
+    }
+
+    const { userref } = params;
+    return Promise.all([
+      this.doRequest('private', 'OpenOrders', { userref }),
+      this.doRequest('private', 'ClosedOrders', { userref, start: since - 1 })
+    ]).then(([open, closed]) => {
+      const orders = Object.assign({}, open.open, closed.closed);
+      const placed = Object.keys(orders)
+        .filter(txid => orders[txid].opentm >= since && isOrderOf(orders[txid], params))
+        .sort((a, b) => orders[a].opentm - orders[b].opentm);
+      if (!placed.length) {
+        return true;
+      }
+      // The order reached Kraken, answer as AddOrder would have done
+      const txid = placed[0];
+      return { error: [], result: { txid: [txid], descr: { order: orders[txid].descr.order } } };
+    }).catch(() => false);
+  }
 
   createSignature(path, params, nonce) {
     const paramsString = querystring.stringify(params);
@@ -92,11 +584,12 @@ class Kraken {
    * Returns a json object with the unix and rfc 1123 time
    * of the Kraken servers
    * This is to aid in approximating the skew time between the server and client.
+   * @param {Object} [params] - { signal: AbortSignal cancelling the call }
    * @return Promise with JSON Object
    */
-  getTime() {
+  getTime(params) {
     return new Promise((resolve, reject) => {
-      this.doRequest('public', 'Time').then((response) => {
+      this.doRequest('public', 'Time', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
@@ -114,20 +607,7 @@ class Kraken {
    */
   getAssetInfo(params) {
     return new Promise((resolve, reject) => {
-      const paramsValidated = {};
-      if (params && params.asset && params.asset !== 'all') {
-        if (typeof params.asset !== 'string') {
-          reject('Asset option must be a string, could be all for all assets or a comma separated values such as ETH,XRP');
-        }
-        // Remove any whitespace
-        const assetValidated = params.asset.replace(/\s/g, '');
-        paramsValidated.asset = assetValidated;
-      }
-
-      this.doRequest('public', 'Assets', paramsValidated).then((response) => {
-        if (!response.error) { // Could be 504 timeout or another problem with the Kraken API
-          resolve({ error: 'There is a problem with the API' });
-        }
+      this.doRequest('public', 'Assets', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
@@ -151,33 +631,7 @@ class Kraken {
    */
   getTradableAssetPairs(params) {
     return new Promise((resolve, reject) => {
-      const infoEnum = ['all', 'leverage', 'fees', 'margin'];
-      const paramsValidated = {};
-
-      if (params) {
-        // Check if params.info is valid
-        if (params.info) {
-          if (typeof params.info === 'string' && infoEnum.indexOf(params.info) >= 0) {
-            if (params.info !== 'all') { // although all is in the documentation of the Kraken API this value produces an error if used
-              paramsValidated.info = params.info;
-            }
-          } else {
-            reject('Option info must be a string, could be all, leverage, fees or margin');
-          }
-        }
-
-        // Check if params.pair is valid
-        if (params.pair && typeof params.pair === 'string') {
-          const pair = params.pair.replace(/\s/g, ''); // Remove any whitespace
-          if (params.pair !== 'all') { // although all is in the documentation of the Kraken API this value produces an error if used
-            paramsValidated.pair = pair;
-          }
-        } else {
-          reject('Pair option must be a string, could be all for all assets or a comma separated values such as ETHUSD,XRPUSD');
-        }
-      }
-
-      this.doRequest('public', 'AssetPairs', paramsValidated).then((response) => {
+      this.doRequest('public', 'AssetPairs', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
@@ -188,7 +642,8 @@ class Kraken {
    * Get ticker information
    * Returns an array of pair names and their ticker info
    *
-   * @param {Object} [params] -{pair:  comma delimited list of asset pairs to get info on}
+   * @param {Object} [params] -{pair:  comma delimited list of asset pairs to get info on,
+   *                            normalize: true or { decimal } to return named models}
    * @return {Object}  - Promise - JSON Object -
    * "XETHZUSD": {"a": ["349.28068","1","1.000"], "b": ["346.75998","4","4.000"],
    * "c": ["348.14094","0.01400000"],"v": ["487.87279670","72199.49047653"],
@@ -198,19 +653,9 @@ class Kraken {
    */
   getTickerInformation(params) {
     return new Promise((resolve, reject) => {
-      const paramsValidated = {};
-
-      if (params && params.pair && params.pair !== 'all') {
-        if (typeof params.pair !== 'string') {
-          reject('Pair option must be a string, could be all for all pair or a comma separated values such as ETHUSD,XRPUSD');
-        }
-        // Remove any whitespace
-        const pairValidated = params.pair.replace(/\s/g, '');
-        paramsValidated.pair = pairValidated;
-      }
-
-      this.doRequest('public', 'Ticker', paramsValidated).then((response) => {
-        resolve(response);
+      const { params: paramsSet, decimal } = extractNormalize(params, this.__normalize);
+      this.doRequest('public', 'Ticker', paramsSet).then((response) => {
+        resolve(decimal ? ticker(response, decimal) : response);
       }).catch(error => reject(error));
     });
   }
@@ -225,6 +670,9 @@ class Kraken {
    *                                                   5, 15, 30, 60, 240, 1440, 10080, 21600
    *                                                   since: return committed OHLC data
    *                                                   since given id
+   *                                                   normalize: true or { decimal }, returns
+   *                                                   { pair, candles: [{ time, open, high, low,
+   *                                                   close, vwap, volume, count }], last }
    *                                                 }
    * @return {Object}  - Promise - JSON Object -
    * "XETHZUSD": {"a": ["349.28068","1","1.000"], "b": ["346.75998","4","4.000"],
@@ -235,36 +683,9 @@ class Kraken {
    */
   getOHLC(params) {
     return new Promise((resolve, reject) => {
-      const intervalEnum = [1, 5, 15, 30, 60, 240, 1440, 10080, 21600];
-      const paramsValidated = params;
-
-      if (!params || !params.pair) {
-        reject("You must at least indicate the trading pair getOCHL({pair: 'tradingpair'})");
-      }
-
-      if (params.pair) {
-        if (typeof params.pair !== 'string') {
-          reject('Pair option must be a string, ex: ETHUSD');
-        }
-        // Remove any whitespace
-        const pair = params.pair.replace(/\s/g, '');
-        paramsValidated.pair = pair;
-      }
-
-      if (params.interval) {
-        if (typeof params.interval !== 'number' || intervalEnum.indexOf(params.interval) < 0) {
-          reject('Interval option must be a integer, and one of this intervals values 1 (default), 5, 15, 30, 60, 240, 1440, 10080, 21600');
-        }
-      }
-
-      if (params.since) {
-        if (typeof params.since !== 'number') {
-          reject('Since option must be a unix time, for example 1495864800');
-        }
-      }
-
-      this.doRequest('public', 'OHLC', paramsValidated).then((response) => {
-        resolve(response);
+      const { params: paramsSet, decimal } = extractNormalize(params, this.__normalize);
+      this.doRequest('public', 'OHLC', paramsSet).then((response) => {
+        resolve(decimal ? ohlc(response, decimal) : response);
       }).catch(error => reject(error));
     });
   }
@@ -285,27 +706,7 @@ class Kraken {
    */
   getOrderBook(params) {
     return new Promise((resolve, reject) => {
-      const paramsValidated = params;
-
-      if (!params || !params.pair) {
-        reject("You must at least indicate the trading pair getOrderBook({pair: 'tradingpair'})");
-      }
-
-      if (params.pair) {
-        if (typeof params.pair !== 'string') {
-          reject('Pair option must be a string, ex: ETHUSD');
-        }
-        // Remove any whitespace
-        paramsValidated.pair = params.pair.replace(/\s/g, '');
-      }
-
-      if (params.count) {
-        if (typeof params.count !== 'number') {
-          reject('Count option must be a integer');
-        }
-      }
-
-      this.doRequest('public', 'Depth', paramsValidated).then((response) => {
+      this.doRequest('public', 'Depth', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
@@ -318,6 +719,9 @@ class Kraken {
    * @param {Object} [params] - { pair: '' // required, asset pair to get trade data for
    *                                                 since: '' // return trade data since given id
    *                                                 (optional.  exclusive)
+   *                                                 normalize: true or { decimal }, returns
+   *                                                 { pair, trades: [{ price, volume, time, side,
+   *                                                 orderType, misc }], last }
    *                                                 }
    * @return {Object}  - Promise - JSON Object -
    * { XLTCXXBT: [ [ '0.01659800', '7.18559300', 1498314525.2248, 's', 'l', '' ], .... ],
@@ -330,31 +734,62 @@ class Kraken {
    */
   getTrades(params) {
     return new Promise((resolve, reject) => {
-      const paramsValidated = params;
-      if (!params || !params.pair) {
-        reject("You must at least indicate the trading pair getTrades({pair: 'tradingpair'})");
-      }
-
-      if (params.pair) {
-        if (typeof params.pair !== 'string') {
-          reject('Pair option must be a string, ex: ETHUSD');
-        }
-        // Remove any whitespace
-        paramsValidated.pair = params.pair.replace(/\s/g, '');
-      }
+      const { params: paramsSet, decimal } = extractNormalize(params, this.__normalize);
+      this.doRequest('public', 'Trades', paramsSet).then((response) => {
+        resolve(decimal ? trades(response, decimal) : response);
+      }).catch(error => reject(error));
+    });
+  }
+  /**
+   * Iterate over the trades of a pair, oldest first, from since until now
+   *
+   * @param {Object} params - Same as getTrades, normalize returns the trade models
+   * @param {Object} [options] - { cursor: last value to resume from,
+   *                               interval: minimum time in ms between pages }
+   * @return {PageIterator}  - async iterator of the trades, its cursor is the since to resume
+   */
+  iterateTrades(params, options) {
+    return publicPages(this, 'Trades', params, options);
+  }
 
-      if (params.since) {
-        if (typeof params.since !== 'number') {
-          reject('Since option must be a unix timestamp');
+  /**
+   * Get candles of any interval, volume bars or tick bars built from the trades history
+   * getOHLC only has the Kraken intervals and the last 720 candles, the trades go back
+   * to the start of the pair but every 1000 trades is a call
+   *
+   * @param {Object} params - { pair, since: unix time of the first trade, until: unix time
+   *                            where to stop, default now,
+   *                            interval: minutes or a duration like '3m', '2h', fill: add
+   *                            candles without trades, or volume: volume of a bar,
+   *                            or ticks: trades in a bar }
+   * @param {Object} [options] - { interval: minimum time in ms between pages }
+   * @return {Object}  - Promise - [{ time, open, high, low, close, vwap, volume, count }],
+   *                     the last candle may not be complete
+   */
+  getCandles(params = {}, options) {
+    return new Promise((resolve, reject) => {
+      const bar = ['interval', 'volume', 'ticks', 'fill'].reduce((picked, name) => (
+        params[name] !== undefined ? Object.assign(picked, { [name]: params[name] }) : picked
+      ), {});
+      const aggregator = new CandleAggregator(bar);
+      const { pair, since } = params;
+      const pages = this.iterateTrades({ pair, since, normalize: true }, options);
+      const candles = [];
+
+      const collect = () => pages.next().then(({ value, done }) => {
+        if (done || (params.until && value.time >= params.until)) {
+          pages.return();
+          resolve(aggregator.current ? candles.concat(aggregator.current) : candles);
+          return null;
         }
-      }
-
-      this.doRequest('public', 'Trades', paramsValidated).then((response) => {
-        resolve(response);
-      }).catch(error => reject(error));
+        candles.push(...aggregator.add(value));
+        return collect();
+      });
+      collect().catch(error => reject(error));
     });
   }
 
+
   /**
    * Get recent spread data
    * Returns an array of pair name and recent spread data
@@ -362,6 +797,8 @@ class Kraken {
    * @param {Object} [params] - { pair: '' // required, asset pair to get spread data for
    *                                                 since:  // return spread data since given id
    *                                                 (optional.  inclusive)
+   *                                                 normalize: true or { decimal }, returns
+   *                                                 { pair, spreads: [{ time, bid, ask }], last }
    *                                                 }
    * @return {Object}  - Promise - JSON Object -
    * { XLTCXXBT: [ [ 1498338706, '0.01657700', '0.01660500' ],
@@ -371,32 +808,25 @@ class Kraken {
    *   last = id to be used as since when polling for new spread data
    *
    */
-  getSpread(params = { pair: null, since: null }) {
+  getSpread(params) {
     return new Promise((resolve, reject) => {
-      const paramsValidated = params;
-      if (!params || !params.pair) {
-        reject("You must at least indicate the trading pair getOCHL({pair: 'tradingpair'})");
-      }
-
-      if (params.pair) {
-        if (typeof params.pair !== 'string') {
-          reject('Pair option must be a string, ex: ETHUSD');
-        }
-        // Remove any whitespace
-        paramsValidated.pair = params.pair.replace(/\s/g, '');
-      }
-
-      if (params.since) {
-        if (typeof params.since !== 'number') {
-          reject('Since option must be a unix timestamp');
-        }
-      }
-
-      this.doRequest('public', 'Spread', paramsValidated).then((response) => {
-        resolve(response);
+      const { params: paramsSet, decimal } = extractNormalize(params, this.__normalize);
+      this.doRequest('public', 'Spread', paramsSet).then((response) => {
+        resolve(decimal ? spread(response, decimal) : response);
       }).catch(error => reject(error));
     });
   }
+  /**
+   * Iterate over the recent spreads of a pair, oldest first
+   *
+   * @param {Object} params - Same as getSpread, normalize returns the spread models
+   * @param {Object} [options] - { cursor, interval } as for iterateTrades
+   * @return {PageIterator}  - async iterator of the spreads
+   */
+  iterateSpread(params, options) {
+    return publicPages(this, 'Spread', params, options);
+  }
+
 
   /*
   ****************************************************
@@ -429,13 +859,14 @@ class Kraken {
    * Get Balance
    * Returns an array of balance info
    *
+   * @param {Object} [params] - { signal: AbortSignal cancelling the call }
    * @return {Object}  - Promise - JSON Object -
    * { ZUSD: '0.0000', XLTC: '0.0000000000', XETH: '0.0000000000' }
    *
    */
-  getBalance() {
+  getBalance(params) {
     return new Promise((resolve, reject) => {
-      this.doRequest('private', 'Balance').then((response) => {
+      this.doRequest('private', 'Balance', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
@@ -472,10 +903,6 @@ class Kraken {
    */
   getOpenOrders(params) {
     return new Promise((resolve, reject) => {
-      if (params && params.trades && typeof params.trades !== 'boolean') {
-        resolve({ error: 'Trades option must be a Boolean, default false' });
-      }
-
       this.doRequest('private', 'OpenOrders', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
@@ -522,15 +949,23 @@ class Kraken {
    */
   getClosedOrders(params) {
     return new Promise((resolve, reject) => {
-      if (params && params.trades && typeof params.trades !== 'boolean') {
-        resolve({ error: 'Trades option must be a Boolean, default false' });
-      }
-
       this.doRequest('private', 'ClosedOrders', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
   }
+  /**
+   * Iterate over the closed orders, newest first, through every page of 50 orders
+   *
+   * @param {Object} [params] - Same as getClosedOrders without ofs, start and end bound the range
+   * @param {Object} [options] - { cursor: id of the last order seen to resume from,
+   *                               interval: minimum time in ms between pages }
+   * @return {PageIterator}  - async iterator of the orders, each one with its id
+   */
+  iterateClosedOrders(params, options) {
+    return privatePages(this, 'ClosedOrders', params, options);
+  }
+
 
   /**
    * Get QueryOrders
@@ -548,10 +983,6 @@ class Kraken {
    */
   getQueryOrders(params) {
     return new Promise((resolve, reject) => {
-      if (params && params.trades && typeof params.trades !== 'boolean') {
-        resolve({ error: 'Trades option must be a Boolean, default false' });
-      }
-
       this.doRequest('private', 'QueryOrders', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
@@ -587,15 +1018,22 @@ class Kraken {
    */
   getTradesHistory(params) {
     return new Promise((resolve, reject) => {
-      if (params && params.trades && typeof params.trades !== 'boolean') {
-        resolve({ error: 'Trades option must be a Boolean, default false' });
-      }
-
       this.doRequest('private', 'TradesHistory', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
     });
   }
+  /**
+   * Iterate over the trades history, newest first, through every page of 50 trades
+   *
+   * @param {Object} [params] - Same as getTradesHistory without ofs
+   * @param {Object} [options] - { cursor, interval } as for iterateClosedOrders
+   * @return {PageIterator}  - async iterator of the trades, each one with its id
+   */
+  iterateTradesHistory(params, options) {
+    return privatePages(this, 'TradesHistory', params, options);
+  }
+
 
   /**
    * Get QueryTrades
@@ -676,6 +1114,17 @@ class Kraken {
       }).catch(error => reject(error));
     });
   }
+  /**
+   * Iterate over the ledger entries, newest first, through every page of 50 entries
+   *
+   * @param {Object} [params] - Same as getLedgers without ofs
+   * @param {Object} [options] - { cursor, interval } as for iterateClosedOrders
+   * @return {PageIterator}  - async iterator of the entries, each one with its id
+   */
+  iterateLedgers(params, options) {
+    return privatePages(this, 'Ledgers', params, options);
+  }
+
 
   /**
    * Get Ledgers
@@ -691,9 +1140,6 @@ class Kraken {
    */
   getQueryLedgers(params) {
     return new Promise((resolve, reject) => {
-      if (!params || !params.id) {
-        resolve({ error: 'You have to indicate at least one ledger ID' });
-      }
       this.doRequest('private', 'QueryLedgers', params).then((response) => {
         resolve(response);
       }).catch(error => reject(error));
@@ -903,6 +1349,24 @@ class Kraken {
       }).catch(error => reject(error));
     });
   }
+
+  /**
+   * Get WebSocketsToken
+   * Returns a token to connect to the private WebSocket feeds.
+   * The token must be used within 15 minutes of creation, once a connection
+   * is established with it the token does not expire.
+   *
+   * @param {Object} [params] - { signal: AbortSignal cancelling the call }
+   * @return {Object}  - Promise - JSON Object -
+   * { token: '1Dwc4lzSwNWOAwkMdqhssNNFhs1ed606d1WcF3XfEMw', expires: 900 }
+   */
+  getWebSocketsToken(params) {
+    return new Promise((resolve, reject) => {
+      this.doRequest('private', 'GetWebSocketsToken', params).then((response) => {
+        resolve(response);
+      }).catch(error => reject(error));
+    });
+  }
 }
 
 module.exports = Kraken;
@@ -0,0 +1,231 @@
+import Kraken from './Kraken';
+import ResponseCache from './ResponseCache';
+import HttpTransport from './HttpTransport';
+import RateLimiter from './helpers/rateLimiter';
+import { KrakenValidationError } from './errors';
+
+/**
+ * Options of an account that are never shared with the other accounts
+ */
+const CREDENTIALS = ['apiKey', 'apiSecret', 'apiOTP', 'nonce'];
+
+const decimalsOf = value => (String(value).split('.')[1] || '').length;
+
+/**
+ * Sum of decimal strings, with the most decimals of the values
+ *
+ * @param {Array} values ex: ['1.50', '0.125']
+ * @returns string
+ */
+const sum = values => values.reduce((total, value) => total + parseFloat(value), 0)
+  .toFixed(values.reduce((decimals, value) => Math.max(decimals, decimalsOf(value)), 0));
+
+const without = (object, names) => Object.keys(object || {})
+  .filter(name => names.indexOf(name) < 0)
+  .reduce((copy, name) => Object.assign(copy, { [name]: object[name] }), {});
+
+/**
+ * KrakenAccounts manages the clients of several accounts, ex: sub-accounts
+ * Each account has its own key, secret, OTP and nonce, the other options are shared. The
+ * clients share a ResponseCache, so the public data is fetched once for every account and
+ * identical calls in flight are sent once, the connections of an HttpTransport, and the
+ * rate limiter of the public calls as Kraken limits them by IP. The call counter of the
+ * private calls is still counted by account
+ */
+class KrakenAccounts {
+  /**
+   * Create a new KrakenAccounts
+   * @param {Object} [options] - Options of the clients, ex: { tier: 'pro', retry: false }
+   * @param {Object} [options.accounts] - Accounts by name, { apiKey, apiSecret, apiOTP, nonce }
+   *                                      plus the options of that account only
+   * @param {boolean|Object|ResponseCache} [options.cache] - Options of the shared cache, false
+   *                                                         to not share the public data
+   * @param {Object} [options.transport] - Shared transport, an HttpTransport with the http
+   *                                       options by default
+   */
+  constructor(options = {}) {
+    this.__options = without(options, CREDENTIALS.concat('accounts', 'cache', 'transport'));
+    if (options.cache instanceof ResponseCache) {
+      this.__cache = options.cache;
+    } else {
+      this.__cache = options.cache === false
+        ? null
+        : new ResponseCache(typeof options.cache === 'object' ? options.cache : {});
+    }
+    this.__transport = options.transport || new HttpTransport(options.http);
+    this.__publicLimiter = options.rateLimit === false
+      ? null
+      : new RateLimiter(Object.assign({ tier: options.tier }, options.rateLimit));
+    this.__clients = {};
+    this.__public = null;
+    Object.keys(options.accounts || {}).forEach(name => this.add(name, options.accounts[name]));
+  }
+
+  /**
+   * Names of the accounts
+   * @return Array
+   */
+  get names() {
+    return Object.keys(this.__clients);
+  }
+
+  /**
+   * Client without key for the public data, it shares the cache of the accounts
+   * @return {Kraken}
+   */
+  get public() {
+    if (!this.__public) {
+      this.__public = this.createClient(null, null, {});
+    }
+    return this.__public;
+  }
+
+  /**
+   * Shared cache, null when the cache option is false
+   * @return {ResponseCache}
+   */
+  get cache() {
+    return this.__cache;
+  }
+
+  /**
+   * Adds an account
+   *
+   * @param {string} name - ex: hedge
+   * @param {Object} account - { apiKey, apiSecret, apiOTP, nonce } plus the options of the
+   *                           account, ex: { policy: { maxNotional: 5000 } }
+   * @return {Kraken} - client of the account
+   */
+  add(name, account = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new KrakenValidationError('Account name must be a non empty string', { params: { name } });
+    }
+    if (this.__clients[name]) {
+      throw new KrakenValidationError(`Account ${name} already exists`, { params: { name } });
+    }
+    if (!account.apiKey || !account.apiSecret) {
+      throw new KrakenValidationError(`Account ${name} needs an apiKey and an apiSecret`, { params: { name } });
+    }
+    // Two clients of the same key would send nonces out of order
+    const same = this.names.find(other => this.__clients[other].apiKey === account.apiKey);
+    if (same) {
+      throw new KrakenValidationError(`Account ${same} already uses the key of ${name}`, { params: { name } });
+    }
+    const client = this.createClient(account.apiKey, account.apiSecret, without(account, ['apiKey', 'apiSecret']));
+    this.__clients[name] = { apiKey: account.apiKey, client };
+    return client;
+  }
+
+  /**
+   * Client of an account
+   *
+   * @param {string} name
+   * @return {Kraken}
+   */
+  get(name) {
+    if (!this.__clients[name]) {
+      throw new KrakenValidationError(`Unknown account ${name}`, { params: { name } });
+    }
+    return this.__clients[name].client;
+  }
+
+  /**
+   * @param {string} name
+   * @return boolean
+   */
+  has(name) {
+    return Boolean(this.__clients[name]);
+  }
+
+  /**
+   * Removes an account
+   *
+   * @param {string} name
+   * @return boolean - true if the account existed
+   */
+  remove(name) {
+    const existed = this.has(name);
+    delete this.__clients[name];
+    return existed;
+  }
+
+  /**
+   * Calls fn with the client of each account, at the same time
+   * An account that fails doesn't fail the others
+   *
+   * @param {Function} fn - (kraken, name) => Promise
+   * @param {Array} [names] - Accounts to call, all by default
+   * @return Promise - resolves with { results: { name: result }, errors: { name: error } }
+   */
+  map(fn, names = this.names) {
+    const results = {};
+    const errors = {};
+    return Promise.all(names.map(name => new Promise(resolve => resolve(fn(this.get(name), name)))
+      .then((result) => {
+        results[name] = result;
+      }, (error) => {
+        errors[name] = error;
+      }))).then(() => ({ results, errors }));
+  }
+
+  /**
+   * Balances of every account and their total by asset
+   *
+   * @return Promise - resolves with { total: { ZUSD: '1500.0000' },
+   *                   accounts: { main: { ZUSD: '1000.0000' }, hedge: { ZUSD: '500.0000' } },
+   *                   errors: { name: error } }, the accounts that failed are not in the total
+   */
+  getBalances() {
+    return this.map(kraken => kraken.getBalance()).then(({ results, errors }) => {
+      const amounts = {};
+      Object.keys(results).forEach(name => Object.keys(results[name]).forEach((asset) => {
+        amounts[asset] = (amounts[asset] || []).concat(results[name][asset]);
+      }));
+      const total = Object.keys(amounts).reduce((totals, asset) => Object.assign(totals, {
+        [asset]: sum(amounts[asset])
+      }), {});
+      return { total, accounts: results, errors };
+    });
+  }
+
+  /**
+   * Open orders of every account
+   *
+   * @param {Object} [params] - Params of getOpenOrders
+   * @return Promise - resolves with { open: { txid: order with its account name },
+   *                   errors: { name: error } }
+   */
+  getOpenOrders(params) {
+    return this.map(kraken => kraken.getOpenOrders(params)).then(({ results, errors }) => {
+      const open = {};
+      Object.keys(results).forEach(name => Object.keys(results[name].open || {}).forEach((txid) => {
+        open[txid] = Object.assign({ account: name }, results[name].open[txid]);
+      }));
+      return { open, errors };
+    });
+  }
+
+  /**
+   * Closes the connections of the shared transport
+   */
+  close() {
+    if (typeof this.__transport.close === 'function') {
+      this.__transport.close();
+    }
+  }
+
+  /**
+   * Client sharing the options, the cache, the transport and the public rate limiter
+   */
+  createClient(apiKey, apiSecret, options) {
+    return new Kraken(apiKey, apiSecret, Object.assign({}, this.__options, options, {
+      cache: this.__cache,
+      transport: this.__transport,
+      publicLimiter: this.__publicLimiter
+    }));
+  }
+}
+
+KrakenAccounts.CREDENTIALS = CREDENTIALS;
+
+module.exports = KrakenAccounts;
@@ -0,0 +1,788 @@
+import http from 'http';
+import crypto from 'crypto';
+import querystring from 'querystring';
+
+import { TIERS, COSTS } from './helpers/rateLimiter';
+import { INTERVALS, ORDER_TYPES } from './helpers/schema';
+import {
+  ASSETS,
+  ASSET_PAIRS,
+  BALANCES,
+  pairKey,
+  assetKey,
+  priceAt,
+  ticker,
+  ohlc,
+  depth,
+  trades,
+  spread
+} from './helpers/mockFixtures';
+import { pageEntries, newestFirst } from './helpers/history';
+
+/**
+ * Credentials of the default mock account
+ */
+const MOCK_API_KEY = 'kraken-wrapper-mock-key';
+const MOCK_API_SECRET = Buffer.from('kraken-wrapper-mock-secret'.repeat(3)).toString('base64');
+
+/**
+ * Faults that can be injected by name
+ * error = Kraken errors of a JSON response, status = HTTP status of an HTML page,
+ * reset = the connection is closed without a response
+ */
+const FAULTS = {
+  rateLimit: { error: ['EAPI:Rate limit exceeded'] },
+  orderRateLimit: { error: ['EOrder:Rate limit exceeded'] },
+  lockout: { error: ['EGeneral:Temporary lockout'] },
+  invalidNonce: { error: ['EAPI:Invalid nonce'] },
+  unavailable: { error: ['EService:Unavailable'] },
+  busy: { error: ['EService:Busy'] },
+  internalError: { error: ['EGeneral:Internal error'] },
+  serverError: { status: 500, body: '<html><body>500 Internal Server Error</body></html>' },
+  badGateway: { status: 502, body: '<html><body>502 Bad Gateway</body></html>' },
+  serviceUnavailable: { status: 503, body: '<html><body>503 Service Unavailable</body></html>' },
+  gatewayTimeout: { status: 504, body: '<html><body>504 Gateway Timeout</body></html>' },
+  reset: { reset: true }
+};
+
+/**
+ * Throws a Kraken error, answered as { error: [code] }
+ *
+ * @param {String} code ex: EQuery:Unknown asset pair
+ */
+const fail = (code) => {
+  const error = new Error(code);
+  error.kraken = true;
+  throw error;
+};
+
+const list = value => (value === undefined || value === '' ? [] : String(value).split(','));
+
+const isTrue = value => value === true || value === 'true';
+
+const pad = (prefix, number) =>
+  `${prefix}${String(number).padStart(5, '0')}-MOCKK-${String(number).padStart(6, '0')}`;
+
+const formatAsset = (asset, value) => value.toFixed(ASSETS[asset] ? ASSETS[asset].decimals : 8);
+
+const requirePair = (name) => {
+  if (!name) {
+    fail('EGeneral:Invalid arguments:pair');
+  }
+  const key = pairKey(name);
+  if (!key) {
+    fail('EQuery:Unknown asset pair');
+  }
+  return key;
+};
+
+/**
+ * Value of an amount of an asset in USD at the current prices
+ */
+const usdValue = (asset, amount, now) => {
+  if (asset === 'ZUSD') {
+    return amount;
+  }
+  if (asset === 'ZEUR') {
+    return amount * (priceAt('XXBTZUSD', now) / priceAt('XXBTZEUR', now));
+  }
+  const key = Object.keys(ASSET_PAIRS)
+    .find(name => ASSET_PAIRS[name].base === asset && ASSET_PAIRS[name].quote === 'ZUSD');
+  return key ? amount * priceAt(key, now) : 0;
+};
+
+/**
+ * Handlers of the public endpoints, (params, now) => result
+ */
+const PUBLIC = {
+  Time: (params, now) => ({
+    unixtime: Math.floor(now),
+    rfc1123: new Date(now * 1000).toUTCString()
+  }),
+
+  Assets: (params) => {
+    const keys = list(params.asset).map(name => assetKey(name) || fail('EQuery:Unknown asset'));
+    return (keys.length ? keys : Object.keys(ASSETS)).reduce((result, key) =>
+      Object.assign(result, { [key]: ASSETS[key] }), {});
+  },
+
+  AssetPairs: (params) => {
+    const keys = list(params.pair).map(requirePair);
+    const fields = {
+      leverage: ['leverage_buy', 'leverage_sell'],
+      fees: ['fees', 'fees_maker', 'fee_volume_currency'],
+      margin: ['margin_call', 'margin_stop']
+    }[params.info];
+    return (keys.length ? keys : Object.keys(ASSET_PAIRS)).reduce((result, key) => {
+      const pair = ASSET_PAIRS[key];
+      return Object.assign(result, {
+        [key]: fields
+          ? fields.reduce((info, field) => Object.assign(info, { [field]: pair[field] }), {})
+          : pair
+      });
+    }, {});
+  },
+
+  Ticker: (params, now) => {
+    const keys = list(params.pair).map(requirePair);
+    return (keys.length ? keys : Object.keys(ASSET_PAIRS)).reduce((result, key) =>
+      Object.assign(result, { [key]: ticker(key, now) }), {});
+  },
+
+  OHLC: (params, now) => {
+    const interval = parseInt(params.interval || 1, 10);
+    if (INTERVALS.indexOf(interval) < 0) {
+      fail('EGeneral:Invalid arguments');
+    }
+    return ohlc(requirePair(params.pair), interval, Number(params.since || 0), now);
+  },
+
+  Depth: (params, now) => {
+    const count = Math.min(parseInt(params.count || 100, 10), 500);
+    return depth(requirePair(params.pair), count, Math.floor(now));
+  },
+
+  Trades: (params, now) => trades(requirePair(params.pair), params.since, now),
+
+  Spread: (params, now) => spread(requirePair(params.pair), params.since, now)
+};
+
+/**
+ * KrakenMockServer answers the Kraken REST API on a local port with fixture data
+ * Private calls are checked like Kraken does: API-Key, API-Sign signature, increasing
+ * nonces and the OTP, orders move the balances of the account and are written in its
+ * ledger and trades history. Faults can be injected to test the error handling
+ *
+ * const server = new KrakenMockServer();
+ * server.start().then(() => {
+ *   const kraken = new Kraken(MOCK_API_KEY, MOCK_API_SECRET, server.clientOptions);
+ * });
+ */
+class KrakenMockServer {
+  /**
+   * Create a new KrakenMockServer
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - Port to listen on, a free one by default
+   * @param {string} [options.host=127.0.0.1] - Host to listen on
+   * @param {Array} [options.accounts] - [{ apiKey, apiSecret, balances, otp }], one account
+   *                                     with MOCK_API_KEY and MOCK_API_SECRET by default
+   * @param {boolean|Object} [options.rateLimit=false] - true or { max, decay } to emulate the
+   *                                                     call counter of the private endpoints
+   * @param {number} [options.latency=0] - Time in ms before answering
+   * @param {Function} [options.now] - Returns the current unix time in seconds
+   */
+  constructor(options = {}) {
+    this.__host = options.host || '127.0.0.1';
+    this.__port = options.port || 0;
+    this.__latency = options.latency || 0;
+    this.__now = options.now || (() => Date.now() / 1000);
+    this.__rateLimit = options.rateLimit
+      ? Object.assign({}, TIERS.starter, options.rateLimit === true ? {} : options.rateLimit)
+      : null;
+    this.__server = null;
+    this.__faults = [];
+    this.__ids = 0;
+    this.requests = [];
+
+    this.__accounts = {};
+    (options.accounts || [{ apiKey: MOCK_API_KEY, apiSecret: MOCK_API_SECRET }])
+      .forEach(account => this.addAccount(account));
+  }
+
+  get port() {
+    return this.__server ? this.__server.address().port : this.__port;
+  }
+
+  get url() {
+    return `http://${this.__host}:${this.port}`;
+  }
+
+  /**
+   * Options of the Kraken constructor to call this server
+   * @return Object - { apiBase, apiProtocol, port }
+   */
+  get clientOptions() {
+    return { apiBase: this.__host, apiProtocol: 'http', port: this.port };
+  }
+
+  /**
+   * Starts listening
+   *
+   * @return Promise - resolves with the server once it listens
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.__server = http.createServer((req, res) => this.handle(req, res));
+      this.__server.once('error', reject);
+      this.__server.listen(this.__port, this.__host, () => resolve(this));
+    });
+  }
+
+  /**
+   * Stops listening and closes the open connections
+   *
+   * @return Promise
+   */
+  stop() {
+    if (!this.__server) {
+      return Promise.resolve();
+    }
+    const server = this.__server;
+    this.__server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Adds an account
+   *
+   * @param {Object} options - { apiKey, apiSecret, balances: { ZUSD: '1000' }, otp: a password
+   *                             or a function returning the expected password }
+   * @return Object - account
+   */
+  addAccount(options) {
+    const now = this.__now();
+    const account = {
+      apiKey: options.apiKey,
+      apiSecret: options.apiSecret,
+      otp: options.otp || null,
+      nonce: 0,
+      counter: 0,
+      counterUpdated: now,
+      balances: {},
+      orders: {},
+      trades: {},
+      ledger: {}
+    };
+    const balances = options.balances || BALANCES;
+    Object.keys(balances).forEach((asset) => {
+      const amount = parseFloat(balances[asset]);
+      account.balances[asset] = formatAsset(asset, amount);
+      this.addLedger(account, {
+        refid: pad('Q', this.nextId()), time: now - 86400, type: 'deposit', asset, amount, fee: 0
+      });
+    });
+    this.__accounts[options.apiKey] = account;
+    return account;
+  }
+
+  /**
+   * Returns an account, to check or change its balances and orders
+   *
+   * @param {string} [apiKey=MOCK_API_KEY]
+   * @return Object - { apiKey, balances, orders, trades, ledger, nonce }
+   */
+  account(apiKey = MOCK_API_KEY) {
+    return this.__accounts[apiKey] || null;
+  }
+
+  /**
+   * Makes the next calls fail
+   *
+   * @param {string|Object} fault - Name of FAULTS or { error: [...] }, { status, body },
+   *                                { reset: true }, optionally with a delay in ms
+   * @param {Object} [options] - { endpoint: only calls of this endpoint,
+   *                               times: number of calls to fail, default 1, can be Infinity }
+   */
+  inject(fault, options = {}) {
+    const definition = typeof fault === 'string' ? FAULTS[fault] : fault;
+    if (!definition) {
+      throw new Error(`Unknown fault ${fault}, use one of ${Object.keys(FAULTS).join(', ')}`);
+    }
+    this.__faults.push({
+      fault: definition,
+      endpoint: options.endpoint || null,
+      times: options.times || 1
+    });
+  }
+
+  clearFaults() {
+    this.__faults = [];
+  }
+
+  /**
+   * Fills an open order as if it matched, with the maker fee
+   *
+   * @param {string} txid - Order id
+   * @param {Object} [options] - { volume: volume to fill, the rest by default, price: the
+   *                               limit price by default, apiKey: account of the order }
+   * @return Object - the order
+   */
+  fill(txid, options = {}) {
+    const account = this.account(options.apiKey);
+    const order = account && account.orders[txid];
+    if (!order || order.status !== 'open') {
+      throw new Error(`Order ${txid} is not open`);
+    }
+    const remaining = parseFloat(order.vol) - parseFloat(order.vol_exec);
+    const volume = Math.min(options.volume || remaining, remaining);
+    const price = options.price || parseFloat(order.descr.price) ||
+      priceAt(order.pair, this.__now());
+    this.execute(account, order, volume, price, true);
+    return order;
+  }
+
+  /**
+   * Closes an open order with the expired or canceled status
+   *
+   * @param {string} txid - Order id
+   * @param {string} [status=expired] - expired or canceled
+   * @param {string} [apiKey=MOCK_API_KEY]
+   * @return Object - the order
+   */
+  close(txid, status = 'expired', apiKey = MOCK_API_KEY) {
+    const order = this.account(apiKey).orders[txid];
+    if (!order || order.status !== 'open') {
+      throw new Error(`Order ${txid} is not open`);
+    }
+    order.status = status;
+    order.closetm = this.__now();
+    order.reason = status === 'expired' ? 'Order expired' : 'User requested';
+    return order;
+  }
+
+  nextId() {
+    this.__ids += 1;
+    return this.__ids;
+  }
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const [path, query] = req.url.split('?');
+      const match = /^\/0\/(public|private)\/(\w+)$/.exec(path);
+      const params = querystring.parse(req.method === 'GET' ? query || '' : body);
+      const type = match ? match[1] : null;
+      const endPoint = match ? match[2] : null;
+      this.requests.push({
+        type, endPoint, method: req.method, path, params, headers: req.headers
+      });
+
+      const send = (status, payload, contentType = 'application/json') => {
+        setTimeout(() => {
+          res.writeHead(status, { 'Content-Type': contentType });
+          res.end(payload);
+        }, this.__latency);
+      };
+      const sendJson = (result, error = []) => send(200, JSON.stringify(result === undefined
+        ? { error } : { error, result }));
+
+      const index = this.__faults
+        .findIndex(fault => !fault.endpoint || fault.endpoint === endPoint);
+      if (index >= 0) {
+        const { fault } = this.__faults[index];
+        this.__faults[index].times -= 1;
+        if (this.__faults[index].times <= 0) {
+          this.__faults.splice(index, 1);
+        }
+        const answer = () => {
+          if (fault.reset) {
+            req.socket.destroy();
+          } else if (fault.status) {
+            send(fault.status, fault.body || '', 'text/html');
+          } else {
+            sendJson(undefined, fault.error);
+          }
+        };
+        setTimeout(answer, fault.delay || 0);
+        return;
+      }
+
+      try {
+        if (!match || !(type === 'public' ? PUBLIC : this.privateHandlers())[endPoint]) {
+          fail('EGeneral:Unknown method');
+        }
+        if (type === 'public') {
+          sendJson(PUBLIC[endPoint](params, this.__now()));
+          return;
+        }
+        const account = this.authenticate(req, path, body, params);
+        this.countCall(account, endPoint);
+        sendJson(this.privateHandlers()[endPoint](account, params, this.__now()));
+      } catch (error) {
+        sendJson(undefined, [error.kraken ? error.message : 'EGeneral:Internal error']);
+      }
+    });
+  }
+
+  /**
+   * Checks the key, the signature, the nonce and the OTP of a private call like Kraken
+   *
+   * @return Object - account of the key
+   */
+  authenticate(req, path, body, params) {
+    const account = this.__accounts[req.headers['api-key']];
+    if (!account) {
+      fail('EAPI:Invalid key');
+    }
+    if (!params.nonce || !/^\d+$/.test(params.nonce)) {
+      fail('EAPI:Invalid nonce');
+    }
+
+    const hash = crypto.createHash('sha256').update(params.nonce + body).digest('binary');
+    const signature = crypto.createHmac('sha512', Buffer.from(account.apiSecret, 'base64'))
+      .update(path + hash, 'binary')
+      .digest('base64');
+    if (req.headers['api-sign'] !== signature) {
+      fail('EAPI:Invalid signature');
+    }
+
+    // Nonces must always increase, compared as numbers like Kraken does
+    if (Number(params.nonce) <= account.nonce) {
+      fail('EAPI:Invalid nonce');
+    }
+    account.nonce = Number(params.nonce);
+
+    if (account.otp) {
+      const expected = typeof account.otp === 'function' ? account.otp() : String(account.otp);
+      if (params.otp !== expected) {
+        fail('EGeneral:Invalid OTP');
+      }
+    }
+    return account;
+  }
+
+  /**
+   * Emulates the call counter of the account when the rateLimit option is on
+   */
+  countCall(account, endPoint) {
+    if (!this.__rateLimit) {
+      return;
+    }
+    const now = this.__now();
+    const decayed = (now - account.counterUpdated) * this.__rateLimit.decay;
+    const cost = COSTS[endPoint] !== undefined ? COSTS[endPoint] : 1;
+    /* eslint-disable no-param-reassign */
+    account.counter = Math.max(0, account.counter - decayed);
+    account.counterUpdated = now;
+    if (account.counter + cost > this.__rateLimit.max) {
+      fail('EAPI:Rate limit exceeded');
+    }
+    account.counter += cost;
+    /* eslint-enable no-param-reassign */
+  }
+
+  addLedger(account, entry) {
+    const asset = entry.asset;
+    const balance = parseFloat(account.balances[asset] || 0);
+    const id = pad('L', this.nextId());
+    // eslint-disable-next-line no-param-reassign
+    account.ledger[id] = {
+      refid: entry.refid,
+      time: entry.time,
+      type: entry.type,
+      subtype: '',
+      aclass: 'currency',
+      asset,
+      amount: formatAsset(asset, entry.amount),
+      fee: formatAsset(asset, entry.fee),
+      balance: formatAsset(asset, balance)
+    };
+    return id;
+  }
+
+  /**
+   * Executes a volume of an order at a price, moving the balances
+   */
+  execute(account, order, volume, price, maker) {
+    /* eslint-disable no-param-reassign */
+    const pair = ASSET_PAIRS[order.pair];
+    const now = this.__now();
+    const cost = volume * price;
+    const fee = cost * ((maker ? pair.fees_maker : pair.fees)[0][1] / 100);
+    const sign = order.descr.type === 'buy' ? 1 : -1;
+    const tradeId = pad('T', this.nextId());
+
+    const base = parseFloat(account.balances[pair.base] || 0) + (sign * volume);
+    const quote = (parseFloat(account.balances[pair.quote] || 0) - (sign * cost)) - fee;
+    account.balances[pair.base] = formatAsset(pair.base, base);
+    account.balances[pair.quote] = formatAsset(pair.quote, quote);
+    const ledgers = [
+      this.addLedger(account, {
+        refid: tradeId, time: now, type: 'trade', asset: pair.base, amount: sign * volume, fee: 0
+      }),
+      this.addLedger(account, {
+        refid: tradeId, time: now, type: 'trade', asset: pair.quote, amount: -sign * cost, fee
+      })
+    ];
+
+    account.trades[tradeId] = {
+      ordertxid: order.txid,
+      postxid: pad('P', this.__ids),
+      pair: order.pair,
+      time: now,
+      type: order.descr.type,
+      ordertype: order.descr.ordertype,
+      price: price.toFixed(pair.pair_decimals),
+      cost: cost.toFixed(pair.cost_decimals),
+      fee: fee.toFixed(pair.cost_decimals),
+      vol: volume.toFixed(pair.lot_decimals),
+      margin: '0.00000',
+      misc: '',
+      ledgers
+    };
+
+    const volExec = parseFloat(order.vol_exec) + volume;
+    const totalCost = parseFloat(order.cost) + cost;
+    order.vol_exec = volExec.toFixed(pair.lot_decimals);
+    order.cost = totalCost.toFixed(pair.cost_decimals);
+    order.fee = (parseFloat(order.fee) + fee).toFixed(pair.cost_decimals);
+    order.price = (totalCost / volExec).toFixed(pair.pair_decimals);
+    order.trades.push(tradeId);
+    if (volExec >= parseFloat(order.vol)) {
+      order.status = 'closed';
+      order.closetm = now;
+      order.reason = null;
+    }
+    /* eslint-enable no-param-reassign */
+  }
+
+  /**
+   * Handlers of the private endpoints, (account, params, now) => result
+   */
+  privateHandlers() {
+    const query = (entries, ids, code) => {
+      const keys = list(ids);
+      if (!keys.length) {
+        fail('EGeneral:Invalid arguments:txid');
+      }
+      return keys.reduce((result, id) => Object.assign(result, {
+        [id]: entries[id] || fail(code)
+      }), {});
+    };
+    // The txid and the pair key are kept for the server, Kraken orders don't have them
+    const view = params => (order) => {
+      const copy = Object.assign({}, order);
+      delete copy.txid;
+      delete copy.pair;
+      if (!isTrue(params.trades)) {
+        delete copy.trades;
+      }
+      return copy;
+    };
+    const openOrders = (account, params) => Object.keys(account.orders)
+      .map(txid => account.orders[txid])
+      .filter(order => order.status === 'open' &&
+        (params.userref === undefined || String(order.userref) === String(params.userref)));
+
+    return {
+      Balance: account => Object.assign({}, account.balances),
+
+      TradeBalance: (account, params, now) => {
+        const asset = assetKey(params.asset || 'ZUSD') || fail('EQuery:Unknown asset');
+        const usd = Object.keys(account.balances).reduce((total, key) =>
+          total + usdValue(key, parseFloat(account.balances[key]), now), 0);
+        const rate = usdValue(asset, 1, now) || 1;
+        const value = (usd / rate).toFixed(4);
+        return {
+          eb: value, tb: value, m: '0.0000', n: '0.0000', c: '0.0000', v: '0.0000', e: value, mf: value
+        };
+      },
+
+      OpenOrders: (account, params) => ({
+        open: openOrders(account, params).reduce((result, order) => Object.assign(result, {
+          [order.txid]: view(params)(order)
+        }), {})
+      }),
+
+      ClosedOrders: (account, params) => {
+        const closed = newestFirst(account.orders, order => order.status !== 'open', view(params));
+        const { page, count } = pageEntries(closed, params);
+        return { closed: page, count };
+      },
+
+      QueryOrders: (account, params) => {
+        const orders = query(account.orders, params.txid, 'EOrder:Invalid order');
+        return Object.keys(orders).reduce((result, txid) => Object.assign(result, {
+          [txid]: view(params)(orders[txid])
+        }), {});
+      },
+
+      TradesHistory: (account, params) => {
+        const { page, count } = pageEntries(newestFirst(account.trades), params);
+        return { trades: page, count };
+      },
+
+      QueryTrades: (account, params) => query(account.trades, params.txid, 'EQuery:Unknown trade'),
+
+      OpenPositions: () => ({}),
+
+      Ledgers: (account, params) => {
+        const assets = list(params.asset).map(assetKey);
+        const entries = newestFirst(account.ledger, entry =>
+          (!assets.length || assets.indexOf(entry.asset) >= 0) &&
+          (!params.type || params.type === 'all' || entry.type === params.type));
+        const { page, count } = pageEntries(entries, params);
+        return { ledger: page, count };
+      },
+
+      QueryLedgers: (account, params) => {
+        if (!params.id) {
+          fail('EGeneral:Invalid arguments:id');
+        }
+        return query(account.ledger, params.id, 'EQuery:Unknown ledger');
+      },
+
+      TradeVolume: (account, params, now) => {
+        const volume = Object.keys(account.trades).reduce((total, id) => {
+          const trade = account.trades[id];
+          return total + usdValue(ASSET_PAIRS[trade.pair].quote, parseFloat(trade.cost), now);
+        }, 0);
+        const tiers = (schedule) => {
+          const index = schedule.filter(tier => volume >= tier[0]).length - 1;
+          const next = schedule[index + 1];
+          return {
+            fee: schedule[index][1].toFixed(4),
+            minfee: schedule[schedule.length - 1][1].toFixed(4),
+            maxfee: schedule[0][1].toFixed(4),
+            nextfee: next ? next[1].toFixed(4) : null,
+            nextvolume: next ? next[0].toFixed(4) : null,
+            tiervolume: schedule[index][0].toFixed(4)
+          };
+        };
+        const keys = list(params.pair).map(requirePair);
+        const fees = field => (keys.length ? keys.reduce((result, key) => Object.assign(result, {
+          [key]: tiers(ASSET_PAIRS[key][field])
+        }), {}) : undefined);
+        return {
+          currency: 'ZUSD',
+          volume: volume.toFixed(4),
+          fees: fees('fees'),
+          fees_maker: isTrue(params['fee-info']) || keys.length ? fees('fees_maker') : undefined
+        };
+      },
+
+      AddOrder: (account, params, now) => this.addOrder(account, params, now),
+
+      CancelOrder: (account, params, now) => {
+        const id = String(params.txid || '');
+        const canceled = openOrders(account, {}).filter(order => order.txid === id ||
+          String(order.userref) === id || order.cl_ord_id === id);
+        if (!canceled.length) {
+          fail('EOrder:Unknown order');
+        }
+        canceled.forEach(order => Object.assign(order, {
+          status: 'canceled', closetm: now, reason: 'User requested'
+        }));
+        return { count: canceled.length };
+      },
+
+      CancelAll: (account, params, now) => {
+        const canceled = openOrders(account, {});
+        canceled.forEach(order => Object.assign(order, {
+          status: 'canceled', closetm: now, reason: 'User requested'
+        }));
+        return { count: canceled.length };
+      },
+
+      GetWebSocketsToken: () => ({
+        token: crypto.randomBytes(24).toString('base64'),
+        expires: 900
+      })
+    };
+  }
+
+  addOrder(account, params, now) {
+    const key = requirePair(params.pair);
+    const pair = ASSET_PAIRS[key];
+    if (['buy', 'sell'].indexOf(params.type) < 0) {
+      fail('EGeneral:Invalid arguments:type');
+    }
+    if (ORDER_TYPES.indexOf(params.ordertype) < 0) {
+      fail('EGeneral:Invalid arguments:ordertype');
+    }
+    const volume = parseFloat(params.volume);
+    if (!(volume > 0)) {
+      fail('EGeneral:Invalid arguments:volume');
+    }
+    const oflags = list(params.oflags);
+    if (oflags.indexOf('viqc') < 0 && volume < parseFloat(pair.ordermin)) {
+      fail('EOrder:Order minimum not met');
+    }
+
+    const market = params.ordertype === 'market';
+    if (!market && params.price === undefined) {
+      fail('EGeneral:Invalid arguments:price');
+    }
+    ['price', 'price2'].forEach((field) => {
+      const decimals = /^\d*\.(\d+)$/.exec(params[field] || '');
+      if (decimals && decimals[1].length > pair.pair_decimals) {
+        fail(`EOrder:Invalid price:${key} price can only be specified up to ${pair.pair_decimals} decimals.`);
+      }
+    });
+
+    const quote = ticker(key, now);
+    const limit = parseFloat(params.price);
+    const marketPrice = parseFloat(params.type === 'buy' ? quote.a[0] : quote.b[0]);
+    const marketable = market || (params.ordertype === 'limit' && oflags.indexOf('post') < 0 &&
+      (params.type === 'buy' ? limit >= marketPrice : limit <= marketPrice));
+    const price = market ? marketPrice : limit;
+
+    const funds = params.type === 'buy'
+      ? parseFloat(account.balances[pair.quote] || 0) >= volume * (price || marketPrice)
+      : parseFloat(account.balances[pair.base] || 0) >= volume;
+    if (!funds) {
+      fail('EOrder:Insufficient funds');
+    }
+
+    const description = `${params.type} ${volume.toFixed(pair.lot_decimals)} ${pair.altname} @ ${market ? 'market' : `${params.ordertype} ${params.price}`}`;
+    if (isTrue(params.validate)) {
+      return { descr: { order: description } };
+    }
+
+    const txid = pad('O', this.nextId());
+    const order = {
+      txid,
+      pair: key,
+      refid: null,
+      userref: params.userref !== undefined ? parseInt(params.userref, 10) : 0,
+      status: 'open',
+      opentm: now,
+      starttm: 0,
+      expiretm: 0,
+      descr: {
+        pair: pair.altname,
+        type: params.type,
+        ordertype: params.ordertype,
+        price: market ? '0' : params.price,
+        price2: params.price2 || '0',
+        leverage: params.leverage || 'none',
+        order: description,
+        close: ''
+      },
+      vol: volume.toFixed(pair.lot_decimals),
+      vol_exec: (0).toFixed(pair.lot_decimals),
+      cost: (0).toFixed(pair.cost_decimals),
+      fee: (0).toFixed(pair.cost_decimals),
+      price: (0).toFixed(pair.pair_decimals),
+      stopprice: '0.00000',
+      limitprice: '0.00000',
+      misc: '',
+      oflags: oflags.join(','),
+      trades: []
+    };
+    if (params.cl_ord_id !== undefined) {
+      order.cl_ord_id = params.cl_ord_id;
+    }
+    // eslint-disable-next-line no-param-reassign
+    account.orders[txid] = order;
+
+    if (marketable) {
+      this.execute(account, order, volume, price, false);
+    }
+    return { descr: { order: description }, txid: [txid] };
+  }
+}
+
+KrakenMockServer.MOCK_API_KEY = MOCK_API_KEY;
+KrakenMockServer.MOCK_API_SECRET = MOCK_API_SECRET;
+KrakenMockServer.FAULTS = FAULTS;
+
+module.exports = KrakenMockServer;
@@ -0,0 +1,302 @@
+import KrakenStream from './KrakenStream';
+import { toWsName } from './helpers/pairs';
+import validate from './helpers/schema';
+import { KrakenApiError, KrakenValidationError } from './errors';
+
+const CHANNELS = ['openOrders', 'ownTrades'];
+
+/**
+ * KrakenPrivateStream is the authenticated version of KrakenStream
+ * It streams the openOrders and ownTrades feeds and can add and cancel orders
+ * without REST round trips. The token is obtained with getWebSocketsToken, it only
+ * has to be valid when a connection opens so a new one is obtained to reconnect once
+ * it expired.
+ *
+ * Events:
+ *  openOrders, ownTrades - { channelName, sequence, data }
+ *  orderUpdate - { txid, status, previousStatus, order, changes }
+ *  ownTrade - { tradeid, trade }
+ *  token - a new token was obtained
+ *  and every event of KrakenStream
+ */
+class KrakenPrivateStream extends KrakenStream {
+  /**
+   * Create a new KrakenPrivateStream
+   * @param {Kraken} kraken - Kraken client configured with an API KEY and SECRET
+   * @param {Object} [options] - Same options as KrakenStream plus
+   * @param {string} [options.url=wss://ws-auth.kraken.com] - The WebSocket endpoint
+   * @param {number} [options.tokenRefreshMargin=60] - Seconds before the expiration
+   *                                                   of the token to get a new one
+   *                                                   when connecting
+   */
+  constructor(kraken, options = {}) {
+    super(Object.assign({ url: 'wss://ws-auth.kraken.com' }, options));
+    this.__kraken = kraken;
+    this.__tokenRefreshMargin = options.tokenRefreshMargin || 60;
+    this.__token = null;
+    this.__tokenExpiresAt = 0;
+    this.__opening = null;
+    this.__orders = {};
+  }
+
+  /**
+   * Returns the orders known from the openOrders feed keyed by txid
+   * @return Object
+   */
+  get orders() {
+    return Object.assign({}, this.__orders);
+  }
+
+  /**
+   * Gets a token, unless the last one is still valid, and opens the connection
+   * The reconnects go through here too, a call made while connecting returns the pending
+   * connection so a single token is obtained
+   * @return Promise - resolves once the socket is open
+   */
+  connect() {
+    if (this.__opening) {
+      return this.__opening;
+    }
+    if (this.connected) {
+      return super.connect();
+    }
+    const valid = this.__token && Date.now() < this.__tokenExpiresAt;
+    const token = valid ? Promise.resolve(this.__token) : this.refreshToken().catch((error) => {
+      // No socket was opened, so no close event schedules the next reconnect
+      if (this.__established && !this.__closing && this.__reconnect) {
+        this.scheduleReconnect();
+      }
+      throw error;
+    });
+    const opening = token.then(() => super.connect());
+    this.__opening = opening;
+    const done = () => {
+      if (this.__opening === opening) {
+        this.__opening = null;
+      }
+    };
+    opening.then(done, done);
+    return opening;
+  }
+
+  /**
+   * Closes the connection and forgets the token
+   * @return Promise - resolves once the socket is closed
+   */
+  close() {
+    this.__token = null;
+    return super.close();
+  }
+
+  /**
+   * Gets a new token with getWebSocketsToken
+   * An open connection doesn't need a valid token, so it is not refreshed in the background
+   * @return Promise - resolves with the token
+   */
+  refreshToken() {
+    return this.__kraken.getWebSocketsToken().then(({ token, expires }) => {
+      this.__token = token;
+      this.__tokenExpiresAt = Date.now() + ((expires - this.__tokenRefreshMargin) * 1000);
+      this.emit('token', token);
+      return token;
+    });
+  }
+
+  /**
+   * Subscribes to a private feed
+   *
+   * @param {string} name - openOrders or ownTrades
+   * @param {Object} [options] - { snapshot: ownTrades snapshot (default true),
+   *                               ratecounter: include the rate limit counter in
+   *                               openOrders (default false) }
+   * @return Promise - resolves with the subscriptionStatus
+   */
+  subscribe(name, options = {}) {
+    return this.changeSubscription('subscribe', name, options);
+  }
+
+  /**
+   * Unsubscribes from a private feed
+   *
+   * @param {string} name - openOrders or ownTrades
+   * @return Promise - resolves with the subscriptionStatus
+   */
+  unsubscribe(name) {
+    return this.changeSubscription('unsubscribe', name, {});
+  }
+
+  changeSubscription(event, name, options) {
+    if (CHANNELS.indexOf(name) < 0) {
+      return Promise.reject(new KrakenValidationError(`Channel must be one of ${CHANNELS.join(', ')}`, { endpoint: 'subscribe' }));
+    }
+
+    const subscription = { name };
+    if (name === 'ownTrades' && options.snapshot === false) {
+      subscription.snapshot = false;
+    }
+    if (name === 'openOrders' && options.ratecounter) {
+      subscription.ratecounter = true;
+    }
+
+    if (event === 'subscribe') {
+      this.__subscriptions[name] = { subscription };
+    } else {
+      delete this.__subscriptions[name];
+    }
+
+    if (!this.connected) {
+      return Promise.resolve([]);
+    }
+
+    return this.sendPrivate({ event, subscription });
+  }
+
+  resubscribe() {
+    Object.keys(this.__subscriptions).forEach((name) => {
+      const { subscription } = this.__subscriptions[name];
+      this.sendPrivate({ event: 'subscribe', subscription })
+        .catch(error => this.listenerCount('error') > 0 && this.emit('error', error));
+    });
+  }
+
+  /**
+   * Adds an order over the socket
+   * The safety policy of the client checks it first, and in paper mode the paper account
+   * of the client simulates it, nothing is sent
+   *
+   * @param {Object} params - Same params used by setAddOrder, ex:
+   *                          { pair: 'ETHUSD', type: 'buy', ordertype: 'limit',
+   *                            price: '350.5', volume: '1.25' }
+   * @return Promise - resolves with the addOrderStatus { txid, descr }
+   */
+  addOrder(params) {
+    // The same validation as setAddOrder, nothing is sent if any param is not valid
+    const validation = validate('AddOrder', params);
+    if (validation.errors.length) {
+      return Promise.reject(new KrakenValidationError(validation.errors.join('; '), {
+        endpoint: 'addOrder',
+        params,
+        errors: validation.errors
+      }));
+    }
+    const order = validation.params;
+
+    if (this.__kraken.paper) {
+      return this.__kraken.doRequest('private', 'AddOrder', order).then(result => ({
+        event: 'addOrderStatus',
+        status: 'ok',
+        txid: result.txid ? result.txid.join(',') : undefined,
+        descr: result.descr.order
+      }));
+    }
+
+    const message = Object.assign({}, order, { event: 'addOrder', pair: toWsName(order.pair) });
+    ['price', 'price2', 'volume', 'leverage'].forEach((field) => {
+      if (message[field] !== undefined) {
+        message[field] = String(message[field]);
+      }
+    });
+
+    return this.checked('AddOrder', order, () => this.sendPrivate(message))
+      .then(responses => responses[0]);
+  }
+
+  /**
+   * Cancels one or more orders over the socket
+   * The safety policy and the paper mode of the client apply as for addOrder
+   *
+   * @param {string|Array} txid - Transaction id or array of transaction ids
+   * @return Promise - resolves with the cancelOrderStatus
+   */
+  cancelOrder(txid) {
+    if (!txid) {
+      return Promise.reject(new KrakenValidationError('You must indicate at least one transaction id', { endpoint: 'cancelOrder' }));
+    }
+
+    const txids = Array.isArray(txid) ? txid : [txid];
+    if (this.__kraken.paper) {
+      return Promise.all(txids.map(id => this.__kraken.doRequest('private', 'CancelOrder', { txid: id })))
+        .then(() => ({ event: 'cancelOrderStatus', status: 'ok' }));
+    }
+
+    return this.checked('CancelOrder', { txid: txids.join(',') }, () => this.sendPrivate({ event: 'cancelOrder', txid: txids }))
+      .then(responses => responses[0]);
+  }
+
+  /**
+   * Sends a request once the safety policy of the client allowed it, like the REST calls
+   *
+   * @param {string} endPoint - Kraken method name of the request, ex: AddOrder
+   * @param {Object} params - Params of the REST call
+   * @param {Function} send - Sends the request, returns a Promise
+   * @return Promise - resolves with the responses, rejects with a KrakenPolicyError when a
+   *                   rule fails and nothing is sent
+   */
+  checked(endPoint, params, send) {
+    const policy = this.__kraken.policy;
+    if (!policy) {
+      return send();
+    }
+    return policy.check(this.__kraken, endPoint, params).then(ticket => send().then((responses) => {
+      policy.done(ticket, true);
+      return responses;
+    }, (error) => {
+      // An order whose answer was lost may have been placed, it is counted
+      policy.done(ticket, !(error instanceof KrakenApiError));
+      throw error;
+    }));
+  }
+
+  sendPrivate(message) {
+    if (message.subscription) {
+      const subscription = Object.assign({}, message.subscription, { token: this.__token });
+      return this.sendRequest(Object.assign({}, message, { subscription }));
+    }
+    return this.sendRequest(Object.assign({}, message, { token: this.__token }));
+  }
+
+  handleChannelMessage(message) {
+    const payload = message[0];
+    const channelName = message[1];
+    const sequence = message[2] && message[2].sequence;
+
+    if (CHANNELS.indexOf(channelName) < 0) {
+      this.emit('message', message);
+      return;
+    }
+
+    this.emit(channelName, { channelName, sequence, data: payload });
+
+    if (channelName === 'openOrders') {
+      payload.forEach(entry => Object.keys(entry).forEach((txid) => {
+        this.updateOrder(txid, entry[txid]);
+      }));
+    } else {
+      payload.forEach(entry => Object.keys(entry).forEach((tradeid) => {
+        this.emit('ownTrade', { tradeid, trade: entry[tradeid] });
+      }));
+    }
+  }
+
+  updateOrder(txid, changes) {
+    const previous = this.__orders[txid];
+    const order = Object.assign({}, previous, changes);
+    const previousStatus = previous ? previous.status : null;
+
+    if (['closed', 'canceled', 'expired'].indexOf(order.status) >= 0) {
+      delete this.__orders[txid];
+    } else {
+      this.__orders[txid] = order;
+    }
+
+    this.emit('orderUpdate', {
+      txid,
+      status: order.status,
+      previousStatus,
+      order,
+      changes
+    });
+  }
+}
+
+module.exports = KrakenPrivateStream;
@@ -0,0 +1,447 @@
+import EventEmitter from 'events';
+import WebSocket from 'ws';
+
+import { toWsName } from './helpers/pairs';
+import { KrakenValidationError, KrakenNetworkError, createApiError } from './errors';
+
+const CHANNELS = ['ticker', 'ohlc', 'trade', 'spread', 'book'];
+
+/**
+ * Builds the subscription object sent to Kraken for a channel
+ *
+ * @param {String} name Channel name
+ * @param {Object} options { interval, depth }
+ * @returns Object
+ */
+const subscriptionOptions = (name, options) => {
+  const subscription = { name };
+  if (name === 'ohlc' && options.interval) {
+    subscription.interval = options.interval;
+  }
+  if (name === 'book' && options.depth) {
+    subscription.depth = options.depth;
+  }
+  return subscription;
+};
+
+/**
+ * Key used to remember a subscription so it can be restored after a reconnect
+ *
+ * @param {Object} subscription Subscription object
+ * @param {String} pair Pair wsname
+ * @returns String
+ */
+const subscriptionKey = (subscription, pair) =>
+  `${subscription.name}:${subscription.interval || subscription.depth || ''}:${pair}`;
+
+/**
+ * Parses the payload of a public channel message into an event object
+ *
+ * @param {String} channel Base channel name, ex: ticker, ohlc, book
+ * @param {Array} message Raw array message [channelID, ...payloads, channelName, pair]
+ * @returns Object
+ */
+const parseChannelMessage = (channel, message) => {
+  const channelID = message[0];
+  const channelName = message[message.length - 2];
+  const pair = message[message.length - 1];
+  const payloads = message.slice(1, -2);
+  const event = { channelID, channelName, pair };
+
+  switch (channel) {
+    case 'ohlc':
+      event.interval = parseInt(channelName.split('-')[1], 10);
+      event.data = payloads[0];
+      break;
+    case 'book':
+      // Book updates can carry asks and bids in two separate objects
+      event.depth = parseInt(channelName.split('-')[1], 10);
+      event.data = Object.assign({}, ...payloads);
+      event.snapshot = !!(event.data.as || event.data.bs);
+      break;
+    default:
+      event.data = payloads[0];
+  }
+
+  return event;
+};
+
+/**
+ * KrakenStream is the streaming companion of Kraken, it speaks the Kraken
+ * WebSocket protocol for the public market data channels
+ * For more information on the messages go to
+ * https://docs.kraken.com/websockets/
+ *
+ * Events:
+ *  open, close, reconnect, systemStatus, heartbeat, subscriptionStatus, error
+ *  ticker, ohlc, trade, spread, book - { channelID, channelName, pair, data }
+ */
+class KrakenStream extends EventEmitter {
+  /**
+   * Create a new KrakenStream
+   * @param {Object} [options]
+   * @param {string} [options.url=wss://ws.kraken.com] - The WebSocket endpoint
+   * @param {number} [options.pingInterval=30000] - Time in ms between client pings
+   * @param {number} [options.timeout=10000] - Time in ms without any message before
+   *                                           the connection is considered dead
+   * @param {boolean} [options.reconnect=true] - Reconnect and resubscribe when the
+   *                                             connection drops
+   * @param {number} [options.reconnectDelay=1000] - Initial reconnect delay in ms,
+   *                                                 doubled on each failed attempt
+   * @param {number} [options.maxReconnectDelay=30000] - Upper bound of the reconnect delay
+   */
+  constructor(options = {}) {
+    super();
+    this.__url = options.url || 'wss://ws.kraken.com';
+    this.__pingInterval = options.pingInterval || 30000;
+    this.__timeout = options.timeout || 10000;
+    this.__reconnect = options.reconnect !== false;
+    this.__reconnectDelay = options.reconnectDelay || 1000;
+    this.__maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+    this.__socket = null;
+    this.__reqid = 0;
+    this.__pending = {};
+    this.__subscriptions = {};
+    this.__channels = {};
+    this.__attempts = 0;
+    this.__closing = false;
+    this.__connecting = null;
+    // Reconnects only make sense once a connection was established
+    this.__established = false;
+    this.__pingTimer = null;
+    this.__watchdog = null;
+    this.__reconnectTimer = null;
+  }
+
+  /**
+   * Returns true when the socket is open
+   * @return Boolean
+   */
+  get connected() {
+    return !!this.__socket && this.__socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Opens the connection
+   * A call made while the socket is connecting returns the pending connection
+   * @return Promise - resolves once the socket is open
+   */
+  connect() {
+    if (this.__connecting) {
+      return this.__connecting;
+    }
+    const connecting = new Promise((resolve, reject) => {
+      if (this.connected) {
+        resolve();
+        return;
+      }
+
+      this.__closing = false;
+      const socket = new WebSocket(this.__url);
+      this.__socket = socket;
+
+      socket.once('open', () => {
+        this.__attempts = 0;
+        this.__established = true;
+        this.startHeartbeat();
+        this.emit('open');
+        this.resubscribe();
+        resolve();
+      });
+
+      socket.on('message', data => this.handleMessage(data));
+
+      socket.on('error', (error) => {
+        if (socket.readyState !== WebSocket.OPEN) {
+          reject(error);
+        }
+        // Avoid crashing the process when nobody is listening for errors
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+
+      socket.on('close', (code, reason) => this.handleClose(socket, code, reason));
+    });
+    this.__connecting = connecting;
+    const done = () => {
+      if (this.__connecting === connecting) {
+        this.__connecting = null;
+      }
+    };
+    connecting.then(done, done);
+    return connecting;
+  }
+
+  /**
+   * Closes the connection without reconnecting
+   * @return Promise - resolves once the socket is closed
+   */
+  close() {
+    return new Promise((resolve) => {
+      this.__closing = true;
+      this.stopHeartbeat();
+      clearTimeout(this.__reconnectTimer);
+
+      if (!this.__socket || this.__socket.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+
+      this.__socket.once('close', () => resolve());
+      this.__socket.close();
+    });
+  }
+
+  /**
+   * Subscribes to a public channel
+   *
+   * @param {string} name - ticker, ohlc, trade, spread or book
+   * @param {string|Array} pair - a pair, a comma delimited list of pairs or an array
+   *                              of pairs in any of the REST or WebSocket spellings
+   * @param {Object} [options] - { interval: OHLC interval in minutes,
+   *                               depth: book depth 10, 25, 100, 500 or 1000 }
+   * @return Promise - resolves with the subscriptionStatus of every pair
+   */
+  subscribe(name, pair, options = {}) {
+    return this.changeSubscription('subscribe', name, pair, options);
+  }
+
+  /**
+   * Unsubscribes from a public channel
+   * The arguments are the same used to subscribe
+   * @return Promise - resolves with the subscriptionStatus of every pair
+   */
+  unsubscribe(name, pair, options = {}) {
+    return this.changeSubscription('unsubscribe', name, pair, options);
+  }
+
+  /**
+   * Sends a ping to the server
+   * @return Promise - resolves with the pong message
+   */
+  ping() {
+    return this.sendRequest({ event: 'ping' }).then(responses => responses[0]);
+  }
+
+  changeSubscription(event, name, pair, options) {
+    if (CHANNELS.indexOf(name) < 0) {
+      return Promise.reject(new KrakenValidationError(`Channel must be one of ${CHANNELS.join(', ')}`, { endpoint: event }));
+    }
+    if (!pair || (typeof pair !== 'string' && !Array.isArray(pair))) {
+      return Promise.reject(new KrakenValidationError('Pair option must be a string or an array of pairs, ex: ETHUSD', { endpoint: event }));
+    }
+
+    const pairs = (Array.isArray(pair) ? pair : pair.split(',')).map(toWsName);
+    const subscription = subscriptionOptions(name, options);
+
+    pairs.forEach((wsName) => {
+      const key = subscriptionKey(subscription, wsName);
+      if (event === 'subscribe') {
+        this.__subscriptions[key] = { pair: wsName, subscription };
+      } else {
+        delete this.__subscriptions[key];
+      }
+    });
+
+    if (!this.connected) {
+      // Subscriptions are sent as soon as the connection opens
+      return Promise.resolve([]);
+    }
+
+    return this.sendRequest({ event, pair: pairs, subscription }, pairs.length);
+  }
+
+  resubscribe() {
+    // Group the stored subscriptions by their options so every channel is a single request
+    const groups = {};
+    Object.keys(this.__subscriptions).forEach((key) => {
+      const { pair, subscription } = this.__subscriptions[key];
+      const groupKey = subscriptionKey(subscription, '');
+      groups[groupKey] = groups[groupKey] || { subscription, pairs: [] };
+      groups[groupKey].pairs.push(pair);
+    });
+
+    Object.keys(groups).forEach((groupKey) => {
+      const { subscription, pairs } = groups[groupKey];
+      this.sendRequest({ event: 'subscribe', pair: pairs, subscription }, pairs.length)
+        .catch(error => this.listenerCount('error') > 0 && this.emit('error', error));
+    });
+  }
+
+  /**
+   * Sends a message with a reqid and waits for the expected number of replies
+   *
+   * @param {Object} message Message to send
+   * @param {number} [expected=1] Number of replies to wait for
+   * @returns Promise
+   */
+  sendRequest(message, expected = 1) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new KrakenNetworkError('The stream is not connected', { endpoint: message.event }));
+        return;
+      }
+
+      this.__reqid += 1;
+      const reqid = this.__reqid;
+      const timer = setTimeout(() => {
+        delete this.__pending[reqid];
+        reject(new KrakenNetworkError(`Request ${message.event} timed out`, { endpoint: message.event, code: 'ETIMEDOUT' }));
+      }, this.__timeout);
+
+      this.__pending[reqid] = { expected, responses: [], resolve, reject, timer };
+      this.send(Object.assign({}, message, { reqid }));
+    });
+  }
+
+  send(message) {
+    this.__socket.send(JSON.stringify(message));
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+
+    this.resetWatchdog();
+
+    if (Array.isArray(message)) {
+      this.handleChannelMessage(message);
+      return;
+    }
+
+    switch (message.event) {
+      case 'heartbeat':
+        this.emit('heartbeat');
+        break;
+      case 'systemStatus':
+        this.emit('systemStatus', message);
+        break;
+      case 'subscriptionStatus':
+        this.handleSubscriptionStatus(message);
+        break;
+      case 'error':
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', createApiError(message.errorMessage, { response: message }));
+        }
+        break;
+      default:
+        this.emit(message.event, message);
+    }
+
+    this.resolvePending(message);
+  }
+
+  handleSubscriptionStatus(message) {
+    if (message.status === 'subscribed') {
+      this.__channels[message.channelID] = {
+        name: message.subscription.name,
+        pair: message.pair
+      };
+    } else if (message.status === 'unsubscribed') {
+      delete this.__channels[message.channelID];
+    }
+    this.emit('subscriptionStatus', message);
+  }
+
+  handleChannelMessage(message) {
+    const channelName = message[message.length - 2];
+    const channel = typeof channelName === 'string' ? channelName.split('-')[0] : null;
+
+    if (CHANNELS.indexOf(channel) < 0) {
+      this.emit('message', message);
+      return;
+    }
+
+    this.emit(channel, parseChannelMessage(channel, message));
+  }
+
+  resolvePending(message) {
+    const pending = this.__pending[message.reqid];
+    if (!pending) {
+      return;
+    }
+
+    if (message.status === 'error') {
+      clearTimeout(pending.timer);
+      delete this.__pending[message.reqid];
+      const details = { endpoint: message.event, response: message };
+      pending.reject(createApiError(message.errorMessage, details));
+      return;
+    }
+
+    pending.responses.push(message);
+    if (pending.responses.length >= pending.expected) {
+      clearTimeout(pending.timer);
+      delete this.__pending[message.reqid];
+      pending.resolve(pending.responses);
+    }
+  }
+
+  handleClose(socket, code, reason) {
+    if (socket !== this.__socket) {
+      return;
+    }
+
+    this.stopHeartbeat();
+    this.__channels = {};
+    Object.keys(this.__pending).forEach((reqid) => {
+      clearTimeout(this.__pending[reqid].timer);
+      this.__pending[reqid].reject(new KrakenNetworkError('The stream was closed'));
+    });
+    this.__pending = {};
+    this.emit('close', code, reason);
+
+    // A first connect that fails rejects, the caller decides whether to try again
+    if (!this.__closing && this.__reconnect && this.__established) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(
+      this.__reconnectDelay * (2 ** this.__attempts),
+      this.__maxReconnectDelay
+    );
+    this.__attempts += 1;
+
+    this.__reconnectTimer = setTimeout(() => {
+      this.emit('reconnect', this.__attempts);
+      this.connect().catch(() => {
+        // The close event of the failed socket schedules the next attempt
+      });
+    }, delay);
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.__pingTimer = setInterval(() => {
+      this.ping().catch(() => {
+        // A missing pong is handled by the watchdog
+      });
+    }, this.__pingInterval);
+    this.resetWatchdog();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.__pingTimer);
+    clearTimeout(this.__watchdog);
+  }
+
+  resetWatchdog() {
+    clearTimeout(this.__watchdog);
+    this.__watchdog = setTimeout(() => {
+      // No heartbeat, pong or data in time, drop the socket to trigger a reconnect
+      if (this.__socket) {
+        this.__socket.terminate();
+      }
+    }, this.__timeout);
+  }
+}
+
+module.exports = KrakenStream;
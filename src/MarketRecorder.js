@@ -0,0 +1,257 @@
+import EventEmitter from 'events';
+
+import { KrakenValidationError } from './errors';
+import { PAGE_SIZES } from './helpers/paginate';
+import { FileStore, SqliteStore } from './helpers/marketStores';
+
+const CHANNELS = ['trades', 'spread', 'ohlc'];
+
+/**
+ * MarketRecorder keeps a local history of the trades, spreads and candles of pairs
+ * Every round pulls getTrades, getSpread and getOHLC from the cursor saved by the store
+ * and appends the new rows with the next cursor, so a restarted recorder continues where
+ * it stopped. The trades are paged until now. Kraken only returns the last 720 candles of
+ * an interval, when the recorder stopped for longer the missing candles are built from the
+ * trades. Spreads older than a few minutes can't be downloaded again, a hole is reported
+ *
+ * Events:
+ *  data - { pair, channel, rows, cursor } rows appended to the store
+ *  gap - { pair, channel, from, to, filled } hole in the history, filled is the number of
+ *        candles built from the trades
+ *  error - a round of start failed, the next one is scheduled as usual
+ */
+class MarketRecorder extends EventEmitter {
+  /**
+   * Create a new MarketRecorder
+   * @param {Kraken} kraken - Client used to download the market data
+   * @param {Object} options
+   * @param {Object} options.store - FileStore, SqliteStore or a store of the same interface
+   * @param {Array} options.pairs - Pairs to record, any spelling
+   * @param {Array} [options.channels=['trades', 'spread', 'ohlc']] - Data to record
+   * @param {Array} [options.intervals=[1]] - Intervals of the candles in minutes
+   * @param {number} [options.since] - Unix time to start from on the first round, by default
+   *                                   the data Kraken returns without since
+   * @param {number} [options.pollInterval=60000] - Time in ms between the rounds of start
+   * @param {boolean} [options.fillGaps=true] - Build the missing candles from the trades
+   * @param {number} [options.maxSpreadGap=120] - Seconds between two spreads reported as a gap
+   */
+  constructor(kraken, options = {}) {
+    super();
+    if (!options.store) {
+      throw new KrakenValidationError('Store option is required', { params: options });
+    }
+    if (!Array.isArray(options.pairs) || !options.pairs.length) {
+      throw new KrakenValidationError('Pairs option must be a list of pairs', { params: options });
+    }
+    const channels = options.channels || CHANNELS;
+    const unknown = channels.filter(channel => CHANNELS.indexOf(channel) < 0);
+    if (unknown.length) {
+      throw new KrakenValidationError(`Unknown channels ${unknown.join(', ')}, use ${CHANNELS.join(', ')}`, { params: options });
+    }
+
+    this.__kraken = kraken;
+    this.__store = options.store;
+    this.__pairs = options.pairs;
+    this.__channels = channels;
+    this.__intervals = options.intervals || [1];
+    this.__since = options.since;
+    this.__pollInterval = options.pollInterval || 60000;
+    this.__fillGaps = options.fillGaps !== false;
+    this.__maxSpreadGap = options.maxSpreadGap || 120;
+    this.__timer = null;
+    this.__round = null;
+    this.__running = false;
+  }
+
+  /**
+   * Store of the recorder
+   * @return Object
+   */
+  get store() {
+    return this.__store;
+  }
+
+  /**
+   * Records every pair and channel once
+   *
+   * @return Promise - { XETHZUSD: { trades: 12, spread: 60, 'ohlc-1': 1 } } rows appended
+   */
+  record() {
+    const summary = {};
+    return this.__store.open().then(() => this.__pairs.reduce((chain, name) => chain
+      .then(() => this.__kraken.registry.resolvePair(name))
+      .then((pair) => {
+        summary[pair.key] = {};
+        const tasks = [];
+        this.__channels.forEach((channel) => {
+          if (channel === 'ohlc') {
+            this.__intervals.forEach(interval => tasks.push([`ohlc-${interval}`, () => this.recordCandles(pair, interval)]));
+          } else if (channel === 'trades') {
+            tasks.push([channel, () => this.recordTrades(pair)]);
+          } else {
+            tasks.push([channel, () => this.recordSpread(pair)]);
+          }
+        });
+        return tasks.reduce((previous, [channel, task]) => previous.then(task).then((count) => {
+          summary[pair.key][channel] = count;
+        }), Promise.resolve());
+      }), Promise.resolve())).then(() => summary);
+  }
+
+  /**
+   * Records a round every pollInterval until stop
+   */
+  start() {
+    if (this.__running) {
+      return;
+    }
+    this.__running = true;
+    const round = () => {
+      this.__timer = null;
+      this.__round = this.record().catch((error) => {
+        if (this.listenerCount('error')) {
+          this.emit('error', error);
+        }
+      }).then(() => {
+        this.__round = null;
+        if (this.__running) {
+          this.__timer = setTimeout(round, this.__pollInterval);
+        }
+      });
+    };
+    round();
+  }
+
+  /**
+   * Stops the rounds of start
+   *
+   * @return Promise - resolves once the current round is over
+   */
+  stop() {
+    this.__running = false;
+    clearTimeout(this.__timer);
+    this.__timer = null;
+    return (this.__round || Promise.resolve()).then(() => undefined);
+  }
+
+  /**
+   * Rows of the store
+   *
+   * @param {string} pair - Any spelling of the pair
+   * @param {string} channel - trades, spread, ohlc (first interval) or ohlc-<interval>
+   * @param {Object} [range] - { from: unix time, inclusive, to: unix time, exclusive }
+   * @return Promise - rows in time order
+   */
+  query(pair, channel, range = {}) {
+    const name = channel === 'ohlc' ? `ohlc-${this.__intervals[0]}` : channel;
+    return this.__kraken.registry.resolvePair(pair)
+      .then(resolved => this.__store.query(resolved.key, name, range));
+  }
+
+  /**
+   * Appends rows to the store
+   */
+  save(pair, channel, rows, cursor) {
+    return this.__store.append(pair.key, channel, rows, cursor).then(() => {
+      this.emit('data', { pair: pair.key, channel, rows, cursor });
+      return rows.length;
+    });
+  }
+
+  /**
+   * Pages of trades after the cursor until now
+   *
+   * @return Promise - number of trades recorded
+   */
+  recordTrades(pair) {
+    const page = (cursor, total) => this.__kraken.getTrades({
+      pair: pair.key,
+      since: cursor,
+      normalize: true
+    }).then(({ trades, last }) => {
+      const done = trades.length < PAGE_SIZES.Trades || String(last) === String(cursor);
+      const saved = trades.length ? this.save(pair, 'trades', trades, last) : Promise.resolve(0);
+      return saved.then(count => (done ? total + count : page(last, total + count)));
+    });
+
+    return this.__store.cursor(pair.key, 'trades')
+      .then(cursor => page(cursor !== undefined ? cursor : this.__since, 0));
+  }
+
+  /**
+   * Spreads after the cursor, Kraken returns the ones of the last minutes
+   *
+   * @return Promise - number of spreads recorded
+   */
+  recordSpread(pair) {
+    return this.__store.cursor(pair.key, 'spread').then(cursor => this.__kraken.getSpread({
+      pair: pair.key,
+      since: cursor,
+      normalize: true
+    }).then(({ spreads, last }) => {
+      const rows = spreads.filter(row => cursor === undefined || row.time > cursor);
+      if (!rows.length) {
+        return 0;
+      }
+      if (cursor !== undefined && rows[0].time - cursor > this.__maxSpreadGap) {
+        this.emit('gap', { pair: pair.key, channel: 'spread', from: cursor, to: rows[0].time, filled: 0 });
+      }
+      return this.save(pair, 'spread', rows, last);
+    }));
+  }
+
+  /**
+   * Closed candles after the cursor, the candles Kraken no longer has are built from
+   * the trades
+   *
+   * @return Promise - number of candles recorded
+   */
+  recordCandles(pair, interval) {
+    const channel = `ohlc-${interval}`;
+    const step = interval * 60;
+    return this.__store.cursor(pair.key, channel).then((saved) => {
+      // The cursor is the time of the last recorded candle
+      const cursor = saved === undefined && this.__since !== undefined
+        ? (Math.floor(this.__since / step) * step) - step
+        : saved;
+      return this.__kraken.getOHLC({ pair: pair.key, interval, since: cursor, normalize: true })
+        .then(({ candles, last }) => {
+          // The last candle is still open, the next round records it
+          const closed = candles.filter(candle => candle.time <= last &&
+            (cursor === undefined || candle.time > cursor));
+          if (!closed.length) {
+            return 0;
+          }
+          if (cursor === undefined || closed[0].time <= cursor + step) {
+            return this.save(pair, channel, closed, last);
+          }
+          return this.fillCandles(pair, interval, cursor + step, closed[0].time)
+            .then(filled => this.save(pair, channel, filled.concat(closed), last));
+        });
+    });
+  }
+
+  /**
+   * Candles from the trades between from and to, when fillGaps is on
+   *
+   * @return Promise - candles
+   */
+  fillCandles(pair, interval, from, to) {
+    const built = this.__fillGaps
+      ? this.__kraken.getCandles({
+        pair: pair.key, interval, fill: true, since: from - 1, until: to
+      })
+      : Promise.resolve([]);
+    return built.then((candles) => {
+      const filled = candles.filter(candle => candle.time >= from && candle.time < to);
+      this.emit('gap', { pair: pair.key, channel: `ohlc-${interval}`, from, to, filled: filled.length });
+      return filled;
+    });
+  }
+}
+
+MarketRecorder.CHANNELS = CHANNELS;
+MarketRecorder.FileStore = FileStore;
+MarketRecorder.SqliteStore = SqliteStore;
+
+module.exports = MarketRecorder;
@@ -0,0 +1,386 @@
+import EventEmitter from 'events';
+
+import crc32 from './helpers/crc32';
+import { KrakenValidationError } from './errors';
+import { normalizePair, toWsName } from './helpers/pairs';
+
+/**
+ * Depths accepted by the book channel
+ */
+const DEPTHS = [10, 25, 100, 500, 1000];
+
+/**
+ * Smallest depth of the book channel that covers a book depth
+ * The book keeps every level of the channel, the checksum and the levels that come back
+ * into view need them, the depth only limits what the book shows
+ *
+ * @param {Number} depth Number of levels kept on each side
+ * @returns Number
+ */
+const channelDepth = depth => DEPTHS.find(allowed => allowed >= depth) || DEPTHS[DEPTHS.length - 1];
+
+/**
+ * Converts a raw Kraken level [price, volume, timestamp] into a level object
+ * Prices and volumes are kept as strings, the checksum is calculated on them
+ *
+ * @param {Array} entry Raw level
+ * @returns Object
+ */
+const toLevel = entry => ({
+  price: entry[0],
+  volume: entry[1],
+  timestamp: parseFloat(entry[2])
+});
+
+/**
+ * Formats a price or volume for the checksum: no decimal point and no leading zeros
+ *
+ * @param {String} value Price or volume string
+ * @returns String
+ */
+const checksumValue = value => value.replace('.', '').replace(/^0+/, '');
+
+/**
+ * Inserts, replaces or removes (volume 0) a level keeping the side sorted
+ *
+ * @param {Array} levels Levels of one side, best price first
+ * @param {Object} level Level object
+ * @param {String} side asks or bids
+ * @returns Object The level applied
+ */
+const setLevel = (levels, level, side) => {
+  const price = parseFloat(level.price);
+  const index = levels.findIndex(l => parseFloat(l.price) === price);
+
+  if (parseFloat(level.volume) === 0) {
+    if (index >= 0) {
+      levels.splice(index, 1);
+    }
+    return level;
+  }
+
+  if (index >= 0) {
+    levels.splice(index, 1, level);
+    return level;
+  }
+
+  const worse = side === 'asks' ? (l => parseFloat(l.price) > price) : (l => parseFloat(l.price) < price);
+  const position = levels.findIndex(worse);
+  levels.splice(position < 0 ? levels.length : position, 0, level);
+  return level;
+};
+
+/**
+ * OrderBook keeps a local copy of the market depth of one pair
+ * It is seeded from getOrderBook, updated from a KrakenStream book channel or by
+ * polling getOrderBook, and verified with the Kraken CRC32 book checksum
+ *
+ * Events:
+ *  update - { asks, bids } levels that changed
+ *  resync - the book was seeded again from the REST API
+ *  checksumMismatch - { expected, actual }
+ *  error
+ */
+class OrderBook extends EventEmitter {
+  /**
+   * Create a new OrderBook
+   * @param {Kraken} kraken - Kraken client used to seed the book
+   * @param {Object} options
+   * @param {string} options.pair - Asset pair, ex: ETHUSD
+   * @param {number} [options.depth=10] - Number of levels shown on each side
+   * @param {boolean} [options.verify=true] - Validate the checksum of stream updates
+   */
+  constructor(kraken, options = {}) {
+    super();
+    if (!options.pair || typeof options.pair !== 'string') {
+      throw new KrakenValidationError('Pair option must be a string, ex: ETHUSD', { params: options });
+    }
+
+    this.__kraken = kraken;
+    this.__pair = normalizePair(options.pair);
+    this.__depth = options.depth || 10;
+    this.__levels = channelDepth(this.__depth);
+    this.__verify = options.verify !== false;
+    this.__asks = [];
+    this.__bids = [];
+    this.__syncing = null;
+    this.__buffer = [];
+    this.__stream = null;
+    this.__onBook = null;
+    this.__pollTimer = null;
+  }
+
+  get pair() {
+    return this.__pair;
+  }
+
+  get asks() {
+    return this.__asks.slice(0, this.__depth);
+  }
+
+  get bids() {
+    return this.__bids.slice(0, this.__depth);
+  }
+
+  /**
+   * Seeds the book from getOrderBook
+   * Updates received while the snapshot is downloading are applied afterwards
+   * @return Promise - resolves with the book
+   */
+  sync() {
+    if (this.__syncing) {
+      return this.__syncing;
+    }
+
+    this.__syncing = this.fetchSnapshot().then((snapshot) => {
+      this.load(snapshot.asks, snapshot.bids);
+      const buffered = this.__buffer;
+      this.__buffer = [];
+      this.__syncing = null;
+      buffered.forEach(update => this.applyUpdate(update, false));
+      this.emit('resync');
+      return this;
+    }).catch((error) => {
+      this.__syncing = null;
+      this.__buffer = [];
+      throw error;
+    });
+
+    return this.__syncing;
+  }
+
+  fetchSnapshot() {
+    const params = { pair: this.__pair, count: this.__levels };
+    return this.__kraken.getOrderBook(params).then((response) => {
+      // The result is keyed by the canonical pair name, ex: XETHZUSD
+      const key = Object.keys(response)[0];
+      return response[key];
+    });
+  }
+
+  /**
+   * Replaces the whole book
+   *
+   * @param {Array} asks Raw ask levels [price, volume, timestamp]
+   * @param {Array} bids Raw bid levels [price, volume, timestamp]
+   */
+  load(asks, bids) {
+    this.__asks = asks.map(toLevel).sort((a, b) => parseFloat(a.price) - parseFloat(b.price));
+    this.__bids = bids.map(toLevel).sort((a, b) => parseFloat(b.price) - parseFloat(a.price));
+    this.truncate();
+  }
+
+  /**
+   * Applies an incremental update in the format of the book channel
+   *
+   * @param {Object} update { a: [[price, volume, timestamp]], b: [...], c: 'checksum' }
+   * @param {boolean} [verify] Validate the checksum when present
+   * @return Boolean - false when the checksum did not match and a resync started
+   */
+  applyUpdate(update, verify = this.__verify) {
+    if (this.__syncing) {
+      this.__buffer.push(update);
+      return true;
+    }
+
+    const changes = { asks: [], bids: [] };
+    (update.a || []).forEach((entry) => {
+      changes.asks.push(setLevel(this.__asks, toLevel(entry), 'asks'));
+    });
+    (update.b || []).forEach((entry) => {
+      changes.bids.push(setLevel(this.__bids, toLevel(entry), 'bids'));
+    });
+    this.truncate();
+
+    if (verify && update.c) {
+      const actual = this.checksum();
+      if (actual !== parseInt(update.c, 10)) {
+        this.emit('checksumMismatch', { expected: parseInt(update.c, 10), actual });
+        this.resync();
+        return false;
+      }
+    }
+
+    if (changes.asks.length || changes.bids.length) {
+      this.emit('update', changes);
+    }
+    return true;
+  }
+
+  truncate() {
+    this.__asks.splice(this.__levels);
+    this.__bids.splice(this.__levels);
+  }
+
+  resync() {
+    this.sync().catch(error => this.listenerCount('error') > 0 && this.emit('error', error));
+  }
+
+  /**
+   * Calculates the Kraken checksum of the top 10 levels of each side
+   * @return Number
+   */
+  checksum() {
+    const levels = this.__asks.slice(0, 10).concat(this.__bids.slice(0, 10));
+    const str = levels.map(l => checksumValue(l.price) + checksumValue(l.volume)).join('');
+    return crc32(str);
+  }
+
+  /**
+   * Keeps the book updated from the book channel of a KrakenStream
+   * The stream snapshot replaces the REST seed
+   *
+   * @param {KrakenStream} stream Stream to listen to
+   * @return Promise - resolves when the subscription is done
+   */
+  attach(stream) {
+    this.detach();
+    const wsName = toWsName(this.__pair);
+
+    this.__stream = stream;
+    this.__onBook = (event) => {
+      if (event.pair !== wsName) {
+        return;
+      }
+      if (event.snapshot) {
+        this.load(event.data.as || [], event.data.bs || []);
+        this.emit('resync');
+      } else {
+        this.applyUpdate(event.data);
+      }
+    };
+    stream.on('book', this.__onBook);
+
+    return stream.subscribe('book', wsName, { depth: this.__levels });
+  }
+
+  /**
+   * Stops listening to the stream and stops polling
+   */
+  detach() {
+    if (this.__stream) {
+      this.__stream.removeListener('book', this.__onBook);
+      this.__stream = null;
+      this.__onBook = null;
+    }
+    clearInterval(this.__pollTimer);
+    this.__pollTimer = null;
+  }
+
+  /**
+   * Downloads a new snapshot and applies the difference with the current book
+   * @return Promise - resolves with the levels that changed
+   */
+  refresh() {
+    return this.fetchSnapshot().then((snapshot) => {
+      const diff = side => (current, fresh) => {
+        const entries = fresh.filter((entry) => {
+          const level = current.find(l => parseFloat(l.price) === parseFloat(entry[0]));
+          return !level || parseFloat(level.volume) !== parseFloat(entry[1]);
+        });
+        current.forEach((level) => {
+          if (!fresh.some(entry => parseFloat(entry[0]) === parseFloat(level.price))) {
+            entries.push([level.price, '0', level.timestamp]);
+          }
+        });
+        return { [side]: entries };
+      };
+
+      const update = Object.assign(
+        {},
+        diff('a')(this.__asks, snapshot.asks),
+        diff('b')(this.__bids, snapshot.bids)
+      );
+      this.applyUpdate(update, false);
+      return update;
+    });
+  }
+
+  /**
+   * Refreshes the book from getOrderBook every interval ms
+   *
+   * @param {number} [interval=1000] Polling interval in ms
+   */
+  poll(interval = 1000) {
+    this.detach();
+    this.__pollTimer = setInterval(() => {
+      this.refresh().catch(error => this.listenerCount('error') > 0 && this.emit('error', error));
+    }, interval);
+  }
+
+  /**
+   * Returns the best bid
+   * @return {Object} - { price, volume } or null when the side is empty
+   */
+  bestBid() {
+    const level = this.__bids[0];
+    return level ? { price: parseFloat(level.price), volume: parseFloat(level.volume) } : null;
+  }
+
+  /**
+   * Returns the best ask
+   * @return {Object} - { price, volume } or null when the side is empty
+   */
+  bestAsk() {
+    const level = this.__asks[0];
+    return level ? { price: parseFloat(level.price), volume: parseFloat(level.volume) } : null;
+  }
+
+  /**
+   * Returns the price between the best bid and ask
+   * @return Number
+   */
+  mid() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    return bid && ask ? (bid.price + ask.price) / 2 : null;
+  }
+
+  /**
+   * Returns the difference between the best ask and bid
+   * @return Number
+   */
+  spread() {
+    const bid = this.bestBid();
+    const ask = this.bestAsk();
+    return bid && ask ? ask.price - bid.price : null;
+  }
+
+  /**
+   * Returns the volume resting at a price on either side
+   *
+   * @param {number} price Level price
+   * @return Number - 0 when there is no level at that price
+   */
+  depthAt(price) {
+    const level = this.asks.concat(this.bids).find(l => parseFloat(l.price) === price);
+    return level ? parseFloat(level.volume) : 0;
+  }
+
+  /**
+   * Returns the volume available on one side up to a price
+   *
+   * @param {string} side asks or bids
+   * @param {number} [price] Worst price to include, all the side when omitted
+   * @return Number
+   */
+  cumulativeVolume(side, price) {
+    if (side !== 'asks' && side !== 'bids') {
+      throw new KrakenValidationError('Side must be asks or bids', { params: { side, price } });
+    }
+
+    const levels = side === 'asks' ? this.asks : this.bids;
+    return levels
+      .filter((l) => {
+        if (price === undefined) {
+          return true;
+        }
+        return side === 'asks' ? parseFloat(l.price) <= price : parseFloat(l.price) >= price;
+      })
+      .reduce((total, l) => total + parseFloat(l.volume), 0);
+  }
+}
+
+OrderBook.DEPTHS = DEPTHS;
+
+module.exports = OrderBook;
@@ -0,0 +1,267 @@
+import { KrakenValidationError } from './errors';
+
+const SIDES = ['buy', 'sell'];
+
+const PRICE = /^([+\-#]?)(\d*\.?\d+)(%?)$/;
+
+/**
+ * Rounds a value to a number of decimals and returns it as a string
+ * The value is scaled then cut to 15 significant digits so 1.005 rounds to 1.01
+ *
+ * @param {Number|String} value
+ * @param {Number} decimals
+ * @param {String} [mode=round] round, floor or ceil
+ * @returns String
+ */
+const toDecimals = (value, decimals, mode = 'round') => {
+  const factor = 10 ** decimals;
+  const scaled = Number((Number(value) * factor).toPrecision(15));
+  return (Math[mode](scaled) / factor).toFixed(decimals);
+};
+
+/**
+ * Rounds a price to the tick size of the pair, or to its decimals when it has no tick size
+ */
+const roundPrice = (value, pair) => {
+  if (pair.tickSize) {
+    const ticks = Number((Number(value) / pair.tickSize).toPrecision(15));
+    return toDecimals(Math.round(ticks) * pair.tickSize, pair.pairDecimals);
+  }
+  return toDecimals(value, pair.pairDecimals);
+};
+
+/**
+ * Unix time of a Date, other values (unix time, +<seconds>) are sent as they are
+ */
+const toTime = value => (value instanceof Date ? Math.floor(value.getTime() / 1000) : value);
+
+/**
+ * OrderBuilder places orders from the name of the pair, a side and plain numbers
+ * Prices are rounded to the pair decimals or tick size and volumes are rounded down to
+ * the lot decimals, then the minimum volume and cost of the pair are checked before
+ * anything is sent
+ */
+class OrderBuilder {
+  /**
+   * Create a new OrderBuilder
+   * @param {Kraken} kraken - Client used to resolve the pairs and send the orders
+   */
+  constructor(kraken) {
+    this.__kraken = kraken;
+  }
+
+  /**
+   * Limit order
+   *
+   * @param {string} pair - Any spelling of the pair, ex: ETHUSD, ETH/USD
+   * @param {string} side - buy or sell
+   * @param {number|string} volume - Volume in the base currency
+   * @param {number|string} price - Limit price
+   * @param {Object} [options] - See create
+   * @return Promise - Result of setAddOrder
+   */
+  limit(pair, side, volume, price, options) {
+    return this.create(Object.assign({}, options, { pair, side, ordertype: 'limit', volume, price }));
+  }
+
+  /**
+   * Market order
+   *
+   * @param {string} pair - Any spelling of the pair
+   * @param {string} side - buy or sell
+   * @param {number|string} volume - Volume in the base currency
+   * @param {Object} [options] - See create
+   * @return Promise - Result of setAddOrder
+   */
+  market(pair, side, volume, options) {
+    return this.create(Object.assign({}, options, { pair, side, ordertype: 'market', volume }));
+  }
+
+  /**
+   * Stop loss order, a market order once the stop price is reached
+   *
+   * @param {string} pair - Any spelling of the pair
+   * @param {string} side - buy or sell
+   * @param {number|string} volume - Volume in the base currency
+   * @param {number|string} stopPrice - Trigger price, can be relative: +5, -2%
+   * @param {Object} [options] - See create
+   * @return Promise - Result of setAddOrder
+   */
+  stopLoss(pair, side, volume, stopPrice, options) {
+    return this.create(Object.assign({}, options, {
+      pair, side, ordertype: 'stop-loss', volume, price: stopPrice
+    }));
+  }
+
+  /**
+   * Take profit order, a market order once the profit price is reached
+   *
+   * @param {string} pair - Any spelling of the pair
+   * @param {string} side - buy or sell
+   * @param {number|string} volume - Volume in the base currency
+   * @param {number|string} profitPrice - Trigger price, can be relative: +5, -2%
+   * @param {Object} [options] - See create
+   * @return Promise - Result of setAddOrder
+   */
+  takeProfit(pair, side, volume, profitPrice, options) {
+    return this.create(Object.assign({}, options, {
+      pair, side, ordertype: 'take-profit', volume, price: profitPrice
+    }));
+  }
+
+  /**
+   * Stop loss limit order, a limit order at limitPrice once the stop price is reached
+   *
+   * @param {string} pair - Any spelling of the pair
+   * @param {string} side - buy or sell
+   * @param {number|string} volume - Volume in the base currency
+   * @param {number|string} stopPrice - Trigger price
+   * @param {number|string} limitPrice - Price of the limit order
+   * @param {Object} [options] - See create
+   * @return Promise - Result of setAddOrder
+   */
+  stopLossLimit(pair, side, volume, stopPrice, limitPrice, options) {
+    return this.create(Object.assign({}, options, {
+      pair, side, ordertype: 'stop-loss-limit', volume, price: stopPrice, price2: limitPrice
+    }));
+  }
+
+  /**
+   * Trailing stop order, a market order once the price moves back by the offset
+   *
+   * @param {string} pair - Any spelling of the pair
+   * @param {string} side - buy or sell
+   * @param {number|string} volume - Volume in the base currency
+   * @param {number|string} offset - Offset from the best price, ex: 50 or '2%'
+   * @param {Object} [options] - See create
+   * @return Promise - Result of setAddOrder
+   */
+  trailingStop(pair, side, volume, offset, options) {
+    // Kraken only accepts offsets with the + prefix for trailing stops
+    const price = /^[+\-#]/.test(String(offset)) ? offset : `+${offset}`;
+    return this.create(Object.assign({}, options, {
+      pair, side, ordertype: 'trailing-stop', volume, price
+    }));
+  }
+
+  /**
+   * Builds and sends an order
+   *
+   * @param {Object} order - { pair, side, ordertype, volume, price, price2,
+   *                           oflags: array or comma separated string, ex: ['post'],
+   *                           timeinforce: GTC, IOC or GTD,
+   *                           starttm, expiretm: Date, unix time or +<seconds>,
+   *                           leverage: ex: 2 or '2:1',
+   *                           close: { ordertype, price, price2 } conditional close order,
+   *                           userref, clOrdId, trigger: index or last, reduceOnly,
+   *                           validate: true to let Kraken check the order without placing it }
+   * @return Promise - Result of setAddOrder, rejects with a KrakenValidationError
+   *                   before sending when the order is not valid
+   */
+  create(order) {
+    return this.build(order).then(params => this.__kraken.setAddOrder(params));
+  }
+
+  /**
+   * Returns the params of setAddOrder for an order without sending it
+   *
+   * @param {Object} order - See create
+   * @return Promise - AddOrder params, rejects with a KrakenValidationError
+   */
+  build(order) {
+    return this.__kraken.registry.resolvePair(order.pair).then((pair) => {
+      const errors = [];
+      const params = { pair: pair.key, type: order.side, ordertype: order.ordertype };
+
+      if (SIDES.indexOf(order.side) < 0) {
+        errors.push(`Side must be one of ${SIDES.join(', ')}`);
+      }
+
+      const price = (name, value) => {
+        const match = PRICE.exec(String(value));
+        if (value === undefined || value === null || !match) {
+          errors.push(`${name} must be a number or a price string such as 302.5, +5 or -2%, got ${value}`);
+          return undefined;
+        }
+        const [, prefix, amount, percent] = match;
+        return percent ? `${prefix}${amount}%` : `${prefix}${roundPrice(amount, pair)}`;
+      };
+
+      const oflags = typeof order.oflags === 'string' ? order.oflags.split(',') : order.oflags || [];
+      // viqc orders have a volume in the quote currency, ordermin does not apply
+      const quoteVolume = oflags.indexOf('viqc') >= 0;
+      const volume = Number(order.volume);
+      if (!isFinite(volume) || volume <= 0) {
+        errors.push(`Volume must be a positive number, got ${order.volume}`);
+      } else {
+        params.volume = quoteVolume ? String(order.volume) : toDecimals(volume, pair.lotDecimals, 'floor');
+        if (!quoteVolume && pair.ordermin && Number(params.volume) < pair.ordermin) {
+          errors.push(`Volume ${params.volume} is under the minimum order of ${pair.ordermin} for ${order.pair}`);
+        }
+      }
+
+      if (order.ordertype !== 'market') {
+        params.price = price('Price', order.price);
+      }
+      if (order.ordertype === 'stop-loss-limit') {
+        params.price2 = price('Limit price', order.price2);
+      }
+
+      // The cost is only known for the absolute prices of limit orders
+      if (order.ordertype === 'limit' && pair.costmin && params.volume && !quoteVolume &&
+        params.price && PRICE.exec(params.price)[1] === '') {
+        const cost = Number(params.volume) * Number(params.price);
+        if (cost < pair.costmin) {
+          errors.push(`Cost ${cost} is under the minimum cost of ${pair.costmin} for ${order.pair}`);
+        }
+      }
+
+      if (oflags.length) {
+        params.oflags = oflags.join(',');
+      }
+      if (order.timeinforce) {
+        params.timeinforce = order.timeinforce;
+      }
+      if (order.starttm !== undefined) {
+        params.starttm = toTime(order.starttm);
+      }
+      if (order.expiretm !== undefined) {
+        params.expiretm = toTime(order.expiretm);
+      }
+      if (order.leverage !== undefined) {
+        params.leverage = String(order.leverage);
+      }
+      if (order.userref !== undefined) {
+        params.userref = order.userref;
+      }
+      if (order.clOrdId !== undefined) {
+        params.cl_ord_id = order.clOrdId;
+      }
+      if (order.trigger) {
+        params.trigger = order.trigger;
+      }
+      if (order.reduceOnly) {
+        params.reduce_only = true;
+      }
+      if (order.close) {
+        params['close[ordertype]'] = order.close.ordertype;
+        if (order.close.price !== undefined) {
+          params['close[price]'] = price('Close price', order.close.price);
+        }
+        if (order.close.price2 !== undefined) {
+          params['close[price2]'] = price('Close price2', order.close.price2);
+        }
+      }
+      if (order.validate) {
+        params.validate = true;
+      }
+
+      if (errors.length) {
+        throw new KrakenValidationError(errors.join('; '), { endpoint: 'AddOrder', params, errors });
+      }
+      return params;
+    });
+  }
+}
+
+module.exports = OrderBuilder;
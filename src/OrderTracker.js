@@ -0,0 +1,313 @@
+import EventEmitter from 'events';
+
+import { KrakenError, KrakenApiError } from './errors';
+import { MAX_IDS } from './helpers/schema';
+
+/**
+ * Order status that end the tracking, with the event they emit
+ */
+const FINAL_EVENTS = {
+  closed: 'filled',
+  canceled: 'canceled',
+  expired: 'expired'
+};
+
+/**
+ * Error of QueryOrders when a txid does not exist, it fails the whole query
+ */
+const INVALID_ORDER = 'EOrder:Invalid order';
+
+const isInvalidOrder = error => error instanceof KrakenApiError &&
+  error.errors.some(parsed => parsed.code === INVALID_ORDER);
+
+/**
+ * Returns the txids of a string, an array or a setAddOrder result
+ *
+ * @param {String|Array|Object} txids 'OQCLML-BW3P3-BUCMWZ', [...], { txid: [...] }
+ * @returns Array
+ */
+const toTxids = (txids) => {
+  if (txids && !Array.isArray(txids) && typeof txids === 'object') {
+    return toTxids(txids.txid);
+  }
+  return (Array.isArray(txids) ? txids : String(txids).split(','))
+    .map(txid => String(txid).trim())
+    .filter(txid => txid.length);
+};
+
+/**
+ * Summary of an order of QueryOrders
+ *
+ * @param {String} txid Order id
+ * @param {Object} order Raw order
+ * @returns Object { txid, status, volume, volExec, avgPrice, cost, fee, trades, order }
+ */
+const toState = (txid, order) => ({
+  txid,
+  status: order.status,
+  volume: parseFloat(order.vol),
+  volExec: parseFloat(order.vol_exec),
+  avgPrice: parseFloat(order.price),
+  cost: parseFloat(order.cost),
+  fee: parseFloat(order.fee),
+  trades: order.trades || [],
+  order
+});
+
+/**
+ * OrderTracker follows orders from their submission until they are filled, canceled or expired
+ * It polls getQueryOrders with trades, every minInterval while the orders change and up
+ * to maxInterval while they don't
+ *
+ * Events, each one with the state of the order
+ * { txid, status, volume, volExec, avgPrice, cost, fee, trades, order: raw order }:
+ *  open, partialFill, filled, canceled, expired, update on any change
+ *  error - a poll failed, the next one is scheduled as usual, or Kraken does not know an
+ *          order (EOrder:Invalid order with the txid in params), it is not tracked anymore
+ */
+class OrderTracker extends EventEmitter {
+  /**
+   * Create a new OrderTracker
+   * @param {Kraken} kraken - Client used to query the orders
+   * @param {Object} [options]
+   * @param {number} [options.minInterval=1000] - Time in ms between polls while the orders change
+   * @param {number} [options.maxInterval=15000] - Upper bound of the time between polls, the
+   *                                               interval doubles each poll without changes
+   */
+  constructor(kraken, options = {}) {
+    super();
+    this.__kraken = kraken;
+    this.__minInterval = options.minInterval || 1000;
+    this.__maxInterval = Math.max(options.maxInterval || 15000, this.__minInterval);
+    this.__interval = this.__minInterval;
+    this.__orders = {};
+    this.__timer = null;
+    this.__polling = null;
+    this.__stopped = false;
+  }
+
+  /**
+   * Last known state of the tracked orders, by txid
+   * @return Object
+   */
+  get orders() {
+    return Object.assign({}, this.__orders);
+  }
+
+  /**
+   * Current time in ms between two polls
+   * @return Number
+   */
+  get interval() {
+    return this.__interval;
+  }
+
+  /**
+   * Starts tracking orders, polling starts with the first one
+   *
+   * @param {String|Array|Object} txids - txid, list of txids or the result of setAddOrder
+   * @return Array - tracked txids
+   */
+  track(txids) {
+    const list = toTxids(txids);
+    list.forEach((txid) => {
+      if (!this.__orders[txid]) {
+        this.__orders[txid] = { txid, status: null };
+      }
+    });
+    // New orders change fast, poll them at the minimum interval
+    this.__interval = this.__minInterval;
+    this.__stopped = false;
+    this.schedule(0);
+    return list;
+  }
+
+  /**
+   * Stops tracking an order
+   *
+   * @param {String} txid
+   */
+  untrack(txid) {
+    delete this.__orders[txid];
+    if (!this.tracked().length) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Stops polling, the orders stay tracked until start or track is called
+   */
+  stop() {
+    this.__stopped = true;
+    clearTimeout(this.__timer);
+    this.__timer = null;
+  }
+
+  /**
+   * Resumes polling after stop
+   */
+  start() {
+    this.__stopped = false;
+    this.schedule(0);
+  }
+
+  /**
+   * Resolves when an order is filled, tracking it if needed
+   *
+   * @param {String} txid - Order id
+   * @param {Object} [options] - { timeout: time in ms before rejecting, none by default }
+   * @return Promise - state of the filled order, rejects with a KrakenError when the order is
+   *                   canceled or expired, with the state and the filled volume in the
+   *                   message, when Kraken does not know it or the timeout is reached
+   */
+  waitForFill(txid, options = {}) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const listeners = {};
+      const settle = (callback, value) => {
+        clearTimeout(timer);
+        Object.keys(listeners).forEach(event => this.removeListener(event, listeners[event]));
+        callback(value);
+      };
+      // A partially filled order keeps its fills, they are in the state and the message
+      const fail = reason => state => settle(reject, new KrakenError(state.volExec > 0
+        ? `Order ${txid} was ${reason} after filling ${state.volExec} of ${state.volume}`
+        : `Order ${txid} was ${reason}`, {
+        endpoint: 'QueryOrders', params: { txid }, response: state
+      }));
+
+      listeners.filled = state => state.txid === txid && settle(resolve, state);
+      listeners.canceled = state => state.txid === txid && fail('canceled')(state);
+      listeners.expired = state => state.txid === txid && fail('expired')(state);
+      listeners.error = error => isInvalidOrder(error) && error.params &&
+        error.params.txid === txid && settle(reject, error);
+      Object.keys(listeners).forEach(event => this.on(event, listeners[event]));
+
+      if (options.timeout) {
+        timer = setTimeout(() => settle(reject, new KrakenError(`Order ${txid} was not filled after ${options.timeout}ms`, {
+          endpoint: 'QueryOrders', params: { txid }, response: this.__orders[txid] || null
+        })), options.timeout);
+      }
+
+      this.track(txid);
+    });
+  }
+
+  /**
+   * Txids still followed, the orders in a final status are dropped after their event
+   * @return Array
+   */
+  tracked() {
+    return Object.keys(this.__orders);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.__timer);
+    this.__timer = null;
+    if (this.__stopped || this.__polling || !this.tracked().length) {
+      return;
+    }
+    this.__timer = setTimeout(() => {
+      this.__timer = null;
+      this.poll();
+    }, delay);
+  }
+
+  /**
+   * Queries every tracked order once and emits the changes
+   *
+   * @return Promise - resolves when the orders are updated
+   */
+  poll() {
+    if (this.__polling) {
+      return this.__polling;
+    }
+
+    const txids = this.tracked();
+    const chunks = [];
+    for (let index = 0; index < txids.length; index += MAX_IDS) {
+      chunks.push(txids.slice(index, index + MAX_IDS));
+    }
+
+    this.__polling = Promise.all(chunks.map(chunk => this.query(chunk))).then((results) => {
+      const changed = results.reduce((any, result) => Object.keys(result || {})
+        .map(txid => this.update(txid, result[txid]))
+        .some(Boolean) || any, false);
+      // Orders tracked during the poll haven't been queried yet
+      const pending = this.tracked().some(txid => this.__orders[txid].status === null);
+      this.__interval = changed || pending
+        ? this.__minInterval
+        : Math.min(this.__interval * 2, this.__maxInterval);
+    }).catch((error) => {
+      this.__interval = Math.min(this.__interval * 2, this.__maxInterval);
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    }).then(() => {
+      this.__polling = null;
+      this.schedule(this.__interval);
+    });
+
+    return this.__polling;
+  }
+
+  /**
+   * Queries orders, Kraken fails the whole query when one of them does not exist so they are
+   * then queried one by one, and the unknown ones are dropped with an error event
+   *
+   * @param {Array} txids
+   * @return Promise - resolves with the orders by txid
+   */
+  query(txids) {
+    return this.__kraken.getQueryOrders({ txid: txids.join(','), trades: true }).catch((error) => {
+      if (!isInvalidOrder(error)) {
+        throw error;
+      }
+      if (txids.length > 1) {
+        return Promise.all(txids.map(txid => this.query([txid])))
+          .then(results => Object.assign({}, ...results));
+      }
+      delete this.__orders[txids[0]];
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      return {};
+    });
+  }
+
+  /**
+   * Compares an order with its last state and emits the events of the change
+   *
+   * @param {String} txid
+   * @param {Object} order - Raw order of QueryOrders
+   * @return Boolean - true if the order changed
+   */
+  update(txid, order) {
+    const previous = this.__orders[txid];
+    if (!previous) {
+      return false;
+    }
+
+    const state = toState(txid, order);
+    if (previous.status === state.status && previous.volExec === state.volExec) {
+      return false;
+    }
+
+    this.__orders[txid] = state;
+    if (state.status === 'open' && previous.status !== 'open') {
+      this.emit('open', state);
+    }
+    // A fill seen at the same time as the final status is reported by the final event only
+    if (state.status === 'open' && state.volExec > (previous.volExec || 0)) {
+      this.emit('partialFill', state);
+    }
+    if (FINAL_EVENTS[state.status]) {
+      delete this.__orders[txid];
+      this.emit(FINAL_EVENTS[state.status], state);
+    }
+    this.emit('update', state);
+    return true;
+  }
+}
+
+module.exports = OrderTracker;
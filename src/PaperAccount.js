@@ -0,0 +1,658 @@
+import { KrakenValidationError } from './errors';
+import { pageEntries, newestFirst } from './helpers/history';
+
+/**
+ * Private endpoints answered by the paper account
+ */
+const ENDPOINTS = [
+  'Balance', 'TradeBalance', 'OpenOrders', 'ClosedOrders', 'QueryOrders', 'TradesHistory',
+  'Ledgers', 'AddOrder', 'CancelOrder'
+];
+
+/**
+ * Order types that can be simulated, with the side of the trigger: the stop orders of a
+ * buy trigger when the price rises to their price, the take profit ones when it falls
+ */
+const TRIGGERS = {
+  'stop-loss': 1,
+  'stop-loss-limit': 1,
+  'take-profit': -1,
+  'take-profit-limit': -1
+};
+
+const ORDER_TYPES = ['market', 'limit'].concat(Object.keys(TRIGGERS));
+
+/**
+ * Starting balances when none are given
+ */
+const BALANCES = { ZUSD: 10000 };
+
+/**
+ * Rejects the call with a Kraken error, answered as { error: [code] }
+ *
+ * @param {String} code ex: EOrder:Insufficient funds
+ */
+const fail = (code) => {
+  const error = new Error(code);
+  error.kraken = true;
+  throw error;
+};
+
+/**
+ * Answers the names that the market doesn't know with a Kraken error, other errors
+ * (market data that can't be loaded) are kept
+ */
+const unknown = code => error =>
+  (error instanceof KrakenValidationError ? fail(code) : Promise.reject(error));
+
+const list = value => (value === undefined || value === '' ? [] : String(value).split(','));
+
+const isTrue = value => value === true || value === 'true';
+
+const pad = (prefix, number) =>
+  `${prefix}${String(number).padStart(5, '0')}-PAPER-${String(number).padStart(6, '0')}`;
+
+const costDecimals = pair => (pair.costDecimals !== null ? pair.costDecimals : 5);
+
+/**
+ * Takes a volume from the levels of an order book, best price first, up to a limit price
+ *
+ * @param {Array} levels [[price, volume]] asks to buy, bids to sell
+ * @param {Number} volume
+ * @param {Number} [limit] Worst price accepted, none for a market order
+ * @param {String} side buy or sell
+ * @returns Object { volume: volume taken, cost }
+ */
+const sweep = (levels, volume, limit, side) => levels.reduce((taken, [price, size]) => {
+  const remaining = volume - taken.volume;
+  const accepted = limit === null || (side === 'buy' ? price <= limit : price >= limit);
+  if (remaining <= 1e-12 || !accepted) {
+    return taken;
+  }
+  const take = Math.min(size, remaining);
+  return { volume: taken.volume + take, cost: taken.cost + (take * price) };
+}, { volume: 0, cost: 0 });
+
+/**
+ * PaperAccount is an in memory account that answers the private trading endpoints
+ * with the same results as Kraken: orders fill against the order book and the ticker
+ * of a market, pay the maker or taker fee of the pair, move the balances and are
+ * written in the trades history and the ledger
+ *
+ * The market is an object with:
+ *  pair(name), asset(name) - Promise of the registry pair and asset, any spelling
+ *  book(pair) - Promise of { asks: [[price, volume]], bids }
+ *  prices(pairs) - Promise of { <pair key>: { ask, bid, last } }
+ *  fee(pair, maker, volume) - Promise of the fee percentage at a 30 days volume
+ *  now() - unix time in seconds
+ *
+ * Market orders and the part of the limit orders that cross the book fill at once with
+ * the taker fee. The rest of a limit order fills with the maker fee at its price once
+ * the ask (buy) or the bid (sell) reaches it. Stop loss and take profit orders trigger
+ * on the last price then become market or limit orders
+ */
+class PaperAccount {
+  /**
+   * Create a new PaperAccount
+   * @param {Object} market - Market data of the simulation, see above
+   * @param {Object} [options]
+   * @param {Object} [options.balances={ ZUSD: 10000 }] - Starting balances, any asset spelling
+   * @param {number} [options.volume=0] - 30 days volume used for the fee tier, the volume
+   *                                      traded by the account is added to it
+   */
+  constructor(market, options = {}) {
+    this.__market = market;
+    this.__startBalances = options.balances || BALANCES;
+    this.__volume = options.volume || 0;
+    this.__ready = null;
+    this.__ids = 0;
+    this.__decimals = {};
+    this.__balances = {};
+    this.__orders = {};
+    this.__trades = {};
+    this.__ledger = {};
+    this.__sequence = Promise.resolve();
+  }
+
+  /**
+   * Balances by asset key, as returned by Balance
+   * @return Object
+   */
+  get balances() {
+    return Object.keys(this.__balances).reduce((all, asset) => Object.assign(all, {
+      [asset]: this.format(asset, this.__balances[asset])
+    }), {});
+  }
+
+  /**
+   * Every order by txid, as returned by QueryOrders with the trades
+   * @return Object
+   */
+  get orders() {
+    return Object.keys(this.__orders).reduce((all, txid) => Object.assign(all, {
+      [txid]: this.view(txid, true)
+    }), {});
+  }
+
+  get trades() {
+    return Object.assign({}, this.__trades);
+  }
+
+  get ledger() {
+    return Object.assign({}, this.__ledger);
+  }
+
+  /**
+   * Answers a private call like Kraken does
+   * The calls run one at a time, each one first fills the open orders that the market reached
+   *
+   * @param {string} endPoint - One of PaperAccount.ENDPOINTS
+   * @param {Object} [params] - Validated params of the call
+   * @return Promise - { error: [], result } or { error: [code] }, rejects if the market
+   *                   data can't be loaded
+   */
+  handle(endPoint, params = {}) {
+    const handler = this.handlers()[endPoint];
+    if (!handler) {
+      return Promise.resolve({ error: ['EGeneral:Unknown method'] });
+    }
+
+    const result = this.__sequence
+      .then(() => this.start())
+      .then(() => this.match())
+      .then(() => handler(params))
+      .then(value => ({ error: [], result: value }), (error) => {
+        if (error.kraken) {
+          return { error: [error.message] };
+        }
+        throw error;
+      });
+    this.__sequence = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Fills the open orders that the market reached since the last call
+   *
+   * @return Promise
+   */
+  update() {
+    const result = this.__sequence.then(() => this.start()).then(() => this.match());
+    this.__sequence = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Credits the starting balances, once
+   */
+  start() {
+    if (!this.__ready) {
+      const names = Object.keys(this.__startBalances);
+      this.__ready = Promise.all(names.map(name => this.asset(name))).then((assets) => {
+        const time = this.__market.now();
+        assets.forEach((asset, index) => {
+          const amount = parseFloat(this.__startBalances[names[index]]);
+          this.credit(asset.key, amount);
+          this.addLedger({
+            refid: pad('Q', this.nextId()), time, type: 'deposit', asset: asset.key, amount, fee: 0
+          });
+        });
+      });
+      this.__ready.catch(() => {
+        this.__ready = null;
+      });
+    }
+    return this.__ready;
+  }
+
+  nextId() {
+    this.__ids += 1;
+    return this.__ids;
+  }
+
+  asset(name) {
+    return this.__market.asset(name).then((asset) => {
+      this.__decimals[asset.key] = asset.decimals;
+      return asset;
+    }, unknown('EQuery:Unknown asset'));
+  }
+
+  pair(name) {
+    return this.__market.pair(name).then(pair => Promise.all([
+      this.asset(pair.base),
+      this.asset(pair.quote)
+    ]).then(() => pair), unknown('EQuery:Unknown asset pair'));
+  }
+
+  format(asset, value) {
+    const decimals = this.__decimals[asset] !== undefined ? this.__decimals[asset] : 8;
+    return (Math.abs(value) < 1e-12 ? 0 : value).toFixed(decimals);
+  }
+
+  credit(asset, amount) {
+    this.__balances[asset] = (this.__balances[asset] || 0) + amount;
+  }
+
+  /**
+   * Balance that the open orders don't hold
+   */
+  available(asset) {
+    const held = Object.keys(this.__orders).map(txid => this.__orders[txid])
+      .filter(record => record.order.status === 'open')
+      .reduce((total, record) => {
+        const remaining = record.volume - record.volExec;
+        if (record.side === 'buy' && record.pair.quote === asset) {
+          return total + (remaining * (record.limit || record.price));
+        }
+        return record.side === 'sell' && record.pair.base === asset ? total + remaining : total;
+      }, 0);
+    return (this.__balances[asset] || 0) - held;
+  }
+
+  addLedger(entry) {
+    const id = pad('L', this.nextId());
+    this.__ledger[id] = {
+      refid: entry.refid,
+      time: entry.time,
+      type: entry.type,
+      subtype: '',
+      aclass: 'currency',
+      asset: entry.asset,
+      amount: this.format(entry.asset, entry.amount),
+      fee: this.format(entry.asset, entry.fee),
+      balance: this.format(entry.asset, this.__balances[entry.asset] || 0)
+    };
+    return id;
+  }
+
+  /**
+   * Order as Kraken returns it
+   */
+  view(txid, trades) {
+    const copy = Object.assign({}, this.__orders[txid].order);
+    if (trades) {
+      copy.trades = this.__orders[txid].trades.slice();
+    }
+    return copy;
+  }
+
+  /**
+   * Executes a volume of an order at a price, with the maker or taker fee
+   *
+   * @return Promise
+   */
+  execute(record, volume, price, maker) {
+    const { pair, order } = record;
+    /* eslint-disable no-param-reassign */
+    return this.__market.fee(pair, maker, this.__volume).then((percent) => {
+      const time = this.__market.now();
+      const cost = volume * price;
+      const fee = cost * ((percent || 0) / 100);
+      const sign = record.side === 'buy' ? 1 : -1;
+      const tradeId = pad('T', this.nextId());
+
+      this.credit(pair.base, sign * volume);
+      this.credit(pair.quote, (-sign * cost) - fee);
+      const ledgers = [
+        this.addLedger({
+          refid: tradeId, time, type: 'trade', asset: pair.base, amount: sign * volume, fee: 0
+        }),
+        this.addLedger({
+          refid: tradeId, time, type: 'trade', asset: pair.quote, amount: -sign * cost, fee
+        })
+      ];
+      if (pair.quote === pair.feeVolumeCurrency) {
+        this.__volume += cost;
+      }
+
+      this.__trades[tradeId] = {
+        ordertxid: record.txid,
+        postxid: pad('P', this.__ids),
+        pair: pair.key,
+        time,
+        type: record.side,
+        ordertype: order.descr.ordertype,
+        price: price.toFixed(pair.pairDecimals),
+        cost: cost.toFixed(costDecimals(pair)),
+        fee: fee.toFixed(costDecimals(pair)),
+        vol: volume.toFixed(pair.lotDecimals),
+        margin: '0.00000',
+        misc: '',
+        ledgers
+      };
+
+      record.volExec += volume;
+      record.cost += cost;
+      record.fee += fee;
+      record.trades.push(tradeId);
+      order.vol_exec = record.volExec.toFixed(pair.lotDecimals);
+      order.cost = record.cost.toFixed(costDecimals(pair));
+      order.fee = record.fee.toFixed(costDecimals(pair));
+      order.price = (record.cost / record.volExec).toFixed(pair.pairDecimals);
+      if (record.volume - record.volExec <= 1e-12) {
+        this.close(record, 'closed', null);
+      }
+    });
+    /* eslint-enable no-param-reassign */
+  }
+
+  close(record, status, reason) {
+    /* eslint-disable no-param-reassign */
+    record.order.status = status;
+    record.order.closetm = this.__market.now();
+    record.order.reason = reason;
+    /* eslint-enable no-param-reassign */
+  }
+
+  /**
+   * Takes the volume of an order that crosses the book, with the taker fee
+   * Market orders take the whole volume, the part beyond the book fills at its last level
+   *
+   * @return Promise
+   */
+  take(record, book) {
+    const levels = record.side === 'buy' ? book.asks : book.bids;
+    const remaining = record.volume - record.volExec;
+    const taken = sweep(levels, remaining, record.limit, record.side);
+    if (record.limit === null && taken.volume < remaining && levels.length) {
+      taken.cost += (remaining - taken.volume) * levels[levels.length - 1][0];
+      taken.volume = remaining;
+    }
+    if (taken.volume <= 1e-12) {
+      return Promise.resolve();
+    }
+    return this.execute(record, taken.volume, taken.cost / taken.volume, false);
+  }
+
+  /**
+   * Expires, triggers and fills the open orders from the current prices
+   *
+   * @return Promise
+   */
+  match() {
+    const open = Object.keys(this.__orders).map(txid => this.__orders[txid])
+      .filter(record => record.order.status === 'open');
+    if (!open.length) {
+      return Promise.resolve();
+    }
+
+    const pairs = open.map(record => record.pair)
+      .filter((pair, index, all) => all.findIndex(other => other.key === pair.key) === index);
+    // Orders of a pair the market has no price for wait for one
+    return this.__market.prices(pairs).then(prices => open
+      .filter(record => prices[record.pair.key])
+      .reduce((chain, record) =>
+        chain.then(() => this.matchOrder(record, prices[record.pair.key])), Promise.resolve()));
+  }
+
+  /**
+   * Expires, triggers or fills an open order
+   *
+   * @param {Object} record - Order
+   * @param {Object} price - { ask, bid, last } of its pair
+   * @return Promise
+   */
+  matchOrder(record, { ask, bid, last }) {
+    if (record.expiretm && this.__market.now() >= record.expiretm) {
+      this.close(record, 'expired', 'Order expired');
+      return Promise.resolve();
+    }
+
+    if (!record.triggered) {
+      const direction = (record.side === 'buy' ? 1 : -1) * TRIGGERS[record.type];
+      if ((direction > 0 && last < record.price) || (direction < 0 && last > record.price)) {
+        return Promise.resolve();
+      }
+      /* eslint-disable no-param-reassign */
+      record.triggered = true;
+      record.limit = /-limit$/.test(record.type) ? record.price2 : null;
+      /* eslint-enable no-param-reassign */
+      return this.__market.book(record.pair).then(book => this.take(record, book));
+    }
+
+    const reached = record.side === 'buy' ? ask <= record.limit : bid >= record.limit;
+    return reached
+      ? this.execute(record, record.volume - record.volExec, record.limit, true)
+      : Promise.resolve();
+  }
+
+  /**
+   * Handlers of the endpoints, params => result
+   */
+  handlers() {
+    const openOrders = params => Object.keys(this.__orders)
+      .filter(txid => this.__orders[txid].order.status === 'open')
+      .filter(txid => params.userref === undefined ||
+        String(this.__orders[txid].order.userref) === String(params.userref));
+    const orders = (txids, params) => txids.reduce((result, txid) => Object.assign(result, {
+      [txid]: this.view(txid, isTrue(params.trades))
+    }), {});
+
+    return {
+      Balance: () => this.balances,
+
+      TradeBalance: params => this.tradeBalance(params.asset || 'ZUSD'),
+
+      OpenOrders: params => ({ open: orders(openOrders(params), params) }),
+
+      ClosedOrders: (params) => {
+        const closed = Object.keys(this.__orders).reduce((all, txid) => Object.assign(all, {
+          [txid]: this.__orders[txid].order
+        }), {});
+        const entries = newestFirst(closed, order => order.status !== 'open' &&
+          (params.userref === undefined || String(order.userref) === String(params.userref)));
+        const { page, count } = pageEntries(entries, params);
+        return { closed: orders(Object.keys(page), params), count };
+      },
+
+      QueryOrders: (params) => {
+        const txids = list(params.txid);
+        if (txids.some(txid => !this.__orders[txid])) {
+          fail('EOrder:Invalid order');
+        }
+        return orders(txids, params);
+      },
+
+      TradesHistory: (params) => {
+        const { page, count } = pageEntries(newestFirst(this.__trades), params);
+        return { trades: page, count };
+      },
+
+      Ledgers: params => Promise.all(list(params.asset).map(name => this.asset(name)))
+        .then((assets) => {
+          const keys = assets.map(asset => asset.key);
+          const entries = newestFirst(this.__ledger, entry =>
+            (!keys.length || keys.indexOf(entry.asset) >= 0) &&
+            (!params.type || params.type === 'all' || entry.type === params.type));
+          const { page, count } = pageEntries(entries, params);
+          return { ledger: page, count };
+        }),
+
+      AddOrder: params => this.addOrder(params),
+
+      CancelOrder: (params) => {
+        const id = String(params.txid);
+        const canceled = openOrders({}).map(txid => this.__orders[txid]).filter(record =>
+          record.txid === id || String(record.order.userref) === id || record.clOrdId === id);
+        if (!canceled.length) {
+          fail('EOrder:Unknown order');
+        }
+        canceled.forEach(record => this.close(record, 'canceled', 'User requested'));
+        return { count: canceled.length };
+      }
+    };
+  }
+
+  /**
+   * Value of the balances in an asset at the last prices, assets without a pair to it
+   * are not counted
+   */
+  tradeBalance(name) {
+    return this.asset(name).then((target) => {
+      const assets = Object.keys(this.__balances)
+        .filter(asset => asset !== target.key && Math.abs(this.__balances[asset]) > 1e-12);
+      // Each asset is valued with its pair to the target, the direct one or the inverse
+      const pairs = assets.map(asset => this.__market.pair(`${asset}${target.key}`)
+        .then(pair => ({ asset, pair, inverse: false }), () => this.__market
+          .pair(`${target.key}${asset}`)
+          .then(pair => ({ asset, pair, inverse: true }), () => null)));
+
+      return Promise.all(pairs).then((found) => {
+        const valued = found.filter(Boolean);
+        const prices = valued.length
+          ? this.__market.prices(valued.map(entry => entry.pair))
+          : Promise.resolve({});
+        return prices.then((quotes) => {
+          const total = valued.filter(entry => quotes[entry.pair.key]).reduce((sum, entry) => {
+            const { last } = quotes[entry.pair.key];
+            const amount = this.__balances[entry.asset];
+            return sum + (entry.inverse ? amount / last : amount * last);
+          }, this.__balances[target.key] || 0);
+          const value = total.toFixed(4);
+          return {
+            eb: value, tb: value, m: '0.0000', n: '0.0000', c: '0.0000', v: '0.0000', e: value, mf: value
+          };
+        });
+      });
+    });
+  }
+
+  addOrder(params) {
+    if (ORDER_TYPES.indexOf(params.ordertype) < 0) {
+      fail(`EGeneral:Invalid arguments:ordertype ${params.ordertype} is not simulated`);
+    }
+    if (params.leverage !== undefined && String(params.leverage) !== 'none') {
+      fail('EGeneral:Invalid arguments:leverage is not simulated');
+    }
+    if (list(params.oflags).indexOf('viqc') >= 0) {
+      fail('EGeneral:Invalid arguments:viqc is not simulated');
+    }
+    ['price', 'price2'].forEach((field) => {
+      if (params[field] !== undefined && !/^\d*\.?\d+$/.test(String(params[field]))) {
+        fail(`EGeneral:Invalid arguments:${field}, relative prices are not simulated`);
+      }
+    });
+
+    return this.pair(params.pair).then(pair => Promise.all([
+      pair,
+      params.ordertype === 'market' || params.ordertype === 'limit'
+        ? this.__market.book(pair)
+        : null,
+      this.__market.fee(pair, false, this.__volume)
+    ])).then(([pair, book, fee]) => this.placeOrder(pair, book, fee, params));
+  }
+
+  placeOrder(pair, book, fee, params) {
+    const oflags = list(params.oflags);
+    const side = params.type;
+    const volume = parseFloat(params.volume);
+    const price = params.price !== undefined ? parseFloat(params.price) : null;
+    const price2 = params.price2 !== undefined ? parseFloat(params.price2) : null;
+
+    ['price', 'price2'].forEach((field) => {
+      const decimals = /^\d*\.(\d+)$/.exec(String(params[field] || ''));
+      if (decimals && decimals[1].length > pair.pairDecimals) {
+        fail(`EOrder:Invalid price:${pair.key} price can only be specified up to ${pair.pairDecimals} decimals.`);
+      }
+    });
+    if (pair.ordermin && volume < pair.ordermin) {
+      fail('EOrder:Order minimum not met');
+    }
+
+    // Cost of the volume that crosses the book now, or at the price of the order
+    const levels = (book && book[side === 'buy' ? 'asks' : 'bids']) || [];
+    const taken = sweep(levels, volume, params.ordertype === 'limit' ? price : null, side);
+    const reference = price || (taken.volume ? taken.cost / taken.volume : 0);
+    const cost = params.ordertype === 'market' ? taken.cost : volume * reference;
+    if (pair.costmin && cost < pair.costmin) {
+      fail('EOrder:Cost minimum not met');
+    }
+    const funds = side === 'buy'
+      ? this.available(pair.quote) >= cost * (1 + ((fee || 0) / 100))
+      : this.available(pair.base) >= volume;
+    if (!funds) {
+      fail('EOrder:Insufficient funds');
+    }
+
+    const limit = params.ordertype === 'limit' ? price : null;
+    const description = `${side} ${volume.toFixed(pair.lotDecimals)} ${pair.altname} @ ${params.ordertype === 'market'
+      ? 'market'
+      : `${params.ordertype} ${params.price}${price2 !== null ? ` -> limit ${params.price2}` : ''}`}`;
+    if (isTrue(params.validate)) {
+      return { descr: { order: description } };
+    }
+
+    const now = this.__market.now();
+    const expires = String(params.expiretm || '0');
+    const expiretm = expires.charAt(0) === '+' ? now + parseFloat(expires) : parseFloat(expires);
+    const txid = pad('O', this.nextId());
+    const record = {
+      txid,
+      pair,
+      side,
+      type: params.ordertype,
+      volume,
+      volExec: 0,
+      cost: 0,
+      fee: 0,
+      // Price used to hold the funds of a buy, the limit once the order is in the book
+      price: price || reference,
+      price2,
+      limit,
+      triggered: !TRIGGERS[params.ordertype],
+      expiretm: expiretm || 0,
+      clOrdId: params.cl_ord_id,
+      trades: [],
+      order: {
+        refid: null,
+        userref: params.userref !== undefined ? parseInt(params.userref, 10) : 0,
+        status: 'open',
+        opentm: now,
+        starttm: 0,
+        expiretm: expiretm || 0,
+        descr: {
+          pair: pair.altname,
+          type: side,
+          ordertype: params.ordertype,
+          price: price !== null ? String(params.price) : '0',
+          price2: price2 !== null ? String(params.price2) : '0',
+          leverage: 'none',
+          order: description,
+          close: ''
+        },
+        vol: volume.toFixed(pair.lotDecimals),
+        vol_exec: (0).toFixed(pair.lotDecimals),
+        cost: (0).toFixed(costDecimals(pair)),
+        fee: (0).toFixed(costDecimals(pair)),
+        price: (0).toFixed(pair.pairDecimals),
+        stopprice: '0.00000',
+        limitprice: '0.00000',
+        misc: '',
+        oflags: oflags.join(',')
+      }
+    };
+    if (params.cl_ord_id !== undefined) {
+      record.order.cl_ord_id = params.cl_ord_id;
+    }
+    this.__orders[txid] = record;
+
+    const answer = { descr: { order: description }, txid: [txid] };
+    if (!record.triggered) {
+      return answer;
+    }
+    if (oflags.indexOf('post') >= 0 && taken.volume > 0) {
+      this.close(record, 'canceled', 'Post only order');
+      return answer;
+    }
+    return this.take(record, book).then(() => {
+      if (params.timeinforce === 'IOC' && record.order.status === 'open') {
+        this.close(record, 'canceled', 'Immediate or cancel');
+      }
+      return answer;
+    });
+  }
+}
+
+PaperAccount.ENDPOINTS = ENDPOINTS;
+
+module.exports = PaperAccount;
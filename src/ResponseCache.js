@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+
+import SafetyPolicy from './SafetyPolicy';
+import { MemoryStore } from './helpers/cacheStores';
+import { KrakenValidationError } from './errors';
+
+/**
+ * Default time to live in ms of the results by endpoint, the other public endpoints are
+ * not kept but their identical calls in flight are still sent once
+ */
+const TTL = {
+  Assets: 3600000,
+  AssetPairs: 3600000,
+  Ticker: 1000
+};
+
+const PUBLIC = ['Time', 'Assets', 'AssetPairs', 'Ticker', 'OHLC', 'Depth', 'Trades', 'Spread'];
+
+/**
+ * Endpoints whose results are never kept, they place orders or move funds
+ */
+const NEVER = SafetyPolicy.MUTATING.concat('GetWebSocketsToken');
+
+const PREFIX = 'kraken:';
+
+/**
+ * Params in a stable order without the OTP, the same call always has the same key
+ */
+const stable = params => JSON.stringify(Object.keys(params || {}).sort()
+  .filter(name => name !== 'otp')
+  .map(name => [name, params[name]]));
+
+/**
+ * Key of a call, the keys of the private endpoints include a hash of the API key
+ *
+ * @param {string} endPoint Kraken method name
+ * @param {Object} [params] Params sent to Kraken
+ * @param {string} [apiKey] API key of the client
+ * @returns string
+ */
+const keyOf = (endPoint, params, apiKey) => {
+  const account = PUBLIC.indexOf(endPoint) < 0
+    ? `${crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)}:`
+    : '';
+  return `${PREFIX}${endPoint}:${account}${stable(params)}`;
+};
+
+/**
+ * ResponseCache keeps the results of the public calls for the TTL of their endpoint and
+ * sends the identical calls in flight once. Private endpoints are only cached when they
+ * are listed in allowPrivate, their keys include a hash of the API key of the client
+ *
+ * The results are kept as JSON text, each caller gets its own copy
+ */
+class ResponseCache {
+  /**
+   * Create a new ResponseCache, one cache can be shared by several clients
+   * @param {Object} [options]
+   * @param {Object} [options.ttl] - Time to live in ms by endpoint, merged with the defaults,
+   *                                 0 only coalesces the calls, ex: { Ticker: 2000, OHLC: 30000 }
+   * @param {Array} [options.allowPrivate] - Private endpoints that can be cached with the TTL
+   *                                         of ttl, ex: ['Balance']
+   * @param {Object} [options.store] - Store adapter { get, set, delete, clear }, a MemoryStore
+   *                                   by default
+   * @param {number} [options.maxEntries=1000] - Size of the default MemoryStore
+   * @param {Function} [options.now] - Returns the current time in ms, for the default store
+   */
+  constructor(options = {}) {
+    const allowPrivate = options.allowPrivate || [];
+    const never = allowPrivate.filter(endPoint => NEVER.indexOf(endPoint) >= 0);
+    if (never.length) {
+      throw new KrakenValidationError(`${never.join(', ')} can't be cached`, { params: options });
+    }
+    this.__ttl = Object.assign({}, TTL, options.ttl);
+    this.__allowPrivate = allowPrivate;
+    this.__store = options.store || new MemoryStore({
+      maxEntries: options.maxEntries,
+      now: options.now
+    });
+    this.__inFlight = {};
+    this.__stats = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  /**
+   * Store of the results
+   * @return Object
+   */
+  get store() {
+    return this.__store;
+  }
+
+  /**
+   * Calls answered from the store, sent, and answered by an identical call in flight
+   * @return Object - { hits, misses, coalesced }
+   */
+  get stats() {
+    return Object.assign({}, this.__stats);
+  }
+
+  /**
+   * Checks if the calls of an endpoint go through the cache
+   *
+   * @param {string} endPoint - Kraken method name
+   * @return boolean
+   */
+  handles(endPoint) {
+    return NEVER.indexOf(endPoint) < 0 &&
+      (PUBLIC.indexOf(endPoint) >= 0 || this.__allowPrivate.indexOf(endPoint) >= 0);
+  }
+
+  /**
+   * Answers a call from the store, from an identical call in flight or with load
+   *
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} params - Params sent to Kraken
+   * @param {string} apiKey - API key of the client
+   * @param {Function} load - Sends the call, returns a Promise of its result
+   * @param {Object} [options] - { shared: false when the caller can abort load, ex: with an
+   *                             AbortSignal, the identical calls don't wait for it then }
+   * @return Promise - resolves with a copy of the result
+   */
+  fetch(endPoint, params, apiKey, load, { shared = true } = {}) {
+    if (!this.handles(endPoint)) {
+      return load();
+    }
+    const key = keyOf(endPoint, params, apiKey);
+    if (this.__inFlight[key]) {
+      this.__stats.coalesced += 1;
+      return this.__inFlight[key].then(text => JSON.parse(text));
+    }
+
+    const ttl = this.__ttl[endPoint] || 0;
+    // A store that fails is a miss, the calls still go to Kraken
+    const attempt = method => (...args) => new Promise(resolve => resolve(
+      this.__store[method](...args)
+    )).catch(() => undefined);
+    const cached = ttl > 0 ? attempt('get')(key) : Promise.resolve(undefined);
+
+    const loading = cached.then((text) => {
+      if (text !== undefined && text !== null) {
+        this.__stats.hits += 1;
+        return text;
+      }
+      this.__stats.misses += 1;
+      return load().then((result) => {
+        const loaded = JSON.stringify(result);
+        return (ttl > 0 ? attempt('set')(key, loaded, ttl) : Promise.resolve()).then(() => loaded);
+      });
+    });
+    if (shared) {
+      const settled = () => {
+        delete this.__inFlight[key];
+      };
+      this.__inFlight[key] = loading;
+      loading.then(settled, settled);
+    }
+    return loading.then(text => JSON.parse(text));
+  }
+
+  /**
+   * Deletes kept results, every result without endPoint, every result of the endpoint
+   * without params, for every account with the private endpoints
+   *
+   * @param {string} [endPoint] - Kraken method name, ex: AssetPairs
+   * @param {Object} [params] - Params of the call as sent to Kraken
+   * @param {string} [apiKey] - API key of the client, for the private endpoints
+   * @return Promise
+   */
+  invalidate(endPoint, params, apiKey) {
+    return new Promise((resolve) => {
+      if (!endPoint) {
+        resolve(this.__store.clear(PREFIX));
+      } else if (!params) {
+        resolve(this.__store.clear(`${PREFIX}${endPoint}:`));
+      } else {
+        resolve(this.__store.delete(keyOf(endPoint, params, apiKey)));
+      }
+    }).then(() => undefined);
+  }
+}
+
+ResponseCache.TTL = TTL;
+ResponseCache.PUBLIC = PUBLIC;
+ResponseCache.MemoryStore = MemoryStore;
+
+module.exports = ResponseCache;
@@ -0,0 +1,291 @@
+import { KrakenPolicyError } from './errors';
+
+/**
+ * Endpoints that place orders or move funds
+ */
+const MUTATING = ['AddOrder', 'CancelOrder', 'Withdraw', 'WithdrawCancel'];
+
+/**
+ * Endpoints still allowed by the kill switch, they only reduce the exposure
+ */
+const CANCELS = ['CancelOrder', 'WithdrawCancel'];
+
+const PAIR_LIMITS = ['maxNotional', 'maxDailyVolume', 'maxPriceDeviation'];
+
+const ABSOLUTE_PRICE = /^\d*\.?\d+$/;
+
+const isAbsolute = price => price !== undefined && ABSOLUTE_PRICE.test(String(price));
+
+const list = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim());
+
+/**
+ * Allowed withdrawals of an asset, the keys or { key, address } when the address is allowed
+ */
+const destinations = value => (Array.isArray(value) ? value : [value])
+  .reduce((entries, item) => entries.concat(item !== null && typeof item === 'object'
+    ? { key: String(item.key).trim(), address: String(item.address).trim() }
+    : list(item).map(key => ({ key }))), []);
+
+/**
+ * SafetyPolicy checks the calls that place orders or move funds before they are sent
+ * Each rule that fails rejects the call with a KrakenPolicyError, the call never reaches
+ * Kraken. The price rules load the ticker of the pair and maxOpenOrders loads the open
+ * orders, only when they are configured
+ *
+ * The daily volume counts the notional of the orders placed since 00:00 UTC, filled or not
+ * Orders sent with validate only get checked by Kraken and skip the rules
+ */
+class SafetyPolicy {
+  /**
+   * Create a new SafetyPolicy, one policy can be shared by several clients
+   * @param {Object} [options]
+   * @param {boolean} [options.readOnly=false] - Rejects every call that places, cancels or
+   *                                             withdraws
+   * @param {boolean} [options.killSwitch=false] - Rejects the new orders and withdrawals,
+   *                                               the cancels are still allowed
+   * @param {number} [options.maxNotional] - Maximum volume * price of an order, in the quote
+   *                                         currency of the pair
+   * @param {number} [options.maxDailyVolume] - Maximum notional of the orders of a pair in a
+   *                                            day, in the quote currency
+   * @param {number} [options.maxPriceDeviation] - Maximum distance of the order prices from
+   *                                               the last price, ex: 0.05 for 5%
+   * @param {Object} [options.pairs] - Limits by pair, any spelling, they override the ones above
+   *                                   ex: { ETHUSD: { maxNotional: 5000, maxDailyVolume: 20000 } }
+   * @param {number} [options.maxOpenOrders] - Maximum number of open orders of the account
+   * @param {Object} [options.withdrawals] - Withdrawal keys allowed by asset, the other
+   *                                         withdrawals are rejected, ex: { XBT: ['cold wallet'] }
+   *                                         { key, address } also allows the calls giving
+   *                                         that address, ex: [{ key: 'cold', address: 'bc1q' }]
+   * @param {Function} [options.now] - Returns the current time in ms, for the daily volume
+   */
+  constructor(options = {}) {
+    this.__readOnly = Boolean(options.readOnly);
+    this.__killSwitch = Boolean(options.killSwitch);
+    this.__defaults = PAIR_LIMITS.reduce((limits, name) => (options[name] !== undefined
+      ? Object.assign(limits, { [name]: options[name] })
+      : limits), {});
+    this.__pairs = options.pairs || {};
+    this.__maxOpenOrders = options.maxOpenOrders;
+    this.__withdrawals = options.withdrawals || null;
+    this.__now = options.now || Date.now;
+    this.__day = null;
+    this.__volumes = {};
+    this.__pending = {};
+    this.__placing = 0;
+  }
+
+  /**
+   * Rejects every mutating call when true
+   * @return boolean
+   */
+  get readOnly() {
+    return this.__readOnly;
+  }
+
+  set readOnly(value) {
+    this.__readOnly = Boolean(value);
+  }
+
+  /**
+   * Rejects the new orders and the withdrawals when true
+   * @return boolean
+   */
+  get killSwitch() {
+    return this.__killSwitch;
+  }
+
+  set killSwitch(value) {
+    this.__killSwitch = Boolean(value);
+  }
+
+  /**
+   * Notional of the orders placed today by pair key
+   * @return Object - { XETHZUSD: 1500 }
+   */
+  get dailyVolumes() {
+    this.rollDay();
+    return Object.assign({}, this.__volumes);
+  }
+
+  /**
+   * Checks a call
+   *
+   * @param {Kraken} kraken - Client of the call, it loads the pairs, the ticker and its
+   *                          open orders
+   * @param {string} endPoint - Kraken method name
+   * @param {Object} params - Validated params of the call
+   * @return Promise - resolves with a ticket to pass to done once the call is over, rejects
+   *                   with a KrakenPolicyError
+   */
+  check(kraken, endPoint, params = {}) {
+    if (MUTATING.indexOf(endPoint) < 0) {
+      return Promise.resolve(null);
+    }
+    const reject = (rule, message, details = {}) => Promise.reject(new KrakenPolicyError(
+      message,
+      Object.assign({ endpoint: endPoint, params, rule }, details)
+    ));
+
+    if (this.__readOnly) {
+      return reject('readOnly', `${endPoint} is not allowed in read-only mode`);
+    }
+    if (this.__killSwitch && CANCELS.indexOf(endPoint) < 0) {
+      return reject('killSwitch', `${endPoint} is not allowed, the kill switch is on`);
+    }
+    if (endPoint === 'Withdraw') {
+      return this.checkWithdraw(kraken, params, reject);
+    }
+    if (endPoint === 'AddOrder' && params.validate !== true) {
+      return this.checkOrder(kraken, params, reject);
+    }
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Counts the order of a checked call once it is over
+   *
+   * @param {Object} ticket - Value the check resolved with
+   * @param {boolean} succeeded - Kraken accepted the call
+   */
+  done(ticket, succeeded) {
+    if (!ticket) {
+      return;
+    }
+    this.rollDay();
+    this.__placing -= 1;
+    this.__pending[ticket.pair] -= ticket.notional;
+    if (succeeded) {
+      this.__volumes[ticket.pair] = (this.__volumes[ticket.pair] || 0) + ticket.notional;
+    }
+  }
+
+  /**
+   * Withdrawal key in the allowlist of the asset, and its address when the call gives one
+   */
+  checkWithdraw(kraken, params, reject) {
+    if (!this.__withdrawals) {
+      return Promise.resolve(null);
+    }
+    const registry = kraken.registry;
+    return registry.resolveAsset(params.asset).then((asset) => {
+      const allowed = Object.keys(this.__withdrawals)
+        .filter(name => registry.asset(name) && registry.asset(name).key === asset.key)
+        .reduce((entries, name) => entries.concat(destinations(this.__withdrawals[name])), []);
+      const keys = allowed.filter(entry => entry.key === params.key);
+      if (!keys.length) {
+        return reject('withdrawals', `Withdrawal key ${params.key} is not allowed for ${asset.altname}`, {
+          limit: allowed.map(entry => entry.key),
+          value: params.key
+        });
+      }
+      // The address picks one of the addresses of the key, it must be allowed as well
+      const addresses = keys.filter(entry => entry.address).map(entry => entry.address);
+      if (params.address !== undefined && addresses.indexOf(String(params.address)) < 0) {
+        return reject('withdrawals', `Withdrawal address ${params.address} is not allowed for the key ${params.key}`, {
+          limit: addresses,
+          value: params.address
+        });
+      }
+      return null;
+    });
+  }
+
+  /**
+   * Notional, daily volume, price deviation and open orders of an order
+   */
+  checkOrder(kraken, params, reject) {
+    const registry = kraken.registry;
+    return registry.resolvePair(params.pair).then((pair) => {
+      const limits = Object.keys(this.__pairs)
+        .filter(name => registry.pair(name) && registry.pair(name).key === pair.key)
+        .reduce((merged, name) => Object.assign(merged, this.__pairs[name]), {});
+      Object.keys(this.__defaults).filter(name => limits[name] === undefined).forEach((name) => {
+        limits[name] = this.__defaults[name];
+      });
+      const needsTicker = limits.maxPriceDeviation !== undefined ||
+        ((limits.maxNotional !== undefined || limits.maxDailyVolume !== undefined) &&
+          !isAbsolute(params.price));
+
+      const ticker = needsTicker
+        ? kraken.doRequest('public', 'Ticker', { pair: pair.key }).then(result => result[pair.key])
+        : Promise.resolve(null);
+
+      return ticker.then((quote) => {
+        const last = quote ? parseFloat(quote.c[0]) : null;
+        const market = quote ? parseFloat(params.type === 'buy' ? quote.a[0] : quote.b[0]) : null;
+        const price = isAbsolute(params.price) ? parseFloat(params.price) : market;
+        const quoted = list(params.oflags || '').indexOf('viqc') >= 0;
+        // Without a limit that needs it the price of a relative or market order is unknown
+        const notional = ((quoted ? 1 : price) * parseFloat(params.volume)) || 0;
+        const rule = (name, message, value) => reject(name, message, {
+          limit: limits[name],
+          value
+        });
+
+        if (limits.maxNotional !== undefined && notional > limits.maxNotional) {
+          return rule('maxNotional', `Order notional ${notional} ${pair.quote} of ${pair.altname} exceeds the maximum ${limits.maxNotional}`, notional);
+        }
+
+        this.rollDay();
+        const volume = (this.__volumes[pair.key] || 0) + (this.__pending[pair.key] || 0) +
+          notional;
+        if (limits.maxDailyVolume !== undefined && volume > limits.maxDailyVolume) {
+          return rule('maxDailyVolume', `Daily volume ${volume} ${pair.quote} of ${pair.altname} would exceed the maximum ${limits.maxDailyVolume}`, volume);
+        }
+
+        const deviated = ['price', 'price2'].filter(field => isAbsolute(params[field]))
+          .map(field => Math.abs(parseFloat(params[field]) - last) / last)
+          .filter(deviation => deviation > limits.maxPriceDeviation);
+        if (limits.maxPriceDeviation !== undefined && deviated.length) {
+          return rule('maxPriceDeviation', `Order price is ${(deviated[0] * 100).toFixed(2)}% away from the last price ${last} of ${pair.altname}, the maximum is ${limits.maxPriceDeviation * 100}%`, deviated[0]);
+        }
+
+        // The order counts as being placed from now on, the orders checked at the same time
+        // see it, until Kraken answers or a rule below rejects it
+        const ticket = { pair: pair.key, notional };
+        const ahead = this.__placing;
+        this.__placing += 1;
+        this.__pending[pair.key] = (this.__pending[pair.key] || 0) + notional;
+        return this.checkOpenOrders(kraken, ahead, reject).then(() => ticket, (error) => {
+          this.done(ticket, false);
+          throw error;
+        });
+      });
+    });
+  }
+
+  /**
+   * Open orders of the account plus the orders being placed before this one
+   */
+  checkOpenOrders(kraken, ahead, reject) {
+    if (this.__maxOpenOrders === undefined) {
+      return Promise.resolve();
+    }
+    return kraken.doRequest('private', 'OpenOrders', {}).then(({ open }) => {
+      const count = Object.keys(open || {}).length + ahead;
+      if (count >= this.__maxOpenOrders) {
+        return reject('maxOpenOrders', `${count} orders are open, the maximum is ${this.__maxOpenOrders}`, {
+          limit: this.__maxOpenOrders,
+          value: count + 1
+        });
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Resets the daily volumes at 00:00 UTC
+   */
+  rollDay() {
+    const day = new Date(this.__now()).toISOString().slice(0, 10);
+    if (day !== this.__day) {
+      this.__day = day;
+      this.__volumes = {};
+    }
+  }
+}
+
+SafetyPolicy.MUTATING = MUTATING;
+
+module.exports = SafetyPolicy;
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Node runs the binary as it is, the entry is CommonJS and compiles the ES modules of the
+// package on the fly, even when the package is installed in node_modules
+const path = require('path');
+
+const sources = path.join(__dirname, '..');
+
+require('babel-register')({
+  only: filename => filename.indexOf(sources) === 0
+});
+require('babel-polyfill');
+
+const run = require('../cli').default;
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,374 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import Kraken from './Kraken';
+import { KrakenValidationError } from './errors';
+import { SCHEMAS } from './helpers/schema';
+
+/**
+ * Commands of the kraken CLI, one per method of Kraken
+ * words = the words of the command, args = params taken from the positional arguments in
+ * order, endPoint = schema used to convert the flags, types = conversions of the params
+ * that are not in the schema
+ */
+const COMMANDS = [
+  { words: ['time'], method: 'getTime', endPoint: 'Time' },
+  { words: ['assets'], method: 'getAssetInfo', endPoint: 'Assets', args: ['asset'] },
+  { words: ['pairs'], method: 'getTradableAssetPairs', endPoint: 'AssetPairs', args: ['pair'] },
+  { words: ['ticker'], method: 'getTickerInformation', endPoint: 'Ticker', args: ['pair'] },
+  { words: ['ohlc'], method: 'getOHLC', endPoint: 'OHLC', args: ['pair'] },
+  { words: ['book'], method: 'getOrderBook', endPoint: 'Depth', args: ['pair'] },
+  { words: ['trades'], method: 'getTrades', endPoint: 'Trades', args: ['pair'] },
+  { words: ['spread'], method: 'getSpread', endPoint: 'Spread', args: ['pair'] },
+  {
+    words: ['candles'],
+    method: 'getCandles',
+    args: ['pair'],
+    types: { interval: 'number', volume: 'number', ticks: 'number', since: 'number', until: 'number', fill: 'boolean' }
+  },
+  { words: ['balance'], method: 'getBalance', endPoint: 'Balance' },
+  { words: ['trade-balance'], method: 'getTradeBalance', endPoint: 'TradeBalance' },
+  { words: ['order', 'open'], method: 'getOpenOrders', endPoint: 'OpenOrders' },
+  { words: ['order', 'closed'], method: 'getClosedOrders', endPoint: 'ClosedOrders' },
+  { words: ['order', 'query'], method: 'getQueryOrders', endPoint: 'QueryOrders', args: ['txid'] },
+  {
+    words: ['order', 'add'],
+    method: 'setAddOrder',
+    endPoint: 'AddOrder',
+    args: ['pair', 'type', 'ordertype', 'volume']
+  },
+  { words: ['order', 'cancel'], method: 'setCancelOrder', endPoint: 'CancelOrder', args: ['txid'] },
+  { words: ['trade', 'history'], method: 'getTradesHistory', endPoint: 'TradesHistory' },
+  { words: ['trade', 'query'], method: 'getQueryTrades', endPoint: 'QueryTrades', args: ['txid'] },
+  { words: ['positions'], method: 'getOpenPositions', endPoint: 'OpenPositions' },
+  { words: ['ledger', 'list'], method: 'getLedgers', endPoint: 'Ledgers' },
+  { words: ['ledger', 'query'], method: 'getQueryLedgers', endPoint: 'QueryLedgers', args: ['id'] },
+  { words: ['volume'], method: 'getTradeVolume', endPoint: 'TradeVolume', args: ['pair'] },
+  { words: ['deposit', 'methods'], method: 'getDepositMethods', endPoint: 'DepositMethods', args: ['asset'] },
+  {
+    words: ['deposit', 'addresses'],
+    method: 'getDepositAddresses',
+    endPoint: 'DepositAddresses',
+    args: ['asset', 'method']
+  },
+  {
+    words: ['deposit', 'status'],
+    method: 'getDepositStatus',
+    endPoint: 'DepositStatus',
+    args: ['asset', 'method']
+  },
+  {
+    words: ['withdraw', 'info'],
+    method: 'getWithdrawInfo',
+    endPoint: 'WithdrawInfo',
+    args: ['asset', 'key', 'amount']
+  },
+  {
+    words: ['withdraw', 'send'],
+    method: 'setWithdraw',
+    endPoint: 'Withdraw',
+    args: ['asset', 'key', 'amount']
+  },
+  { words: ['withdraw', 'status'], method: 'getWithdrawStatus', endPoint: 'WithdrawStatus', args: ['asset'] },
+  {
+    words: ['withdraw', 'cancel'],
+    method: 'setWithdrawCancel',
+    endPoint: 'WithdrawCancel',
+    args: ['asset', 'refid']
+  },
+  { words: ['ws-token'], method: 'getWebSocketsToken', endPoint: 'GetWebSocketsToken' }
+];
+
+const FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Methods that return named models with normalize, used for the tables and CSV
+ */
+const NORMALIZED = ['getTickerInformation', 'getOHLC', 'getTrades', 'getSpread'];
+
+/**
+ * Flags of the CLI itself, they are not sent to Kraken
+ */
+const GLOBAL_FLAGS = ['format', 'profile', 'config', 'yes', 'help'];
+
+/**
+ * Flags without a value, the boolean params of every endpoint
+ */
+const BOOLEAN_FLAGS = Object.keys(SCHEMAS).reduce((flags, endPoint) => flags.concat(
+  Object.keys(SCHEMAS[endPoint].fields)
+    .filter(name => SCHEMAS[endPoint].fields[name].type === 'boolean')
+), ['yes', 'help', 'fill']);
+
+const ALIASES = { '-y': '--yes', '-h': '--help' };
+
+/**
+ * { positional: [...], flags: { name: value } } of the arguments
+ * --name value, --name=value and the boolean flags --name
+ *
+ * @param {Array} argv Arguments after the binary
+ * @returns Object
+ */
+const parseArgs = (argv) => {
+  const positional = [];
+  const flags = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = ALIASES[argv[index]] || argv[index];
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+    if (arg === '--') {
+      positional.push(...argv.slice(index + 1));
+      break;
+    } else if (!match) {
+      positional.push(arg);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (BOOLEAN_FLAGS.indexOf(match[1]) >= 0 || index + 1 >= argv.length ||
+      /^--/.test(argv[index + 1])) {
+      flags[match[1]] = true;
+    } else {
+      flags[match[1]] = argv[index + 1];
+      index += 1;
+    }
+  }
+  return { positional, flags };
+};
+
+/**
+ * Command of the positional arguments, the longest match
+ *
+ * @param {Array} positional
+ * @returns Object { command, rest } or null
+ */
+const findCommand = positional => COMMANDS
+  .filter(command => command.words.every((word, index) => positional[index] === word))
+  .sort((a, b) => b.words.length - a.words.length)
+  .map(command => ({ command, rest: positional.slice(command.words.length) }))[0] || null;
+
+const convert = (type, value) => {
+  if (type === 'boolean') {
+    return value === true || value === 'true';
+  }
+  if (type === 'integer' && /^-?\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (type === 'number' && /^-?\d*\.?\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Params of the method from the positional arguments and the flags, converted to the
+ * types of the schema of the endpoint
+ */
+const toParams = (command, rest, flags) => {
+  const args = command.args || [];
+  if (rest.length > args.length) {
+    const extra = rest.slice(args.length).join(' ');
+    throw new KrakenValidationError(`Too many arguments for ${command.words.join(' ')}: ${extra}`, { params: { args: rest } });
+  }
+  const fields = command.endPoint ? SCHEMAS[command.endPoint].fields : {};
+  const values = Object.assign({}, flags);
+  GLOBAL_FLAGS.forEach(name => delete values[name]);
+  rest.forEach((value, index) => {
+    values[args[index]] = value;
+  });
+
+  return Object.keys(values).reduce((params, name) => {
+    const type = (command.types && command.types[name]) || (fields[name] && fields[name].type);
+    return Object.assign(params, { [name]: convert(type, values[name]) });
+  }, {});
+};
+
+/**
+ * Profile of the config file, ex: ~/.kraken/config.json =
+ * { "default": { "apiKey": "...", "apiSecret": "...", "otp": "...", "tier": "pro" } }
+ * The other fields of a profile are options of the Kraken constructor
+ */
+const readProfile = (flags, env) => {
+  const file = flags.config || env.KRAKEN_CONFIG || path.join(os.homedir(), '.kraken', 'config.json');
+  const name = flags.profile || env.KRAKEN_PROFILE || 'default';
+  const profiles = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  if (!profiles[name] && (flags.profile || env.KRAKEN_PROFILE)) {
+    throw new KrakenValidationError(`Unknown profile ${name} in ${file}`, { params: { profile: name } });
+  }
+  return profiles[name] || {};
+};
+
+/**
+ * Client of the credentials, the KRAKEN_API_KEY, KRAKEN_API_SECRET and KRAKEN_OTP
+ * environment variables take precedence over the profile
+ */
+const createClient = (flags, env) => {
+  const profile = readProfile(flags, env);
+  const options = Object.assign({}, profile);
+  ['apiKey', 'apiSecret', 'otp'].forEach(name => delete options[name]);
+  const otp = env.KRAKEN_OTP || profile.otp;
+  if (otp) {
+    options.apiOTP = otp;
+  }
+  return new Kraken(
+    env.KRAKEN_API_KEY || profile.apiKey || null,
+    env.KRAKEN_API_SECRET || profile.apiSecret || null,
+    options
+  );
+};
+
+/**
+ * Flat { column: value } of an entry, nested fields are joined with dots
+ */
+const flatten = (value, prefix = '', row = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, row));
+  } else {
+    // eslint-disable-next-line no-param-reassign
+    row[prefix || 'value'] = Array.isArray(value) ? value.join(',') : value;
+  }
+  return row;
+};
+
+const isObject = value => value !== null && typeof value === 'object';
+
+/**
+ * Rows of a result: the entries of its list, or of the object keyed by id
+ * A result with one list and counters, ex: { open: { ... } } or { XETHZUSD: [...], last },
+ * gives the rows of the list
+ *
+ * @param {*} result
+ * @returns Array [{ column: value }]
+ */
+const toRows = (result) => {
+  if (!isObject(result)) {
+    return [{ value: result }];
+  }
+  if (Array.isArray(result)) {
+    return result.map((entry) => {
+      if (Array.isArray(entry)) {
+        return entry.reduce((row, value, index) => Object.assign(row, { [index]: value }), {});
+      }
+      return isObject(entry) ? flatten(entry) : { value: entry };
+    });
+  }
+  const keys = Object.keys(result);
+  const lists = keys.filter(key => isObject(result[key]));
+  const collection = value => Array.isArray(value) ||
+    Object.keys(value).every(key => isObject(value[key]));
+  if (lists.length === 1 && (keys.length > 1 || collection(result[lists[0]]))) {
+    return toRows(result[lists[0]]);
+  }
+  if (keys.length && lists.length === keys.length) {
+    return keys.map(key => Object.assign({ id: key }, flatten(result[key])));
+  }
+  return keys.map(key => ({
+    name: key,
+    value: isObject(result[key]) ? JSON.stringify(result[key]) : result[key]
+  }));
+};
+
+const columnsOf = rows => rows.reduce((columns, row) => columns
+  .concat(Object.keys(row).filter(column => columns.indexOf(column) < 0)), []);
+
+const text = value => (value === undefined || value === null ? '' : String(value));
+
+const csvValue = (value) => {
+  const string = text(value);
+  return /[",\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+};
+
+/**
+ * Result printed as a table, JSON or CSV
+ *
+ * @param {*} result
+ * @param {string} format table, json or csv
+ * @returns string
+ */
+const formatResult = (result, format) => {
+  if (format === 'json') {
+    return `${JSON.stringify(result, null, 2)}\n`;
+  }
+  const rows = toRows(result);
+  const columns = columnsOf(rows);
+  if (!rows.length) {
+    return '';
+  }
+  if (format === 'csv') {
+    return `${[columns].concat(rows.map(row => columns.map(column => row[column])))
+      .map(values => values.map(csvValue).join(',')).join('\n')}\n`;
+  }
+  const widths = columns.map(column => rows.reduce(
+    (width, row) => Math.max(width, text(row[column]).length),
+    column.length
+  ));
+  const line = values => values.map((value, index) => text(value).padEnd(widths[index]))
+    .join('  ').trimRight();
+  return `${[line(columns)].concat(rows.map(row => line(columns.map(column => row[column]))))
+    .join('\n')}\n`;
+};
+
+const usage = () => [
+  'Usage: kraken <command> [arguments] [--param value ...] [--format table|json|csv]',
+  '              [--profile name] [--config file] [--yes]',
+  '',
+  'Commands:',
+  ...COMMANDS.map(command => `  ${command.words.concat((command.args || []).map(arg => `[${arg}]`)).join(' ').padEnd(40)}${command.method}`),
+  '',
+  'The params of the methods are flags, ex: kraken ohlc XBTEUR --interval 60',
+  'The credentials are read from KRAKEN_API_KEY, KRAKEN_API_SECRET and KRAKEN_OTP or from',
+  'a profile of ~/.kraken/config.json. Commands that send orders or move funds need --yes.',
+  ''
+].join('\n');
+
+/**
+ * Runs a command line
+ *
+ * @param {Array} argv - Arguments after the binary, ex: ['ticker', 'ETHUSD']
+ * @param {Object} [io] - { env, stdout, stderr, createClient: (flags, env) => Kraken }
+ * @return Promise - exit code, 0 on success, 1 when the call failed, 2 for invalid arguments
+ *                   or params, nothing was sent
+ */
+const run = (argv, io = {}) => {
+  const env = io.env || process.env;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const fail = (error) => {
+    stderr.write(`${error.message}\n`);
+    return error instanceof KrakenValidationError ? 2 : 1;
+  };
+
+  return new Promise((resolve) => {
+    const { positional, flags } = parseArgs(argv);
+    const found = findCommand(positional);
+    if (flags.help || !found) {
+      (found || flags.help ? stdout : stderr).write(usage());
+      resolve(found || flags.help ? 0 : 2);
+      return;
+    }
+
+    const { command, rest } = found;
+    const format = flags.format || 'table';
+    if (FORMATS.indexOf(format) < 0) {
+      throw new KrakenValidationError(`Format must be one of ${FORMATS.join(', ')}`, { params: { format } });
+    }
+    const params = toParams(command, rest, flags);
+    if (format !== 'json' && NORMALIZED.indexOf(command.method) >= 0 && !('normalize' in params)) {
+      params.normalize = true;
+    }
+    // A validated order is only checked by Kraken, validate is sent as is by the other calls
+    const checkOnly = command.endPoint === 'AddOrder' && params.validate === true;
+    if (/^set/.test(command.method) && flags.yes !== true && !checkOnly) {
+      throw new KrakenValidationError(`${command.method} sends orders or moves funds, add --yes to run it with ${JSON.stringify(params)}`, { endpoint: command.endPoint, params });
+    }
+
+    const kraken = (io.createClient || createClient)(flags, env);
+    const call = Object.keys(params).length
+      ? kraken[command.method](params)
+      : kraken[command.method]();
+    resolve(call.then((result) => {
+      stdout.write(formatResult(result, format));
+      return 0;
+    }));
+  }).catch(fail);
+};
+
+export { COMMANDS, parseArgs, formatResult, toRows };
+export default run;
@@ -0,0 +1,218 @@
+/**
+ * Kraken error codes that mean the key, signature, nonce or permissions are wrong
+ */
+const AUTH_ERRORS = [
+  'EAPI:Invalid key',
+  'EAPI:Invalid signature',
+  'EAPI:Invalid nonce',
+  'EAPI:Bad request',
+  'EGeneral:Permission denied',
+  'EGeneral:Invalid OTP'
+];
+
+/**
+ * Kraken error codes that mean too many calls were made
+ */
+const RATE_LIMIT_ERRORS = [
+  'EAPI:Rate limit exceeded',
+  'EOrder:Rate limit exceeded',
+  'EGeneral:Temporary lockout'
+];
+
+/**
+ * Parses a Kraken error string with the format <severity><category>:<message>
+ * ex: EOrder:Insufficient funds =
+ *     { severity: 'E', category: 'Order', message: 'Insufficient funds' }
+ *
+ * @param {String} error Kraken error string
+ * @returns Object { code, severity, category, message }
+ */
+const parseError = (error) => {
+  const match = /^([EW])([^:]+):(.*)$/.exec(error);
+  if (!match) {
+    return { code: null, severity: null, category: null, message: error };
+  }
+  return {
+    code: error,
+    severity: match[1],
+    category: match[2],
+    message: match[3]
+  };
+};
+
+/**
+ * Base class of every error rejected by the wrapper
+ * Babel does not support extending Error so the prototype is set by hand
+ * in every constructor, otherwise instanceof does not work
+ */
+class KrakenError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - { endpoint: Kraken method name, params: params of the call,
+   *                               response: raw response }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    Object.setPrototypeOf(this, KrakenError.prototype);
+    this.name = 'KrakenError';
+    this.message = message;
+    this.endpoint = details.endpoint || null;
+    this.params = details.params || null;
+    this.response = details.response || null;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+}
+
+/**
+ * The params of a call are not valid, the request was not sent
+ */
+class KrakenValidationError extends KrakenError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as KrakenError plus errors: list of every violation
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, KrakenValidationError.prototype);
+    this.name = 'KrakenValidationError';
+    this.errors = details.errors || [message];
+  }
+}
+
+/**
+ * A rule of the SafetyPolicy of the client rejected the call, the request was not sent
+ */
+class KrakenPolicyError extends KrakenValidationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as KrakenValidationError plus rule: name of the rule,
+   *                             limit: value of the rule, value: value of the call
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, KrakenPolicyError.prototype);
+    this.name = 'KrakenPolicyError';
+    this.rule = details.rule || null;
+    this.limit = details.limit !== undefined ? details.limit : null;
+    this.value = details.value !== undefined ? details.value : null;
+  }
+}
+
+/**
+ * Kraken answered with an error in the response body
+ */
+class KrakenApiError extends KrakenError {
+  /**
+   * @param {Array} errors - Kraken error strings, ex: ['EOrder:Insufficient funds']
+   * @param {Object} [details] - Same as KrakenError
+   */
+  constructor(errors, details = {}) {
+    const list = Array.isArray(errors) ? errors : [errors];
+    super(list.join(', '), details);
+    Object.setPrototypeOf(this, KrakenApiError.prototype);
+    this.name = 'KrakenApiError';
+    this.errors = list.map(parseError);
+
+    const [first] = this.errors;
+    this.code = first.code;
+    this.severity = first.severity;
+    this.category = first.category;
+    this.reason = first.message;
+  }
+}
+
+/**
+ * The credentials are missing or Kraken rejected the key, signature, nonce or permissions
+ */
+class KrakenAuthError extends KrakenApiError {
+  constructor(errors, details = {}) {
+    super(errors, details);
+    Object.setPrototypeOf(this, KrakenAuthError.prototype);
+    this.name = 'KrakenAuthError';
+  }
+}
+
+/**
+ * Kraken rejected the call because the rate limit was exceeded
+ */
+class KrakenRateLimitError extends KrakenApiError {
+  constructor(errors, details = {}) {
+    super(errors, details);
+    Object.setPrototypeOf(this, KrakenRateLimitError.prototype);
+    this.name = 'KrakenRateLimitError';
+  }
+}
+
+/**
+ * The request failed before getting a valid response: socket errors, timeouts,
+ * HTTP errors or a body that is not JSON
+ */
+class KrakenNetworkError extends KrakenError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Same as KrakenError plus code: system error code,
+   *                             statusCode: HTTP status code, cause: original error
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, KrakenNetworkError.prototype);
+    this.name = 'KrakenNetworkError';
+    this.code = details.code || null;
+    this.statusCode = details.statusCode || null;
+    this.cause = details.cause || null;
+  }
+}
+
+/**
+ * Creates the error that matches a list of Kraken error strings
+ *
+ * @param {Array} errors Kraken error strings
+ * @param {Object} [details] { endpoint, params, response }
+ * @returns KrakenApiError
+ */
+const createApiError = (errors, details = {}) => {
+  const list = Array.isArray(errors) ? errors : [errors];
+  const matches = codes => list.some(error => codes.some(code => error.indexOf(code) === 0));
+
+  if (matches(RATE_LIMIT_ERRORS)) {
+    return new KrakenRateLimitError(list, details);
+  }
+  if (matches(AUTH_ERRORS)) {
+    return new KrakenAuthError(list, details);
+  }
+  return new KrakenApiError(list, details);
+};
+
+/**
+ * Wraps an error thrown by the transport in a KrakenNetworkError
+ *
+ * @param {Error} error Original error
+ * @param {Object} [details] { endpoint, params }
+ * @returns KrakenError
+ */
+const createNetworkError = (error, details = {}) => {
+  if (error instanceof KrakenError) {
+    return error;
+  }
+  return new KrakenNetworkError(error.message, Object.assign({}, details, {
+    code: error.code,
+    statusCode: error.statusCode,
+    response: error.body,
+    cause: error
+  }));
+};
+
+export {
+  KrakenError,
+  KrakenValidationError,
+  KrakenPolicyError,
+  KrakenApiError,
+  KrakenAuthError,
+  KrakenRateLimitError,
+  KrakenNetworkError,
+  parseError,
+  createApiError,
+  createNetworkError
+};
@@ -0,0 +1,72 @@
+/**
+ * Stores of the ResponseCache, they keep the JSON text of the results by key
+ * A store shared by several processes, ex: Redis or memcached, only needs an adapter
+ * with these methods, each one can return a Promise or a value:
+ *  get(key) - text of the key, undefined or null when it is missing or expired
+ *  set(key, text, ttl) - keeps the text for ttl ms
+ *  delete(key)
+ *  clear(prefix) - deletes the keys that start with prefix, every key for ''
+ */
+
+/**
+ * Default maximum number of keys of the MemoryStore
+ */
+const MAX_ENTRIES = 1000;
+
+/**
+ * In memory store that drops the least recently used keys past maxEntries
+ */
+class MemoryStore {
+  /**
+   * Create a new MemoryStore
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=1000] - Maximum number of keys
+   * @param {Function} [options.now] - Returns the current time in ms
+   */
+  constructor(options = {}) {
+    this.__maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.__now = options.now || Date.now;
+    this.__entries = new Map();
+  }
+
+  /**
+   * Number of keys, expired ones included until they are read
+   * @return number
+   */
+  get size() {
+    return this.__entries.size;
+  }
+
+  get(key) {
+    const entry = this.__entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.__entries.delete(key);
+    if (entry.expires <= this.__now()) {
+      return undefined;
+    }
+    // Map keeps the insertion order, the last key is the most recently used
+    this.__entries.set(key, entry);
+    return entry.text;
+  }
+
+  set(key, text, ttl) {
+    this.__entries.delete(key);
+    this.__entries.set(key, { text, expires: this.__now() + ttl });
+    while (this.__entries.size > this.__maxEntries) {
+      this.__entries.delete(this.__entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.__entries.delete(key);
+  }
+
+  clear(prefix = '') {
+    Array.from(this.__entries.keys()).filter(key => key.indexOf(prefix) === 0)
+      .forEach(key => this.__entries.delete(key));
+  }
+}
+
+export { MAX_ENTRIES, MemoryStore };
@@ -0,0 +1,190 @@
+import { KrakenValidationError } from '../errors';
+
+/**
+ * Helpers of the candles built from trades by CandleAggregator, and resampling of
+ * candles into coarser intervals
+ * The candles have the shape of the normalised OHLC model:
+ * { time, open, high, low, close, vwap, volume, count }
+ */
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Interval in seconds, a number is in minutes like the intervals of getOHLC
+ *
+ * @param {Number|String} interval ex: 15, '3m', '2h', '1d', '30s'
+ * @returns Number
+ */
+const parseInterval = (interval) => {
+  if (typeof interval === 'number' && interval > 0) {
+    return interval * 60;
+  }
+  const match = /^(\d*\.?\d+)\s*([smhdw])$/.exec(String(interval).trim());
+  if (!match || !(parseFloat(match[1]) > 0)) {
+    const message = `Interval option must be a number of minutes or a duration like 3m, 2h, 1d, got ${interval}`;
+    throw new KrakenValidationError(message, { params: { interval } });
+  }
+  return parseFloat(match[1]) * UNITS[match[2]];
+};
+
+/**
+ * { price, volume, time } of a raw trade of getTrades or the trade channel, or of a trade model
+ *
+ * @param {Array|Object} trade
+ * @returns Object
+ */
+const toTrade = (trade) => {
+  if (Array.isArray(trade)) {
+    return {
+      price: parseFloat(trade[0]),
+      volume: parseFloat(trade[1]),
+      time: parseFloat(trade[2])
+    };
+  }
+  return { price: Number(trade.price), volume: Number(trade.volume), time: Number(trade.time) };
+};
+
+/**
+ * Candle model of a raw candle of getOHLC or of a candle model
+ *
+ * @param {Array|Object} candle
+ * @returns Object
+ */
+const toCandle = (candle) => {
+  if (Array.isArray(candle)) {
+    return {
+      time: candle[0],
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      vwap: parseFloat(candle[5]),
+      volume: parseFloat(candle[6]),
+      count: candle[7]
+    };
+  }
+  return Object.assign({}, candle);
+};
+
+/**
+ * New candle opened by a trade
+ */
+const open = (time, trade) => ({
+  time,
+  open: trade.price,
+  high: trade.price,
+  low: trade.price,
+  close: trade.price,
+  vwap: trade.price,
+  volume: trade.volume,
+  count: 1
+});
+
+/**
+ * Adds a trade to a candle, the candle is changed
+ */
+const addTrade = (candle, trade) => {
+  /* eslint-disable no-param-reassign */
+  const volume = candle.volume + trade.volume;
+  candle.vwap = volume > 0
+    ? ((candle.vwap * candle.volume) + (trade.price * trade.volume)) / volume
+    : trade.price;
+  candle.high = Math.max(candle.high, trade.price);
+  candle.low = Math.min(candle.low, trade.price);
+  candle.close = trade.price;
+  candle.volume = volume;
+  candle.count += 1;
+  /* eslint-enable no-param-reassign */
+  return candle;
+};
+
+/**
+ * Merges a candle into the candle of a coarser interval, the candle is changed
+ */
+const addCandle = (candle, other) => {
+  /* eslint-disable no-param-reassign */
+  const volume = candle.volume + other.volume;
+  candle.vwap = volume > 0
+    ? ((candle.vwap * candle.volume) + (other.vwap * other.volume)) / volume
+    : other.close;
+  candle.high = Math.max(candle.high, other.high);
+  candle.low = Math.min(candle.low, other.low);
+  candle.close = other.close;
+  candle.volume = volume;
+  candle.count += other.count;
+  /* eslint-enable no-param-reassign */
+  return candle;
+};
+
+/**
+ * Candle without trades at the close of the previous one
+ */
+const flat = (time, previous) => ({
+  time,
+  open: previous.close,
+  high: previous.close,
+  low: previous.close,
+  close: previous.close,
+  vwap: previous.close,
+  volume: 0,
+  count: 0
+});
+
+/**
+ * Checks the kind of bar: { interval }, { volume } or { ticks }
+ *
+ * @param {Object} bar
+ * @returns Object { interval: seconds } or { volume } or { ticks }
+ */
+const parseBar = (bar = {}) => {
+  const kinds = ['interval', 'volume', 'ticks'].filter(kind => bar[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new KrakenValidationError('One of the interval, volume or ticks options is required', { params: bar });
+  }
+  if (bar.interval !== undefined) {
+    return { interval: parseInterval(bar.interval), fill: Boolean(bar.fill) };
+  }
+  const size = Number(bar[kinds[0]]);
+  if (!(size > 0) || (kinds[0] === 'ticks' && !Number.isInteger(size))) {
+    throw new KrakenValidationError(`${kinds[0] === 'ticks' ? 'Ticks' : 'Volume'} option must be a positive number`, { params: bar });
+  }
+  return { [kinds[0]]: size };
+};
+
+/**
+ * Resamples candles into a coarser interval, ex: the 1 minute candles of getOHLC into 3 minutes
+ * The interval should be a multiple of the interval of the candles
+ *
+ * @param {Array|Object} candles Raw candles, candle models or a getOHLC result, raw or normalised
+ * @param {Number|String} interval Minutes or a duration like '2h'
+ * @returns Array candles
+ */
+const resample = (candles, interval) => {
+  const seconds = parseInterval(interval);
+  let rows = candles;
+  if (!Array.isArray(candles)) {
+    rows = candles.candles || candles[Object.keys(candles).find(key => key !== 'last')] || [];
+  }
+
+  return rows.map(toCandle).reduce((result, candle) => {
+    const time = Math.floor(candle.time / seconds) * seconds;
+    const current = result[result.length - 1];
+    if (current && current.time === time) {
+      addCandle(current, candle);
+    } else {
+      result.push(Object.assign({}, candle, { time }));
+    }
+    return result;
+  }, []);
+};
+
+export {
+  parseInterval,
+  parseBar,
+  toTrade,
+  toCandle,
+  open,
+  addTrade,
+  flat,
+  resample
+};
@@ -0,0 +1,31 @@
+/**
+ * CRC32 lookup table for the IEEE 802.3 polynomial
+ */
+const TABLE = (() => {
+  const table = [];
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1); // eslint-disable-line no-bitwise
+    }
+    table.push(c >>> 0); // eslint-disable-line no-bitwise
+  }
+  return table;
+})();
+
+/**
+ * Calculates the CRC32 of a string, as used by the Kraken book checksum
+ *
+ * @param {String} str Input string
+ * @returns Number Unsigned 32 bit integer
+ */
+const crc32 = (str) => {
+  let crc = 0xFFFFFFFF;
+  const buffer = Buffer.from(str);
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8); // eslint-disable-line no-bitwise
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0; // eslint-disable-line no-bitwise
+};
+
+export default crc32;
@@ -0,0 +1,53 @@
+/**
+ * Paging of the history endpoints (ClosedOrders, TradesHistory, Ledgers) for the
+ * simulated accounts, the same way Kraken pages them
+ */
+
+const PAGE_SIZE = 50;
+
+const isTime = value => /^\d+(\.\d+)?$/.test(String(value));
+
+/**
+ * Filters a list of entries, newest first, by start and end (unix time or id, exclusive)
+ * and returns the page at ofs like the Kraken history endpoints
+ *
+ * @param {Array} entries [{ id, time, value }] newest first
+ * @param {Object} params { start, end, ofs }
+ * @returns Object { page: { <id>: value }, count }
+ */
+const pageEntries = (entries, params) => {
+  const position = id => entries.findIndex(entry => entry.id === id);
+  const filtered = entries.filter((entry, index) => {
+    if (params.start !== undefined && (isTime(params.start)
+      ? entry.time <= Number(params.start) : index >= position(params.start))) {
+      return false;
+    }
+    if (params.end !== undefined && (isTime(params.end)
+      ? entry.time >= Number(params.end) : index <= position(params.end))) {
+      return false;
+    }
+    return true;
+  });
+  const ofs = parseInt(params.ofs || 0, 10);
+  const page = filtered.slice(ofs, ofs + PAGE_SIZE).reduce((all, entry) => Object.assign(all, {
+    [entry.id]: entry.value
+  }), {});
+  return { page, count: filtered.length };
+};
+
+/**
+ * Entries of an object keyed by id, newest first, for pageEntries
+ * The entries are expected in the order they were added
+ *
+ * @param {Object} entries { <id>: value }
+ * @param {Function} [filter] value => Boolean
+ * @param {Function} [view] value => value to return
+ * @returns Array [{ id, time, value }]
+ */
+const newestFirst = (entries, filter = () => true, view = value => value) => Object.keys(entries)
+  .map(id => ({ id, time: entries[id].closetm || entries[id].time, value: entries[id] }))
+  .filter(entry => filter(entry.value))
+  .map(entry => Object.assign(entry, { value: view(entry.value) }))
+  .reverse();
+
+export { PAGE_SIZE, pageEntries, newestFirst };
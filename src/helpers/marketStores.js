@@ -0,0 +1,302 @@
+import fs from 'fs';
+import path from 'path';
+
+import { KrakenValidationError } from '../errors';
+
+/**
+ * Stores of the MarketRecorder, they keep the rows of a pair and a channel with the cursor
+ * to resume from. Channels are trades, spread and ohlc-<interval>, the rows are the
+ * normalised models of getTrades, getSpread and getOHLC
+ *
+ * Interface, every method returns a Promise:
+ *  open() - creates the storage when needed
+ *  cursor(pair, channel) - saved cursor, undefined before the first rows
+ *  append(pair, channel, rows, cursor) - adds the rows and saves the cursor
+ *  query(pair, channel, { from, to }) - rows with from <= time < to, in time order
+ *  close()
+ */
+
+/**
+ * Fields of the rows by kind of channel
+ */
+const COLUMNS = {
+  trades: ['time', 'price', 'volume', 'side', 'orderType', 'misc', 'id'],
+  spread: ['time', 'bid', 'ask'],
+  ohlc: ['time', 'open', 'high', 'low', 'close', 'vwap', 'volume', 'count']
+};
+
+const TEXT_COLUMNS = ['side', 'orderType', 'misc'];
+
+const FORMATS = ['ndjson', 'csv'];
+
+/**
+ * trades, spread or ohlc
+ *
+ * @param {string} channel ex: trades, ohlc-60
+ * @returns string
+ */
+const kindOf = channel => String(channel).split('-')[0];
+
+const columnsOf = (channel) => {
+  const columns = COLUMNS[kindOf(channel)];
+  if (!columns) {
+    throw new KrakenValidationError(`Unknown channel ${channel}, use trades, spread or ohlc-<interval>`, { params: { channel } });
+  }
+  return columns;
+};
+
+const inRange = (range = {}) => row => (range.from === undefined || row.time >= range.from) &&
+  (range.to === undefined || row.time < range.to);
+
+/**
+ * Rows in time order, a candle stored twice is the last one
+ */
+const ordered = (channel, rows) => {
+  let unique = rows;
+  if (kindOf(channel) === 'ohlc') {
+    const byTime = {};
+    rows.forEach((row) => {
+      byTime[row.time] = row;
+    });
+    unique = Object.keys(byTime).map(time => byTime[time]);
+  }
+  return unique
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => (a.row.time - b.row.time) || (a.index - b.index))
+    .map(({ row }) => row);
+};
+
+const csvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvValues = (line) => {
+  const values = [''];
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted && char === '"' && line[index + 1] === '"') {
+      values[values.length - 1] += char;
+      index += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push('');
+    } else {
+      values[values.length - 1] += char;
+    }
+  }
+  return values;
+};
+
+const fromCsv = (columns, line) => {
+  const values = csvValues(line);
+  return columns.reduce((row, column, index) => {
+    const value = values[index];
+    if (value === undefined || value === '') {
+      return column === 'misc' ? Object.assign(row, { misc: '' }) : row;
+    }
+    return Object.assign(row, {
+      [column]: TEXT_COLUMNS.indexOf(column) < 0 ? Number(value) : value
+    });
+  }, {});
+};
+
+/**
+ * FileStore appends the rows to a file per pair and channel, NDJSON or CSV, and keeps the
+ * cursors in cursors.json. The cursors are written after the rows, a crash in between
+ * records a page twice and the candles recorded twice are returned once
+ */
+class FileStore {
+  /**
+   * Create a new FileStore
+   * @param {Object} options
+   * @param {string} options.dir - Directory of the files
+   * @param {string} [options.format=ndjson] - ndjson or csv
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new KrakenValidationError('Dir option is required', { params: options });
+    }
+    const format = options.format || 'ndjson';
+    if (FORMATS.indexOf(format) < 0) {
+      throw new KrakenValidationError(`Format option must be one of ${FORMATS.join(', ')}`, { params: options });
+    }
+    this.__dir = options.dir;
+    this.__format = format;
+    this.__cursors = null;
+  }
+
+  /**
+   * File of the rows of a pair and a channel
+   *
+   * @param {string} pair - Pair key
+   * @param {string} channel
+   * @return {string}
+   */
+  file(pair, channel) {
+    return path.join(this.__dir, `${pair}-${channel}.${this.__format}`);
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      if (!fs.existsSync(this.__dir)) {
+        fs.mkdirSync(this.__dir, { recursive: true });
+      }
+      const file = path.join(this.__dir, 'cursors.json');
+      this.__cursors = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+      resolve();
+    });
+  }
+
+  cursor(pair, channel) {
+    return this.ready().then(() => this.__cursors[`${pair}:${channel}`]);
+  }
+
+  append(pair, channel, rows, cursor) {
+    return this.ready().then(() => {
+      const columns = columnsOf(channel);
+      const file = this.file(pair, channel);
+      let lines = this.__format === 'csv'
+        ? rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+        : rows.map(row => JSON.stringify(row));
+      if (this.__format === 'csv' && !fs.existsSync(file)) {
+        lines = [columns.join(',')].concat(lines);
+      }
+      if (lines.length) {
+        fs.appendFileSync(file, `${lines.join('\n')}\n`);
+      }
+
+      this.__cursors[`${pair}:${channel}`] = cursor;
+      const cursors = path.join(this.__dir, 'cursors.json');
+      fs.writeFileSync(`${cursors}.tmp`, JSON.stringify(this.__cursors));
+      fs.renameSync(`${cursors}.tmp`, cursors);
+    });
+  }
+
+  query(pair, channel, range) {
+    return this.ready().then(() => {
+      const columns = columnsOf(channel);
+      const file = this.file(pair, channel);
+      if (!fs.existsSync(file)) {
+        return [];
+      }
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.length);
+      const rows = this.__format === 'csv'
+        ? lines.slice(1).map(line => fromCsv(columns, line))
+        : lines.map(line => JSON.parse(line));
+      return ordered(channel, rows.filter(inRange(range)));
+    });
+  }
+
+  close() {
+    this.__cursors = null;
+    return Promise.resolve();
+  }
+
+  ready() {
+    return this.__cursors ? Promise.resolve() : this.open();
+  }
+}
+
+/**
+ * SqliteStore keeps the rows in a table per kind of channel of a SQLite database, the rows
+ * and the cursor of an append are written in one transaction
+ * It takes an open database of better-sqlite3 or of node:sqlite, only exec and prepare
+ * with run, get and all are used
+ */
+class SqliteStore {
+  /**
+   * Create a new SqliteStore
+   * @param {Object} db - Open database, ex: new Database('market.db') of better-sqlite3
+   */
+  constructor(db) {
+    if (!db || typeof db.prepare !== 'function') {
+      throw new KrakenValidationError('SqliteStore needs an open SQLite database', { params: {} });
+    }
+    this.__db = db;
+    this.__opened = false;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      const columns = kind => COLUMNS[kind]
+        .map(column => `${column} ${TEXT_COLUMNS.indexOf(column) < 0 ? 'REAL' : 'TEXT'}`)
+        .join(', ');
+      this.__db.exec([
+        `CREATE TABLE IF NOT EXISTS trades (pair TEXT, channel TEXT, ${columns('trades')})`,
+        'CREATE INDEX IF NOT EXISTS trades_time ON trades (pair, channel, time)',
+        `CREATE TABLE IF NOT EXISTS spread (pair TEXT, channel TEXT, ${columns('spread')})`,
+        'CREATE INDEX IF NOT EXISTS spread_time ON spread (pair, channel, time)',
+        `CREATE TABLE IF NOT EXISTS ohlc (pair TEXT, channel TEXT, ${columns('ohlc')}, PRIMARY KEY (pair, channel, time))`,
+        'CREATE TABLE IF NOT EXISTS cursors (pair TEXT, channel TEXT, cursor TEXT, PRIMARY KEY (pair, channel))'
+      ].join(';\n'));
+      this.__opened = true;
+      resolve();
+    });
+  }
+
+  cursor(pair, channel) {
+    return this.ready().then(() => {
+      const row = this.__db.prepare('SELECT cursor FROM cursors WHERE pair = ? AND channel = ?')
+        .get(pair, channel);
+      return row ? JSON.parse(row.cursor) : undefined;
+    });
+  }
+
+  append(pair, channel, rows, cursor) {
+    return this.ready().then(() => {
+      const kind = kindOf(channel);
+      const columns = columnsOf(channel);
+      const places = columns.map(() => '?').join(', ');
+      const insert = this.__db.prepare(`INSERT OR REPLACE INTO ${kind} (pair, channel, ${columns.join(', ')}) VALUES (?, ?, ${places})`);
+      const save = this.__db.prepare('INSERT OR REPLACE INTO cursors (pair, channel, cursor) VALUES (?, ?, ?)');
+
+      this.__db.exec('BEGIN');
+      try {
+        rows.forEach((row) => {
+          const values = columns.map(column => (row[column] === undefined ? null : row[column]));
+          insert.run(pair, channel, ...values);
+        });
+        save.run(pair, channel, JSON.stringify(cursor));
+        this.__db.exec('COMMIT');
+      } catch (error) {
+        this.__db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  query(pair, channel, range = {}) {
+    return this.ready().then(() => {
+      const columns = columnsOf(channel);
+      const conditions = ['pair = ?', 'channel = ?'];
+      const values = [pair, channel];
+      if (range.from !== undefined) {
+        conditions.push('time >= ?');
+        values.push(range.from);
+      }
+      if (range.to !== undefined) {
+        conditions.push('time < ?');
+        values.push(range.to);
+      }
+      return this.__db.prepare(`SELECT ${columns.join(', ')} FROM ${kindOf(channel)} WHERE ${conditions.join(' AND ')} ORDER BY time, rowid`)
+        .all(...values)
+        .map(row => columns.reduce((model, column) => (row[column] === null
+          ? model
+          : Object.assign(model, { [column]: row[column] })), {}));
+    });
+  }
+
+  close() {
+    this.__opened = false;
+    return Promise.resolve();
+  }
+
+  ready() {
+    return this.__opened ? Promise.resolve() : this.open();
+  }
+}
+
+export { COLUMNS, kindOf, FileStore, SqliteStore };
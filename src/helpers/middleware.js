@@ -0,0 +1,114 @@
+/**
+ * Value of the secrets in the params and headers given to the middleware
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Params and headers that are never shown to the middleware
+ */
+const SECRETS = ['API-Key', 'API-Sign', 'otp'];
+
+/**
+ * Hooks of a middleware object
+ */
+const HOOKS = ['beforeRequest', 'afterResponse', 'onError'];
+
+/**
+ * Copy of params or headers with the secrets redacted
+ *
+ * @param {Object} values Params or headers
+ * @returns Object
+ */
+const sanitize = values => Object.keys(values || {}).reduce((sanitized, name) => {
+  const secret = SECRETS.indexOf(name) >= 0 && values[name] !== undefined;
+  return Object.assign(sanitized, { [name]: secret ? REDACTED : values[name] });
+}, {});
+
+/**
+ * Checks that middleware is a function or an object with at least one hook
+ *
+ * @param {Function|Object} middleware
+ * @returns Boolean
+ */
+const isMiddleware = middleware => typeof middleware === 'function' || Boolean(
+  middleware && typeof middleware === 'object' &&
+  HOOKS.some(hook => typeof middleware[hook] === 'function') &&
+  HOOKS.every(hook => middleware[hook] === undefined || typeof middleware[hook] === 'function')
+);
+
+/**
+ * Turns the hooks of a middleware object into a middleware function
+ * beforeRequest can resolve with a response to skip the request, afterResponse with a
+ * response that replaces it and onError with a response that recovers from the error
+ *
+ * @param {Object} hooks { beforeRequest, afterResponse, onError }
+ * @returns Function (context, next) => Promise
+ */
+const fromHooks = hooks => (context, next) => {
+  const call = (hook, fallback) => {
+    if (!hooks[hook]) {
+      return fallback();
+    }
+    return Promise.resolve(hooks[hook](context))
+      .then(value => (value === undefined ? fallback() : value));
+  };
+
+  return call('beforeRequest', () => next().then((response) => {
+    context.response = response; // eslint-disable-line no-param-reassign
+    return call('afterResponse', () => context.response);
+  }, (error) => {
+    context.error = error; // eslint-disable-line no-param-reassign
+    return call('onError', () => Promise.reject(context.error));
+  }));
+};
+
+/**
+ * Chains the middleware around a request, the first one added runs first
+ * Each middleware gets the context and next, a function that runs the rest of the
+ * chain and resolves with the response. Once next settles the context has the response
+ * or the error and the duration in ms of the rest of the chain
+ *
+ * @param {Array} middleware Functions (context, next) => Promise or hook objects
+ * @param {Object} context Context of the call
+ * @param {Function} send Function sending the request, returning a Promise
+ * @returns Promise
+ */
+const runMiddleware = (middleware, context, send) => {
+  const step = index => () => {
+    const startedAt = Date.now();
+    const settle = (response, error) => {
+      Object.assign(context, { response, error, duration: Date.now() - startedAt });
+    };
+    const current = middleware[index];
+    let running;
+    try {
+      if (index >= middleware.length) {
+        running = Promise.resolve(send(context));
+      } else {
+        const handler = typeof current === 'function' ? current : fromHooks(current);
+        running = Promise.resolve(handler(context, step(index + 1)));
+      }
+    } catch (error) {
+      running = Promise.reject(error);
+    }
+    return running.then((response) => {
+      settle(response, null);
+      return response;
+    }, (error) => {
+      settle(context.response, error);
+      throw error;
+    });
+  };
+
+  return step(0)();
+};
+
+export {
+  REDACTED,
+  SECRETS,
+  HOOKS,
+  sanitize,
+  isMiddleware
+};
+
+export default runMiddleware;
@@ -0,0 +1,235 @@
+/**
+ * Market data served by the mock Kraken server
+ * The assets and pairs are a copy of a few Kraken ones, the prices move around a
+ * fixed value with a sine so the data is the same for the same time
+ */
+
+const ASSETS = {
+  XXBT: { aclass: 'currency', altname: 'XBT', decimals: 10, display_decimals: 5, status: 'enabled' },
+  XETH: { aclass: 'currency', altname: 'ETH', decimals: 10, display_decimals: 5, status: 'enabled' },
+  XLTC: { aclass: 'currency', altname: 'LTC', decimals: 10, display_decimals: 5, status: 'enabled' },
+  XXRP: { aclass: 'currency', altname: 'XRP', decimals: 8, display_decimals: 5, status: 'enabled' },
+  ZUSD: { aclass: 'currency', altname: 'USD', decimals: 4, display_decimals: 2, status: 'enabled' },
+  ZEUR: { aclass: 'currency', altname: 'EUR', decimals: 4, display_decimals: 2, status: 'enabled' }
+};
+
+const FEES = [
+  [0, 0.26], [50000, 0.24], [100000, 0.22], [250000, 0.2], [500000, 0.18], [1000000, 0.16]
+];
+const FEES_MAKER = [
+  [0, 0.16], [50000, 0.14], [100000, 0.12], [250000, 0.1], [500000, 0.08], [1000000, 0.06]
+];
+
+const pair = (altname, wsname, base, quote, decimals, ordermin, costmin, tickSize) => ({
+  altname,
+  wsname,
+  aclass_base: 'currency',
+  base,
+  aclass_quote: 'currency',
+  quote,
+  lot: 'unit',
+  cost_decimals: ASSETS[quote].display_decimals + 3,
+  pair_decimals: decimals,
+  lot_decimals: 8,
+  lot_multiplier: 1,
+  leverage_buy: [2, 3],
+  leverage_sell: [2, 3],
+  fees: FEES,
+  fees_maker: FEES_MAKER,
+  fee_volume_currency: 'ZUSD',
+  margin_call: 80,
+  margin_stop: 40,
+  ordermin,
+  costmin,
+  tick_size: tickSize,
+  status: 'online'
+});
+
+const ASSET_PAIRS = {
+  XXBTZUSD: pair('XBTUSD', 'XBT/USD', 'XXBT', 'ZUSD', 1, '0.0001', '0.5', '0.1'),
+  XXBTZEUR: pair('XBTEUR', 'XBT/EUR', 'XXBT', 'ZEUR', 1, '0.0001', '0.5', '0.1'),
+  XETHZUSD: pair('ETHUSD', 'ETH/USD', 'XETH', 'ZUSD', 2, '0.01', '0.5', '0.01'),
+  XETHXXBT: pair('ETHXBT', 'ETH/XBT', 'XETH', 'XXBT', 5, '0.01', '0.00002', '0.00001'),
+  XLTCZUSD: pair('LTCUSD', 'LTC/USD', 'XLTC', 'ZUSD', 2, '0.05', '0.5', '0.01'),
+  XLTCXXBT: pair('LTCXBT', 'LTC/XBT', 'XLTC', 'XXBT', 6, '0.05', '0.00002', '0.000001'),
+  XXRPZUSD: pair('XRPUSD', 'XRP/USD', 'XXRP', 'ZUSD', 5, '10', '0.5', '0.00001')
+};
+
+/**
+ * Middle price of every pair
+ */
+const PRICES = {
+  XXBTZUSD: 30000,
+  XXBTZEUR: 27500,
+  XETHZUSD: 2000,
+  XETHXXBT: 0.0666,
+  XLTCZUSD: 90,
+  XLTCXXBT: 0.003,
+  XXRPZUSD: 0.5
+};
+
+/**
+ * Returns the Kraken key of a pair from its key or altname, or null
+ *
+ * @param {String} name ex: XETHZUSD or ETHUSD
+ * @returns String
+ */
+const pairKey = (name) => {
+  const upper = String(name).toUpperCase();
+  if (ASSET_PAIRS[upper]) {
+    return upper;
+  }
+  return Object.keys(ASSET_PAIRS).find(key => ASSET_PAIRS[key].altname === upper) || null;
+};
+
+/**
+ * Returns the Kraken key of an asset from its key or altname, or null
+ *
+ * @param {String} name ex: XETH or ETH
+ * @returns String
+ */
+const assetKey = (name) => {
+  const upper = String(name).toUpperCase();
+  if (ASSETS[upper]) {
+    return upper;
+  }
+  return Object.keys(ASSETS).find(key => ASSETS[key].altname === upper) || null;
+};
+
+const format = (key, value) => value.toFixed(ASSET_PAIRS[key].pair_decimals);
+
+/**
+ * Price of a pair at a unix time
+ *
+ * @param {String} key Pair key
+ * @param {Number} time Unix time in seconds
+ * @returns Number
+ */
+const priceAt = (key, time) => PRICES[key] * (1 + (0.01 * Math.sin(time / 3600)));
+
+/**
+ * { a: [price, wholeLotVolume, lotVolume], b, c, v, p, t, l, h, o } of a pair
+ */
+const ticker = (key, now) => {
+  const price = priceAt(key, now);
+  const tick = PRICES[key] * 0.0002;
+  return {
+    a: [format(key, price + tick), '1', '1.000'],
+    b: [format(key, price - tick), '2', '2.000'],
+    c: [format(key, price), '0.10000000'],
+    v: ['1250.00000000', '24500.00000000'],
+    p: [format(key, price), format(key, priceAt(key, now - 43200))],
+    t: [1200, 23500],
+    l: [format(key, PRICES[key] * 0.99), format(key, PRICES[key] * 0.99)],
+    h: [format(key, PRICES[key] * 1.01), format(key, PRICES[key] * 1.01)],
+    o: format(key, priceAt(key, now - 86400))
+  };
+};
+
+/**
+ * 720 candles of interval minutes up to now, newer than since
+ */
+const ohlc = (key, interval, since, now) => {
+  const step = interval * 60;
+  const end = Math.floor(now / step) * step;
+  const candles = [];
+  for (let time = end - (719 * step); time <= end; time += step) {
+    if (!since || time > since) {
+      const open = priceAt(key, time);
+      const close = priceAt(key, time + step);
+      candles.push([
+        time,
+        format(key, open),
+        format(key, Math.max(open, close) * 1.001),
+        format(key, Math.min(open, close) * 0.999),
+        format(key, close),
+        format(key, (open + close) / 2),
+        '12.50000000',
+        25
+      ]);
+    }
+  }
+  return { [key]: candles, last: end - step };
+};
+
+/**
+ * count asks and bids around the price
+ */
+const depth = (key, count, now) => {
+  const price = priceAt(key, now);
+  const tick = PRICES[key] * 0.0002;
+  const levels = side => Array.from({ length: count }, (value, index) => [
+    format(key, price + (side * tick * (index + 1))),
+    (1 + (index % 5)).toFixed(8),
+    now
+  ]);
+  return { [key]: { asks: levels(1), bids: levels(-1) } };
+};
+
+/**
+ * A trade every 10 seconds during the last hour, up to 1000 newer than since
+ * since is a unix time or a nanoseconds id as returned in last
+ */
+const trades = (key, since, now) => {
+  const seconds = since && Number(since) > 1e12 ? Number(since) / 1e9 : Number(since || 0);
+  const end = Math.floor(now / 10) * 10;
+  const rows = [];
+  for (let time = end - 3590; time <= end && rows.length < 1000; time += 10) {
+    if (time > seconds) {
+      rows.push([
+        format(key, priceAt(key, time)),
+        '0.25000000',
+        time,
+        time % 20 ? 'b' : 's',
+        time % 30 ? 'l' : 'm',
+        '',
+        time / 10
+      ]);
+    }
+  }
+  const last = rows.length
+    ? `${rows[rows.length - 1][2]}000000000`
+    : String(since || `${Math.floor(now)}000000000`);
+  return { [key]: rows, last };
+};
+
+/**
+ * A spread every 5 seconds during the last 5 minutes, since is inclusive
+ */
+const spread = (key, since, now) => {
+  const end = Math.floor(now / 5) * 5;
+  const tick = PRICES[key] * 0.0002;
+  const rows = [];
+  for (let time = end - 295; time <= end; time += 5) {
+    if (!since || time >= Number(since)) {
+      const price = priceAt(key, time);
+      rows.push([time, format(key, price - tick), format(key, price + tick)]);
+    }
+  }
+  return { [key]: rows, last: end };
+};
+
+/**
+ * Balances of a new mock account
+ */
+const BALANCES = {
+  ZUSD: '10000.0000',
+  ZEUR: '5000.0000',
+  XXBT: '1.0000000000',
+  XETH: '10.0000000000'
+};
+
+export {
+  ASSETS,
+  ASSET_PAIRS,
+  PRICES,
+  BALANCES,
+  pairKey,
+  assetKey,
+  priceAt,
+  ticker,
+  ohlc,
+  depth,
+  trades,
+  spread
+};
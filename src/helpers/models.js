@@ -0,0 +1,148 @@
+/**
+ * Normalised models of the market data responses
+ * Kraken answers with positional arrays and prices as strings, the models give
+ * every value a name and convert the prices and volumes with the decimal function,
+ * parseFloat by default or any constructor such as Big or Decimal for exact values
+ */
+
+const toNumber = value => parseFloat(value);
+
+/**
+ * Returns the decimal function of a normalize option
+ *
+ * @param {Boolean|Object} normalize true or { decimal: value => Number|Decimal }
+ * @returns Function - null when the responses are not normalised
+ */
+const decimalOf = (normalize) => {
+  if (!normalize) {
+    return null;
+  }
+  return typeof normalize.decimal === 'function' ? normalize.decimal : toNumber;
+};
+
+/**
+ * Splits the normalize param from the params sent to Kraken
+ *
+ * @param {Object} [params] Params of the call
+ * @param {Boolean|Object} [defaults] normalize option of the client
+ * @returns Object { params, decimal: Function or null }
+ */
+const extractNormalize = (params, defaults) => {
+  if (!params || params.normalize === undefined) {
+    return { params, decimal: decimalOf(defaults) };
+  }
+  const rest = Object.assign({}, params);
+  delete rest.normalize;
+  return { params: rest, decimal: decimalOf(params.normalize) };
+};
+
+// Keys of the response that are not pairs
+const pairsOf = result => Object.keys(result).filter(key => key !== 'last');
+
+const todayAnd24Hours = (values, convert) => ({
+  today: convert(values[0]),
+  last24Hours: convert(values[1])
+});
+
+/**
+ * { XETHZUSD: { a: ['349.28068', '1', '1.000'], b: [...], c: ['348.14094', '0.01400000'],
+ *   v: [...], p: [...], t: [421, 21937], l: [...], h: [...], o: '348.49998' } } =>
+ * { XETHZUSD: { pair: 'XETHZUSD', ask: { price: 349.28068, wholeLotVolume: 1, lotVolume: 1 },
+ *   bid, last: { price, lotVolume }, volume: { today, last24Hours }, vwap, trades, low, high,
+ *   open } }
+ */
+const ticker = (result, decimal = toNumber) => pairsOf(result).reduce((models, pair) => {
+  const raw = result[pair];
+  const level = values => ({
+    price: decimal(values[0]),
+    wholeLotVolume: parseInt(values[1], 10),
+    lotVolume: decimal(values[2])
+  });
+
+  return Object.assign(models, {
+    [pair]: {
+      pair,
+      ask: level(raw.a),
+      bid: level(raw.b),
+      last: { price: decimal(raw.c[0]), lotVolume: decimal(raw.c[1]) },
+      volume: todayAnd24Hours(raw.v, decimal),
+      vwap: todayAnd24Hours(raw.p, decimal),
+      trades: todayAnd24Hours(raw.t, value => parseInt(value, 10)),
+      low: todayAnd24Hours(raw.l, decimal),
+      high: todayAnd24Hours(raw.h, decimal),
+      open: decimal(raw.o)
+    }
+  });
+}, {});
+
+/**
+ * { XETHZUSD: [[time, open, high, low, close, vwap, volume, count], ...], last: 1498339560 } =>
+ * { pair: 'XETHZUSD', candles: [{ time, open, high, low, close, vwap, volume, count }], last }
+ */
+const ohlc = (result, decimal = toNumber) => {
+  const [pair] = pairsOf(result);
+  return {
+    pair,
+    candles: (result[pair] || []).map(candle => ({
+      time: candle[0],
+      open: decimal(candle[1]),
+      high: decimal(candle[2]),
+      low: decimal(candle[3]),
+      close: decimal(candle[4]),
+      vwap: decimal(candle[5]),
+      volume: decimal(candle[6]),
+      count: candle[7]
+    })),
+    last: result.last
+  };
+};
+
+const SIDES = { b: 'buy', s: 'sell' };
+const ORDER_TYPES = { m: 'market', l: 'limit' };
+
+/**
+ * { XETHZUSD: [[price, volume, time, b/s, m/l, misc, id], ...], last: '1498339561...' } =>
+ * { pair: 'XETHZUSD', trades: [{ price, volume, time, side: buy/sell,
+ *   orderType: market/limit, misc, id }], last }
+ * last is kept as a string, it is a nanoseconds id too big for a Number
+ */
+const trades = (result, decimal = toNumber) => {
+  const [pair] = pairsOf(result);
+  return {
+    pair,
+    trades: (result[pair] || []).map((trade) => {
+      const model = {
+        price: decimal(trade[0]),
+        volume: decimal(trade[1]),
+        time: trade[2],
+        side: SIDES[trade[3]] || trade[3],
+        orderType: ORDER_TYPES[trade[4]] || trade[4],
+        misc: trade[5]
+      };
+      if (trade[6] !== undefined) {
+        model.id = trade[6];
+      }
+      return model;
+    }),
+    last: result.last
+  };
+};
+
+/**
+ * { XETHZUSD: [[time, bid, ask], ...], last: 1498339561 } =>
+ * { pair: 'XETHZUSD', spreads: [{ time, bid, ask }], last }
+ */
+const spread = (result, decimal = toNumber) => {
+  const [pair] = pairsOf(result);
+  return {
+    pair,
+    spreads: (result[pair] || []).map(entry => ({
+      time: entry[0],
+      bid: decimal(entry[1]),
+      ask: decimal(entry[2])
+    })),
+    last: result.last
+  };
+};
+
+export { extractNormalize, ticker, ohlc, trades, spread };
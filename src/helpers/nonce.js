@@ -0,0 +1,174 @@
+import fs from 'fs';
+
+import { KrakenError, KrakenValidationError } from '../errors';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Nonce based on the clock, in microseconds as the old `new Date() * 1000`
+ * @return Number
+ */
+const clockNonce = () => Date.now() * 1000;
+
+/**
+ * FileNonceStore shares the last nonce between processes through a file,
+ * a lock file created with the exclusive flag makes the read and the write atomic
+ * Any store with the same next(minimum) method can be used instead, ex: a Redis script
+ */
+class FileNonceStore {
+  /**
+   * Create a new FileNonceStore
+   * @param {Object} options
+   * @param {string} options.path - File that keeps the last nonce, the lock is <path>.lock
+   * @param {number} [options.lockTimeout=5000] - Maximum time in ms to wait for the lock
+   * @param {number} [options.staleLock=10000] - Locks older than this are from a dead process
+   *                                             and removed
+   */
+  constructor(options = {}) {
+    if (!options.path || typeof options.path !== 'string') {
+      throw new KrakenValidationError('Nonce file path must be a string', { params: options });
+    }
+
+    this.__path = options.path;
+    this.__lockPath = `${options.path}.lock`;
+    this.__lockTimeout = options.lockTimeout || 5000;
+    this.__staleLock = options.staleLock || 10000;
+  }
+
+  /**
+   * Reserves the next nonce
+   *
+   * @param {Number} minimum The nonce must be at least this value
+   * @returns Promise - resolves with a nonce greater than the last one of every process
+   */
+  next(minimum) {
+    return this.lock().then(() => {
+      let nonce;
+      try {
+        const last = fs.existsSync(this.__path)
+          ? parseInt(fs.readFileSync(this.__path, 'utf8'), 10) || 0
+          : 0;
+        nonce = Math.max(minimum, last + 1);
+        fs.writeFileSync(this.__path, String(nonce));
+      } finally {
+        this.unlock();
+      }
+      return nonce;
+    });
+  }
+
+  lock(startedAt = Date.now()) {
+    try {
+      fs.closeSync(fs.openSync(this.__lockPath, 'wx'));
+      return Promise.resolve();
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        return Promise.reject(error);
+      }
+    }
+
+    if (this.isStale()) {
+      this.unlock();
+      return this.lock(startedAt);
+    }
+    if (Date.now() - startedAt > this.__lockTimeout) {
+      return Promise.reject(new KrakenError(`Timeout waiting for the nonce lock ${this.__lockPath}`));
+    }
+    return wait(5 + Math.floor(Math.random() * 10)).then(() => this.lock(startedAt));
+  }
+
+  isStale() {
+    try {
+      return Date.now() - fs.statSync(this.__lockPath).mtime.getTime() > this.__staleLock;
+    } catch (error) {
+      // Released while checking it
+      return false;
+    }
+  }
+
+  unlock() {
+    try {
+      fs.unlinkSync(this.__lockPath);
+    } catch (error) {
+      // Already removed as stale by another process
+    }
+  }
+}
+
+/**
+ * NonceProvider creates the nonce of each private request. The nonces are strictly
+ * increasing in the process even for calls made in the same millisecond, and across
+ * processes when they share a store
+ */
+class NonceProvider {
+  /**
+   * Create a new NonceProvider
+   * @param {Object} [options]
+   * @param {string} [options.file] - Share the nonce with other processes through this file
+   * @param {Object} [options.store] - Shared store, { next(minimum) => Promise<Number> } that
+   *                                   atomically returns a nonce greater than the last one
+   *                                   and at least minimum
+   * @param {number} [options.window=0] - Nonce window of the API key, 0 means Kraken
+   *                                      rejects nonces that arrive out of order so the
+   *                                      private calls must be sent one at a time
+   */
+  constructor(options = {}) {
+    if (options.store && typeof options.store.next !== 'function') {
+      throw new KrakenValidationError('Nonce store must have a next(minimum) method', { params: options });
+    }
+    const { window } = options;
+    if (window !== undefined && (typeof window !== 'number' || window < 0)) {
+      throw new KrakenValidationError('Nonce window must be a positive number', { params: options });
+    }
+
+    this.__store = options.store || null;
+    if (!this.__store && options.file) {
+      this.__store = new FileNonceStore({ path: options.file });
+    }
+    this.__window = window || 0;
+    this.__last = 0;
+    this.__pending = Promise.resolve();
+  }
+
+  get window() {
+    return this.__window;
+  }
+
+  /**
+   * Returns the next nonce
+   * @return Promise - Number
+   */
+  next() {
+    if (!this.__store) {
+      this.__last = Math.max(clockNonce(), this.__last + 1);
+      return Promise.resolve(this.__last);
+    }
+
+    // The calls to the store are made one by one so the process never races itself
+    const nonce = this.__pending
+      .then(() => this.__store.next(Math.max(clockNonce(), this.__last + 1)))
+      .then((value) => {
+        this.__last = Math.max(this.__last, Number(value));
+        return Number(value);
+      });
+    this.__pending = nonce.catch(() => null);
+    return nonce;
+  }
+}
+
+/**
+ * Creates the nonce provider of a client
+ *
+ * @param {Object} [nonce] A provider with a next() method or NonceProvider options, null
+ *                        is the same as no options
+ * @returns Object - provider with next() and window
+ */
+const createNonce = (nonce) => {
+  if (nonce && typeof nonce.next === 'function') {
+    return nonce;
+  }
+  return new NonceProvider(nonce || {});
+};
+
+export { NonceProvider, FileNonceStore };
+export default createNonce;
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+import { KrakenValidationError } from '../errors';
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Decodes a base32 string (RFC 4648), the format of the 2FA secrets shown by Kraken
+ * Whitespace, dashes and padding are ignored
+ *
+ * @param {String} input Base32 string, ex: GEZDGNBVGY3TQOJQ
+ * @returns Buffer
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s\-=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (let i = 0; i < clean.length; i += 1) {
+    const index = BASE32.indexOf(clean.charAt(i));
+    if (index < 0) {
+      throw new KrakenValidationError(`The OTP secret is not valid base32, unexpected character ${clean.charAt(i)}`);
+    }
+    value = (value << 5) | index; // eslint-disable-line no-bitwise
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff); // eslint-disable-line no-bitwise
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a HMAC based one time password (RFC 4226)
+ *
+ * @param {Buffer} key Shared secret
+ * @param {Number} counter Moving factor
+ * @param {Object} [options]
+ * @param {Number} [options.digits=6] Length of the code
+ * @param {String} [options.algorithm=sha1] sha1, sha256 or sha512
+ * @returns String
+ */
+const hotp = (key, counter, options = {}) => {
+  const digits = options.digits || 6;
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+
+  const digest = crypto.createHmac(options.algorithm || 'sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f; // eslint-disable-line no-bitwise
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff; // eslint-disable-line no-bitwise
+
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Generates a time based one time password (RFC 6238) like the authenticator apps do
+ *
+ * @param {String|Buffer} secret Base32 secret or the raw key
+ * @param {Object} [options]
+ * @param {Number} [options.time] Unix time in seconds, default now
+ * @param {Number} [options.step=30] Time step in seconds
+ * @param {Number} [options.digits=6] Length of the code
+ * @param {String} [options.algorithm=sha1] sha1, sha256 or sha512
+ * @returns String
+ */
+const totp = (secret, options = {}) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const time = options.time !== undefined ? options.time : Date.now() / 1000;
+  return hotp(key, Math.floor(time / (options.step || 30)), options);
+};
+
+/**
+ * Creates the function that gives the OTP of each private request
+ *
+ * @param {String|Function|Object} otp Static 2FA password, function returning the
+ *                                     password or a Promise of it, or TOTP options
+ *                                     { secret, step, digits, algorithm }
+ * @returns Function - () => Promise<String>, null when there is no OTP
+ */
+const createOTP = (otp) => {
+  if (otp === undefined || otp === null || otp === false || otp === '') {
+    return null;
+  }
+  if (typeof otp === 'function') {
+    return () => Promise.resolve().then(() => otp()).then(code => (code ? String(code) : null));
+  }
+  if (typeof otp === 'object' && otp.secret) {
+    const options = Object.assign({}, otp);
+    // Fails now instead of on every request if the secret is not valid
+    options.secret = Buffer.isBuffer(otp.secret) ? otp.secret : base32Decode(otp.secret);
+    return () => Promise.resolve(totp(options.secret, options));
+  }
+  if (typeof otp === 'string' || typeof otp === 'number') {
+    return () => Promise.resolve(String(otp));
+  }
+  throw new KrakenValidationError('OTP must be a string, a function or an object with the TOTP secret');
+};
+
+export { base32Decode, hotp, totp };
+export default createOTP;
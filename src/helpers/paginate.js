@@ -0,0 +1,241 @@
+import { TIERS, COSTS } from './rateLimiter';
+import { extractNormalize, trades, spread } from './models';
+
+/**
+ * Maximum number of entries Kraken returns in a page, a shorter page is the last one
+ */
+const PAGE_SIZES = {
+  Ledgers: 50,
+  TradesHistory: 50,
+  ClosedOrders: 50,
+  Trades: 1000,
+  Spread: Infinity
+};
+
+/**
+ * Field of the private results that holds the entries, by endpoint
+ */
+const ENTRIES = {
+  Ledgers: 'ledger',
+  TradesHistory: 'trades',
+  ClosedOrders: 'closed'
+};
+
+/**
+ * Field of the normalised public results that holds the entries, by endpoint
+ */
+const MODEL_FIELDS = {
+  Trades: 'trades',
+  Spread: 'spreads'
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Time in ms between pages when the client has no rate limiter, enough for the
+ * call counter of the starter tier to decay by the cost of the endpoint
+ *
+ * @param {string} type public or private
+ * @param {string} endPoint Kraken method name
+ * @returns Number
+ */
+const defaultInterval = (type, endPoint) => {
+  if (type === 'public') {
+    return 1000;
+  }
+  const cost = COSTS[endPoint] !== undefined ? COSTS[endPoint] : 1;
+  return Math.ceil((cost / TIERS.starter.decay) * 1000);
+};
+
+/**
+ * PageIterator is an async iterator over the entries of paged Kraken calls
+ * Pages are fetched on demand and spaced by an interval, the entries already
+ * returned by the previous page are skipped, and cursor is the position after
+ * the last returned entry so an iteration can resume where it stopped
+ */
+class PageIterator {
+  /**
+   * Create a new PageIterator
+   * @param {Function} fetchPage - cursor => Promise { entries: [{ id, value, cursor }], last }
+   *                               last = true when no page follows
+   * @param {Object} [options]
+   * @param {*} [options.cursor] - Cursor to start from
+   * @param {number} [options.interval=0] - Minimum time in ms between two pages
+   */
+  constructor(fetchPage, options = {}) {
+    this.__fetchPage = fetchPage;
+    this.__cursor = options.cursor;
+    this.__interval = options.interval || 0;
+    this.__buffer = [];
+    this.__seen = new Set();
+    this.__fetchedAt = 0;
+    this.__done = false;
+    this.__queue = Promise.resolve();
+  }
+
+  /**
+   * Position after the last returned entry, pass it as the cursor option to resume
+   * @return {*}
+   */
+  get cursor() {
+    return this.__cursor;
+  }
+
+  get done() {
+    return this.__done && !this.__buffer.length;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Returns the next entry, fetching a page when the current one is exhausted
+   * A failed page rejects and leaves the cursor untouched, calling next again retries it
+   *
+   * @return Promise - { value, done }
+   */
+  next() {
+    // for await never overlaps calls but a caller could, the pages are fetched one at a time
+    const result = this.__queue.then(() => this.shift());
+    this.__queue = result.catch(() => null);
+    return result;
+  }
+
+  /**
+   * Stops the iteration, called by for await on break
+   *
+   * @return Promise - { value: undefined, done: true }
+   */
+  return() {
+    this.__done = true;
+    this.__buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Returns every remaining entry
+   *
+   * @return Promise - Array
+   */
+  toArray() {
+    const entries = [];
+    const collect = () => this.next().then(({ value, done }) => {
+      if (done) {
+        return entries;
+      }
+      entries.push(value);
+      return collect();
+    });
+    return collect();
+  }
+
+  shift() {
+    if (this.__buffer.length) {
+      const entry = this.__buffer.shift();
+      this.__cursor = entry.cursor;
+      return { value: entry.value, done: false };
+    }
+    if (this.__done) {
+      return { value: undefined, done: true };
+    }
+    return this.fetch().then(() => this.shift());
+  }
+
+  fetch() {
+    const wait = this.__fetchedAt ? (this.__fetchedAt + this.__interval) - Date.now() : 0;
+
+    return delay(Math.max(0, wait))
+      .then(() => this.__fetchPage(this.__cursor))
+      .then(({ entries, last }) => {
+        this.__fetchedAt = Date.now();
+        // Pages overlap when entries are added while iterating or on the since boundary
+        const fresh = entries.filter(entry => !this.__seen.has(entry.id));
+        this.__seen = new Set(entries.map(entry => entry.id));
+        this.__buffer = fresh;
+        this.__done = last || !fresh.length;
+      });
+  }
+}
+
+/**
+ * Pages of Ledgers, TradesHistory and ClosedOrders, newest first
+ * Each page ends at the id of the oldest entry of the previous one, Kraken includes that
+ * entry again as end is inclusive and it is dropped as already seen. The cursor is the id
+ * of the last returned entry
+ *
+ * @param {Kraken} kraken Client
+ * @param {string} endPoint Ledgers, TradesHistory or ClosedOrders
+ * @param {Object} [params] Params of the call, start and end bound the range
+ * @param {Object} [options] { cursor, interval }
+ * @returns PageIterator
+ */
+const privatePages = (kraken, endPoint, params = {}, options = {}) => {
+  const fetchPage = cursor => kraken.doRequest('private', endPoint, Object.assign(
+    {},
+    params,
+    cursor !== undefined ? { end: cursor } : {}
+  )).then((result) => {
+    const page = (result && result[ENTRIES[endPoint]]) || {};
+    const ids = Object.keys(page);
+    return {
+      entries: ids.map(id => ({ id, value: Object.assign({ id }, page[id]), cursor: id })),
+      last: ids.length < PAGE_SIZES[endPoint]
+    };
+  });
+
+  return new PageIterator(fetchPage, {
+    cursor: options.cursor !== undefined ? options.cursor : params.end,
+    // The rate limiter of the client already paces the calls
+    interval: options.interval !== undefined || kraken.apiCounter
+      ? options.interval
+      : defaultInterval('private', endPoint)
+  });
+};
+
+/**
+ * Pages of Trades and Spread, oldest first
+ * Each page starts at the last value of the previous one, the cursor only moves
+ * once every entry of a page is returned so a resumed iteration may repeat the
+ * entries of the page it stopped in
+ *
+ * @param {Kraken} kraken Client
+ * @param {string} endPoint Trades or Spread
+ * @param {Object} params Params of the call, since starts the range
+ * @param {Object} [options] { cursor, interval }
+ * @returns PageIterator
+ */
+const publicPages = (kraken, endPoint, params = {}, options = {}) => {
+  const { params: paramsSet, decimal } = extractNormalize(params, kraken.normalize);
+  const model = endPoint === 'Trades' ? trades : spread;
+
+  const fetchPage = cursor => kraken.doRequest('public', endPoint, Object.assign(
+    {},
+    paramsSet,
+    cursor !== undefined ? { since: cursor } : {}
+  )).then((result) => {
+    const pair = Object.keys(result).find(key => key !== 'last');
+    const rows = result[pair] || [];
+    const values = decimal ? model(result, decimal)[MODEL_FIELDS[endPoint]] : rows;
+    return {
+      entries: rows.map((row, index) => ({
+        // Recent trades have an id, older trades and spreads are identified by their values
+        id: row[6] !== undefined ? String(row[6]) : row.join(':'),
+        value: values[index],
+        cursor: index === rows.length - 1 ? result.last : cursor
+      })),
+      last: rows.length < PAGE_SIZES[endPoint] || String(result.last) === String(cursor)
+    };
+  });
+
+  return new PageIterator(fetchPage, {
+    cursor: options.cursor !== undefined ? options.cursor : paramsSet.since,
+    // The rate limiter of the client already paces the calls
+    interval: options.interval !== undefined || kraken.apiCounter
+      ? options.interval
+      : defaultInterval('public', endPoint)
+  });
+};
+
+export { PAGE_SIZES, privatePages, publicPages };
+export default PageIterator;
@@ -0,0 +1,44 @@
+/**
+ * Quote currencies known to Kraken, longest first so that USDT wins over USD
+ * when splitting an altname like ETHUSDT into base and quote.
+ */
+const QUOTES = ['USDT', 'USDC', 'DAI', 'USD', 'EUR', 'GBP', 'CAD', 'JPY', 'CHF', 'AUD', 'XBT', 'ETH', 'DOT'];
+
+/**
+ * Removes any whitespace from a pair or a comma separated list of pairs,
+ * this is the normalisation every REST method applies before the request
+ *
+ * @param {String} pair Pair or comma separated pairs, ex: ETHUSD, XRPUSD
+ * @returns String
+ */
+const normalizePair = pair => pair.replace(/\s/g, '');
+
+/**
+ * Converts a pair to the BASE/QUOTE form used by the WebSocket API
+ * Accepts altnames (ETHUSD), canonical names (XETHZUSD) and wsnames (ETH/USD)
+ *
+ * @param {String} pair Asset pair
+ * @returns String
+ */
+const toWsName = (pair) => {
+  const normalized = normalizePair(pair).toUpperCase();
+
+  if (normalized.indexOf('/') >= 0) {
+    return normalized;
+  }
+
+  // Canonical names such as XETHZUSD or XXBTZEUR
+  const canonical = normalized.match(/^[XZ]([A-Z]{3})[XZ]([A-Z]{3})$/);
+  if (canonical) {
+    return `${canonical[1]}/${canonical[2]}`;
+  }
+
+  const quote = QUOTES.find(q => normalized.length > q.length && normalized.endsWith(q));
+  if (!quote) {
+    return normalized;
+  }
+
+  return `${normalized.slice(0, -quote.length)}/${quote}`;
+};
+
+export { normalizePair, toWsName };
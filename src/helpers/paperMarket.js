@@ -0,0 +1,85 @@
+/**
+ * Market of the paper account of a Kraken client: live public data of Kraken
+ * The fees are the ones of the key when it is configured, from TradeVolume, otherwise
+ * the fee schedule of AssetPairs at the volume of the paper account
+ */
+
+const toLevels = levels => (levels || []).map(([price, volume]) => [
+  parseFloat(price),
+  parseFloat(volume)
+]);
+
+/**
+ * Value of a Kraken result for one pair, the result may be keyed by another name
+ * when the client resolves the names with the registry
+ */
+const first = result => result[Object.keys(result).filter(key => key !== 'last')[0]];
+
+/**
+ * Creates the market of a paper account
+ *
+ * @param {Kraken} kraken Client used for the market data
+ * @param {Object} [options] { depth: levels of the order book used to fill the market orders,
+ *                             default 100, tradeVolume: use the fees of the key, default true
+ *                             when the client has a key }
+ * @returns Object { pair, asset, book, prices, fee, now }
+ */
+const createLiveMarket = (kraken, options = {}) => {
+  const depth = options.depth || 100;
+  const fees = {};
+
+  const scheduleFee = (pair, maker, volume) => kraken.registry.fee(pair.key, volume, maker);
+
+  const keyFee = pair => kraken.doRequest('private', 'TradeVolume', {
+    pair: pair.key,
+    'fee-info': true
+  }, { live: true }).then(result => ({
+    taker: parseFloat(first(result.fees || {}).fee),
+    maker: parseFloat(first(result.fees_maker || result.fees || {}).fee)
+  }));
+
+  return {
+    pair: name => kraken.registry.resolvePair(name),
+
+    asset: name => kraken.registry.resolveAsset(name),
+
+    book: pair => kraken.doRequest('public', 'Depth', { pair: pair.key, count: depth })
+      .then((result) => {
+        const book = first(result);
+        return { asks: toLevels(book.asks), bids: toLevels(book.bids) };
+      }),
+
+    prices: pairs => kraken.doRequest('public', 'Ticker', {
+      pair: pairs.map(pair => pair.key).join(',')
+    }).then(result => pairs.reduce((all, pair) => {
+      const ticker = result[pair.key] || first(result);
+      return Object.assign(all, {
+        [pair.key]: {
+          ask: parseFloat(ticker.a[0]),
+          bid: parseFloat(ticker.b[0]),
+          last: parseFloat(ticker.c[0])
+        }
+      });
+    }, {})),
+
+    fee: (pair, maker, volume) => {
+      if (!options.tradeVolume) {
+        return Promise.resolve(scheduleFee(pair, maker, volume));
+      }
+      // The fees of the key are asked once by pair, the schedule is used if it fails
+      if (!fees[pair.key]) {
+        fees[pair.key] = keyFee(pair).catch(() => null);
+      }
+      return fees[pair.key].then((fee) => {
+        if (!fee || isNaN(fee.taker)) {
+          return scheduleFee(pair, maker, volume);
+        }
+        return maker && !isNaN(fee.maker) ? fee.maker : fee.taker;
+      });
+    },
+
+    now: () => Date.now() / 1000
+  };
+};
+
+export default createLiveMarket;
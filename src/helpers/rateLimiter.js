@@ -0,0 +1,171 @@
+import { KrakenValidationError } from '../errors';
+
+/**
+ * Call counter limits by account verification tier
+ * max = maximum counter value, decay = counter points removed per second
+ * https://support.kraken.com/hc/en-us/articles/206548367
+ */
+const TIERS = {
+  starter: { max: 15, decay: 0.33 },
+  intermediate: { max: 20, decay: 0.5 },
+  pro: { max: 20, decay: 1 }
+};
+
+/**
+ * Counter cost of the private endpoints, the ones not listed cost 1
+ * Orders are limited by the matching engine and don't increase the counter
+ */
+const COSTS = {
+  Ledgers: 2,
+  QueryLedgers: 2,
+  TradesHistory: 2,
+  QueryTrades: 2,
+  AddOrder: 0,
+  CancelOrder: 0
+};
+
+/**
+ * RateLimiter emulates the Kraken API call counter on the client side
+ * Private calls that would exceed the counter are queued until it decays,
+ * public calls are spaced by a fixed interval
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} [options]
+   * @param {string} [options.tier=starter] - starter, intermediate or pro
+   * @param {number} [options.max] - Maximum counter, overrides the tier value
+   * @param {number} [options.decay] - Counter decrease per second, overrides the tier value
+   * @param {Object} [options.costs] - Cost by private endpoint, ex: { Ledgers: 2 }
+   * @param {number} [options.publicInterval=1000] - Minimum time in ms between public calls
+   * @param {Function} [options.now] - Returns the current time in ms
+   */
+  constructor(options = {}) {
+    const tier = TIERS[options.tier || 'starter'];
+    if (!tier) {
+      throw new KrakenValidationError(`Tier option must be one of ${Object.keys(TIERS).join(', ')}`, { params: options });
+    }
+
+    this.__max = options.max || tier.max;
+    this.__decay = options.decay || tier.decay;
+    this.__costs = Object.assign({}, COSTS, options.costs);
+    this.__publicInterval = options.publicInterval !== undefined ? options.publicInterval : 1000;
+    this.__now = options.now || Date.now;
+
+    this.__counter = 0;
+    this.__updated = this.__now();
+    this.__lastPublic = 0;
+    this.__queues = { private: [], public: [] };
+    this.__timers = { private: null, public: null };
+  }
+
+  /**
+   * Current value of the call counter
+   * @return Number
+   */
+  get counter() {
+    this.decayCounter();
+    return this.__counter;
+  }
+
+  get max() {
+    return this.__max;
+  }
+
+  /**
+   * Number of calls waiting in the queues
+   * @return Number
+   */
+  get pending() {
+    return this.__queues.private.length + this.__queues.public.length;
+  }
+
+  /**
+   * Returns the counter cost of an endpoint
+   *
+   * @param {String} type public or private
+   * @param {String} endPoint Kraken method name, ex: Ledgers
+   * @returns Number
+   */
+  cost(type, endPoint) {
+    if (type !== 'private') {
+      return 0;
+    }
+    return this.__costs[endPoint] !== undefined ? this.__costs[endPoint] : 1;
+  }
+
+  /**
+   * Runs task as soon as the limits allow it
+   *
+   * @param {String} type public or private
+   * @param {String} endPoint Kraken method name
+   * @param {Function} task Function returning a Promise
+   * @returns Promise - settles with the result of task
+   */
+  schedule(type, endPoint, task) {
+    return new Promise((resolve, reject) => {
+      const queue = type === 'private' ? 'private' : 'public';
+      this.__queues[queue].push({ cost: this.cost(type, endPoint), task, resolve, reject });
+      this.process(queue);
+    });
+  }
+
+  /**
+   * Fills the counter, used when Kraken answers that the rate limit was exceeded
+   */
+  penalize() {
+    this.decayCounter();
+    this.__counter = this.__max;
+  }
+
+  decayCounter() {
+    const now = this.__now();
+    this.__counter = Math.max(0, this.__counter - (((now - this.__updated) / 1000) * this.__decay));
+    this.__updated = now;
+  }
+
+  process(queue) {
+    if (this.__timers[queue]) {
+      return;
+    }
+
+    const waiting = this.__queues[queue];
+    while (waiting.length) {
+      const wait = queue === 'private' ? this.privateWait(waiting[0].cost) : this.publicWait();
+      if (wait > 0) {
+        this.__timers[queue] = setTimeout(() => {
+          this.__timers[queue] = null;
+          this.process(queue);
+        }, wait);
+        return;
+      }
+
+      const call = waiting.shift();
+      if (queue === 'private') {
+        this.__counter += call.cost;
+      } else {
+        this.__lastPublic = this.__now();
+      }
+
+      try {
+        call.task().then(call.resolve, call.reject);
+      } catch (error) {
+        call.reject(error);
+      }
+    }
+  }
+
+  privateWait(cost) {
+    this.decayCounter();
+    // A call costing more than the maximum waits for an empty counter, it would never fit
+    const excess = (this.__counter + Math.min(cost, this.__max)) - this.__max;
+    return excess > 0 ? Math.ceil((excess / this.__decay) * 1000) : 0;
+  }
+
+  publicWait() {
+    return Math.max(0, (this.__lastPublic + this.__publicInterval) - this.__now());
+  }
+}
+
+export { TIERS, COSTS };
+export default RateLimiter;
@@ -0,0 +1,135 @@
+/**
+ * Default retry policy
+ * attempts = maximum number of attempts, including the first one
+ * baseDelay, maxDelay = exponential backoff bounds in ms, the delay of each
+ * retry is a random value between 0 and min(maxDelay, baseDelay * 2^retry)
+ */
+const DEFAULT_POLICY = {
+  attempts: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+  jitter: true,
+  errors: ['EService:Unavailable', 'EService:Busy', 'EGeneral:Internal error'],
+  statusCodes: [500, 502, 503, 504, 520, 521, 522, 523, 524],
+  networkErrors: ['ECONNRESET', 'ETIMEDOUT', 'ECONNTIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'],
+  dedupe: false
+};
+
+/**
+ * Network errors raised before anything was sent to Kraken, retrying them is
+ * always safe even for calls that are not idempotent
+ */
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ECONNTIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Private endpoints that must not be repeated blindly
+ */
+const NON_IDEMPOTENT = ['AddOrder', 'Withdraw', 'WithdrawCancel'];
+
+/**
+ * Merges the user policy with the defaults
+ *
+ * @param {Object|Boolean} policy User policy, false disables retries
+ * @returns Object
+ */
+const createPolicy = (policy) => {
+  if (policy === false) {
+    return Object.assign({}, DEFAULT_POLICY, { attempts: 1 });
+  }
+  return Object.assign({}, DEFAULT_POLICY, policy);
+};
+
+/**
+ * Returns the Kraken error codes of a resolved response
+ *
+ * @param {Object} response Kraken response { error: [], result: {} }
+ * @returns Array
+ */
+const responseErrors = (response) => {
+  if (!response || !response.error) {
+    return [];
+  }
+  return Array.isArray(response.error) ? response.error : [response.error];
+};
+
+/**
+ * Classifies a failure, either a rejected error or a resolved response
+ *
+ * @param {Object} policy Retry policy
+ * @param {Error} [error] Rejection of the request
+ * @param {Object} [response] Resolved Kraken response
+ * @returns Object { retryable: Boolean, sent: Boolean }
+ */
+const classify = (policy, error, response) => {
+  if (error) {
+    if (error.code && policy.networkErrors.indexOf(error.code) >= 0) {
+      return { retryable: true, sent: NOT_SENT_ERRORS.indexOf(error.code) < 0 };
+    }
+    if (error.statusCode && policy.statusCodes.indexOf(error.statusCode) >= 0) {
+      return { retryable: true, sent: true };
+    }
+    return { retryable: false, sent: true };
+  }
+
+  const retryable = responseErrors(response)
+    .some(code => policy.errors.some(e => code.indexOf(e) === 0));
+  return { retryable, sent: true };
+};
+
+/**
+ * Delay before the next attempt, exponential with full jitter
+ *
+ * @param {Object} policy Retry policy
+ * @param {Number} retry Number of the retry, starting at 0
+ * @returns Number Delay in ms
+ */
+const backoff = (policy, retry) => {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * (2 ** retry));
+  return policy.jitter ? Math.floor(Math.random() * ceiling) : ceiling;
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs task until it succeeds, fails with an error that is not retryable or the
+ * attempts are exhausted. The last response is resolved, the last error rejected
+ *
+ * @param {Function} task Function returning a Promise
+ * @param {Object} policy Retry policy
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.canRetry] (classification) => Promise<Boolean|Object>, resolving
+ *                                    with an object ends the retries with it as response
+ * @returns Promise
+ */
+const retry = (task, policy, hooks = {}) => {
+  const attempt = (number) => {
+    const settle = (error, response) => {
+      const classification = classify(policy, error, response);
+      const finish = () => (error ? Promise.reject(error) : Promise.resolve(response));
+
+      if (!classification.retryable || number + 1 >= policy.attempts) {
+        return finish();
+      }
+
+      const allowed = hooks.canRetry ? hooks.canRetry(classification) : Promise.resolve(true);
+      return allowed.then((decision) => {
+        if (decision && typeof decision === 'object') {
+          return decision;
+        }
+        if (!decision) {
+          return finish();
+        }
+        return wait(backoff(policy, number)).then(() => attempt(number + 1));
+      });
+    };
+
+    return Promise.resolve()
+      .then(() => task(number))
+      .then(response => settle(null, response), error => settle(error));
+  };
+
+  return attempt(0);
+};
+
+export { DEFAULT_POLICY, NON_IDEMPOTENT, createPolicy, classify, backoff };
+export default retry;
@@ -0,0 +1,462 @@
+import { normalizePair } from './pairs';
+
+/**
+ * OHLC intervals in minutes accepted by Kraken
+ */
+const INTERVALS = [1, 5, 15, 30, 60, 240, 1440, 10080, 21600];
+
+/**
+ * Order types accepted by AddOrder
+ */
+const ORDER_TYPES = [
+  'market', 'limit', 'stop-loss', 'take-profit', 'stop-loss-profit', 'stop-loss-profit-limit',
+  'stop-loss-limit', 'take-profit-limit', 'trailing-stop', 'trailing-stop-limit',
+  'stop-loss-and-limit', 'settle-position'
+];
+
+/**
+ * Order types that need a price
+ */
+const PRICE_ORDER_TYPES = ORDER_TYPES.filter(type => ['market', 'settle-position'].indexOf(type) < 0);
+
+/**
+ * Order types that need a second price
+ */
+const PRICE2_ORDER_TYPES = [
+  'stop-loss-profit', 'stop-loss-profit-limit', 'stop-loss-limit', 'take-profit-limit',
+  'trailing-stop-limit', 'stop-loss-and-limit'
+];
+
+const ORDER_FLAGS = ['viqc', 'fcib', 'fciq', 'nompp', 'post'];
+
+/**
+ * Kraken caps the comma separated ids of the Query* endpoints
+ */
+const MAX_IDS = 20;
+
+const DECIMAL = /^\d*\.?\d+$/;
+// Prices can be relative (+, -), offsets can be a percentage and # picks the sign by the order type
+const PRICE = /^[+\-#]?\d*\.?\d+%?$/;
+const CURSOR = /^\d+(\.\d+)?$/;
+
+/**
+ * Type checks, each one receives the value of the param and returns true if valid
+ * string = any string, pair = a single pair without whitespace
+ * list = comma separated string or array of strings, sent as a comma separated string
+ * decimal = positive number or numeric string, ex: volume
+ * price = decimal with the Kraken price prefixes and suffixes, ex: +5%
+ * cursor = unix time or numeric id as returned in last, ex: since
+ * reference = unix time or transaction id, ex: start, end
+ */
+const TYPES = {
+  string: value => typeof value === 'string',
+  pair: value => typeof value === 'string',
+  list: value => typeof value === 'string' ||
+    (Array.isArray(value) && value.every(item => typeof item === 'string')),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  decimal: value => (typeof value === 'number' && isFinite(value) && value >= 0) ||
+    (typeof value === 'string' && DECIMAL.test(value)),
+  price: value => (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && PRICE.test(value)),
+  cursor: value => (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && CURSOR.test(value)),
+  reference: value => (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && value.length > 0)
+};
+
+/**
+ * Conversions of the string forms accepted before the schema, ex: trades: 'true', userref: '42'
+ * They return undefined when the string is not one of these forms
+ */
+const COERCE = {
+  boolean: value => ({ true: true, false: false })[value],
+  integer: value => (/^-?\d+$/.test(value) ? parseInt(value, 10) : undefined)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  pair: 'a string, ex: ETHUSD',
+  list: 'a comma separated string or an array of strings',
+  integer: 'an integer',
+  boolean: 'a Boolean',
+  decimal: 'a positive number or numeric string',
+  price: 'a number or a price string such as 302.5, +5 or -2%',
+  cursor: 'a unix timestamp or the last id of a previous response',
+  reference: 'a unix timestamp or a transaction id'
+};
+
+const ASSET_CLASS = { type: 'string' };
+const TRADES = { type: 'boolean', message: 'Trades option must be a Boolean, default false' };
+const USERREF = { type: 'integer' };
+const START = { type: 'reference' };
+const END = { type: 'reference' };
+const OFFSET = { type: 'integer' };
+const TXIDS = { type: 'list', required: true, max: MAX_IDS };
+
+/**
+ * Schema of the params of every endpoint
+ * fields = { <param>: { type, required, values: allowed values, max: maximum items
+ *            of a list, omit: values that are not sent, requiredIf: { <param>: [values] },
+ *            message: error message when the value is not valid } }
+ * exclusive = groups of params that can't be used together
+ * Params that are not in the schema are sent as they are
+ */
+const SCHEMAS = {
+  Time: { fields: {} },
+  Assets: {
+    fields: {
+      asset: {
+        type: 'list',
+        omit: ['all'],
+        message: 'Asset option must be a string, could be all for all assets or a comma separated values such as ETH,XRP'
+      },
+      aclass: ASSET_CLASS
+    }
+  },
+  AssetPairs: {
+    fields: {
+      // although all is in the documentation of the Kraken API this value produces an error if used
+      info: {
+        type: 'string',
+        values: ['all', 'leverage', 'fees', 'margin'],
+        omit: ['all'],
+        message: 'Option info must be a string, could be all, leverage, fees or margin'
+      },
+      pair: {
+        type: 'list',
+        omit: ['all'],
+        message: 'Pair option must be a string, could be all for all assets or a comma separated values such as ETHUSD,XRPUSD'
+      }
+    }
+  },
+  Ticker: {
+    fields: {
+      pair: {
+        type: 'list',
+        required: true,
+        omit: ['all'],
+        message: 'Pair option must be a string, could be all for all pair or a comma separated values such as ETHUSD,XRPUSD'
+      }
+    }
+  },
+  OHLC: {
+    fields: {
+      pair: { type: 'pair', required: true },
+      interval: {
+        type: 'integer',
+        values: INTERVALS,
+        message: 'Interval option must be a integer, and one of this intervals values 1 (default), 5, 15, 30, 60, 240, 1440, 10080, 21600'
+      },
+      since: { type: 'cursor', message: 'Since option must be a unix time, for example 1495864800' }
+    }
+  },
+  Depth: {
+    fields: {
+      pair: { type: 'pair', required: true },
+      count: { type: 'integer', message: 'Count option must be a integer' }
+    }
+  },
+  Trades: {
+    fields: {
+      pair: { type: 'pair', required: true },
+      since: { type: 'cursor', message: 'Since option must be a unix timestamp' }
+    }
+  },
+  Spread: {
+    fields: {
+      pair: { type: 'pair', required: true },
+      since: { type: 'cursor', message: 'Since option must be a unix timestamp' }
+    }
+  },
+  Balance: { fields: {} },
+  TradeBalance: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string' }
+    }
+  },
+  OpenOrders: {
+    fields: {
+      trades: TRADES,
+      userref: USERREF
+    }
+  },
+  ClosedOrders: {
+    fields: {
+      trades: TRADES,
+      userref: USERREF,
+      start: START,
+      end: END,
+      ofs: OFFSET,
+      closetime: { type: 'string', values: ['open', 'close', 'both'] }
+    }
+  },
+  QueryOrders: {
+    fields: {
+      trades: TRADES,
+      userref: USERREF,
+      txid: TXIDS
+    }
+  },
+  TradesHistory: {
+    fields: {
+      type: {
+        type: 'string',
+        values: ['all', 'any position', 'closed position', 'closing position', 'no position']
+      },
+      trades: TRADES,
+      start: START,
+      end: END,
+      ofs: OFFSET
+    }
+  },
+  QueryTrades: {
+    fields: {
+      txid: TXIDS,
+      trades: TRADES
+    }
+  },
+  OpenPositions: {
+    fields: {
+      txid: { type: 'list' },
+      docalcs: { type: 'boolean' }
+    }
+  },
+  Ledgers: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'list' },
+      type: { type: 'string', values: ['all', 'deposit', 'withdrawal', 'trade', 'margin'] },
+      start: START,
+      end: END,
+      ofs: OFFSET
+    }
+  },
+  QueryLedgers: {
+    fields: {
+      id: { type: 'list', required: true, max: MAX_IDS }
+    }
+  },
+  TradeVolume: {
+    fields: {
+      pair: { type: 'list' },
+      'fee-info': { type: 'boolean' }
+    }
+  },
+  AddOrder: {
+    fields: {
+      pair: { type: 'pair', required: true },
+      type: { type: 'string', required: true, values: ['buy', 'sell'] },
+      ordertype: { type: 'string', required: true, values: ORDER_TYPES },
+      price: { type: 'price', requiredIf: { ordertype: PRICE_ORDER_TYPES } },
+      price2: { type: 'price', requiredIf: { ordertype: PRICE2_ORDER_TYPES } },
+      volume: { type: 'decimal', required: true },
+      leverage: { type: 'reference' },
+      oflags: { type: 'list', values: ORDER_FLAGS },
+      timeinforce: { type: 'string', values: ['GTC', 'IOC', 'GTD'] },
+      trigger: { type: 'string', values: ['index', 'last'] },
+      reduce_only: { type: 'boolean' },
+      starttm: { type: 'reference' },
+      expiretm: { type: 'reference' },
+      userref: USERREF,
+      cl_ord_id: { type: 'string' },
+      validate: { type: 'boolean' },
+      'close[ordertype]': { type: 'string', values: ORDER_TYPES },
+      'close[price]': { type: 'price' },
+      'close[price2]': { type: 'price' }
+    },
+    exclusive: [['userref', 'cl_ord_id']]
+  },
+  CancelOrder: {
+    fields: {
+      txid: { type: 'reference', required: true }
+    }
+  },
+  DepositMethods: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true }
+    }
+  },
+  DepositAddresses: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true },
+      method: { type: 'string', required: true },
+      new: { type: 'boolean' }
+    }
+  },
+  DepositStatus: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true },
+      method: { type: 'string', required: true }
+    }
+  },
+  WithdrawInfo: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true },
+      key: { type: 'string', required: true },
+      amount: { type: 'decimal', required: true }
+    }
+  },
+  Withdraw: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true },
+      key: { type: 'string', required: true },
+      amount: { type: 'decimal', required: true },
+      address: { type: 'string' }
+    }
+  },
+  WithdrawStatus: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true },
+      method: { type: 'string' }
+    }
+  },
+  WithdrawCancel: {
+    fields: {
+      aclass: ASSET_CLASS,
+      asset: { type: 'string', required: true },
+      refid: { type: 'string', required: true }
+    }
+  },
+  GetWebSocketsToken: { fields: {} }
+};
+
+const label = name => `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Returns the items of a list param without whitespace
+ *
+ * @param {String|Array} value Comma separated string or array
+ * @returns Array
+ */
+const listItems = value => (Array.isArray(value) ? value : value.split(','))
+  .map(item => normalizePair(item))
+  .filter(item => item.length);
+
+/**
+ * Returns the value of a string param in the type of its schema when it has a string form
+ *
+ * @param {Object} field Param schema
+ * @param {*} value Value of the param
+ * @returns *
+ */
+const coerce = (field, value) => {
+  if (typeof value !== 'string' || !COERCE[field.type]) {
+    return value;
+  }
+  const coerced = COERCE[field.type](value.trim());
+  return coerced === undefined ? value : coerced;
+};
+
+/**
+ * Checks one param, returns the value to send and pushes the violations to errors
+ *
+ * @param {String} name Param name
+ * @param {Object} field Param schema
+ * @param {*} raw Value of the param
+ * @param {Array} errors Violations found so far
+ * @returns * - undefined when the param must not be sent
+ */
+const checkField = (name, field, raw, errors) => {
+  const value = coerce(field, raw);
+  const invalid = field.message ||
+    (field.values && field.type !== 'list'
+      ? `${label(name)} option must be one of ${field.values.join(', ')}`
+      : `${label(name)} option must be ${TYPE_NAMES[field.type]}`);
+
+  if (!TYPES[field.type](value)) {
+    errors.push(invalid);
+    return undefined;
+  }
+
+  if (field.type === 'list') {
+    const items = listItems(value);
+    if (field.max && items.length > field.max) {
+      errors.push(`${label(name)} option accepts ${field.max} values at most, got ${items.length}`);
+      return undefined;
+    }
+    const unknown = field.values ? items.filter(item => field.values.indexOf(item) < 0) : [];
+    if (unknown.length) {
+      errors.push(field.message || `${label(name)} option values must be some of ${field.values.join(', ')}, got ${unknown.join(', ')}`);
+      return undefined;
+    }
+    const list = items.join(',');
+    return field.omit && field.omit.indexOf(list) >= 0 ? undefined : list;
+  }
+
+  if (field.values && field.values.indexOf(value) < 0) {
+    errors.push(invalid);
+    return undefined;
+  }
+
+  const normalized = field.type === 'pair' ? normalizePair(value) : value;
+  return field.omit && field.omit.indexOf(normalized) >= 0 ? undefined : normalized;
+};
+
+/**
+ * Validates the params of an endpoint against its schema
+ * Every violation is collected so they can be reported together
+ *
+ * @param {String} endPoint Kraken method name, ex: OHLC
+ * @param {Object} [params] Params of the call
+ * @returns Object { params: normalized copy of the params, errors: Array of messages }
+ */
+const validate = (endPoint, params = {}) => {
+  const schema = SCHEMAS[endPoint];
+  const errors = [];
+
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return { params: {}, errors: ['Params must be an object'] };
+  }
+
+  const validated = Object.assign({}, params);
+  if (!schema) {
+    return { params: validated, errors };
+  }
+
+  Object.keys(schema.fields).forEach((name) => {
+    const field = schema.fields[name];
+    const value = validated[name];
+
+    if (isEmpty(value)) {
+      delete validated[name];
+      const conditions = field.requiredIf || {};
+      const requiredBy = Object.keys(conditions)
+        .find(other => conditions[other].indexOf(params[other]) >= 0);
+      if (field.required) {
+        errors.push(`${label(name)} option is required`);
+      } else if (requiredBy) {
+        errors.push(`${label(name)} option is required when ${requiredBy} is ${params[requiredBy]}`);
+      }
+      return;
+    }
+
+    const checked = checkField(name, field, value, errors);
+    if (checked === undefined) {
+      delete validated[name];
+    } else {
+      validated[name] = checked;
+    }
+  });
+
+  (schema.exclusive || []).forEach((group) => {
+    const used = group.filter(name => !isEmpty(params[name]));
+    if (used.length > 1) {
+      errors.push(`Options ${used.join(' and ')} can not be used together`);
+    }
+  });
+
+  return { params: validated, errors };
+};
+
+export { SCHEMAS, INTERVALS, ORDER_TYPES, MAX_IDS };
+export default validate;
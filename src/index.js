@@ -1,4 +1,51 @@
 import Kraken from './Kraken';
+import KrakenStream from './KrakenStream';
+import KrakenPrivateStream from './KrakenPrivateStream';
+import OrderBook from './OrderBook';
+import AssetRegistry from './AssetRegistry';
+import OrderBuilder from './OrderBuilder';
+import OrderTracker from './OrderTracker';
+import PaperAccount from './PaperAccount';
+import Backtester from './Backtester';
+import CandleAggregator from './CandleAggregator';
+import MarketRecorder from './MarketRecorder';
+import SafetyPolicy from './SafetyPolicy';
+import ResponseCache from './ResponseCache';
+import HttpTransport from './HttpTransport';
+import KrakenAccounts from './KrakenAccounts';
+import KrakenMockServer from './KrakenMockServer';
+import {
+  KrakenError,
+  KrakenValidationError,
+  KrakenPolicyError,
+  KrakenApiError,
+  KrakenAuthError,
+  KrakenRateLimitError,
+  KrakenNetworkError
+} from './errors';
+
+Kraken.KrakenStream = KrakenStream;
+Kraken.KrakenPrivateStream = KrakenPrivateStream;
+Kraken.OrderBook = OrderBook;
+Kraken.AssetRegistry = AssetRegistry;
+Kraken.OrderBuilder = OrderBuilder;
+Kraken.OrderTracker = OrderTracker;
+Kraken.PaperAccount = PaperAccount;
+Kraken.Backtester = Backtester;
+Kraken.CandleAggregator = CandleAggregator;
+Kraken.MarketRecorder = MarketRecorder;
+Kraken.SafetyPolicy = SafetyPolicy;
+Kraken.ResponseCache = ResponseCache;
+Kraken.HttpTransport = HttpTransport;
+Kraken.KrakenAccounts = KrakenAccounts;
+Kraken.KrakenMockServer = KrakenMockServer;
+Kraken.KrakenError = KrakenError;
+Kraken.KrakenValidationError = KrakenValidationError;
+Kraken.KrakenPolicyError = KrakenPolicyError;
+Kraken.KrakenApiError = KrakenApiError;
+Kraken.KrakenAuthError = KrakenAuthError;
+Kraken.KrakenRateLimitError = KrakenRateLimitError;
+Kraken.KrakenNetworkError = KrakenNetworkError;
 
 /**
  * Exports main module class
@@ -0,0 +1,200 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import AssetRegistry from '../src/AssetRegistry';
+import { KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+const ASSETS = {
+  XETH: { aclass: 'currency', altname: 'ETH', decimals: 10, display_decimals: 5 },
+  XXBT: { aclass: 'currency', altname: 'XBT', decimals: 10, display_decimals: 5 },
+  ZUSD: { aclass: 'currency', altname: 'USD', decimals: 4, display_decimals: 2 },
+  USDT: { aclass: 'currency', altname: 'USDT', decimals: 8, display_decimals: 4 }
+};
+
+const fees = [[0, 0.26], [50000, 0.24], [100000, 0.22]];
+const feesMaker = [[0, 0.16], [50000, 0.14], [100000, 0.12]];
+
+const PAIRS = {
+  XETHZUSD: {
+    altname: 'ETHUSD', wsname: 'ETH/USD', base: 'XETH', quote: 'ZUSD', lot: 'unit',
+    pair_decimals: 2, lot_decimals: 8, lot_multiplier: 1, fees, fees_maker: feesMaker,
+    fee_volume_currency: 'ZUSD', ordermin: '0.01'
+  },
+  'XETHZUSD.d': {
+    altname: 'ETHUSD.d', base: 'XETH', quote: 'ZUSD', lot: 'unit',
+    pair_decimals: 2, lot_decimals: 8, lot_multiplier: 1, fees, fees_maker: feesMaker
+  },
+  XXBTZUSD: {
+    altname: 'XBTUSD', wsname: 'XBT/USD', base: 'XXBT', quote: 'ZUSD', lot: 'unit',
+    pair_decimals: 1, lot_decimals: 8, lot_multiplier: 1, fees, fees_maker: feesMaker,
+    fee_volume_currency: 'ZUSD', ordermin: '0.0001', costmin: '0.5', tick_size: '0.1'
+  },
+  XBTUSDT: {
+    altname: 'XBTUSDT', wsname: 'XBT/USDT', base: 'XXBT', quote: 'USDT', lot: 'unit',
+    pair_decimals: 1, lot_decimals: 8, lot_multiplier: 1, fees, fees_maker: feesMaker,
+    ordermin: '0.0001'
+  }
+};
+
+// Kraken that answers from fixtures without sending requests
+const createKraken = (options, results = {}) => {
+  const kraken = new Kraken(null, null, options);
+  kraken.calls = [];
+  kraken.__limiter.schedule = (type, endPoint) => {
+    kraken.calls.push(endPoint);
+    const result = Object.assign({ Assets: ASSETS, AssetPairs: PAIRS }, results)[endPoint];
+    return Promise.resolve({ error: [], result });
+  };
+  return kraken;
+};
+
+describe('AssetRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new AssetRegistry(createKraken());
+    registry.build(ASSETS, PAIRS);
+  });
+
+  describe('pair', () => {
+    it('should resolve every spelling of a pair', () => {
+      ['ETHUSD', 'eth/usd', 'XETHZUSD', 'ETH-USD', 'XETHUSD', 'ETHZUSD'].forEach((name) => {
+        expect(registry.pair(name).key).to.be.equal('XETHZUSD');
+      });
+      ['BTCUSD', 'BTC/USD', 'XBT/USD', 'XXBTZUSD'].forEach((name) => {
+        expect(registry.pair(name).key).to.be.equal('XXBTZUSD');
+      });
+      expect(registry.pair('BTC/USDT').key).to.be.equal('XBTUSDT');
+      expect(registry.pair('ETHUSD.d').key).to.be.equal('XETHZUSD.d');
+      expect(registry.pair('DOGEUSD')).to.be.null;
+    });
+
+    it('should expose the decimals, the lot and the minimum order', () => {
+      expect(registry.pair('BTC/USD')).to.include({
+        key: 'XXBTZUSD',
+        altname: 'XBTUSD',
+        wsname: 'XBT/USD',
+        base: 'XXBT',
+        quote: 'ZUSD',
+        pairDecimals: 1,
+        lotDecimals: 8,
+        ordermin: 0.0001,
+        costmin: 0.5,
+        tickSize: 0.1
+      });
+    });
+
+    it('should find the fee of the volume tier', () => {
+      expect(registry.fee('ETHUSD')).to.be.equal(0.26);
+      expect(registry.fee('ETHUSD', 75000)).to.be.equal(0.24);
+      expect(registry.fee('ETHUSD', 100000, true)).to.be.equal(0.12);
+      expect(registry.fee('DOGEUSD')).to.be.null;
+    });
+  });
+
+  describe('asset', () => {
+    it('should resolve every spelling of an asset', () => {
+      expect(registry.asset('eth').key).to.be.equal('XETH');
+      expect(registry.asset('BTC').key).to.be.equal('XXBT');
+      expect(registry.asset('XBT')).to.deep.equal({
+        key: 'XXBT', altname: 'XBT', aclass: 'currency', decimals: 10, displayDecimals: 5, status: null
+      });
+    });
+  });
+
+  describe('load', () => {
+    it('should load once and share the requests', (done) => {
+      const kraken = createKraken();
+      const shared = new AssetRegistry(kraken);
+      Promise.all([shared.load(), shared.load()]).then(() => shared.load()).then(() => {
+        expect(kraken.calls.sort()).to.deep.equal(['AssetPairs', 'Assets']);
+        expect(shared.loaded).to.be.true;
+        return shared.load(true);
+      }).then(() => {
+        expect(kraken.calls).to.have.lengthOf(4);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject unknown names', (done) => {
+      const shared = new AssetRegistry(createKraken());
+      shared.resolvePair('DOGEUSD').then(() => done(new Error('Unknown pairs should reject'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Unknown pair DOGEUSD');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('translate', () => {
+    it('should send the Kraken names and remember the names of the caller', (done) => {
+      registry.translate('Ticker', { pair: 'BTC/USD,ETHUSD,FOOBAR' }).then(({ params, names }) => {
+        expect(params).to.deep.equal({ pair: 'XXBTZUSD,XETHZUSD,FOOBAR' });
+        expect(names).to.deep.equal({ XXBTZUSD: ['BTC/USD'], XETHZUSD: ['ETHUSD'] });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should send two spellings of a name once and remember both', (done) => {
+      registry.translate('Ticker', { pair: 'ETHUSD,ETH/USD' }).then(({ params, names }) => {
+        expect(params).to.deep.equal({ pair: 'XETHZUSD' });
+        expect(names).to.deep.equal({ XETHZUSD: ['ETHUSD', 'ETH/USD'] });
+        expect(AssetRegistry.rekey('Ticker', { XETHZUSD: { o: '2' } }, names)).to.deep.equal({
+          ETHUSD: { o: '2' },
+          'ETH/USD': { o: '2' }
+        });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT load the registry for params without names', (done) => {
+      const kraken = createKraken();
+      new AssetRegistry(kraken).translate('Balance', {}).then(({ names }) => {
+        expect(names).to.be.null;
+        expect(kraken.calls).to.deep.equal([]);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('Kraken', () => {
+    it('should key the results by the names of the caller', (done) => {
+      const kraken = createKraken({ registry: true }, {
+        Ticker: { XXBTZUSD: { o: '1' }, XETHZUSD: { o: '2' } },
+        Assets: { XETH: ASSETS.XETH }
+      });
+      kraken.registry.build(ASSETS, PAIRS);
+
+      Promise.all([
+        kraken.getTickerInformation({ pair: 'BTC/USD, ETHUSD' }),
+        kraken.getAssetInfo({ asset: 'ETH' })
+      ]).then(([tickers, assets]) => {
+        expect(tickers).to.deep.equal({ 'BTC/USD': { o: '1' }, ETHUSD: { o: '2' } });
+        expect(assets).to.have.all.keys('ETH');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should rename the nested results', () => {
+      const result = AssetRegistry.rekey('TradeVolume', {
+        currency: 'ZUSD',
+        fees: { XXBTZUSD: { fee: '0.26' } },
+        fees_maker: { XXBTZUSD: { fee: '0.16' } }
+      }, { XXBTZUSD: ['BTCUSD'] });
+      expect(result.fees).to.have.all.keys('BTCUSD');
+      expect(result.fees_maker).to.have.all.keys('BTCUSD');
+      expect(result.currency).to.be.equal('ZUSD');
+    });
+
+    it('should keep the Kraken names without the registry option', (done) => {
+      const kraken = createKraken({}, { Ticker: { XETHZUSD: { o: '2' } } });
+      kraken.getTickerInformation({ pair: 'ETHUSD' }).then((tickers) => {
+        expect(tickers).to.have.all.keys('XETHZUSD');
+        expect(kraken.calls).to.deep.equal(['Ticker']);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
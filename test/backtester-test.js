@@ -0,0 +1,139 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import Backtester from '../src/Backtester';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+const candle = (time, open, high, low, close) => ({
+  time, open, high, low, close, vwap: close, volume: 10, count: 5
+});
+
+const CANDLES = [
+  candle(3600, 100, 101, 99, 100),
+  candle(7200, 100, 111, 100, 110),
+  candle(10800, 110, 121, 110, 120)
+];
+
+describe('Backtester', () => {
+  let server;
+  let kraken;
+
+  beforeEach(() => {
+    server = new KrakenMockServer();
+    return server.start().then(() => {
+      kraken = new Kraken(null, null, Object.assign({ rateLimit: false, retry: false }, server.clientOptions));
+    });
+  });
+
+  afterEach(() => server.stop());
+
+  it('should replay the events to the strategy and report the results', (done) => {
+    const backtester = new Backtester(kraken, {
+      pair: 'ETHUSD',
+      data: CANDLES,
+      balances: { USD: 10000 },
+      slippage: 0.001,
+      fees: { maker: 0.16, taker: 0.26 }
+    });
+    const seen = [];
+    const strategy = (event, context) => {
+      seen.push([context.index, context.time, context.price, context.history(2).length]);
+      if (context.index === 0) {
+        return context.kraken.setAddOrder({ pair: 'ETHUSD', type: 'buy', ordertype: 'market', volume: 10 });
+      }
+      if (context.index === 2) {
+        return context.kraken.setAddOrder({ pair: 'ETHUSD', type: 'sell', ordertype: 'market', volume: 10 });
+      }
+      return null;
+    };
+
+    backtester.run(strategy).then((report) => {
+      expect(seen).to.deep.equal([[0, 3600, 100, 1], [1, 7200, 110, 2], [2, 10800, 120, 2]]);
+      expect(report).to.include({ pair: 'XETHZUSD', start: 3600, end: 10800, events: 3, initialEquity: 10000 });
+      expect(report.trades.map(trade => [trade.type, trade.price, trade.time])).to.deep.equal([
+        ['buy', '100.10', 3600],
+        ['sell', '119.88', 10800]
+      ]);
+      // The equity is valued from the balances, rounded to the decimals of the assets
+      expect(report.finalEquity).to.be.closeTo(10192.08052, 1e-4);
+      expect(report.pnl).to.be.closeTo(192.08052, 1e-4);
+      expect(report.fees).to.be.closeTo(5.71948, 1e-6);
+      expect(report.maxDrawdown).to.be.closeTo(3.6026 / 10000, 1e-8);
+      expect(report.exposure).to.be.closeTo(2 / 3, 1e-9);
+      expect(report.equity.map(point => point.time)).to.deep.equal([3600, 7200, 10800]);
+      expect(report.balances).to.deep.equal({ ZUSD: '10192.0805', XETH: '0.0000000000' });
+      // The same data gives the same report
+      return backtester.run(strategy).then(again => expect(again).to.deep.equal(report));
+    }).then(() => done()).catch(error => done(error));
+  });
+
+  it('should fill the limit orders along the prices of the next candles', (done) => {
+    const data = [
+      candle(3600, 100, 101, 99, 100),
+      candle(7200, 100, 100, 94, 96),
+      candle(10800, 96, 97, 95, 97)
+    ];
+    const backtester = new Backtester(kraken, {
+      pair: 'ETHUSD', data, balances: { USD: 1000 }, fees: { maker: 0.16, taker: 0.26 }
+    });
+
+    backtester.run((event, context) => (context.index === 0
+      ? context.kraken.setAddOrder({ pair: 'ETHUSD', type: 'buy', ordertype: 'limit', price: 95, volume: 1 })
+      : null)).then((report) => {
+      const [trade] = report.trades;
+      expect(trade).to.include({ price: '95.00', fee: '0.15200', time: 7200 });
+      expect(report.exposure).to.be.closeTo(2 / 3, 1e-9);
+      expect(report.finalEquity).to.be.closeTo((1000 - 95 - 0.152) + 97, 1e-9);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should download the candles and only the new ones once cached', (done) => {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'kraken-backtest-'));
+    const cache = path.join(base, 'data', 'kraken');
+    const backtester = new Backtester(kraken, { pair: 'ETHUSD', interval: 60, cache });
+    const strategy = () => null;
+
+    backtester.run(strategy).then((report) => {
+      // The candle still open is left out
+      expect(report.events).to.be.equal(719);
+      const cached = JSON.parse(fs.readFileSync(path.join(cache, 'XETHZUSD-ohlc-60.json'), 'utf8'));
+      expect(cached.events).to.have.lengthOf(719);
+      return backtester.load().then(events => [events, cached]);
+    }).then(([events, cached]) => {
+      expect(events).to.have.lengthOf(719);
+      const calls = server.requests.filter(request => request.endPoint === 'OHLC');
+      expect(calls[calls.length - 1].params.since).to.be.equal(String(cached.cursor));
+      done();
+    }).catch(error => done(error)).then(() => {
+      fs.readdirSync(cache).forEach(file => fs.unlinkSync(path.join(cache, file)));
+      fs.rmdirSync(cache);
+      fs.rmdirSync(path.dirname(cache));
+      fs.rmdirSync(base);
+    });
+  });
+
+  it('should replay trades', (done) => {
+    const backtester = new Backtester(kraken, { pair: 'XBTUSD', source: 'trades' });
+    let count = 0;
+    backtester.run(() => {
+      count += 1;
+    }).then((report) => {
+      expect(report.events).to.be.equal(360);
+      expect(count).to.be.equal(360);
+      expect(report.trades).to.deep.equal([]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should check the options', () => {
+    expect(() => new Backtester(kraken, {})).to.throw(KrakenValidationError, 'Pair option is required');
+    expect(() => new Backtester(kraken, { pair: 'ETHUSD', source: 'spread' })).to.throw(KrakenValidationError);
+  });
+});
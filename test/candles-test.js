@@ -0,0 +1,135 @@
+import EventEmitter from 'events';
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import CandleAggregator from '../src/CandleAggregator';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenValidationError } from '../src/errors';
+import { parseInterval } from '../src/helpers/candles';
+
+chai.config.includeStack = true;
+
+const trade = (price, volume, time) => [String(price), String(volume), time, 'b', 'l', ''];
+
+describe('CandleAggregator', () => {
+  it('should parse the intervals', () => {
+    expect(parseInterval(15)).to.be.equal(900);
+    expect(parseInterval('3m')).to.be.equal(180);
+    expect(parseInterval('2h')).to.be.equal(7200);
+    expect(parseInterval('1d')).to.be.equal(86400);
+    expect(parseInterval('30s')).to.be.equal(30);
+    expect(() => parseInterval('3 months')).to.throw(KrakenValidationError);
+    expect(() => new CandleAggregator({})).to.throw(KrakenValidationError, 'One of the interval, volume or ticks options is required');
+    expect(() => new CandleAggregator({ ticks: 2.5 })).to.throw(KrakenValidationError, 'Ticks option must be a positive number');
+  });
+
+  it('should build interval candles from trades', () => {
+    const trades = [
+      trade(100, 1, 180),
+      trade(110, 3, 200),
+      trade(90, 1, 359),
+      trade(95, 2, 365),
+      trade(97, 1, 730)
+    ];
+    expect(CandleAggregator.fromTrades(trades, { interval: '3m' })).to.deep.equal([
+      { time: 180, open: 100, high: 110, low: 90, close: 90, vwap: 104, volume: 5, count: 3 },
+      { time: 360, open: 95, high: 95, low: 95, close: 95, vwap: 95, volume: 2, count: 1 },
+      { time: 720, open: 97, high: 97, low: 97, close: 97, vwap: 97, volume: 1, count: 1 }
+    ]);
+    const filled = CandleAggregator.fromTrades(trades, { interval: '3m', fill: true });
+    expect(filled.map(candle => candle.time)).to.deep.equal([180, 360, 540, 720]);
+    expect(filled[2]).to.deep.equal({ time: 540, open: 95, high: 95, low: 95, close: 95, vwap: 95, volume: 0, count: 0 });
+  });
+
+  it('should build volume and tick bars', () => {
+    const trades = [trade(100, 1, 10), trade(102, 3, 20), trade(98, 1, 30), trade(99, 2, 40)];
+    const volume = CandleAggregator.fromTrades(trades, { volume: 2 });
+    // The trade of 3 is split between the first and the second bar
+    expect(volume.map(candle => [candle.time, candle.open, candle.close, candle.volume]))
+      .to.deep.equal([[10, 100, 102, 2], [20, 102, 102, 2], [30, 98, 99, 2], [40, 99, 99, 1]]);
+    expect(volume[0].vwap).to.be.equal(101);
+
+    const ticks = CandleAggregator.fromTrades(trades, { ticks: 3 });
+    expect(ticks.map(candle => [candle.time, candle.high, candle.low, candle.count]))
+      .to.deep.equal([[10, 102, 98, 3], [40, 99, 99, 1]]);
+  });
+
+  it('should resample the candles of getOHLC', () => {
+    const ohlc = {
+      XETHZUSD: [
+        [60, '10', '12', '9', '11', '10.5', '2', 4],
+        [120, '11', '15', '11', '14', '13', '2', 6],
+        [180, '14', '14', '8', '9', '10', '1', 1]
+      ],
+      last: 180
+    };
+    expect(CandleAggregator.resample(ohlc, 2)).to.deep.equal([
+      { time: 0, open: 10, high: 12, low: 9, close: 11, vwap: 10.5, volume: 2, count: 4 },
+      { time: 120, open: 11, high: 15, low: 8, close: 9, vwap: 12, volume: 3, count: 7 }
+    ]);
+  });
+
+  it('should emit the candles as the trades arrive', () => {
+    const aggregator = new CandleAggregator({ interval: 1, fill: true });
+    const candles = [];
+    const updates = [];
+    aggregator.on('candle', candle => candles.push(candle));
+    aggregator.on('update', candle => updates.push(candle.close));
+    aggregator.seed([60, '10', '12', '9', '11', '10.5', '2', 4]);
+
+    expect(aggregator.add(trade(13, 1, 100))).to.deep.equal([]);
+    expect(aggregator.current).to.include({ high: 13, close: 13, count: 5 });
+    // Late trades are dropped
+    aggregator.add([trade(8, 1, 50), trade(12, 1, 130)]);
+    expect(updates).to.deep.equal([13, 13, 12]);
+    expect(candles.map(candle => [candle.time, candle.close])).to.deep.equal([[60, 13]]);
+
+    const closed = aggregator.tick(250);
+    expect(closed.map(candle => [candle.time, candle.volume])).to.deep.equal([[120, 1], [180, 0]]);
+    expect(aggregator.current).to.include({ time: 240, close: 12, count: 0 });
+  });
+
+  it('should add the trades of a stream', () => {
+    const stream = new EventEmitter();
+    const aggregator = new CandleAggregator({ ticks: 2 });
+    const candles = [];
+    aggregator.on('candle', candle => candles.push(candle));
+    const detach = aggregator.attach(stream, 'ETHUSD');
+
+    stream.emit('trade', { pair: 'ETH/USD', data: [trade(100, 1, 10), trade(101, 1, 11)] });
+    stream.emit('trade', { pair: 'XBT/USD', data: [trade(50000, 1, 12)] });
+    stream.emit('trade', { pair: 'ETH/USD', data: [trade(102, 1, 13)] });
+    detach();
+    stream.emit('trade', { pair: 'ETH/USD', data: [trade(103, 1, 14), trade(104, 1, 15)] });
+
+    expect(candles.map(candle => [candle.open, candle.close])).to.deep.equal([[100, 101]]);
+    expect(aggregator.current).to.include({ open: 102, count: 1 });
+    expect(stream.listenerCount('trade')).to.be.equal(0);
+  });
+
+  describe('getCandles', () => {
+    const end = 1600000000 - (1600000000 % 3600);
+    let server;
+
+    beforeEach(() => {
+      server = new KrakenMockServer({ now: () => end });
+      return server.start();
+    });
+
+    afterEach(() => server.stop());
+
+    it('should build the candles from the trades history', (done) => {
+      const kraken = new Kraken(null, null, Object.assign({ rateLimit: false, retry: false }, server.clientOptions));
+      // The mock has a trade every 10 seconds during the last hour
+      kraken.getCandles({ pair: 'ETHUSD', interval: '5m', until: end }).then((candles) => {
+        expect(candles).to.have.lengthOf(12);
+        expect(candles[0]).to.include({ time: end - 3600, count: 29, volume: 7.25 });
+        expect(candles[11]).to.include({ time: end - 300, count: 30 });
+        return kraken.getCandles({ pair: 'ETHUSD', ticks: 100, since: end - 1000 });
+      }).then((candles) => {
+        expect(candles.map(candle => candle.count)).to.deep.equal([100]);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
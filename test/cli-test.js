@@ -0,0 +1,188 @@
+import fs from 'fs';
+import { execFile } from 'child_process';
+import os from 'os';
+import path from 'path';
+import chai, { expect } from 'chai';
+
+import run, { parseArgs, formatResult } from '../src/cli';
+import KrakenMockServer from '../src/KrakenMockServer';
+
+chai.config.includeStack = true;
+
+const output = () => {
+  const stream = { text: '' };
+  stream.write = (chunk) => {
+    stream.text += chunk;
+  };
+  return stream;
+};
+
+describe('kraken CLI', () => {
+  let server;
+  let config;
+  let stdout;
+  let stderr;
+
+  const kraken = (argv, env = {}) => run(argv, {
+    env: Object.assign({ KRAKEN_CONFIG: config }, env),
+    stdout,
+    stderr
+  });
+
+  beforeEach(() => {
+    stdout = output();
+    stderr = output();
+    server = new KrakenMockServer();
+    return server.start().then(() => {
+      config = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kraken-cli-')), 'config.json');
+      const options = Object.assign({ rateLimit: false, retry: false }, server.clientOptions);
+      fs.writeFileSync(config, JSON.stringify({
+        default: Object.assign({
+          apiKey: KrakenMockServer.MOCK_API_KEY,
+          apiSecret: KrakenMockServer.MOCK_API_SECRET
+        }, options),
+        public: options
+      }));
+    });
+  });
+
+  afterEach(() => {
+    fs.unlinkSync(config);
+    fs.rmdirSync(path.dirname(config));
+    return server.stop();
+  });
+
+  it('should parse the arguments', () => {
+    expect(parseArgs(['ohlc', 'XBTEUR', '--interval', '60', '--format=csv', '-y'])).to.deep.equal({
+      positional: ['ohlc', 'XBTEUR'],
+      flags: { interval: '60', format: 'csv', yes: true }
+    });
+    expect(parseArgs(['order', 'add', '--validate', 'ETHUSD', '--price', '-5'])).to.deep.equal({
+      positional: ['order', 'add', 'ETHUSD'],
+      flags: { validate: true, price: '-5' }
+    });
+  });
+
+  it('should print the balance as a table, JSON or CSV', (done) => {
+    kraken(['balance']).then((code) => {
+      expect(code).to.be.equal(0);
+      expect(stdout.text.split('\n').slice(0, 3)).to.deep.equal([
+        'name  value',
+        'ZUSD  10000.0000',
+        'ZEUR  5000.0000'
+      ]);
+      stdout = output();
+      return kraken(['balance', '--format', 'json']);
+    }).then(() => {
+      expect(JSON.parse(stdout.text)).to.include({ XXBT: '1.0000000000' });
+      stdout = output();
+      return kraken(['balance', '--format', 'csv']);
+    }).then(() => {
+      expect(stdout.text.split('\n')[0]).to.be.equal('name,value');
+      expect(stdout.text).to.contain('XETH,10.0000000000\n');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should pass the arguments and flags as params', (done) => {
+    kraken(['ohlc', 'XBTEUR', '--interval', '60', '--format', 'csv'], { KRAKEN_PROFILE: 'public' }).then((code) => {
+      expect(code).to.be.equal(0);
+      const [request] = server.requests.filter(call => call.endPoint === 'OHLC');
+      expect(request.params).to.deep.equal({ pair: 'XBTEUR', interval: '60' });
+      // The tables and CSV show the named models
+      const lines = stdout.text.trim().split('\n');
+      expect(lines[0]).to.be.equal('time,open,high,low,close,vwap,volume,count');
+      expect(lines).to.have.lengthOf(721);
+      stdout = output();
+      return kraken(['ticker', 'ETHUSD']);
+    }).then(() => {
+      const [header, row] = stdout.text.split('\n');
+      expect(header.split(/\s+/).slice(0, 4)).to.deep.equal(['id', 'pair', 'ask.price', 'ask.wholeLotVolume']);
+      expect(row.indexOf('XETHZUSD')).to.be.equal(0);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should require --yes to send orders and move funds', (done) => {
+    const add = ['order', 'add', 'ETHUSD', 'buy', 'limit', '1', '--price', '1500'];
+    kraken(add).then((code) => {
+      expect(code).to.be.equal(2);
+      expect(stderr.text).to.contain('setAddOrder sends orders or moves funds, add --yes');
+      expect(server.requests.filter(call => call.type === 'private')).to.deep.equal([]);
+      return kraken(add.concat('--yes'));
+    }).then((code) => {
+      expect(code).to.be.equal(0);
+      expect(stdout.text).to.contain('buy 1.00000000 ETHUSD @ limit 1500');
+      stdout = output();
+      const [order] = Object.keys(server.account().orders);
+      return kraken(['order', 'cancel', order, '--yes', '--format', 'json']);
+    }).then((code) => {
+      expect(code).to.be.equal(0);
+      expect(JSON.parse(stdout.text)).to.deep.equal({ count: 1 });
+      return kraken(['withdraw', 'send', 'XBT', 'wallet', '0.1']);
+    }).then((code) => {
+      expect(code).to.be.equal(2);
+      expect(stderr.text).to.contain('setWithdraw sends orders or moves funds');
+      return kraken(['order', 'add', 'ETHUSD', 'buy', 'limit', '1', '--price', '1500', '--validate']);
+    }).then((code) => {
+      // Only the orders have a dry run
+      expect(code).to.be.equal(0);
+      const validates = [
+        ['withdraw', 'send', 'XBT', 'wallet', '0.1', '--validate'],
+        ['withdraw', 'cancel', 'XBT', 'AGBSO6T-UFMTTQ-I7KGS6', '--validate'],
+        ['order', 'cancel', 'OABC', '--validate']
+      ];
+      return Promise.all(validates.map(argv => kraken(argv)));
+    }).then((codes) => {
+      expect(codes).to.deep.equal([2, 2, 2]);
+      ['setWithdraw', 'setWithdrawCancel', 'setCancelOrder'].forEach((method) => {
+        expect(stderr.text).to.contain(`${method} sends orders or moves funds`);
+      });
+      const sent = server.requests.map(call => call.endPoint);
+      expect(sent.filter(endPoint => ['Withdraw', 'WithdrawCancel'].indexOf(endPoint) >= 0)).to.deep.equal([]);
+      expect(sent.filter(endPoint => endPoint === 'CancelOrder')).to.have.lengthOf(1);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should read the credentials from the environment first', (done) => {
+    kraken(['balance'], { KRAKEN_PROFILE: 'public', KRAKEN_API_KEY: 'unknown', KRAKEN_API_SECRET: KrakenMockServer.MOCK_API_SECRET }).then((code) => {
+      expect(code).to.be.equal(1);
+      expect(stderr.text).to.contain('EAPI:Invalid key');
+      return kraken(['balance'], { KRAKEN_PROFILE: 'hedge' });
+    }).then((code) => {
+      expect(code).to.be.equal(2);
+      expect(stderr.text).to.contain('Unknown profile hedge');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should print the usage', (done) => {
+    kraken(['--help']).then((code) => {
+      expect(code).to.be.equal(0);
+      expect(stdout.text).to.contain('order cancel [txid]');
+      return kraken(['unknown']);
+    }).then((code) => {
+      expect(code).to.be.equal(2);
+      expect(stderr.text).to.contain('Usage: kraken <command>');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should run the binary with node', (done) => {
+    const bin = path.join(__dirname, '..', 'src', 'bin', 'kraken.js');
+    execFile(process.execPath, [bin, '--help'], { timeout: 30000 }, (error, text) => {
+      if (error) {
+        done(error);
+        return;
+      }
+      expect(text).to.contain('Usage: kraken <command>');
+      done();
+    });
+  }).timeout(30000);
+
+  it('should format nested results', () => {
+    const result = { open: { 'O-1': { status: 'open', descr: { pair: 'ETHUSD' }, trades: ['T1', 'T2'] } } };
+    expect(formatResult(result, 'csv')).to.be.equal('id,status,descr.pair,trades\nO-1,open,ETHUSD,"T1,T2"\n');
+  });
+});
@@ -0,0 +1,128 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/index';
+import {
+  KrakenError,
+  KrakenValidationError,
+  KrakenApiError,
+  KrakenAuthError,
+  KrakenRateLimitError,
+  KrakenNetworkError,
+  parseError,
+  createApiError,
+  createNetworkError
+} from '../src/errors';
+
+chai.config.includeStack = true;
+
+// Answers every call with response, without going through the network
+const stubKraken = (response) => {
+  const kraken = new Kraken('key', 'secret', { retry: false });
+  kraken.__limiter.schedule = () => (
+    response instanceof Error ? Promise.reject(response) : Promise.resolve(response)
+  );
+  return kraken;
+};
+
+describe('errors', () => {
+  describe('parseError', () => {
+    it('should split the severity, category and message', () => {
+      expect(parseError('EOrder:Insufficient funds')).to.deep.equal({
+        code: 'EOrder:Insufficient funds',
+        severity: 'E',
+        category: 'Order',
+        message: 'Insufficient funds'
+      });
+      expect(parseError('WGeneral:Unknown').severity).to.be.equal('W');
+    });
+
+    it('should keep strings that are not Kraken errors as message', () => {
+      expect(parseError('Something went wrong')).to.deep.equal({
+        code: null, severity: null, category: null, message: 'Something went wrong'
+      });
+    });
+  });
+
+  describe('createApiError', () => {
+    it('should pick the class of the error', () => {
+      expect(createApiError(['EAPI:Invalid nonce'])).to.be.instanceof(KrakenAuthError);
+      expect(createApiError(['EAPI:Rate limit exceeded'])).to.be.instanceof(KrakenRateLimitError);
+      expect(createApiError(['EOrder:Insufficient funds'])).to.not.be.instanceof(KrakenAuthError);
+    });
+
+    it('should be instances of every parent class', () => {
+      const error = createApiError(['EGeneral:Permission denied'], { endpoint: 'Balance' });
+      expect(error).to.be.instanceof(KrakenAuthError);
+      expect(error).to.be.instanceof(KrakenApiError);
+      expect(error).to.be.instanceof(KrakenError);
+      expect(error).to.be.instanceof(Error);
+      expect(error.name).to.be.equal('KrakenAuthError');
+      expect(error.category).to.be.equal('General');
+      expect(error.reason).to.be.equal('Permission denied');
+      expect(error.endpoint).to.be.equal('Balance');
+      expect(error.stack).to.be.a('string');
+    });
+  });
+
+  describe('createNetworkError', () => {
+    it('should wrap transport errors', () => {
+      const cause = new Error('socket hang up');
+      cause.code = 'ECONNRESET';
+      const error = createNetworkError(cause, { endpoint: 'Time' });
+      expect(error).to.be.instanceof(KrakenNetworkError);
+      expect(error.code).to.be.equal('ECONNRESET');
+      expect(error.cause).to.be.equal(cause);
+    });
+
+    it('should NOT wrap Kraken errors twice', () => {
+      const error = new KrakenValidationError('Pair option is required');
+      expect(createNetworkError(error)).to.be.equal(error);
+    });
+  });
+
+  describe('Kraken', () => {
+    it('should resolve the result of the response', (done) => {
+      stubKraken({ error: [], result: { ZUSD: '171288.6158' } }).getBalance().then((response) => {
+        expect(response).to.deep.equal({ ZUSD: '171288.6158' });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject the errors of the response', (done) => {
+      const response = { error: ['EOrder:Insufficient funds'] };
+      stubKraken(response).getBalance().then(() => done(new Error('The call should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenApiError);
+        expect(error.code).to.be.equal('EOrder:Insufficient funds');
+        expect(error.endpoint).to.be.equal('Balance');
+        expect(error.response).to.be.equal(response);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should ignore warnings', (done) => {
+      stubKraken({ error: ['WGeneral:Deprecated'], result: {} }).getBalance().then((response) => {
+        expect(response).to.deep.equal({});
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject responses that are not valid', (done) => {
+      stubKraken('<html></html>').getBalance().then(() => done(new Error('The call should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenNetworkError);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject private calls without credentials', (done) => {
+      new Kraken().getBalance().then(() => done(new Error('The call should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenAuthError);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should expose the error classes', () => {
+      expect(Kraken.KrakenError).to.be.equal(KrakenError);
+      expect(Kraken.KrakenValidationError).to.be.equal(KrakenValidationError);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import chai, { expect } from 'chai';
+
+import KrakenAccounts from '../src/KrakenAccounts';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenAuthError, KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+describe('KrakenAccounts', () => {
+  const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+  const HEDGE_KEY = 'hedge-key';
+  const HEDGE_SECRET = Buffer.from('hedge secret').toString('base64');
+  let server;
+  let accounts;
+
+  const order = price => ({ pair: 'XETHZUSD', type: 'buy', ordertype: 'limit', price, volume: '0.1' });
+  const keysOf = endPoint => server.requests.filter(call => call.endPoint === endPoint)
+    .map(call => call.headers['api-key']);
+
+  beforeEach(() => {
+    server = new KrakenMockServer({
+      accounts: [
+        { apiKey: MOCK_API_KEY, apiSecret: MOCK_API_SECRET, balances: { ZUSD: 1000, XETH: 1 } },
+        { apiKey: HEDGE_KEY, apiSecret: HEDGE_SECRET, balances: { ZUSD: 500.5 }, otp: '4242' }
+      ]
+    });
+    return server.start().then(() => {
+      accounts = new KrakenAccounts(Object.assign({
+        rateLimit: false,
+        retry: false,
+        accounts: {
+          main: { apiKey: MOCK_API_KEY, apiSecret: MOCK_API_SECRET },
+          hedge: { apiKey: HEDGE_KEY, apiSecret: HEDGE_SECRET, apiOTP: '4242' }
+        }
+      }, server.clientOptions));
+    });
+  });
+
+  afterEach(() => {
+    accounts.close();
+    return server.stop();
+  });
+
+  it('should route the calls to the key, OTP and nonce of each account', (done) => {
+    expect(accounts.names).to.deep.equal(['main', 'hedge']);
+    accounts.get('hedge').getBalance().then((balance) => {
+      expect(balance).to.deep.equal({ ZUSD: '500.5000' });
+      return Promise.all([accounts.get('main').getBalance(), accounts.get('hedge').getBalance()]);
+    }).then(([main]) => {
+      expect(main).to.have.property('XETH');
+      expect(keysOf('Balance')).to.deep.equal([HEDGE_KEY, MOCK_API_KEY, HEDGE_KEY]);
+      const otps = server.requests.map(call => call.params.otp);
+      expect(otps).to.deep.equal(['4242', undefined, '4242']);
+      expect(server.account(HEDGE_KEY).nonce).to.be.above(0);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should fetch the public data once for every account', (done) => {
+    Promise.all([
+      accounts.get('main').getTickerInformation({ pair: 'XETHZUSD' }),
+      accounts.get('hedge').getTickerInformation({ pair: 'XETHZUSD' }),
+      accounts.public.getTickerInformation({ pair: 'XETHZUSD' })
+    ]).then((tickers) => {
+      expect(tickers[0]).to.deep.equal(tickers[2]);
+      return accounts.get('hedge').getTradableAssetPairs().then(() => accounts.get('main').getTradableAssetPairs());
+    }).then(() => {
+      expect(server.requests.map(call => call.endPoint)).to.deep.equal(['Ticker', 'AssetPairs']);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should space the public calls of every account in one queue', (done) => {
+    const sent = [];
+    const transport = {
+      request: (options) => {
+        sent.push([options.path, Date.now()]);
+        return Promise.resolve({ error: [], result: { unixtime: 1 } });
+      }
+    };
+    const limited = new KrakenAccounts({
+      rateLimit: { publicInterval: 100 },
+      cache: false,
+      transport,
+      accounts: {
+        main: { apiKey: MOCK_API_KEY, apiSecret: MOCK_API_SECRET },
+        hedge: { apiKey: HEDGE_KEY, apiSecret: HEDGE_SECRET }
+      }
+    });
+    Promise.all([limited.get('main').getTime(), limited.get('hedge').getTime(), limited.public.getTime()]).then(() => {
+      expect(sent.map(([path]) => path)).to.deep.equal(['/0/public/Time', '/0/public/Time', '/0/public/Time']);
+      expect(sent[1][1] - sent[0][1]).to.be.at.least(90);
+      expect(sent[2][1] - sent[1][1]).to.be.at.least(90);
+      // The call counter stays by account
+      expect(limited.get('main').__limiter).to.not.equal(limited.get('hedge').__limiter);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should total the balances of the accounts', (done) => {
+    accounts.add('old', { apiKey: 'revoked', apiSecret: MOCK_API_SECRET });
+    accounts.getBalances().then(({ total, accounts: balances, errors }) => {
+      expect(total).to.deep.equal({ ZUSD: '1500.5000', XETH: '1.0000000000' });
+      expect(Object.keys(balances).sort()).to.deep.equal(['hedge', 'main']);
+      expect(Object.keys(errors)).to.deep.equal(['old']);
+      expect(errors.old).to.be.instanceof(KrakenAuthError);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should list the open orders of every account', (done) => {
+    Promise.all([
+      accounts.get('main').setAddOrder(order('1500')),
+      accounts.get('hedge').setAddOrder(order('1400'))
+    ]).then(([main, hedge]) => accounts.getOpenOrders().then(({ open, errors }) => {
+      expect(errors).to.deep.equal({});
+      expect(Object.keys(open).sort()).to.deep.equal([main.txid[0], hedge.txid[0]].sort());
+      expect(open[main.txid[0]]).to.include({ account: 'main', status: 'open' });
+      expect(open[hedge.txid[0]].account).to.be.equal('hedge');
+      expect(open[hedge.txid[0]].descr.price).to.be.equal('1400');
+      done();
+    })).catch(error => done(error));
+  });
+
+  it('should check the accounts', () => {
+    expect(() => accounts.get('unknown')).to.throw(KrakenValidationError, 'Unknown account unknown');
+    expect(() => accounts.add('main', { apiKey: 'other', apiSecret: MOCK_API_SECRET })).to.throw(KrakenValidationError, 'Account main already exists');
+    expect(() => accounts.add('copy', { apiKey: HEDGE_KEY, apiSecret: HEDGE_SECRET })).to.throw(KrakenValidationError, 'Account hedge already uses the key of copy');
+    expect(() => accounts.add('empty', { apiKey: 'key' })).to.throw(KrakenValidationError);
+    expect(accounts.remove('hedge')).to.be.equal(true);
+    expect(accounts.has('hedge')).to.be.equal(false);
+    expect(accounts.names).to.deep.equal(['main']);
+  });
+});
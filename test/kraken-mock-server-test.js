@@ -0,0 +1,221 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import KrakenMockServer from '../src/KrakenMockServer';
+import {
+  KrakenApiError,
+  KrakenAuthError,
+  KrakenRateLimitError,
+  KrakenNetworkError
+} from '../src/errors';
+
+chai.config.includeStack = true;
+
+const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+
+describe('KrakenMockServer', () => {
+  let server;
+
+  const client = (options, apiKey = MOCK_API_KEY, apiSecret = MOCK_API_SECRET) =>
+    new Kraken(apiKey, apiSecret, Object.assign({
+      rateLimit: false,
+      retry: false
+    }, server.clientOptions, options));
+
+  beforeEach(() => {
+    server = new KrakenMockServer({
+      accounts: [
+        { apiKey: MOCK_API_KEY, apiSecret: MOCK_API_SECRET },
+        { apiKey: 'otp-key', apiSecret: MOCK_API_SECRET, otp: '123456', balances: { ZUSD: '100' } }
+      ]
+    });
+    return server.start();
+  });
+
+  afterEach(() => server.stop());
+
+  describe('public endpoints', () => {
+    it('should serve the fixtures with the Kraken names', (done) => {
+      const kraken = client();
+      Promise.all([
+        kraken.getTradableAssetPairs({ pair: 'ETHUSD,XBTUSD' }),
+        kraken.getOrderBook({ pair: 'LTCXBT', count: 3 }),
+        kraken.getOHLC({ pair: 'ETHUSD', interval: 60 }),
+        kraken.getTrades({ pair: 'XBTUSD', normalize: true })
+      ]).then(([pairs, book, ohlc, trades]) => {
+        expect(pairs).to.have.all.keys('XETHZUSD', 'XXBTZUSD');
+        expect(book.XLTCXXBT.asks).to.have.lengthOf(3);
+        expect(ohlc.XETHZUSD).to.have.lengthOf(720);
+        expect(trades.pair).to.be.equal('XXBTZUSD');
+        expect(server.requests.map(request => request.endPoint))
+          .to.deep.equal(['AssetPairs', 'Depth', 'OHLC', 'Trades']);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should answer unknown pairs like Kraken', (done) => {
+      client().getTickerInformation({ pair: 'FOOBAR' }).then(() => done(new Error('The pair should be unknown'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenApiError);
+        expect(error.code).to.be.equal('EQuery:Unknown asset pair');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('authentication', () => {
+    it('should check the signature', (done) => {
+      const secret = Buffer.from('another secret').toString('base64');
+      client({}, MOCK_API_KEY, secret).getBalance().then(() => done(new Error('The signature should be wrong'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenAuthError);
+        expect(error.code).to.be.equal('EAPI:Invalid signature');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject unknown keys', (done) => {
+      client({}, 'unknown-key').getBalance().then(() => done(new Error('The key should be unknown'))).catch((error) => {
+        expect(error.code).to.be.equal('EAPI:Invalid key');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject nonces that do not increase', (done) => {
+      const kraken = client({ nonce: { next: () => Promise.resolve(1000) } });
+      kraken.getBalance().then((balance) => {
+        expect(balance.ZUSD).to.be.equal('10000.0000');
+        return kraken.getBalance();
+      }).then(() => done(new Error('The nonce should be used'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenAuthError);
+        expect(error.code).to.be.equal('EAPI:Invalid nonce');
+        expect(server.account().nonce).to.be.equal(1000);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should check the OTP of the accounts that have one', (done) => {
+      // One after the other, two clients of the same key could send the same nonce
+      client({}, 'otp-key').getBalance().catch(error => error.code).then(code => Promise.all([
+        code,
+        client({ apiOTP: '123456' }, 'otp-key').getBalance()
+      ])).then(([code, balance]) => {
+        expect(code).to.be.equal('EGeneral:Invalid OTP');
+        expect(balance).to.deep.equal({ ZUSD: '100.0000' });
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('faults', () => {
+    it('should inject Kraken errors for an endpoint', (done) => {
+      server.inject('rateLimit', { endpoint: 'Balance' });
+      const kraken = client();
+      Promise.all([
+        kraken.getTime(),
+        kraken.getBalance().catch(error => error)
+      ]).then(([time, error]) => {
+        expect(time).to.have.property('unixtime');
+        expect(error).to.be.instanceof(KrakenRateLimitError);
+        return kraken.getBalance();
+      }).then((balance) => {
+        expect(balance).to.have.property('ZUSD');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should answer HTML pages with a status that the client retries', (done) => {
+      server.inject('badGateway', { times: 2 });
+      client({ retry: { baseDelay: 1, maxDelay: 5 } }).getTime().then((time) => {
+        expect(time).to.have.property('unixtime');
+        expect(server.requests).to.have.lengthOf(3);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should close the connection', (done) => {
+      server.inject('reset');
+      client().getTime().then(() => done(new Error('The connection should be closed'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenNetworkError);
+        expect(error.code).to.be.equal('ECONNRESET');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('orders', () => {
+    it('should fill market orders and update the balances and the ledger', (done) => {
+      const kraken = client();
+      kraken.setAddOrder({ pair: 'ETHUSD', type: 'buy', ordertype: 'market', volume: '2' }).then((result) => {
+        expect(result.descr.order).to.be.equal('buy 2.00000000 ETHUSD @ market');
+        return Promise.all([
+          kraken.getQueryOrders({ txid: result.txid[0], trades: true }),
+          kraken.getBalance(),
+          kraken.getLedgers({ type: 'trade' })
+        ]);
+      }).then(([orders, balance, { ledger, count }]) => {
+        const [order] = Object.keys(orders).map(txid => orders[txid]);
+        expect(order.status).to.be.equal('closed');
+        expect(order.vol_exec).to.be.equal('2.00000000');
+        expect(order.trades).to.have.lengthOf(1);
+        expect(balance.XETH).to.be.equal('12.0000000000');
+        expect(parseFloat(balance.ZUSD)).to.be.below(10000 - (2 * 1900));
+        expect(count).to.be.equal(2);
+        expect(Object.keys(ledger).map(id => ledger[id].asset).sort()).to.deep.equal(['XETH', 'ZUSD']);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should keep limit orders open until they are filled or canceled', (done) => {
+      const kraken = client();
+      let txid;
+      kraken.setAddOrder({ pair: 'XBTUSD', type: 'sell', ordertype: 'limit', price: '40000.0', volume: '0.5', userref: 7 }).then((result) => {
+        [txid] = result.txid;
+        server.fill(txid, { volume: 0.2 });
+        return kraken.getOpenOrders();
+      }).then(({ open }) => {
+        expect(open[txid]).to.include({ status: 'open', vol_exec: '0.20000000', price: '40000.0', userref: 7 });
+        return kraken.setCancelOrder({ txid });
+      }).then((result) => {
+        expect(result.count).to.be.equal(1);
+        return kraken.getClosedOrders();
+      }).then(({ closed, count }) => {
+        expect(count).to.be.equal(1);
+        expect(closed[txid].status).to.be.equal('canceled');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should validate the orders like Kraken', (done) => {
+      const kraken = client();
+      const order = params => kraken.setAddOrder(Object.assign({ pair: 'ETHUSD', type: 'buy', ordertype: 'limit' }, params));
+      Promise.all([
+        order({ price: '100.001', volume: '1' }).catch(error => error.message),
+        order({ price: '100', volume: '0.001' }).catch(error => error.message),
+        order({ price: '100', volume: '1000' }).catch(error => error.message),
+        order({ price: '100', volume: '1', validate: true })
+      ]).then(([decimals, minimum, funds, validated]) => {
+        expect(decimals).to.be.equal('EOrder:Invalid price:XETHZUSD price can only be specified up to 2 decimals.');
+        expect(minimum).to.be.equal('EOrder:Order minimum not met');
+        expect(funds).to.be.equal('EOrder:Insufficient funds');
+        expect(validated).to.deep.equal({ descr: { order: 'buy 1.00000000 ETHUSD @ limit 100' } });
+        expect(server.account().orders).to.deep.equal({});
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should page the ledger like Kraken', (done) => {
+      const kraken = client();
+      const orders = Array.from({ length: 30 }, () =>
+        kraken.setAddOrder({ pair: 'ETHUSD', type: 'buy', ordertype: 'market', volume: '0.01' }));
+      Promise.all(orders).then(() => kraken.getLedgers()).then(({ ledger, count }) => {
+        // 4 deposits and 2 entries by order
+        expect(count).to.be.equal(64);
+        expect(Object.keys(ledger)).to.have.lengthOf(50);
+        return kraken.iterateLedgers({}, { interval: 0 }).toArray();
+      }).then((entries) => {
+        expect(entries).to.have.lengthOf(64);
+        expect(entries[63].type).to.be.equal('deposit');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -0,0 +1,287 @@
+import chai, { expect } from 'chai';
+import WebSocket from 'ws';
+
+import Kraken from '../src/Kraken';
+import KrakenPrivateStream from '../src/KrakenPrivateStream';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenApiError, KrakenAuthError, KrakenPolicyError, KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+/**
+ * In-process stand-in for ws-auth.kraken.com, rejects requests without a token
+ */
+const createServer = () => {
+  const server = new WebSocket.Server({ port: 0 });
+  server.received = [];
+
+  const reply = (socket, message) => socket.send(JSON.stringify(message));
+
+  server.on('connection', (socket) => {
+    server.socket = socket;
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      const token = message.token || (message.subscription && message.subscription.token);
+      server.received.push(message);
+
+      if (!token) {
+        reply(socket, { event: `${message.event}Status`, status: 'error', errorMessage: 'EGeneral:Invalid arguments:token', reqid: message.reqid });
+        return;
+      }
+
+      switch (message.event) {
+        case 'subscribe':
+          reply(socket, {
+            channelName: message.subscription.name,
+            event: 'subscriptionStatus',
+            reqid: message.reqid,
+            status: 'subscribed',
+            subscription: { name: message.subscription.name }
+          });
+          break;
+        case 'addOrder':
+          if (message.volume === '0') {
+            reply(socket, { event: 'addOrderStatus', status: 'error', errorMessage: 'EOrder:Invalid order', reqid: message.reqid });
+            break;
+          }
+          reply(socket, { event: 'addOrderStatus', status: 'ok', txid: 'OGTT3Y-C6I3P-XRI6HX', descr: 'buy 1.25 ETHUSD @ limit 350.5', reqid: message.reqid });
+          break;
+        case 'cancelOrder':
+          reply(socket, { event: 'cancelOrderStatus', status: 'ok', reqid: message.reqid });
+          break;
+        default:
+      }
+    });
+  });
+
+  server.push = message => reply(server.socket, message);
+  server.url = () => `ws://127.0.0.1:${server.address().port}`;
+
+  return server;
+};
+
+const createKraken = () => {
+  const kraken = { tokens: 0 };
+  kraken.getWebSocketsToken = () => {
+    kraken.tokens += 1;
+    return Promise.resolve({ token: `token-${kraken.tokens}`, expires: kraken.expires || 900 });
+  };
+  return kraken;
+};
+
+describe('KrakenPrivateStream', () => {
+  let server;
+  let kraken;
+  let stream;
+
+  beforeEach((done) => {
+    server = createServer();
+    kraken = createKraken();
+    server.on('listening', () => {
+      stream = new KrakenPrivateStream(kraken, { url: server.url(), reconnectDelay: 10, timeout: 2000 });
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    stream.close().then(() => server.close(() => done()));
+  });
+
+  describe('token', () => {
+    it('should get a token before connecting and sign the subscriptions with it', (done) => {
+      stream.connect().then(() => stream.subscribe('openOrders')).then((statuses) => {
+        expect(statuses[0].status).to.be.equal('subscribed');
+        expect(server.received[0].subscription).to.deep.equal({ name: 'openOrders', token: 'token-1' });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reuse the token to reconnect until it expires', (done) => {
+      stream.connect().then(() => stream.subscribe('openOrders')).then(() => {
+        stream.once('subscriptionStatus', () => {
+          expect(kraken.tokens).to.be.equal(1);
+          expect(server.received[1].subscription.token).to.be.equal('token-1');
+          done();
+        });
+        server.socket.terminate();
+      }).catch(error => done(error));
+    });
+
+    it('should get a new token to reconnect once it expired', (done) => {
+      // Below the refresh margin, the token is expired as soon as it is obtained
+      kraken.expires = 30;
+      stream.connect().then(() => stream.subscribe('openOrders')).then(() => {
+        expect(kraken.tokens).to.be.equal(1);
+        stream.once('subscriptionStatus', () => {
+          expect(kraken.tokens).to.be.equal(2);
+          expect(server.received[1].subscription.token).to.be.equal('token-2');
+          done();
+        });
+        server.socket.terminate();
+      }).catch(error => done(error));
+    });
+
+    it('should get a single token for the calls made while connecting', (done) => {
+      let connections = 0;
+      server.on('connection', () => {
+        connections += 1;
+      });
+      Promise.all([stream.connect(), stream.connect()]).then(() => stream.connect()).then(() => {
+        expect(kraken.tokens).to.be.equal(1);
+        expect(connections).to.be.equal(1);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject when the token cannot be obtained', (done) => {
+      kraken.getWebSocketsToken = () => Promise.reject(new KrakenAuthError(['EGeneral:Permission denied']));
+      stream.connect().then(() => done(new Error('The connection should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenAuthError);
+        expect(error.message).to.be.equal('EGeneral:Permission denied');
+        done();
+      });
+    });
+  });
+
+  describe('openOrders', () => {
+    it('should emit order state changes', (done) => {
+      const updates = [];
+      stream.on('orderUpdate', (update) => {
+        updates.push(update);
+        if (updates.length === 2) {
+          expect(updates[0].status).to.be.equal('open');
+          expect(updates[0].previousStatus).to.be.null;
+          expect(updates[1].status).to.be.equal('closed');
+          expect(updates[1].previousStatus).to.be.equal('open');
+          expect(updates[1].order.vol).to.be.equal('1.25');
+          expect(stream.orders).to.deep.equal({});
+          done();
+        }
+      });
+
+      stream.connect().then(() => stream.subscribe('openOrders')).then(() => {
+        server.push([[{ 'OGTT3Y-C6I3P-XRI6HX': { status: 'open', vol: '1.25', vol_exec: '0' } }], 'openOrders', { sequence: 1 }]);
+        server.push([[{ 'OGTT3Y-C6I3P-XRI6HX': { status: 'closed', vol_exec: '1.25' } }], 'openOrders', { sequence: 2 }]);
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('ownTrades', () => {
+    it('should emit every trade', (done) => {
+      stream.on('ownTrade', ({ tradeid, trade }) => {
+        expect(tradeid).to.be.equal('TDLH43-DVQXD-2KHVYY');
+        expect(trade.ordertxid).to.be.equal('OGTT3Y-C6I3P-XRI6HX');
+        done();
+      });
+      stream.connect().then(() => stream.subscribe('ownTrades')).then(() => {
+        server.push([[{ 'TDLH43-DVQXD-2KHVYY': { ordertxid: 'OGTT3Y-C6I3P-XRI6HX', pair: 'ETH/USD' } }], 'ownTrades', { sequence: 1 }]);
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('addOrder', () => {
+    it('should add an order with the token and the wsname', (done) => {
+      stream.connect().then(() => stream.addOrder({
+        pair: 'ETHUSD', type: 'buy', ordertype: 'limit', price: 350.5, volume: 1.25
+      })).then((status) => {
+        expect(status.txid).to.be.equal('OGTT3Y-C6I3P-XRI6HX');
+        expect(server.received[0]).to.include({ token: 'token-1', pair: 'ETH/USD', price: '350.5', volume: '1.25' });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should validate the params like setAddOrder', (done) => {
+      stream.connect().then(() => stream.addOrder({
+        pair: 'ETHUSD', type: 'buy', ordertype: 'limit', volume: '1.25'
+      })).then(() => done(new Error('The order should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.contain('Price option is required');
+        expect(server.received).to.deep.equal([]);
+        done();
+      });
+    });
+
+    it('should reject when Kraken refuses the order', (done) => {
+      stream.connect().then(() => stream.addOrder({
+        pair: 'ETHUSD', type: 'buy', ordertype: 'market', volume: '0'
+      })).then(() => done(new Error('The order should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenApiError);
+        expect(error.category).to.be.equal('Order');
+        expect(error.message).to.be.equal('EOrder:Invalid order');
+        done();
+      });
+    });
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel a list of orders', (done) => {
+      stream.connect().then(() => stream.cancelOrder('OGTT3Y-C6I3P-XRI6HX')).then((status) => {
+        expect(status.status).to.be.equal('ok');
+        expect(server.received[0].txid).to.deep.equal(['OGTT3Y-C6I3P-XRI6HX']);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('with the options of the client', () => {
+    let mock;
+
+    const client = options => new Kraken(KrakenMockServer.MOCK_API_KEY, KrakenMockServer.MOCK_API_SECRET, Object.assign({
+      rateLimit: false,
+      retry: false
+    }, options, mock.clientOptions));
+    const order = volume => ({ pair: 'ETHUSD', type: 'buy', ordertype: 'limit', price: '350.5', volume });
+
+    beforeEach(() => {
+      mock = new KrakenMockServer();
+      return mock.start();
+    });
+
+    afterEach(() => mock.stop());
+
+    it('should check the orders with the safety policy', (done) => {
+      const kraken = client({ policy: { maxNotional: 1000 } });
+      stream.close().then(() => {
+        stream = new KrakenPrivateStream(kraken, { url: server.url(), reconnectDelay: 10, timeout: 2000 });
+        return stream.connect();
+      }).then(() => stream.addOrder(order('5')).catch(error => error)).then((error) => {
+        expect(error).to.be.instanceof(KrakenPolicyError);
+        expect(error.rule).to.be.equal('maxNotional');
+        expect(server.received.map(message => message.event)).to.deep.equal([]);
+        return stream.addOrder(order('1.25'));
+      }).then((status) => {
+        expect(status.txid).to.be.equal('OGTT3Y-C6I3P-XRI6HX');
+        expect(kraken.policy.dailyVolumes).to.deep.equal({ XETHZUSD: 438.125 });
+        kraken.policy.readOnly = true;
+        return stream.cancelOrder('OGTT3Y-C6I3P-XRI6HX').catch(error => error);
+      }).then((error) => {
+        expect(error.rule).to.be.equal('readOnly');
+        expect(server.received.map(message => message.event)).to.deep.equal(['addOrder']);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should simulate the orders in paper mode', (done) => {
+      const kraken = client({ paper: { balances: { USD: 10000 } } });
+      stream.close().then(() => {
+        stream = new KrakenPrivateStream(kraken, { url: server.url(), reconnectDelay: 10, timeout: 2000 });
+        return stream.addOrder(order('1.25'));
+      }).then((status) => {
+        expect(status).to.include({ event: 'addOrderStatus', status: 'ok', descr: 'buy 1.25000000 ETHUSD @ limit 350.5' });
+        return kraken.getOpenOrders().then(({ open }) => {
+          expect(Object.keys(open)).to.deep.equal([status.txid]);
+          return stream.cancelOrder([status.txid]);
+        });
+      }).then((status) => {
+        expect(status).to.deep.equal({ event: 'cancelOrderStatus', status: 'ok' });
+        return kraken.getOpenOrders();
+      }).then(({ open }) => {
+        expect(open).to.deep.equal({});
+        // Nothing reached Kraken
+        expect(server.received).to.deep.equal([]);
+        expect(mock.requests.filter(call => call.endPoint === 'AddOrder' || call.endPoint === 'CancelOrder')).to.deep.equal([]);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
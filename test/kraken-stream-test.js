@@ -0,0 +1,229 @@
+import chai, { expect } from 'chai';
+import WebSocket from 'ws';
+
+import KrakenStream from '../src/KrakenStream';
+import { toWsName } from '../src/helpers/pairs';
+
+chai.config.includeStack = true;
+
+/**
+ * Minimal in-process stand-in for ws.kraken.com, answers pings and
+ * subscriptions and lets the tests push channel messages
+ */
+const createServer = () => {
+  const server = new WebSocket.Server({ port: 0 });
+  let channelID = 100;
+
+  server.channels = {};
+  server.received = [];
+
+  server.on('connection', (socket) => {
+    server.socket = socket;
+    socket.send(JSON.stringify({ connectionID: 1, event: 'systemStatus', status: 'online', version: '1.0.0' }));
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      server.received.push(message);
+
+      if (message.event === 'ping') {
+        socket.send(JSON.stringify({ event: 'pong', reqid: message.reqid }));
+      }
+
+      if (message.event === 'subscribe' || message.event === 'unsubscribe') {
+        message.pair.forEach((pair) => {
+          if (pair === 'BAD/PAIR') {
+            socket.send(JSON.stringify({
+              errorMessage: 'Currency pair not supported BAD/PAIR',
+              event: 'subscriptionStatus',
+              pair,
+              reqid: message.reqid,
+              status: 'error',
+              subscription: message.subscription
+            }));
+            return;
+          }
+          channelID += 1;
+          server.channels[`${message.subscription.name}:${pair}`] = channelID;
+          socket.send(JSON.stringify({
+            channelID,
+            channelName: message.subscription.name,
+            event: 'subscriptionStatus',
+            pair,
+            reqid: message.reqid,
+            status: `${message.event}d`,
+            subscription: message.subscription
+          }));
+        });
+      }
+    });
+  });
+
+  server.push = message => server.socket.send(JSON.stringify(message));
+  server.url = () => `ws://127.0.0.1:${server.address().port}`;
+
+  return server;
+};
+
+describe('KrakenStream', () => {
+  let server;
+  let stream;
+
+  beforeEach((done) => {
+    server = createServer();
+    server.on('listening', () => {
+      stream = new KrakenStream({ url: server.url(), reconnectDelay: 10, timeout: 2000 });
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    stream.close().then(() => server.close(() => done()));
+  });
+
+  describe('pair normalisation', () => {
+    it('should convert REST and canonical pair names to wsnames', () => {
+      expect(toWsName('ETHUSD')).to.be.equal('ETH/USD');
+      expect(toWsName(' xbt eur ')).to.be.equal('XBT/EUR');
+      expect(toWsName('XETHZUSD')).to.be.equal('ETH/USD');
+      expect(toWsName('LTCXBT')).to.be.equal('LTC/XBT');
+      expect(toWsName('ETHUSDT')).to.be.equal('ETH/USDT');
+      expect(toWsName('XRP/EUR')).to.be.equal('XRP/EUR');
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should subscribe every pair using the wsname', (done) => {
+      stream.connect().then(() => stream.subscribe('ticker', 'ETHUSD, XBTEUR')).then((statuses) => {
+        expect(statuses.length).to.be.equal(2);
+        expect(statuses[0].status).to.be.equal('subscribed');
+        expect(server.received[0].pair).to.deep.equal(['ETH/USD', 'XBT/EUR']);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject when Kraken refuses the subscription', (done) => {
+      stream.connect().then(() => stream.subscribe('trade', 'BAD/PAIR')).then(() => {
+        done(new Error('The subscription should fail'));
+      }).catch((error) => {
+        expect(error.message).to.be.equal('Currency pair not supported BAD/PAIR');
+        done();
+      });
+    });
+
+    it('should NOT accept unknown channels', (done) => {
+      stream.subscribe('orders', 'ETHUSD').catch((error) => {
+        expect(error.message).to.contain('Channel must be one of');
+        done();
+      });
+    });
+
+    it('should send the ohlc interval and book depth', (done) => {
+      stream.connect()
+        .then(() => stream.subscribe('ohlc', 'ETHUSD', { interval: 5 }))
+        .then(() => stream.subscribe('book', 'ETHUSD', { depth: 10 }))
+        .then(() => {
+          expect(server.received[0].subscription).to.deep.equal({ name: 'ohlc', interval: 5 });
+          expect(server.received[1].subscription).to.deep.equal({ name: 'book', depth: 10 });
+          done();
+        })
+        .catch(error => done(error));
+    });
+  });
+
+  describe('events', () => {
+    it('should emit typed ticker events', (done) => {
+      stream.on('ticker', (event) => {
+        expect(event.pair).to.be.equal('ETH/USD');
+        expect(event.data.c).to.deep.equal(['348.1', '0.1']);
+        done();
+      });
+      stream.connect().then(() => stream.subscribe('ticker', 'ETHUSD')).then(() => {
+        server.push([server.channels['ticker:ETH/USD'], { c: ['348.1', '0.1'] }, 'ticker', 'ETH/USD']);
+      }).catch(error => done(error));
+    });
+
+    it('should merge book updates carrying asks and bids', (done) => {
+      stream.on('book', (event) => {
+        expect(event.depth).to.be.equal(10);
+        expect(event.snapshot).to.be.false;
+        expect(event.data.a[0][0]).to.be.equal('5541.30000');
+        expect(event.data.b[0][0]).to.be.equal('5541.20000');
+        expect(event.data.c).to.be.equal('974942666');
+        done();
+      });
+      stream.connect().then(() => stream.subscribe('book', 'XBTUSD', { depth: 10 })).then(() => {
+        server.push([
+          server.channels['book:XBT/USD'],
+          { a: [['5541.30000', '2.50700000', '1534614248.456738']] },
+          { b: [['5541.20000', '1.52900000', '1534614248.765567']], c: '974942666' },
+          'book-10',
+          'XBT/USD'
+        ]);
+      }).catch(error => done(error));
+    });
+
+    it('should emit ohlc events with the interval', (done) => {
+      stream.on('ohlc', (event) => {
+        expect(event.interval).to.be.equal(5);
+        expect(event.data[2]).to.be.equal('3586.70000');
+        done();
+      });
+      stream.connect().then(() => stream.subscribe('ohlc', 'XBTUSD', { interval: 5 })).then(() => {
+        server.push([
+          server.channels['ohlc:XBT/USD'],
+          ['1542057314.748456', '1542057360.435743', '3586.70000', '3586.70000', '3586.60000', '3586.60000', '3586.68894', '0.03373000', 2],
+          'ohlc-5',
+          'XBT/USD'
+        ]);
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('ping', () => {
+    it('should resolve with the pong', (done) => {
+      stream.connect().then(() => stream.ping()).then((pong) => {
+        expect(pong.event).to.be.equal('pong');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('reconnect', () => {
+    it('should reconnect and resubscribe after the connection drops', (done) => {
+      stream.connect().then(() => stream.subscribe('spread', 'ETHUSD')).then(() => {
+        stream.once('subscriptionStatus', (status) => {
+          expect(status.pair).to.be.equal('ETH/USD');
+          expect(status.subscription.name).to.be.equal('spread');
+          done();
+        });
+        server.socket.terminate();
+      }).catch(error => done(error));
+    });
+
+    it('should open a single socket for the calls made while connecting', (done) => {
+      let connections = 0;
+      server.on('connection', () => {
+        connections += 1;
+      });
+      Promise.all([stream.connect(), stream.connect()]).then(() => stream.connect()).then(() => {
+        expect(connections).to.be.equal(1);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT reconnect when the first connect fails', (done) => {
+      const unreachable = new KrakenStream({ url: 'ws://127.0.0.1:1', reconnectDelay: 10 });
+      unreachable.on('reconnect', () => done(new Error('The stream should not reconnect')));
+      unreachable.connect().then(() => done(new Error('The connect should fail'))).catch(() => {
+        setTimeout(() => done(), 50);
+      });
+    });
+
+    it('should NOT reconnect after close', (done) => {
+      stream.on('reconnect', () => done(new Error('The stream should not reconnect')));
+      stream.connect().then(() => stream.close()).then(() => {
+        setTimeout(() => done(), 50);
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -2,6 +2,8 @@ import chai, { expect } from 'chai';
 import { config } from 'dotenv';
 
 import Kraken from '../src/Kraken';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenValidationError } from '../src/errors';
 
 // Load Enviroment variables from .env file
 // this .env file must be in the root folder
@@ -10,15 +12,35 @@ config();
 
 chai.config.includeStack = true;
 
-const kraken = new Kraken(process.env.API_KEY, process.env.API_SECRET);
+// The calls go to the bundled mock server, set KRAKEN_LIVE=1 to send them to Kraken
+// with the API_KEY and API_SECRET of the .env file
+const live = !!process.env.KRAKEN_LIVE;
+const server = new KrakenMockServer();
+let kraken;
 
 describe('Kraken', () => {
+  before(() => {
+    if (live) {
+      kraken = new Kraken(process.env.API_KEY, process.env.API_SECRET);
+      return Promise.resolve();
+    }
+    return server.start().then(() => {
+      kraken = new Kraken(
+        KrakenMockServer.MOCK_API_KEY,
+        KrakenMockServer.MOCK_API_SECRET,
+        Object.assign({ rateLimit: false }, server.clientOptions)
+      );
+    });
+  });
+
+  after(() => server.stop());
+
   describe('getTime', () => {
     it('should show the server time', (done) => {
       kraken.getTime().then((time) => {
-        expect(time.result).to.be.instanceof(Object);
-        expect(time.result).to.have.property('unixtime');
-        expect(time.result).to.have.property('rfc1123');
+        expect(time).to.be.instanceof(Object);
+        expect(time).to.have.property('unixtime');
+        expect(time).to.have.property('rfc1123');
         done();
       }).catch(error => done(error));
     });
@@ -28,7 +50,7 @@ describe('Kraken', () => {
     it('should show all the assets available on Kraken', (done) => {
       kraken.getAssetInfo({ asset: 'all' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
@@ -36,8 +58,8 @@ describe('Kraken', () => {
     it('should show only two assets on Kraken', (done) => {
       kraken.getAssetInfo({ asset: 'ETH,XRP' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 2).to.be.true;
-        expect(response.result.XETH).to.have.property('altname');
+        expect(Object.keys(response).length === 2).to.be.true;
+        expect(response.XETH).to.have.property('altname');
         done();
       }).catch(error=> done(error));
     });
@@ -47,7 +69,7 @@ describe('Kraken', () => {
     it('should show all the tradable assets pairs available on Kraken', (done) => {
       kraken.getTradableAssetPairs({ info: 'all', pair: 'all' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
@@ -55,8 +77,8 @@ describe('Kraken', () => {
     it('should show only two tradable assets on Kraken', (done) => {
       kraken.getTradableAssetPairs({ info: 'all', pair: 'ETHUSD,XRPUSD' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 2).to.be.true;
-        expect(response.result.XETHZUSD).to.have.property('altname');
+        expect(Object.keys(response).length === 2).to.be.true;
+        expect(response.XETHZUSD).to.have.property('altname');
         done();
       }).catch(error => done(error));
     });
@@ -65,8 +87,8 @@ describe('Kraken', () => {
   describe('getTickerInformation', () => {
     it('should show ticker informaton for the pair', (done) => {
       kraken.getTickerInformation({ pair: 'ETHUSD' }).then((response) => {
-        expect(response.result).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(response).to.be.instanceof(Object);
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
@@ -74,18 +96,30 @@ describe('Kraken', () => {
     it('should show only two assets on Kraken', (done) => {
       kraken.getTickerInformation({ pair: 'ETHUSD,LTCXBT' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 2).to.be.true;
-        expect(response.result.XETHZUSD).to.have.property('a');
+        expect(Object.keys(response).length === 2).to.be.true;
+        expect(response.XETHZUSD).to.have.property('a');
         done();
       }).catch(error=> done(error));
     });
 
     it('should NOT accept assets that are no strings', (done) => {
+      kraken.getTickerInformation({ pair: ['ETH', 3] }).then((response) => {
+        expect(response).to.be.undefined;
+        done();
+      }).catch((error) => {
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Pair option must be a string, could be all for all pair or a comma separated values such as ETHUSD,XRPUSD');
+        done();
+      });
+    });
+
+    it('should NOT accept a call without pair', (done) => {
       kraken.getTickerInformation({ curr1: 'ETH', curr2: 'XRP' }).then((response) => {
-        expect(response.result).to.be.undefined;
+        expect(response).to.be.undefined;
         done();
       }).catch((error) => {
-        expect(error).to.be.equal('Pair option must be a string, could be all for all assets or a comma separated values such as ETHUSD,XRPUSD');
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Pair option is required');
         done();
       });
     });
@@ -95,28 +129,30 @@ describe('Kraken', () => {
   describe('getOHLC', () => {
     it('should show an array of pair name and OHLC data on Kraken', (done) => {
       kraken.getOHLC({ pair: 'LTCXBT' }).then((response) => {
-        expect(response.result).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(response).to.be.instanceof(Object);
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
 
     it('should give and error if the interval option is not a number', (done) => {
       kraken.getOHLC({ pair: 'LTCXBT', interval: 'yesterday' }).then((response) => {
-        expect(response.result).to.be.undefined;
+        expect(response).to.be.undefined;
         done();
       }).catch((error) => {
-        expect(error).to.be.equal('Interval option must be a integer, and one of this intervals values 1 (default), 5, 15, 30, 60, 240, 1440, 10080, 21600');
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Interval option must be a integer, and one of this intervals values 1 (default), 5, 15, 30, 60, 240, 1440, 10080, 21600');
         done();
       });
     });
 
     it('should give an error if the since option is not a number', (done) => {
       kraken.getOHLC({ pair: 'LTCXBT', since: 'yesterday' }).then((response) => {
-        expect(response.result).to.be.undefined;
+        expect(response).to.be.undefined;
         done();
       }).catch((error) => {
-        expect(error).to.be.equal('Since option must be a unix time, for example 1495864800');
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Since option must be a unix time, for example 1495864800');
         done();
       });
     });
@@ -126,17 +162,18 @@ describe('Kraken', () => {
     it('should show an array of pair name and market depth', (done) => {
       kraken.getOrderBook({ pair: 'LTCXBT' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
 
     it('should give an error if the count option is not a number', (done) => {
       kraken.getOrderBook({ pair: 'LTCXBT', count: 'hola' }).then((response) => {
-        expect(response.result).to.be.undefined;
+        expect(response).to.be.undefined;
         done();
       }).catch((error) => {
-        expect(error).to.be.equal('Count option must be a integer');
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Count option must be a integer');
         done();
       });
     });
@@ -144,8 +181,8 @@ describe('Kraken', () => {
     it('should show 5 asks and bids for the pair', (done) => {
       kraken.getOrderBook({ pair: 'LTCXBT', count: 5 }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(response.result.XLTCXXBT.asks.length).to.be.equal(5);
-        expect(response.result.XLTCXXBT.bids.length).to.be.equal(5);
+        expect(response.XLTCXXBT.asks.length).to.be.equal(5);
+        expect(response.XLTCXXBT.bids.length).to.be.equal(5);
         done();
       }).catch(error => done(error));
     });
@@ -155,17 +192,18 @@ describe('Kraken', () => {
     it('should show an array of name and recent trade data', (done) => {
       kraken.getTrades({ pair: 'LTCXBT' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
 
     it('should give an error if the since option is not a number', (done) => {
       kraken.getTrades({ pair: 'LTCXBT', since: 'hola' }).then((response) => {
-        expect(response.result).to.be.undefined;
+        expect(response).to.be.undefined;
         done();
       }).catch((error) => {
-        expect(error).to.be.equal('Since option must be a unix timestamp');
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Since option must be a unix timestamp');
         done();
       });
     });
@@ -175,7 +213,7 @@ describe('Kraken', () => {
     it('should show an array of pair name recent spread data', (done) => {
       kraken.getSpread({ pair: 'LTCXBT' }).then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
+        expect(Object.keys(response).length === 0).to.be.false;
         done();
       }).catch(error => done(error));
     });
@@ -185,7 +223,8 @@ describe('Kraken', () => {
         expect(response).to.be.undefined;
         done();
       }).catch((error) => {
-        expect(error).to.be.equal('Since option must be a unix timestamp');
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.message).to.be.equal('Since option must be a unix timestamp');
         done();
       });
     });
@@ -195,9 +234,9 @@ describe('Kraken', () => {
     it('should show an array of trade balance info', (done) => {
       kraken.getTradeBalance().then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
-        expect(response.result).to.have.property('eb');
-        expect(response.result).to.have.property('tb');
+        expect(Object.keys(response).length === 0).to.be.false;
+        expect(response).to.have.property('eb');
+        expect(response).to.have.property('tb');
         done();
       }).catch(error => done(error));
     });
@@ -207,8 +246,8 @@ describe('Kraken', () => {
     it('should show an array of asset names and balance amount', (done) => {
       kraken.getBalance().then((response) => {
         expect(response).to.be.instanceof(Object);
-        expect(Object.keys(response.result).length === 0).to.be.false;
-        expect(response.result).to.have.property('ZUSD');
+        expect(Object.keys(response).length === 0).to.be.false;
+        expect(response).to.have.property('ZUSD');
         done();
       }).catch(error => done(error));
     });
@@ -218,7 +257,7 @@ describe('Kraken', () => {
   describe('getOpenOrders', () => {
     it('should show an array of order info', (done) => {
       kraken.getOpenOrders().then((response) => {
-        expect(response.result).to.be.instanceof(Object);
+        expect(response).to.be.instanceof(Object);
         done();
       }).catch(error => done(error));
     });
@@ -227,17 +266,38 @@ describe('Kraken', () => {
   describe('getClosedOrders', () => {
     it('should show an array of closed order info', (done) => {
       kraken.getClosedOrders().then((response) => {
-        expect(response.result).to.be.instanceof(Object);
+        expect(response).to.be.instanceof(Object);
         done();
       }).catch(error => done(error));
     });
   });
 
 
+  describe('setAddOrder', () => {
+    it('should place an order, only validated on Kraken', (done) => {
+      kraken.setAddOrder({
+        pair: 'ETHUSD', type: 'buy', ordertype: 'limit', price: '100.00', volume: '0.1', validate: live
+      }).then((response) => {
+        expect(response.descr).to.have.property('order');
+        // A validated order has no txid
+        if (live) {
+          expect(response.txid).to.be.undefined;
+        } else {
+          expect(response.txid).to.have.lengthOf(1);
+        }
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
   describe('getQueryOrders', () => {
-    it('should show an array of order info', (done) => {
-      kraken.getQueryOrders().then((response) => {
+    // Needs the order placed by setAddOrder
+    (live ? it.skip : it)('should show an array of order info', (done) => {
+      kraken.getOpenOrders().then(({ open }) => kraken.getQueryOrders({
+        txid: Object.keys(open).join(',')
+      })).then((response) => {
         expect(response).to.be.instanceof(Object);
+        expect(Object.keys(response)).to.have.lengthOf(1);
         done();
       }).catch(error => done(error));
     });
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import MarketRecorder from '../src/MarketRecorder';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+const { FileStore, SqliteStore } = MarketRecorder;
+
+// node:sqlite comes with Node 22.5, the SqliteStore tests are skipped without it
+const sqlite = (() => {
+  try {
+    return require('node:sqlite'); // eslint-disable-line global-require
+  } catch (error) {
+    return null;
+  }
+})();
+
+describe('MarketRecorder', () => {
+  const end = 1600000000 - (1600000000 % 3600);
+  let server;
+  let kraken;
+  let now;
+  let dir;
+
+  beforeEach(() => {
+    now = end;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kraken-recorder-'));
+    server = new KrakenMockServer({ now: () => now });
+    return server.start().then(() => {
+      kraken = new Kraken(null, null, Object.assign({ rateLimit: false, retry: false }, server.clientOptions));
+    });
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+    return server.stop();
+  });
+
+  it('should record the new trades, spreads and candles of each round', (done) => {
+    const recorder = new MarketRecorder(kraken, { store: new FileStore({ dir }), pairs: ['ETH/USD'] });
+    const data = [];
+    recorder.on('data', event => data.push([event.channel, event.rows.length]));
+
+    recorder.record().then((summary) => {
+      // The candle still open is left out
+      expect(summary).to.deep.equal({ XETHZUSD: { trades: 360, spread: 60, 'ohlc-1': 719 } });
+      return recorder.record();
+    }).then((summary) => {
+      expect(summary).to.deep.equal({ XETHZUSD: { trades: 0, spread: 0, 'ohlc-1': 0 } });
+      now += 60;
+      return recorder.record();
+    }).then((summary) => {
+      expect(summary).to.deep.equal({ XETHZUSD: { trades: 6, spread: 12, 'ohlc-1': 1 } });
+      expect(data).to.deep.equal([
+        ['trades', 360], ['spread', 60], ['ohlc-1', 719],
+        ['trades', 6], ['spread', 12], ['ohlc-1', 1]
+      ]);
+      return Promise.all([
+        recorder.query('ETHUSD', 'trades', { from: end - 30, to: end + 30 }),
+        recorder.query('XETHZUSD', 'ohlc', { from: end - 120 }),
+        recorder.query('ETHUSD', 'spread')
+      ]);
+    }).then(([trades, candles, spreads]) => {
+      expect(trades.map(trade => trade.time)).to.deep.equal([end - 30, end - 20, end - 10, end, end + 10, end + 20]);
+      expect(trades[0]).to.have.all.keys('price', 'volume', 'time', 'side', 'orderType', 'misc', 'id');
+      expect(candles.map(candle => candle.time)).to.deep.equal([end - 120, end - 60, end]);
+      expect(spreads).to.have.lengthOf(72);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should resume from the saved cursors after a restart', (done) => {
+    const options = { pairs: ['XBTUSD'], channels: ['trades', 'ohlc'], intervals: [5] };
+    const first = new MarketRecorder(kraken, Object.assign({ store: new FileStore({ dir, format: 'csv' }) }, options));
+
+    first.record().then(() => first.query('XBTUSD', 'trades')).then((recorded) => {
+      now += 300;
+      const second = new MarketRecorder(kraken, Object.assign({ store: new FileStore({ dir, format: 'csv' }) }, options));
+      return second.record().then((summary) => {
+        expect(summary).to.deep.equal({ XXBTZUSD: { trades: 30, 'ohlc-5': 1 } });
+        const calls = server.requests.filter(request => request.endPoint === 'Trades');
+        expect(calls[calls.length - 1].params.since).to.be.equal(`${end}000000000`);
+        return second.query('XBTUSD', 'trades');
+      }).then((trades) => {
+        // The CSV files give back the models
+        expect(trades.slice(0, recorded.length)).to.deep.equal(recorded);
+        expect(trades).to.have.lengthOf(390);
+        expect(fs.readFileSync(path.join(dir, 'XXBTZUSD-ohlc-5.csv'), 'utf8').split('\n')[0])
+          .to.be.equal('time,open,high,low,close,vwap,volume,count');
+        done();
+      });
+    }).catch(error => done(error));
+  });
+
+  it('should build the candles Kraken no longer has from the trades', (done) => {
+    // Kraken only returns the candles of the last 30 minutes
+    const getOHLC = kraken.getOHLC.bind(kraken);
+    kraken.getOHLC = params => getOHLC(params).then(result => Object.assign({}, result, {
+      candles: result.candles.filter(candle => candle.time >= end - 1800)
+    }));
+    const recorder = new MarketRecorder(kraken, {
+      store: new FileStore({ dir }), pairs: ['ETHUSD'], channels: ['ohlc'], since: end - 3000
+    });
+    const gaps = [];
+    recorder.on('gap', gap => gaps.push(gap));
+
+    recorder.record().then((summary) => {
+      expect(gaps).to.deep.equal([{ pair: 'XETHZUSD', channel: 'ohlc-1', from: end - 3000, to: end - 1800, filled: 20 }]);
+      expect(summary.XETHZUSD['ohlc-1']).to.be.equal(50);
+      return recorder.query('ETHUSD', 'ohlc');
+    }).then((candles) => {
+      expect(candles.map(candle => candle.time))
+        .to.deep.equal(Array.from({ length: 50 }, (value, index) => (end - 3000) + (index * 60)));
+      expect(candles[0]).to.include({ count: 6, volume: 1.5 });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should keep recording after a failed round', (done) => {
+    const recorder = new MarketRecorder(kraken, {
+      store: new FileStore({ dir }), pairs: ['ETHUSD'], channels: ['spread'], pollInterval: 10
+    });
+    server.inject({ error: ['EService:Unavailable'] }, { endpoint: 'Spread' });
+    recorder.once('error', (error) => {
+      expect(error.code).to.be.equal('EService:Unavailable');
+      recorder.once('data', (event) => {
+        expect(event.rows).to.have.lengthOf(60);
+        recorder.stop().then(() => done()).catch(stopError => done(stopError));
+      });
+    });
+    recorder.start();
+  });
+
+  it('should create the nested directory of the file store', (done) => {
+    const nested = path.join(dir, 'data', 'kraken');
+    const store = new FileStore({ dir: nested });
+
+    store.open().then(() => {
+      expect(fs.existsSync(nested)).to.be.equal(true);
+      fs.rmdirSync(nested);
+      fs.rmdirSync(path.dirname(nested));
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should check the options', () => {
+    const store = new FileStore({ dir });
+    expect(() => new MarketRecorder(kraken, { pairs: ['ETHUSD'] })).to.throw(KrakenValidationError, 'Store option is required');
+    expect(() => new MarketRecorder(kraken, { store, pairs: [] })).to.throw(KrakenValidationError);
+    expect(() => new MarketRecorder(kraken, { store, pairs: ['ETHUSD'], channels: ['book'] })).to.throw(KrakenValidationError, 'Unknown channels book');
+    expect(() => new FileStore({ dir, format: 'xml' })).to.throw(KrakenValidationError);
+  });
+});
+
+(sqlite ? describe : describe.skip)('SqliteStore', () => {
+  let db;
+  let store;
+
+  const candle = (time, close) => ({
+    time, open: 300, high: 310, low: 290, close, vwap: 301, volume: 2, count: 4
+  });
+
+  beforeEach(() => {
+    db = new sqlite.DatabaseSync(':memory:');
+    store = new SqliteStore(db);
+  });
+
+  afterEach(() => store.close().then(() => db.close()));
+
+  it('should keep the last version of a candle stored twice', (done) => {
+    store.append('XETHZUSD', 'ohlc-1', [candle(60, 300), candle(120, 305)], 60)
+      .then(() => store.append('XETHZUSD', 'ohlc-1', [candle(120, 306), candle(180, 307)], 120))
+      .then(() => store.query('XETHZUSD', 'ohlc-1'))
+      .then((candles) => {
+        expect(candles.map(row => [row.time, row.close])).to.deep.equal([[60, 300], [120, 306], [180, 307]]);
+        expect(candles[0]).to.deep.equal(candle(60, 300));
+        done();
+      })
+      .catch(error => done(error));
+  });
+
+  it('should save the cursor of each pair and channel', (done) => {
+    store.cursor('XETHZUSD', 'trades').then((cursor) => {
+      expect(cursor).to.be.undefined;
+      return store.append('XETHZUSD', 'trades', [], '1600000000123456789');
+    }).then(() => store.append('XETHZUSD', 'spread', [], 1600000000))
+      .then(() => Promise.all([
+        store.cursor('XETHZUSD', 'trades'),
+        store.cursor('XETHZUSD', 'spread'),
+        store.cursor('XXBTZUSD', 'trades')
+      ]))
+      .then((cursors) => {
+        expect(cursors).to.deep.equal(['1600000000123456789', 1600000000, undefined]);
+        done();
+      })
+      .catch(error => done(error));
+  });
+
+  it('should query the rows of a time range in time order', (done) => {
+    const trades = [30, 10, 20, 40].map(time => ({
+      time, price: 300, volume: 1, side: 'b', orderType: 'l', misc: '', id: time
+    }));
+    Promise.all([
+      store.append('XETHZUSD', 'trades', trades, 40),
+      store.append('XXBTZUSD', 'trades', [trades[0]], 30)
+    ]).then(() => Promise.all([
+      store.query('XETHZUSD', 'trades', { from: 20, to: 40 }),
+      store.query('XETHZUSD', 'trades', { from: 25 }),
+      store.query('XXBTZUSD', 'trades')
+    ])).then(([range, from, other]) => {
+      expect(range.map(trade => trade.time)).to.deep.equal([20, 30]);
+      expect(range[0]).to.deep.equal({ time: 20, price: 300, volume: 1, side: 'b', orderType: 'l', misc: '', id: 20 });
+      expect(from.map(trade => trade.time)).to.deep.equal([30, 40]);
+      expect(other).to.have.lengthOf(1);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should roll back the rows and the cursor of a failed append', (done) => {
+    store.append('XETHZUSD', 'spread', [{ time: 10, bid: 300, ask: 301 }], 10).then(() => store.append(
+      'XETHZUSD',
+      'spread',
+      // An object can't be stored, the insert of the second row throws
+      [{ time: 20, bid: 300, ask: 301 }, { time: 30, bid: {}, ask: 301 }],
+      30
+    )).then(() => done(new Error('The append should fail'))).catch(() => Promise.all([
+      store.query('XETHZUSD', 'spread'),
+      store.cursor('XETHZUSD', 'spread')
+    ]).then(([spreads, cursor]) => {
+      expect(spreads).to.deep.equal([{ time: 10, bid: 300, ask: 301 }]);
+      expect(cursor).to.be.equal(10);
+      done();
+    }))
+      .catch(error => done(error));
+  });
+});
@@ -0,0 +1,134 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenApiError, KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+describe('Kraken middleware', () => {
+  const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+  let server;
+  let kraken;
+
+  beforeEach(() => {
+    server = new KrakenMockServer();
+    return server.start().then(() => {
+      kraken = new Kraken(MOCK_API_KEY, MOCK_API_SECRET, Object.assign({
+        rateLimit: false,
+        retry: false
+      }, server.clientOptions));
+    });
+  });
+
+  afterEach(() => server.stop());
+
+  it('should run the hooks around the calls with the secrets redacted', (done) => {
+    const seen = [];
+    kraken.use({
+      beforeRequest: (context) => {
+        seen.push(['before', context.type, context.endpoint, Object.assign({}, context.params)]);
+      },
+      afterResponse: (context) => {
+        seen.push(['after', context.request, context.response.error, typeof context.duration]);
+      }
+    });
+
+    kraken.setAddOrder({ pair: 'XETHZUSD', type: 'buy', ordertype: 'limit', price: '1500', volume: '1', otp: '123456' }).then((result) => {
+      expect(result.txid).to.have.lengthOf(1);
+      const [before, after] = seen;
+      expect(before).to.deep.equal(['before', 'private', 'AddOrder', {
+        pair: 'XETHZUSD', type: 'buy', ordertype: 'limit', price: '1500', volume: '1', otp: '[REDACTED]'
+      }]);
+      const [, request, errors, duration] = after;
+      expect(request.headers).to.include({ 'API-Key': '[REDACTED]', 'API-Sign': '[REDACTED]' });
+      expect(request.params).to.include({ pair: 'XETHZUSD', otp: '[REDACTED]' });
+      expect(request.params).to.have.property('nonce');
+      expect(request).to.include({ method: 'POST', path: '/0/private/AddOrder' });
+      expect(errors).to.deep.equal([]);
+      expect(duration).to.be.equal('number');
+      // The real OTP was sent
+      const [sent] = server.requests.filter(call => call.endPoint === 'AddOrder');
+      expect(sent.params.otp).to.be.equal('123456');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should send the params and headers changed by the middleware', (done) => {
+    kraken.use((context, next) => {
+      Object.assign(context.headers, { 'X-Trace-Id': 'trace-1' });
+      if (context.endpoint === 'Ticker') {
+        Object.assign(context.params, { pair: 'XXBTZUSD' });
+      }
+      return next();
+    });
+
+    Promise.all([kraken.getTickerInformation({ pair: 'XETHZUSD' }), kraken.getBalance()]).then(([ticker]) => {
+      expect(Object.keys(ticker)).to.deep.equal(['XXBTZUSD']);
+      expect(server.requests.map(call => call.headers['x-trace-id'])).to.deep.equal(['trace-1', 'trace-1']);
+      // The signature still covers the params
+      expect(server.requests[1].headers['api-key']).to.be.equal(MOCK_API_KEY);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should run the middleware in order and let them answer instead of Kraken', (done) => {
+    const order = [];
+    kraken
+      .use((context, next) => {
+        order.push('first');
+        return next().then((response) => {
+          order.push(`first ${context.response === response}`);
+          return response;
+        });
+      })
+      .use({
+        beforeRequest: (context) => {
+          order.push('second');
+          return context.endpoint === 'Time' ? { error: [], result: { unixtime: 1 } } : undefined;
+        },
+        afterResponse: () => {
+          order.push('not called');
+        }
+      });
+
+    kraken.getTime().then((time) => {
+      expect(time).to.deep.equal({ unixtime: 1 });
+      expect(order).to.deep.equal(['first', 'second', 'first true']);
+      expect(server.requests).to.deep.equal([]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should give the errors to onError and let it recover', (done) => {
+    const errors = [];
+    kraken.use({
+      onError: (context) => {
+        errors.push(context.error);
+        if (context.endpoint === 'Spread') {
+          return { error: [], result: { last: 0 } };
+        }
+        return undefined;
+      }
+    });
+    server.inject({ error: ['EService:Unavailable'] }, { endpoint: 'Spread' });
+    server.inject({ error: ['EService:Unavailable'] }, { endpoint: 'Time' });
+
+    kraken.getSpread({ pair: 'XETHZUSD' }).then((result) => {
+      expect(result).to.deep.equal({ last: 0 });
+      return kraken.getTime().catch(error => error);
+    }).then((error) => {
+      expect(error).to.be.instanceof(KrakenApiError);
+      expect(errors).to.have.lengthOf(2);
+      expect(errors[1]).to.be.equal(error);
+      expect(errors[0].response).to.deep.equal({ error: ['EService:Unavailable'] });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should only accept functions and hook objects', () => {
+    expect(() => kraken.use({ before: () => null })).to.throw(KrakenValidationError);
+    expect(() => kraken.use({ onError: 'log' })).to.throw(KrakenValidationError);
+    expect(() => kraken.use(null)).to.throw(KrakenValidationError);
+  });
+});
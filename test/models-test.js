@@ -0,0 +1,150 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import { ticker, ohlc, trades, spread } from '../src/helpers/models';
+
+chai.config.includeStack = true;
+
+const TICKER = {
+  XETHZUSD: {
+    a: ['349.28068', '1', '1.000'],
+    b: ['346.75998', '4', '4.000'],
+    c: ['348.14094', '0.01400000'],
+    v: ['487.87279670', '72199.49047653'],
+    p: ['348.24177', '348.24025'],
+    t: [421, 21937],
+    l: ['345.00000', '306.99981'],
+    h: ['351.49000', '365.98700'],
+    o: '348.49998'
+  }
+};
+
+const OHLC = {
+  XETHZUSD: [[1498339560, '348.00000', '349.50000', '347.90000', '349.10000', '348.71234', '12.50000000', 21]],
+  last: 1498339500
+};
+
+const TRADES = {
+  XETHZUSD: [['302.38000', '0.19200000', 1498520233.8163, 'b', 'l', '', 91]],
+  last: '1498520233816302300'
+};
+
+const SPREAD = {
+  XETHZUSD: [[1498338706, '0.01657700', '0.01660500']],
+  last: 1498339561
+};
+
+// Kraken that answers every call with response and keeps the params it was called with
+const stubKraken = (response, options) => {
+  const kraken = new Kraken(null, null, options);
+  kraken.calls = [];
+  kraken.doRequest = (type, endPoint, params) => {
+    kraken.calls.push(params);
+    return Promise.resolve(response);
+  };
+  return kraken;
+};
+
+describe('models', () => {
+  it('should name the values of the ticker', () => {
+    expect(ticker(TICKER).XETHZUSD).to.deep.equal({
+      pair: 'XETHZUSD',
+      ask: { price: 349.28068, wholeLotVolume: 1, lotVolume: 1 },
+      bid: { price: 346.75998, wholeLotVolume: 4, lotVolume: 4 },
+      last: { price: 348.14094, lotVolume: 0.014 },
+      volume: { today: 487.8727967, last24Hours: 72199.49047653 },
+      vwap: { today: 348.24177, last24Hours: 348.24025 },
+      trades: { today: 421, last24Hours: 21937 },
+      low: { today: 345, last24Hours: 306.99981 },
+      high: { today: 351.49, last24Hours: 365.987 },
+      open: 348.49998
+    });
+  });
+
+  it('should turn the OHLC tuples into candles', () => {
+    expect(ohlc(OHLC)).to.deep.equal({
+      pair: 'XETHZUSD',
+      candles: [{
+        time: 1498339560,
+        open: 348,
+        high: 349.5,
+        low: 347.9,
+        close: 349.1,
+        vwap: 348.71234,
+        volume: 12.5,
+        count: 21
+      }],
+      last: 1498339500
+    });
+  });
+
+  it('should name the trades and keep the last id as a string', () => {
+    expect(trades(TRADES)).to.deep.equal({
+      pair: 'XETHZUSD',
+      trades: [{
+        price: 302.38,
+        volume: 0.192,
+        time: 1498520233.8163,
+        side: 'buy',
+        orderType: 'limit',
+        misc: '',
+        id: 91
+      }],
+      last: '1498520233816302300'
+    });
+  });
+
+  it('should name the spreads', () => {
+    expect(spread(SPREAD)).to.deep.equal({
+      pair: 'XETHZUSD',
+      spreads: [{ time: 1498338706, bid: 0.016577, ask: 0.016605 }],
+      last: 1498339561
+    });
+  });
+
+  it('should use the decimal function for prices and volumes', () => {
+    const decimal = value => `decimal(${value})`;
+    const [candle] = ohlc(OHLC, decimal).candles;
+    expect(candle.close).to.be.equal('decimal(349.10000)');
+    expect(candle.time).to.be.equal(1498339560);
+    expect(candle.count).to.be.equal(21);
+  });
+
+  describe('Kraken', () => {
+    it('should return the raw responses by default', (done) => {
+      const kraken = stubKraken(OHLC);
+      kraken.getOHLC({ pair: 'ETHUSD' }).then((response) => {
+        expect(response).to.be.equal(OHLC);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should normalise the responses when the call asks for it', (done) => {
+      const kraken = stubKraken(TRADES);
+      kraken.getTrades({ pair: 'ETHUSD', normalize: true }).then((response) => {
+        expect(response.trades[0].price).to.be.equal(302.38);
+        expect(kraken.calls[0]).to.deep.equal({ pair: 'ETHUSD' });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should normalise every response with the normalize option', (done) => {
+      const kraken = stubKraken(SPREAD, { normalize: { decimal: String } });
+      Promise.all([
+        kraken.getSpread({ pair: 'ETHUSD' }),
+        kraken.getSpread({ pair: 'ETHUSD', normalize: false })
+      ]).then(([normalized, raw]) => {
+        expect(normalized.spreads[0].bid).to.be.equal('0.01657700');
+        expect(raw).to.be.equal(SPREAD);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should normalise the ticker', (done) => {
+      stubKraken(TICKER, { normalize: true }).getTickerInformation().then((response) => {
+        expect(response.XETHZUSD.ask.price).to.be.equal(349.28068);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
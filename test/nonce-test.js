@@ -0,0 +1,150 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import createNonce, { NonceProvider, FileNonceStore } from '../src/helpers/nonce';
+
+chai.config.includeStack = true;
+
+const tempFile = () => path.join(os.tmpdir(), `kraken-nonce-${process.pid}-${Date.now()}-${Math.random()}`);
+
+const remove = (file) => {
+  [file, `${file}.lock`].forEach((name) => {
+    if (fs.existsSync(name)) {
+      fs.unlinkSync(name);
+    }
+  });
+};
+
+const increasing = values => values.every((value, i) => i === 0 || value > values[i - 1]);
+
+describe('nonce', () => {
+  describe('NonceProvider', () => {
+    it('should be strictly increasing for calls made in the same millisecond', (done) => {
+      const provider = new NonceProvider();
+      Promise.all(Array.from({ length: 500 }, () => provider.next())).then((nonces) => {
+        expect(increasing(nonces)).to.be.true;
+        expect(nonces[0]).to.be.at.least((Date.now() - 1000) * 1000);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should use the store and keep the nonces above the clock', (done) => {
+      let last = 5;
+      const store = { next: minimum => Promise.resolve(last = Math.max(minimum, last + 1)) };
+      const provider = new NonceProvider({ store });
+      Promise.all([provider.next(), provider.next()]).then(([first, second]) => {
+        expect(first).to.be.at.least(Date.now() * 1000 - 1000000);
+        expect(second).to.be.above(first);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should validate the options', () => {
+      expect(() => new NonceProvider({ store: {} })).to.throw('Nonce store must have a next(minimum) method');
+      expect(() => new NonceProvider({ window: -1 })).to.throw('Nonce window must be a positive number');
+      expect(new NonceProvider({ window: 5000 }).window).to.be.equal(5000);
+    });
+
+    it('should accept custom providers', () => {
+      const provider = { next: () => Promise.resolve(1) };
+      expect(createNonce(provider)).to.be.equal(provider);
+    });
+
+    it('should create the default provider without options', () => {
+      expect(createNonce(null)).to.be.instanceof(NonceProvider);
+      expect(createNonce(undefined).window).to.be.equal(createNonce(null).window);
+      expect(new Kraken('key', 'secret', { nonce: null }).__nonce).to.be.instanceof(NonceProvider);
+    });
+  });
+
+  describe('FileNonceStore', () => {
+    let file;
+
+    beforeEach(() => {
+      file = tempFile();
+    });
+
+    afterEach(() => remove(file));
+
+    it('should share the nonces between providers', (done) => {
+      // Two providers with the same file act as two processes using the same key
+      const first = new NonceProvider({ file });
+      const second = new NonceProvider({ file });
+      // A nonce ahead of the clock, as left by a process with a faster clock
+      const seed = (Date.now() + 60000) * 1000;
+      fs.writeFileSync(file, String(seed));
+
+      const calls = [];
+      for (let i = 0; i < 10; i += 1) {
+        calls.push(first.next(), second.next());
+      }
+      Promise.all(calls).then((nonces) => {
+        const sorted = nonces.slice().sort((a, b) => a - b);
+        expect(increasing(sorted)).to.be.true;
+        expect(sorted[0]).to.be.equal(seed + 1);
+        expect(sorted[sorted.length - 1]).to.be.equal(seed + 20);
+        expect(Number(fs.readFileSync(file, 'utf8'))).to.be.equal(sorted[sorted.length - 1]);
+        expect(fs.existsSync(`${file}.lock`)).to.be.false;
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should remove the locks of dead processes', (done) => {
+      const store = new FileNonceStore({ path: file, staleLock: 50 });
+      fs.writeFileSync(`${file}.lock`, '');
+      const old = new Date(Date.now() - 1000);
+      fs.utimesSync(`${file}.lock`, old, old);
+
+      store.next(10).then((nonce) => {
+        expect(nonce).to.be.equal(10);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should give up when the lock is not released', (done) => {
+      const store = new FileNonceStore({ path: file, lockTimeout: 30 });
+      fs.writeFileSync(`${file}.lock`, '');
+
+      store.next(10).then(() => done(new Error('The lock should time out'))).catch((error) => {
+        expect(error.message).to.contain('Timeout waiting for the nonce lock');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('Kraken', () => {
+    it('should sign the requests with the nonce of the provider', (done) => {
+      const kraken = new Kraken('key', 'c2VjcmV0', { nonce: { next: () => Promise.resolve(1616492376594000) } });
+      kraken.prepareRequest('private', 'Balance', {}).then(({ options, data }) => {
+        expect(data.nonce).to.be.equal(1616492376594000);
+        expect(options.headers['API-Sign']).to.be.equal(kraken.createSignature(options.path, data, data.nonce));
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should run the tasks of a sequence one at a time', (done) => {
+      const kraken = new Kraken();
+      const events = [];
+      const task = name => () => new Promise((resolve) => {
+        events.push(`start ${name}`);
+        setTimeout(() => {
+          events.push(`end ${name}`);
+          resolve(name);
+        }, 10);
+      });
+
+      Promise.all([
+        kraken.inSequence(task('a')),
+        kraken.inSequence(() => Promise.reject(new Error('failed'))).catch(error => error.message),
+        kraken.inSequence(task('b'))
+      ]).then((results) => {
+        expect(results).to.deep.equal(['a', 'failed', 'b']);
+        expect(events).to.deep.equal(['start a', 'end a', 'start b', 'end b']);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import chai, { expect } from 'chai';
+import EventEmitter from 'events';
+
+import OrderBook from '../src/OrderBook';
+import crc32 from '../src/helpers/crc32';
+
+chai.config.includeStack = true;
+
+// Book from the Kraken WebSocket documentation, its checksum is 974947235
+const asks = [
+  ['0.05005', '0.00000500', '1582905487.684110'],
+  ['0.05010', '0.00000500', '1582905486.187983'],
+  ['0.05015', '0.00000500', '1582905484.480241'],
+  ['0.05020', '0.00000500', '1582905486.645658'],
+  ['0.05025', '0.00000500', '1582905486.859009'],
+  ['0.05030', '0.00000500', '1582905488.601486'],
+  ['0.05035', '0.00000500', '1582905488.357312'],
+  ['0.05040', '0.00000500', '1582905488.785484'],
+  ['0.05045', '0.00000500', '1582905485.302661'],
+  ['0.05050', '0.00000500', '1582905486.157467']
+];
+const bids = [
+  ['0.05000', '0.00000500', '1582905487.439814'],
+  ['0.04995', '0.00000500', '1582905485.119396'],
+  ['0.04990', '0.00000500', '1582905486.432052'],
+  ['0.04980', '0.00000500', '1582905480.609351'],
+  ['0.04975', '0.00000500', '1582905476.793880'],
+  ['0.04970', '0.00000500', '1582905486.767461'],
+  ['0.04965', '0.00000500', '1582905481.767528'],
+  ['0.04960', '0.00000500', '1582905487.378907'],
+  ['0.04955', '0.00000500', '1582905483.626664'],
+  ['0.04950', '0.00000500', '1582905488.509872']
+];
+
+const createKraken = (book = { asks, bids }) => {
+  const kraken = { calls: 0 };
+  kraken.getOrderBook = (params) => {
+    kraken.calls += 1;
+    kraken.params = params;
+    return Promise.resolve({ XETHXXBT: book });
+  };
+  return kraken;
+};
+
+describe('OrderBook', () => {
+  describe('crc32', () => {
+    it('should calculate the standard check value', () => {
+      expect(crc32('123456789')).to.be.equal(0xCBF43926);
+    });
+  });
+
+  describe('sync', () => {
+    it('should seed the book from getOrderBook', (done) => {
+      const kraken = createKraken();
+      const book = new OrderBook(kraken, { pair: 'ETH XBT', depth: 10 });
+      book.sync().then(() => {
+        expect(kraken.params).to.deep.equal({ pair: 'ETHXBT', count: 10 });
+        expect(book.bestAsk()).to.deep.equal({ price: 0.05005, volume: 0.000005 });
+        expect(book.bestBid()).to.deep.equal({ price: 0.05, volume: 0.000005 });
+        expect(book.checksum()).to.be.equal(974947235);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should keep levels sorted and truncate to the depth', (done) => {
+      const book = new OrderBook(createKraken({ asks: asks.slice().reverse(), bids }), { pair: 'ETHXBT', depth: 5 });
+      book.sync().then(() => {
+        expect(book.asks.length).to.be.equal(5);
+        expect(book.asks[0].price).to.be.equal('0.05005');
+        expect(book.asks[4].price).to.be.equal('0.05025');
+        expect(book.bids[4].price).to.be.equal('0.04975');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('applyUpdate', () => {
+    it('should insert, replace and delete levels', (done) => {
+      const book = new OrderBook(createKraken(), { pair: 'ETHXBT' });
+      book.sync().then(() => {
+        book.applyUpdate({
+          a: [['0.05003', '1.00000000', '1582905490.000000'], ['0.05010', '0.00000000', '1582905490.000000']],
+          b: [['0.05000', '2.00000000', '1582905490.000000']]
+        });
+        expect(book.bestAsk()).to.deep.equal({ price: 0.05003, volume: 1 });
+        expect(book.depthAt(0.0501)).to.be.equal(0);
+        expect(book.asks.length).to.be.equal(10);
+        expect(book.bestBid().volume).to.be.equal(2);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should accept an update with a valid checksum', (done) => {
+      const book = new OrderBook(createKraken({ asks: asks.slice(1), bids }), { pair: 'ETHXBT' });
+      book.on('checksumMismatch', () => done(new Error('The checksum should match')));
+      book.sync().then(() => {
+        expect(book.applyUpdate({ a: [asks[0]], c: '974947235' })).to.be.true;
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should verify the checksum of the channel levels below a depth of 10', (done) => {
+      const kraken = createKraken({ asks: asks.slice(1), bids });
+      const book = new OrderBook(kraken, { pair: 'ETHXBT', depth: 3 });
+      book.on('checksumMismatch', () => done(new Error('The checksum should match')));
+      book.sync().then(() => {
+        expect(kraken.params.count).to.be.equal(10);
+        expect(book.applyUpdate({ a: [asks[0]], c: '974947235' })).to.be.true;
+        expect(book.asks.map(level => level.price)).to.deep.equal(['0.05005', '0.05010', '0.05015']);
+        // The levels below the depth come back into view
+        book.applyUpdate({ a: [['0.05005', '0.00000000', '1582905490.000000']] }, false);
+        expect(book.asks.map(level => level.price)).to.deep.equal(['0.05010', '0.05015', '0.05020']);
+        expect(book.cumulativeVolume('asks')).to.be.closeTo(0.000015, 1e-12);
+        expect(kraken.calls).to.be.equal(1);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should resync from the REST API when the checksum does not match', (done) => {
+      const kraken = createKraken();
+      const book = new OrderBook(kraken, { pair: 'ETHXBT' });
+      book.sync().then(() => {
+        book.once('resync', () => {
+          expect(kraken.calls).to.be.equal(2);
+          expect(book.checksum()).to.be.equal(974947235);
+          done();
+        });
+        expect(book.applyUpdate({ a: [['0.05005', '9.00000000', '1582905490.000000']], c: '974947235' })).to.be.false;
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('queries', () => {
+    it('should calculate mid, spread and cumulative volume', (done) => {
+      const book = new OrderBook(createKraken(), { pair: 'ETHXBT' });
+      book.sync().then(() => {
+        expect(book.mid()).to.be.closeTo(0.050025, 1e-9);
+        expect(book.spread()).to.be.closeTo(0.00005, 1e-9);
+        expect(book.depthAt(0.0499)).to.be.equal(0.000005);
+        expect(book.cumulativeVolume('asks', 0.0502)).to.be.closeTo(0.00002, 1e-12);
+        expect(book.cumulativeVolume('bids')).to.be.closeTo(0.00005, 1e-12);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('refresh', () => {
+    it('should apply the difference between two snapshots', (done) => {
+      const kraken = createKraken();
+      const book = new OrderBook(kraken, { pair: 'ETHXBT' });
+      book.sync().then(() => {
+        kraken.getOrderBook = () => Promise.resolve({
+          XETHXXBT: { asks: asks.slice(1), bids: [['0.05001', '3.00000000', '1582905490']].concat(bids) }
+        });
+        return book.refresh();
+      }).then((update) => {
+        expect(update.a).to.deep.equal([['0.05005', '0', 1582905487.68411]]);
+        expect(update.b).to.deep.equal([['0.05001', '3.00000000', '1582905490']]);
+        expect(book.bestBid().price).to.be.equal(0.05001);
+        expect(book.bestAsk().price).to.be.equal(0.0501);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+
+  describe('attach', () => {
+    it('should follow the book channel of a stream', (done) => {
+      const stream = new EventEmitter();
+      stream.subscribe = (name, pair, options) => {
+        expect(name).to.be.equal('book');
+        expect(pair).to.be.equal('ETH/XBT');
+        expect(options).to.deep.equal({ depth: 10 });
+        return Promise.resolve([]);
+      };
+
+      const book = new OrderBook(createKraken(), { pair: 'ETHXBT' });
+      book.attach(stream).then(() => {
+        stream.emit('book', { pair: 'ETH/XBT', snapshot: true, data: { as: asks, bs: bids } });
+        stream.emit('book', { pair: 'ETH/XBT', snapshot: false, data: { b: [['0.05001', '1.00000000', '1582905490']] } });
+        expect(book.bestBid().price).to.be.equal(0.05001);
+        book.detach();
+        expect(stream.listenerCount('book')).to.be.equal(0);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should subscribe at a depth accepted by the channel and trim the book', (done) => {
+      const depths = [];
+      const stream = new EventEmitter();
+      stream.subscribe = (name, pair, options) => {
+        depths.push(options.depth);
+        return Promise.resolve([]);
+      };
+
+      const book = new OrderBook(createKraken(), { pair: 'ETHXBT', depth: 3 });
+      Promise.all([
+        book.attach(stream),
+        new OrderBook(createKraken(), { pair: 'ETHXBT', depth: 30 }).attach(stream),
+        new OrderBook(createKraken(), { pair: 'ETHXBT', depth: 5000 }).attach(stream)
+      ]).then(() => {
+        expect(depths).to.deep.equal([10, 100, 1000]);
+        stream.emit('book', { pair: 'ETH/XBT', snapshot: true, data: { as: asks, bs: bids } });
+        expect(book.asks).to.have.lengthOf(3);
+        expect(book.bids).to.have.lengthOf(3);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import validate from '../src/helpers/schema';
+import { KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+const ASSETS = {
+  XETH: { aclass: 'currency', altname: 'ETH', decimals: 10, display_decimals: 5 },
+  XXBT: { aclass: 'currency', altname: 'XBT', decimals: 10, display_decimals: 5 },
+  ZUSD: { aclass: 'currency', altname: 'USD', decimals: 4, display_decimals: 2 }
+};
+
+const PAIRS = {
+  XETHZUSD: {
+    altname: 'ETHUSD', wsname: 'ETH/USD', base: 'XETH', quote: 'ZUSD', lot: 'unit',
+    pair_decimals: 2, lot_decimals: 8, lot_multiplier: 1, ordermin: '0.01', costmin: '0.5'
+  },
+  XXBTZUSD: {
+    altname: 'XBTUSD', wsname: 'XBT/USD', base: 'XXBT', quote: 'ZUSD', lot: 'unit',
+    pair_decimals: 1, lot_decimals: 8, lot_multiplier: 1, ordermin: '0.0001', tick_size: '0.5'
+  }
+};
+
+// Kraken with a loaded registry that keeps the orders instead of sending them
+const stubKraken = () => {
+  const kraken = new Kraken();
+  kraken.registry.build(ASSETS, PAIRS);
+  kraken.calls = [];
+  kraken.doRequest = (type, endPoint, params) => {
+    kraken.calls.push({ endPoint, params });
+    return Promise.resolve({ descr: { order: 'order' }, txid: ['OQCLML-BW3P3-BUCMWZ'] });
+  };
+  return kraken;
+};
+
+describe('OrderBuilder', () => {
+  it('should round the price and the volume of a limit order', (done) => {
+    const kraken = stubKraken();
+    kraken.orders.limit('eth/usd', 'buy', 1.234567891, 302.456, { oflags: ['post'], validate: true }).then((result) => {
+      expect(result.txid).to.deep.equal(['OQCLML-BW3P3-BUCMWZ']);
+      expect(kraken.calls[0]).to.deep.equal({
+        endPoint: 'AddOrder',
+        params: {
+          pair: 'XETHZUSD',
+          type: 'buy',
+          ordertype: 'limit',
+          volume: '1.23456789',
+          price: '302.46',
+          oflags: 'post',
+          validate: true
+        }
+      });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should round the prices to the tick size', (done) => {
+    stubKraken().orders.build({ pair: 'BTCUSD', side: 'sell', ordertype: 'limit', volume: 1, price: 30000.8 }).then((params) => {
+      expect(params.price).to.be.equal('30001.0');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should build every order type', (done) => {
+    const { orders } = stubKraken();
+    Promise.all([
+      orders.market('ETHUSD', 'sell', '2'),
+      orders.stopLoss('ETHUSD', 'sell', 1, '-5%'),
+      orders.takeProfit('ETHUSD', 'sell', 1, 350.005),
+      orders.stopLossLimit('ETHUSD', 'sell', 1, 290, 289.999),
+      orders.trailingStop('ETHUSD', 'sell', 1, 10)
+    ].map(order => order.then(() => null))).then(() => {
+      const { calls } = orders.__kraken;
+      expect(calls.map(call => call.params.ordertype)).to.deep.equal([
+        'market', 'stop-loss', 'take-profit', 'stop-loss-limit', 'trailing-stop'
+      ]);
+      expect(calls[0].params).to.not.have.property('price');
+      expect(calls[1].params.price).to.be.equal('-5%');
+      expect(calls[2].params.price).to.be.equal('350.01');
+      expect(calls[3].params).to.include({ price: '290.00', price2: '290.00' });
+      expect(calls[4].params.price).to.be.equal('+10.00');
+      calls.forEach(call => expect(validate('AddOrder', call.params).errors).to.deep.equal([]));
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should map the options', (done) => {
+    const expiretm = new Date(1500000000000);
+    stubKraken().orders.build({
+      pair: 'ETHUSD',
+      side: 'buy',
+      ordertype: 'limit',
+      volume: 1,
+      price: 300,
+      oflags: 'post,fciq',
+      timeinforce: 'GTD',
+      starttm: '+60',
+      expiretm,
+      leverage: 2,
+      close: { ordertype: 'stop-loss', price: 280.123 },
+      clOrdId: 'my-order',
+      reduceOnly: true
+    }).then((params) => {
+      expect(params).to.deep.equal({
+        pair: 'XETHZUSD',
+        type: 'buy',
+        ordertype: 'limit',
+        volume: '1.00000000',
+        price: '300.00',
+        oflags: 'post,fciq',
+        timeinforce: 'GTD',
+        starttm: '+60',
+        expiretm: 1500000000,
+        leverage: '2',
+        'close[ordertype]': 'stop-loss',
+        'close[price]': '280.12',
+        cl_ord_id: 'my-order',
+        reduce_only: true
+      });
+      expect(validate('AddOrder', params).errors).to.deep.equal([]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should reject orders under the minimum volume or cost without sending them', (done) => {
+    const kraken = stubKraken();
+    kraken.orders.limit('ETHUSD', 'buy', 0.005, 10).then(() => done(new Error('The order should be rejected'))).catch((error) => {
+      expect(error).to.be.instanceof(KrakenValidationError);
+      expect(error.errors).to.deep.equal([
+        'Volume 0.00500000 is under the minimum order of 0.01 for ETHUSD',
+        'Cost 0.05 is under the minimum cost of 0.5 for ETHUSD'
+      ]);
+      expect(kraken.calls).to.deep.equal([]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should NOT check the minimum volume of viqc orders', (done) => {
+    stubKraken().orders.market('ETHUSD', 'buy', 0.005, { oflags: ['viqc'] }).then(() => done()).catch(error => done(error));
+  });
+
+  it('should reject missing prices, wrong sides and unknown pairs', (done) => {
+    const { orders } = stubKraken();
+    Promise.all([
+      orders.stopLossLimit('ETHUSD', 'sell', 1, 290).catch(error => error.message),
+      orders.limit('ETHUSD', 'long', 1, 300).catch(error => error.message),
+      orders.limit('ETHUSD', 'buy', -1, 300).catch(error => error.message),
+      orders.market('FOOBAR', 'buy', 1).catch(error => error.message)
+    ]).then((messages) => {
+      expect(messages).to.deep.equal([
+        'Limit price must be a number or a price string such as 302.5, +5 or -2%, got undefined',
+        'Side must be one of buy, sell',
+        'Volume must be a positive number, got -1',
+        'Unknown pair FOOBAR'
+      ]);
+      done();
+    }).catch(error => done(error));
+  });
+});
@@ -0,0 +1,173 @@
+import chai, { expect } from 'chai';
+
+import OrderTracker from '../src/OrderTracker';
+import { KrakenError, createApiError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+const order = (status, volExec, extra) => Object.assign({
+  status,
+  vol: '2.00000000',
+  vol_exec: volExec,
+  cost: String(300 * parseFloat(volExec)),
+  fee: String(0.78 * parseFloat(volExec)),
+  price: volExec === '0.00000000' ? '0.00000' : '300.00000'
+}, extra);
+
+// Kraken that answers each getQueryOrders with the next scripted result
+const stubKraken = (results) => {
+  const kraken = { calls: [] };
+  kraken.getQueryOrders = (params) => {
+    kraken.calls.push(params);
+    const result = results.length > 1 ? results.shift() : results[0];
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+  };
+  return kraken;
+};
+
+describe('OrderTracker', () => {
+  it('should emit the lifecycle of an order', (done) => {
+    const kraken = stubKraken([
+      { OA: order('pending', '0.00000000') },
+      { OA: order('open', '0.00000000') },
+      { OA: order('open', '0.50000000', { trades: ['T1'] }) },
+      { OA: order('open', '0.50000000', { trades: ['T1'] }) },
+      { OA: order('closed', '2.00000000', { trades: ['T1', 'T2'] }) }
+    ]);
+    const tracker = new OrderTracker(kraken, { minInterval: 5, maxInterval: 20 });
+    const events = [];
+    ['open', 'partialFill', 'filled', 'canceled', 'expired'].forEach((event) => {
+      tracker.on(event, state => events.push([event, state.volExec]));
+    });
+
+    tracker.on('filled', (state) => {
+      expect(events).to.deep.equal([['open', 0], ['partialFill', 0.5], ['filled', 2]]);
+      expect(state).to.include({ txid: 'OA', status: 'closed', volume: 2, avgPrice: 300, cost: 600, fee: 1.56 });
+      expect(state.trades).to.deep.equal(['T1', 'T2']);
+      expect(kraken.calls[0]).to.deep.equal({ txid: 'OA', trades: true });
+      expect(tracker.tracked()).to.deep.equal([]);
+      done();
+    });
+    tracker.track({ descr: { order: 'buy 2 ETHUSD @ limit 300' }, txid: ['OA'] });
+  });
+
+  it('should poll less often while the orders do not change', (done) => {
+    const kraken = stubKraken([{ OA: order('open', '0.00000000') }]);
+    const tracker = new OrderTracker(kraken, { minInterval: 10, maxInterval: 40 });
+    tracker.track('OA');
+
+    setTimeout(() => {
+      tracker.stop();
+      expect(tracker.interval).to.be.equal(40);
+      // 0, 10, 20, 40, 40 and 40 ms
+      expect(kraken.calls.length).to.be.within(3, 8);
+      done();
+    }, 200);
+  });
+
+  it('should query 20 orders per call', (done) => {
+    const kraken = stubKraken([{}]);
+    const tracker = new OrderTracker(kraken);
+    tracker.track(Array.from({ length: 25 }, (value, index) => `O${index}`));
+    tracker.stop();
+
+    tracker.poll().then(() => {
+      tracker.stop();
+      expect(kraken.calls.map(call => call.txid.split(',').length)).to.deep.equal([20, 5]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should report the failed polls and keep polling', (done) => {
+    const kraken = stubKraken([new Error('EService:Unavailable'), { OA: order('canceled', '0.00000000') }]);
+    const tracker = new OrderTracker(kraken, { minInterval: 5 });
+    const errors = [];
+    tracker.on('error', error => errors.push(error.message));
+
+    tracker.on('canceled', (state) => {
+      expect(errors).to.deep.equal(['EService:Unavailable']);
+      expect(state.status).to.be.equal('canceled');
+      done();
+    });
+    tracker.track('OA');
+  });
+
+  it('should drop the orders Kraken does not know', (done) => {
+    const kraken = stubKraken([{ OA: order('open', '0.00000000') }]);
+    kraken.getQueryOrders = (params) => {
+      kraken.calls.push(params.txid);
+      return params.txid.split(',').indexOf('OX') >= 0
+        ? Promise.reject(createApiError(['EOrder:Invalid order'], { endpoint: 'QueryOrders', params }))
+        : Promise.resolve({ OA: order('open', '0.00000000') });
+    };
+    const tracker = new OrderTracker(kraken, { minInterval: 5 });
+    tracker.on('error', (error) => {
+      expect(error.code).to.be.equal('EOrder:Invalid order');
+      expect(error.params.txid).to.be.equal('OX');
+      expect(tracker.tracked()).to.deep.equal(['OA']);
+      setTimeout(() => {
+        tracker.stop();
+        // The next polls only query the known order
+        expect(kraken.calls.slice(0, 4)).to.deep.equal(['OA,OX', 'OA', 'OX', 'OA']);
+        done();
+      }, 30);
+    });
+    tracker.track(['OA', 'OX']);
+  });
+
+  describe('waitForFill', () => {
+    it('should resolve with the filled order', (done) => {
+      const kraken = stubKraken([{ OA: order('open', '1.00000000'), OB: order('closed', '2.00000000') }]);
+      const tracker = new OrderTracker(kraken, { minInterval: 5 });
+      tracker.track('OA');
+      tracker.waitForFill('OB').then((state) => {
+        tracker.stop();
+        expect(tracker.tracked()).to.deep.equal(['OA']);
+        expect(state.txid).to.be.equal('OB');
+        expect(state.volExec).to.be.equal(2);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject expired orders', (done) => {
+      const kraken = stubKraken([{ OA: order('expired', '0.00000000') }]);
+      new OrderTracker(kraken, { minInterval: 5 }).waitForFill('OA').then(() => done(new Error('The order should not fill'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenError);
+        expect(error.message).to.be.equal('Order OA was expired');
+        expect(error.response.status).to.be.equal('expired');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject with the fills of a partially filled order that is canceled', (done) => {
+      const kraken = stubKraken([{ OA: order('open', '0.50000000') }, { OA: order('canceled', '0.50000000') }]);
+      new OrderTracker(kraken, { minInterval: 5 }).waitForFill('OA').then(() => done(new Error('The order should not fill'))).catch((error) => {
+        expect(error.message).to.be.equal('Order OA was canceled after filling 0.5 of 2');
+        expect(error.response).to.include({ status: 'canceled', volExec: 0.5, avgPrice: 300, cost: 150 });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject the orders Kraken does not know', (done) => {
+      const kraken = stubKraken([createApiError(['EOrder:Invalid order'], { endpoint: 'QueryOrders', params: { txid: 'OX', trades: true } })]);
+      const tracker = new OrderTracker(kraken, { minInterval: 5 });
+      tracker.waitForFill('OX').then(() => done(new Error('The order should not fill'))).catch((error) => {
+        expect(error.code).to.be.equal('EOrder:Invalid order');
+        expect(tracker.tracked()).to.deep.equal([]);
+        expect(kraken.calls).to.have.lengthOf(1);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject after the timeout', (done) => {
+      const kraken = stubKraken([{ OA: order('open', '0.00000000') }]);
+      const tracker = new OrderTracker(kraken, { minInterval: 5 });
+      tracker.waitForFill('OA', { timeout: 30 }).then(() => done(new Error('The order should not fill'))).catch((error) => {
+        tracker.stop();
+        expect(error.message).to.be.equal('Order OA was not filled after 30ms');
+        expect(tracker.listenerCount('filled')).to.be.equal(0);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
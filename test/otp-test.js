@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import querystring from 'querystring';
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import createOTP, { base32Decode, totp } from '../src/helpers/otp';
+
+chai.config.includeStack = true;
+
+// RFC 6238 test secret, the ASCII string 12345678901234567890
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const API_SECRET = Buffer.from('kraken-wrapper-test-secret').toString('base64');
+
+// Signature computed as described in https://docs.kraken.com/rest/#section/Authentication
+const expectedSignature = (path, data) => {
+  const postData = querystring.stringify(data);
+  const hash = crypto.createHash('sha256').update(`${data.nonce}${postData}`).digest();
+  return crypto.createHmac('sha512', Buffer.from(API_SECRET, 'base64'))
+    .update(Buffer.concat([Buffer.from(path), hash]))
+    .digest('base64');
+};
+
+describe('otp', () => {
+  describe('totp', () => {
+    it('should decode base32 secrets', () => {
+      expect(base32Decode(SECRET).toString()).to.be.equal('12345678901234567890');
+      expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).to.be.equal('12345678901234567890');
+      expect(() => base32Decode('GEZ1')).to.throw('unexpected character 1');
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+      expect(totp(SECRET, { time: 59, digits: 8 })).to.be.equal('94287082');
+      expect(totp(SECRET, { time: 1111111109, digits: 8 })).to.be.equal('07081804');
+      expect(totp(SECRET, { time: 1234567890, digits: 8 })).to.be.equal('89005924');
+      expect(totp(SECRET, { time: 20000000000, digits: 8 })).to.be.equal('65353130');
+    });
+
+    it('should give 6 digits codes by default', () => {
+      expect(totp(SECRET, { time: 59 })).to.be.equal('287082');
+    });
+  });
+
+  describe('createOTP', () => {
+    it('should accept passwords, functions and TOTP secrets', (done) => {
+      expect(createOTP(null)).to.be.null;
+      Promise.all([
+        createOTP('static-password')(),
+        createOTP(() => Promise.resolve(123456))(),
+        createOTP({ secret: SECRET, time: 59 })()
+      ]).then((codes) => {
+        expect(codes).to.deep.equal(['static-password', '123456', '287082']);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT accept other values', () => {
+      expect(() => createOTP([])).to.throw('OTP must be a string, a function or an object with the TOTP secret');
+    });
+  });
+
+  describe('Kraken', () => {
+    it('should sign the otp with the other params', (done) => {
+      const kraken = new Kraken('key', API_SECRET, { apiOTP: 'static-password' });
+      kraken.prepareRequest('private', 'Balance', { asset: 'ZUSD' }).then(({ options, data }) => {
+        expect(data.otp).to.be.equal('static-password');
+        expect(options.path).to.be.equal('/0/private/Balance');
+        expect(options.headers['API-Sign']).to.be.equal(expectedSignature(options.path, data));
+        expect(options.headers['Content-Length']).to.be.equal(querystring.stringify(data).length);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should generate a fresh code for each request', (done) => {
+      let calls = 0;
+      const kraken = new Kraken('key', API_SECRET, { apiOTP: () => { calls += 1; return `code-${calls}`; } });
+      Promise.all([
+        kraken.prepareRequest('private', 'Balance', {}),
+        kraken.prepareRequest('private', 'Balance', {})
+      ]).then(([first, second]) => {
+        expect(first.data.otp).to.be.equal('code-1');
+        expect(second.data.otp).to.be.equal('code-2');
+        expect(second.options.headers['API-Sign']).to.be.equal(expectedSignature(second.options.path, second.data));
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should use the otp of the call over the apiOTP option', (done) => {
+      const kraken = new Kraken('key', API_SECRET, { apiOTP: 'static-password' });
+      Promise.all([
+        kraken.prepareRequest('private', 'Balance', { otp: { secret: SECRET, time: 59 } }),
+        kraken.prepareRequest('private', 'Balance', { otp: false })
+      ]).then(([totpRequest, withoutOTP]) => {
+        expect(totpRequest.data.otp).to.be.equal('287082');
+        expect(totpRequest.options.headers['API-Sign'])
+          .to.be.equal(expectedSignature(totpRequest.options.path, totpRequest.data));
+        expect(withoutOTP.data).to.not.have.property('otp');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT send the otp to public endpoints', (done) => {
+      const kraken = new Kraken('key', API_SECRET, { apiOTP: 'static-password' });
+      kraken.prepareRequest('public', 'Time', {}).then(({ options, data }) => {
+        expect(data).to.deep.equal({});
+        expect(options.headers).to.not.have.property('API-Sign');
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import PageIterator from '../src/helpers/paginate';
+
+chai.config.includeStack = true;
+
+// 120 ledger entries, newest first, answered 50 at a time before the end id like Kraken
+const LEDGER = Array.from({ length: 120 }, (value, index) => ({
+  id: `L${String(120 - index).padStart(3, '0')}`,
+  time: 1500000000 + (120 - index)
+}));
+
+const ledgerPage = (params) => {
+  const from = params.end ? LEDGER.findIndex(entry => entry.id === params.end) + 1 : 0;
+  const ledger = LEDGER.slice(from, from + 50).reduce((page, entry) => Object.assign(page, {
+    [entry.id]: { refid: `R${entry.id}`, time: entry.time }
+  }), {});
+  return { ledger, count: LEDGER.length - from };
+};
+
+// Kraken that answers every call with respond(endPoint, params) and keeps the params
+const stubKraken = (respond, options = { rateLimit: false }) => {
+  const kraken = new Kraken(null, null, options);
+  kraken.calls = [];
+  kraken.doRequest = (type, endPoint, params) => {
+    kraken.calls.push(params);
+    return Promise.resolve().then(() => respond(endPoint, params));
+  };
+  return kraken;
+};
+
+describe('PageIterator', () => {
+  it('should go through every page of the ledger', (done) => {
+    const kraken = stubKraken((endPoint, params) => ledgerPage(params));
+    const entries = kraken.iterateLedgers({ asset: 'XETH' }, { interval: 0 });
+
+    entries.toArray().then((ledger) => {
+      expect(ledger.map(entry => entry.id)).to.deep.equal(LEDGER.map(entry => entry.id));
+      expect(ledger[0]).to.deep.equal({ id: 'L120', refid: 'RL120', time: 1500000120 });
+      expect(kraken.calls).to.deep.equal([
+        { asset: 'XETH' },
+        { asset: 'XETH', end: 'L071' },
+        { asset: 'XETH', end: 'L021' }
+      ]);
+      expect(entries.cursor).to.be.equal('L001');
+      expect(entries.done).to.be.true;
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should work with for await', (done) => {
+    const kraken = stubKraken((endPoint, params) => ledgerPage(params));
+    const ids = [];
+    const iterate = async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of kraken.iterateLedgers({}, { interval: 0 })) {
+        ids.push(entry.id);
+        if (ids.length === 60) {
+          break;
+        }
+      }
+    };
+
+    iterate().then(() => {
+      expect(ids).to.have.lengthOf(60);
+      expect(kraken.calls).to.have.lengthOf(2);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should resume from a cursor', (done) => {
+    const kraken = stubKraken((endPoint, params) => ledgerPage(params));
+    const first = kraken.iterateLedgers({}, { interval: 0 });
+
+    first.next().then(() => first.next()).then(() => {
+      expect(first.cursor).to.be.equal('L119');
+      return kraken.iterateLedgers({}, { cursor: first.cursor, interval: 0 }).next();
+    }).then(({ value }) => {
+      expect(value.id).to.be.equal('L118');
+      expect(kraken.calls[1]).to.deep.equal({ end: 'L119' });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should skip the entries of the previous page', (done) => {
+    // The second page starts with the last entry of the first one
+    const pages = [['A', 'B'], ['B', 'C'], []];
+    const entries = new PageIterator(() => {
+      const ids = pages.shift();
+      return Promise.resolve({ entries: ids.map(id => ({ id, value: id, cursor: id })), last: false });
+    });
+
+    entries.toArray().then((values) => {
+      expect(values).to.deep.equal(['A', 'B', 'C']);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should retry a failed page from the same cursor', (done) => {
+    let failed = false;
+    const cursors = [];
+    const entries = new PageIterator((cursor) => {
+      cursors.push(cursor);
+      if (!failed) {
+        failed = true;
+        return Promise.reject(new Error('EService:Unavailable'));
+      }
+      return Promise.resolve({ entries: [{ id: 'A', value: 'A', cursor: 'A' }], last: true });
+    }, { cursor: 'start' });
+
+    entries.next().then(() => done(new Error('The page should fail'))).catch((error) => {
+      expect(error.message).to.be.equal('EService:Unavailable');
+      return entries.toArray();
+    }).then((values) => {
+      expect(values).to.deep.equal(['A']);
+      expect(cursors).to.deep.equal(['start', 'start']);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should space the pages by the interval', (done) => {
+    const kraken = stubKraken((endPoint, params) => ledgerPage(params));
+    const startedAt = Date.now();
+
+    kraken.iterateLedgers({}, { interval: 100 }).toArray().then(() => {
+      // Three pages, the first one is not delayed
+      expect(Date.now() - startedAt).to.be.within(200, 400);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should pace the pages by the cost of the endpoint without a rate limiter', () => {
+    const kraken = stubKraken(() => ({}));
+    expect(kraken.iterateLedgers().__interval).to.be.equal(6061);
+    expect(kraken.iterateClosedOrders().__interval).to.be.equal(3031);
+    expect(kraken.iterateTrades({ pair: 'ETHUSD' }).__interval).to.be.equal(1000);
+    expect(stubKraken(() => ({}), {}).iterateLedgers().__interval).to.be.equal(0);
+  });
+
+  it('should follow the last cursor of the trades', (done) => {
+    const trade = (time, id) => ['300.00000', '0.10000000', time, 'b', 'l', '', id];
+    const pages = {
+      undefined: { XETHZUSD: Array.from({ length: 1000 }, (value, index) => trade(index, index)), last: '999' },
+      999: { XETHZUSD: [trade(999, 999), trade(1000, 1000)], last: '1000' }
+    };
+    const kraken = stubKraken((endPoint, params) => pages[params.since]);
+    const entries = kraken.iterateTrades({ pair: 'ETHUSD', normalize: true }, { interval: 0 });
+
+    entries.toArray().then((values) => {
+      expect(values).to.have.lengthOf(1001);
+      expect(values[1000]).to.include({ price: 300, side: 'buy', id: 1000 });
+      expect(kraken.calls).to.deep.equal([{ pair: 'ETHUSD' }, { pair: 'ETHUSD', since: '999' }]);
+      expect(entries.cursor).to.be.equal('1000');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should normalize the pages with the option of the client', (done) => {
+    const kraken = stubKraken(() => ({
+      XETHZUSD: [[1498338706, '0.016577', '0.016605']],
+      last: 1498338706
+    }), { rateLimit: false, normalize: true });
+
+    expect(kraken.normalize).to.be.equal(true);
+    kraken.iterateSpread({ pair: 'ETHUSD' }, { interval: 0 }).toArray().then((values) => {
+      expect(values[0]).to.not.be.an('array');
+      expect(values[0]).to.be.an('object');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should stop the spreads after one page', (done) => {
+    const kraken = stubKraken(() => ({
+      XETHZUSD: [[1498338706, '0.016577', '0.016605'], [1498338743, '0.016571', '0.016605']],
+      last: 1498338743
+    }));
+
+    kraken.iterateSpread({ pair: 'ETHUSD' }, { cursor: 1498338700, interval: 0 }).toArray().then((values) => {
+      expect(values).to.have.lengthOf(2);
+      expect(kraken.calls).to.deep.equal([{ pair: 'ETHUSD', since: 1498338700 }]);
+      done();
+    }).catch(error => done(error));
+  });
+});
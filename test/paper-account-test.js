@@ -0,0 +1,175 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenApiError, KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+// A quarter of the period of the mock prices, they are 1% above the middle price
+const RISE = Math.round((Math.PI / 2) * 3600);
+
+describe('PaperAccount', () => {
+  let server;
+  let now;
+
+  const client = (paper, apiKey = null, apiSecret = null) => new Kraken(apiKey, apiSecret, Object.assign({
+    rateLimit: false,
+    retry: false,
+    paper
+  }, server.clientOptions));
+
+  beforeEach(() => {
+    now = 1600000000 - (1600000000 % (2 * Math.PI * 3600));
+    server = new KrakenMockServer({ now: () => now });
+    return server.start();
+  });
+
+  afterEach(() => server.stop());
+
+  it('should fill market orders against the order book with the taker fee', (done) => {
+    const kraken = client({ balances: { USD: 10000 } });
+    kraken.setAddOrder({ pair: 'ETHUSD', type: 'buy', ordertype: 'market', volume: '2' }).then((result) => {
+      expect(result.descr.order).to.be.equal('buy 2.00000000 ETHUSD @ market');
+      expect(result.txid).to.have.lengthOf(1);
+      return Promise.all([
+        kraken.getBalance(),
+        kraken.getTradesHistory(),
+        kraken.getLedgers(),
+        kraken.getClosedOrders({ trades: true })
+      ]);
+    }).then(([balance, { trades, count }, { ledger }, { closed }]) => {
+      const [trade] = Object.keys(trades).map(id => trades[id]);
+      const [order] = Object.keys(closed).map(id => closed[id]);
+      // 1 at the best ask and 1 at the next level
+      expect(count).to.be.equal(1);
+      expect(trade).to.include({ pair: 'XETHZUSD', type: 'buy', ordertype: 'market', vol: '2.00000000' });
+      expect(parseFloat(trade.price)).to.be.within(2000.3, 2000.7);
+      expect(parseFloat(trade.fee)).to.be.closeTo(parseFloat(trade.cost) * 0.0026, 0.0001);
+      expect(balance.XETH).to.be.equal('2.0000000000');
+      expect(parseFloat(balance.ZUSD)).to.be.closeTo(10000 - parseFloat(trade.cost) - parseFloat(trade.fee), 0.0001);
+      expect(Object.keys(ledger)).to.have.lengthOf(3);
+      expect(order).to.include({ status: 'closed', vol_exec: '2.00000000', price: trade.price });
+      expect(order.trades).to.deep.equal(Object.keys(trades));
+      // Only the market data reached Kraken
+      expect(server.requests.filter(request => request.type === 'private')).to.deep.equal([]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should keep limit orders open until the market reaches them', (done) => {
+    const kraken = client({ balances: { ETH: 1, USD: 1000 } });
+    let txid;
+    kraken.setAddOrder({ pair: 'ETHUSD', type: 'sell', ordertype: 'limit', price: '2010', volume: '0.5', userref: 3 }).then((result) => {
+      [txid] = result.txid;
+      return kraken.getOpenOrders();
+    }).then(({ open }) => {
+      expect(open[txid]).to.include({ status: 'open', vol_exec: '0.00000000', userref: 3 });
+      expect(open[txid].descr.price).to.be.equal('2010');
+      now += RISE;
+      return kraken.getOpenOrders();
+    }).then(({ open }) => {
+      expect(open).to.deep.equal({});
+      return Promise.all([kraken.getQueryOrders({ txid }), kraken.getBalance()]);
+    }).then(([orders, balance]) => {
+      expect(orders[txid]).to.include({ status: 'closed', price: '2010.00', cost: '1005.00000' });
+      // Maker fee
+      expect(orders[txid].fee).to.be.equal('1.60800');
+      expect(balance).to.deep.equal({ XETH: '0.5000000000', ZUSD: '2003.3920' });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should trigger stop loss orders on the last price', (done) => {
+    const kraken = client({ balances: { ETH: 1 } });
+    let txid;
+    kraken.setAddOrder({ pair: 'ETHUSD', type: 'sell', ordertype: 'stop-loss', price: '1990', volume: '1' }).then((result) => {
+      [txid] = result.txid;
+      return kraken.getOpenOrders();
+    }).then(({ open }) => {
+      expect(open[txid].status).to.be.equal('open');
+      now -= RISE;
+      return kraken.getClosedOrders();
+    }).then(({ closed }) => {
+      expect(closed[txid].status).to.be.equal('closed');
+      expect(parseFloat(closed[txid].price)).to.be.below(1990);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should cancel orders and release their funds', (done) => {
+    const kraken = client({ balances: { USD: 1000 } });
+    const order = { pair: 'ETHUSD', type: 'buy', ordertype: 'limit', price: '1500', volume: '0.6', cl_ord_id: 'first' };
+    kraken.setAddOrder(order).then(() =>
+      kraken.setAddOrder(Object.assign({}, order, { cl_ord_id: 'second' })).catch(error => error)).then((error) => {
+      expect(error).to.be.instanceof(KrakenApiError);
+      expect(error.code).to.be.equal('EOrder:Insufficient funds');
+      return kraken.setCancelOrder({ txid: 'first' });
+    }).then((result) => {
+      expect(result).to.deep.equal({ count: 1 });
+      return kraken.setAddOrder(Object.assign({}, order, { cl_ord_id: 'second' }));
+    }).then(() => kraken.getClosedOrders()).then(({ closed, count }) => {
+      expect(count).to.be.equal(1);
+      expect(closed[Object.keys(closed)[0]]).to.include({ status: 'canceled', reason: 'User requested', cl_ord_id: 'first' });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should check the orders like Kraken', (done) => {
+    const kraken = client(true);
+    const order = params => kraken.setAddOrder(Object.assign({ pair: 'ETHUSD', type: 'buy', ordertype: 'limit' }, params))
+      .catch(error => error.code);
+    Promise.all([
+      order({ pair: 'FOOBAR', price: '100', volume: '1' }),
+      order({ price: '100.001', volume: '1' }),
+      order({ price: '100', volume: '0.001' }),
+      order({ ordertype: 'trailing-stop', price: '+10', volume: '1' }),
+      order({ price: '100', volume: '1', validate: true })
+    ]).then(([pair, decimals, minimum, unsupported, validated]) => {
+      expect(pair).to.be.equal('EQuery:Unknown asset pair');
+      expect(decimals).to.be.equal('EOrder:Invalid price:XETHZUSD price can only be specified up to 2 decimals.');
+      expect(minimum).to.be.equal('EOrder:Order minimum not met');
+      expect(unsupported).to.be.equal('EGeneral:Invalid arguments:ordertype trailing-stop is not simulated');
+      expect(validated).to.deep.equal({ descr: { order: 'buy 1.00000000 ETHUSD @ limit 100' } });
+      expect(kraken.paper.orders).to.deep.equal({});
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should NOT send the private calls it does not simulate', (done) => {
+    const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+    const kraken = client(true, MOCK_API_KEY, MOCK_API_SECRET);
+    Promise.all([
+      kraken.setWithdraw({ asset: 'XBT', key: 'wallet', amount: '0.1' }).catch(error => error),
+      kraken.setWithdrawCancel({ asset: 'XBT', refid: 'AGBSO6T-UFMTTQ-I7KGS6' }).catch(error => error)
+    ]).then((errors) => {
+      errors.forEach(error => expect(error).to.be.instanceof(KrakenValidationError));
+      expect(errors[0].message).to.be.equal('Withdraw is not simulated in paper mode, it is not sent to Kraken');
+      expect(server.requests).to.deep.equal([]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should value the balances in an asset', (done) => {
+    const kraken = client({ balances: { XBT: 0.1, USD: 500 } });
+    kraken.getTradeBalance({ asset: 'ZUSD' }).then((balance) => {
+      expect(balance.eb).to.be.equal('3500.0000');
+      expect(balance.m).to.be.equal('0.0000');
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should use the fees of the key when there is one', (done) => {
+    const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+    const kraken = client(true, MOCK_API_KEY, MOCK_API_SECRET);
+    const buy = () => kraken.setAddOrder({ pair: 'XBTUSD', type: 'buy', ordertype: 'market', volume: '0.01' });
+    buy().then(buy).then(() => kraken.getBalance()).then((balance) => {
+      expect(balance.XXBT).to.be.equal('0.0200000000');
+      expect(server.requests.filter(request => request.type === 'private').map(request => request.endPoint))
+        .to.deep.equal(['TradeVolume']);
+      // The real balance is untouched
+      expect(server.account().balances.XXBT).to.be.equal('1.0000000000');
+      done();
+    }).catch(error => done(error));
+  });
+});
@@ -0,0 +1,137 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import RateLimiter from '../src/helpers/rateLimiter';
+
+chai.config.includeStack = true;
+
+const task = (calls, name, now = Date.now) => () => {
+  calls.push({ name, time: now() });
+  return Promise.resolve(name);
+};
+
+describe('RateLimiter', () => {
+  describe('constructor', () => {
+    it('should use the limits of the tier', () => {
+      expect(new RateLimiter().max).to.be.equal(15);
+      expect(new RateLimiter({ tier: 'pro' }).max).to.be.equal(20);
+    });
+
+    it('should NOT accept unknown tiers', () => {
+      expect(() => new RateLimiter({ tier: 'gold' })).to.throw('Tier option must be one of starter, intermediate, pro');
+    });
+
+    it('should charge ledger and trade history queries more than other calls', () => {
+      const limiter = new RateLimiter({ costs: { Balance: 3 } });
+      expect(limiter.cost('private', 'Ledgers')).to.be.equal(2);
+      expect(limiter.cost('private', 'TradesHistory')).to.be.equal(2);
+      expect(limiter.cost('private', 'OpenOrders')).to.be.equal(1);
+      expect(limiter.cost('private', 'AddOrder')).to.be.equal(0);
+      expect(limiter.cost('private', 'Balance')).to.be.equal(3);
+      expect(limiter.cost('public', 'Ticker')).to.be.equal(0);
+    });
+  });
+
+  describe('schedule', () => {
+    it('should queue private calls that would exceed the counter', (done) => {
+      const calls = [];
+      let time = 1000;
+      const now = () => time;
+      const limiter = new RateLimiter({ max: 2, decay: 20, now });
+
+      Promise.all([
+        limiter.schedule('private', 'Balance', task(calls, 'a', now)),
+        limiter.schedule('private', 'Balance', task(calls, 'b', now)),
+        limiter.schedule('private', 'Ledgers', task(calls, 'c', now))
+      ]).then((results) => {
+        expect(results).to.deep.equal(['a', 'b', 'c']);
+        // Ledgers costs 2, the counter has to decay from 2 to 0 (100ms at 20 per second)
+        expect(calls.map(call => call.time)).to.deep.equal([1000, 1000, 1100]);
+        done();
+      }).catch(error => done(error));
+
+      expect(limiter.counter).to.be.equal(2);
+      expect(limiter.pending).to.be.equal(1);
+      // The queued call runs once its wait is over and the clock has moved
+      time += 100;
+    });
+
+    it('should run the calls costing more than the maximum once the counter is empty', (done) => {
+      const calls = [];
+      let time = 1000;
+      const now = () => time;
+      const limiter = new RateLimiter({ max: 1, decay: 20, now });
+
+      Promise.all([
+        limiter.schedule('private', 'Balance', task(calls, 'a', now)),
+        limiter.schedule('private', 'Ledgers', task(calls, 'b', now))
+      ]).then((results) => {
+        expect(results).to.deep.equal(['a', 'b']);
+        expect(calls.map(call => call.time)).to.deep.equal([1000, 1050]);
+        done();
+      }).catch(error => done(error));
+
+      expect(limiter.pending).to.be.equal(1);
+      time += 50;
+    });
+
+    it('should space public calls', (done) => {
+      const calls = [];
+      const limiter = new RateLimiter({ publicInterval: 50 });
+
+      Promise.all([
+        limiter.schedule('public', 'Ticker', task(calls, 'a')),
+        limiter.schedule('public', 'Ticker', task(calls, 'b'))
+      ]).then(() => {
+        expect(calls[1].time - calls[0].time).to.be.at.least(45);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT delay public calls because of the private counter', (done) => {
+      const calls = [];
+      const limiter = new RateLimiter({ max: 1, decay: 1 });
+      limiter.penalize();
+
+      limiter.schedule('public', 'Time', task(calls, 'a')).then(() => {
+        expect(limiter.pending).to.be.equal(0);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should reject with the error of the task', (done) => {
+      const limiter = new RateLimiter();
+      limiter.schedule('private', 'Balance', () => Promise.reject(new Error('ECONNRESET'))).catch((error) => {
+        expect(error.message).to.be.equal('ECONNRESET');
+        done();
+      });
+    });
+  });
+
+  describe('Kraken', () => {
+    it('should configure the limiter and expose the counter', () => {
+      const kraken = new Kraken('key', 'secret', { tier: 'intermediate', rateLimit: { costs: { Balance: 3 } } });
+      expect(kraken.apiCounter).to.deep.equal({ counter: 0, max: 20, pending: 0 });
+    });
+
+    it('should allow to disable the limiter', () => {
+      const kraken = new Kraken('key', 'secret', { rateLimit: false });
+      expect(kraken.apiCounter).to.be.null;
+    });
+
+    it('should only fill the private counter when a private call is throttled', (done) => {
+      const transport = {
+        request: () => Promise.resolve({ error: ['EAPI:Rate limit exceeded'] })
+      };
+      const kraken = new Kraken('key', 'c2VjcmV0', { retry: false, rateLimit: { publicInterval: 0 }, transport });
+      kraken.getTime().catch(error => error).then((error) => {
+        expect(error.message).to.be.equal('EAPI:Rate limit exceeded');
+        expect(kraken.apiCounter.counter).to.be.equal(0);
+        return kraken.getBalance().catch(other => other);
+      }).then(() => {
+        expect(kraken.apiCounter.counter).to.be.closeTo(15, 0.1);
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import ResponseCache from '../src/ResponseCache';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+const { MemoryStore } = ResponseCache;
+
+describe('ResponseCache', () => {
+  const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+  let server;
+  let time;
+
+  const client = cache => new Kraken(MOCK_API_KEY, MOCK_API_SECRET, Object.assign({
+    rateLimit: false,
+    retry: false,
+    cache
+  }, server.clientOptions));
+  const sent = endPoint => server.requests.filter(call => call.endPoint === endPoint).length;
+
+  beforeEach(() => {
+    time = 1600000000000;
+    server = new KrakenMockServer();
+    return server.start();
+  });
+
+  afterEach(() => server.stop());
+
+  it('should keep the results for the TTL of their endpoint', (done) => {
+    const kraken = client({ now: () => time, ttl: { Depth: 0 } });
+    kraken.getTradableAssetPairs().then(() => kraken.getTradableAssetPairs()).then(() => {
+      expect(sent('AssetPairs')).to.be.equal(1);
+      return kraken.getOrderBook({ pair: 'XETHZUSD' }).then(() => kraken.getOrderBook({ pair: 'XETHZUSD' }));
+    }).then(() => {
+      // Depth only coalesces the calls in flight
+      expect(sent('Depth')).to.be.equal(2);
+      time += 3600000;
+      return kraken.getTradableAssetPairs();
+    }).then((pairs) => {
+      expect(pairs).to.have.property('XETHZUSD');
+      expect(sent('AssetPairs')).to.be.equal(2);
+      expect(kraken.cache.stats).to.deep.equal({ hits: 1, misses: 4, coalesced: 0 });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should send the identical calls in flight once', (done) => {
+    const kraken = client(true);
+    Promise.all([
+      kraken.getTickerInformation({ pair: 'XETHZUSD' }),
+      kraken.getTickerInformation({ pair: 'XETHZUSD' }),
+      kraken.getTickerInformation({ pair: 'XXBTZUSD' })
+    ]).then(([first, second, other]) => {
+      expect(sent('Ticker')).to.be.equal(2);
+      expect(first).to.deep.equal(second);
+      // Each caller gets its own copy
+      expect(first).to.not.equal(second);
+      expect(other).to.have.property('XXBTZUSD');
+      expect(kraken.cache.stats.coalesced).to.be.equal(1);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should NOT share the calls that can be aborted', (done) => {
+    const kraken = client(true);
+    const controller = new AbortController();
+    server.inject({ error: [], delay: 300 }, { endpoint: 'Ticker' });
+    const aborted = kraken.getTickerInformation({ pair: 'XETHZUSD', signal: controller.signal }).catch(error => error);
+    const other = kraken.getTickerInformation({ pair: 'XETHZUSD' });
+    setTimeout(() => controller.abort(), 50);
+    Promise.all([aborted, other]).then(([error, ticker]) => {
+      expect(error.code).to.be.equal('ABORT_ERR');
+      // The other call doesn't get the abort of the first one
+      expect(ticker).to.have.property('XETHZUSD');
+      expect(sent('Ticker')).to.be.equal(2);
+      expect(kraken.cache.stats.coalesced).to.be.equal(0);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should only cache the private endpoints that are allowed', (done) => {
+    const kraken = client(true);
+    kraken.getBalance().then(() => kraken.getBalance()).then(() => {
+      expect(sent('Balance')).to.be.equal(2);
+      const allowed = client({ allowPrivate: ['Balance'], ttl: { Balance: 5000 } });
+      return allowed.getBalance().then(() => allowed.getBalance());
+    }).then((balance) => {
+      expect(balance).to.have.property('ZUSD');
+      expect(sent('Balance')).to.be.equal(3);
+      expect(() => new ResponseCache({ allowPrivate: ['Balance', 'AddOrder'] })).to.throw(KrakenValidationError, "AddOrder can't be cached");
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should invalidate a call, an endpoint or everything', (done) => {
+    const kraken = client(true);
+    const calls = () => Promise.all([
+      kraken.getTickerInformation({ pair: 'XETHZUSD' }),
+      kraken.getTickerInformation({ pair: 'XXBTZUSD' }),
+      kraken.getAssetInfo()
+    ]);
+    calls().then(() => kraken.invalidateCache('Ticker', { pair: 'XETHZUSD' })).then(calls).then(() => {
+      expect([sent('Ticker'), sent('Assets')]).to.deep.equal([3, 1]);
+      return kraken.invalidateCache('Ticker');
+    }).then(calls).then(() => {
+      expect([sent('Ticker'), sent('Assets')]).to.deep.equal([5, 1]);
+      return kraken.invalidateCache();
+    }).then(calls).then(() => {
+      expect([sent('Ticker'), sent('Assets')]).to.deep.equal([7, 2]);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should share an external store between clients and survive its failures', (done) => {
+    const entries = {};
+    const store = {
+      get: key => Promise.resolve(entries[key]),
+      set: (key, text) => {
+        entries[key] = text;
+        return Promise.resolve();
+      },
+      delete: (key) => {
+        delete entries[key];
+      },
+      clear: () => null
+    };
+    client({ store }).getAssetInfo({ asset: 'XBT' }).then(() => client({ store }).getAssetInfo({ asset: 'XBT' })).then((assets) => {
+      expect(assets).to.have.property('XXBT');
+      expect(sent('Assets')).to.be.equal(1);
+      expect(Object.keys(entries)).to.deep.equal(['kraken:Assets:[["asset","XBT"]]']);
+      const broken = { get: () => Promise.reject(new Error('down')), set: () => { throw new Error('down'); } };
+      return client({ store: broken }).getAssetInfo({ asset: 'XBT' });
+    }).then((assets) => {
+      expect(assets).to.have.property('XXBT');
+      expect(sent('Assets')).to.be.equal(2);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should drop the least recently used entries', () => {
+    const store = new MemoryStore({ maxEntries: 2, now: () => time });
+    store.set('a', '1', 1000);
+    store.set('b', '2', 1000);
+    expect(store.get('a')).to.be.equal('1');
+    store.set('c', '3', 1000);
+    expect([store.get('a'), store.get('b'), store.get('c')]).to.deep.equal(['1', undefined, '3']);
+    time += 1000;
+    expect(store.get('a')).to.be.equal(undefined);
+    expect(store.size).to.be.equal(1);
+  });
+});
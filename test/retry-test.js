@@ -0,0 +1,183 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import retry, { createPolicy, classify, backoff } from '../src/helpers/retry';
+
+chai.config.includeStack = true;
+
+const networkError = (code) => {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+};
+
+const httpError = (statusCode) => {
+  const error = new Error(`Request failed with status code ${statusCode}`);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const policy = createPolicy({ baseDelay: 1, maxDelay: 5 });
+
+describe('retry', () => {
+  describe('classify', () => {
+    it('should retry gateway errors, socket resets and unavailable services', () => {
+      expect(classify(policy, httpError(502)).retryable).to.be.true;
+      expect(classify(policy, httpError(504)).retryable).to.be.true;
+      expect(classify(policy, networkError('ECONNRESET'))).to.deep.equal({ retryable: true, sent: true });
+      expect(classify(policy, null, { error: ['EService:Unavailable'] }).retryable).to.be.true;
+    });
+
+    it('should NOT retry client errors', () => {
+      expect(classify(policy, httpError(404)).retryable).to.be.false;
+      expect(classify(policy, null, { error: ['EOrder:Insufficient funds'] }).retryable).to.be.false;
+      expect(classify(policy, null, { error: [], result: {} }).retryable).to.be.false;
+    });
+
+    it('should know when the request never left the client', () => {
+      expect(classify(policy, networkError('ECONNREFUSED'))).to.deep.equal({ retryable: true, sent: false });
+    });
+  });
+
+  describe('backoff', () => {
+    it('should grow exponentially up to the max delay', () => {
+      const fixed = createPolicy({ baseDelay: 100, maxDelay: 1000, jitter: false });
+      expect([0, 1, 2, 3, 4].map(n => backoff(fixed, n))).to.deep.equal([100, 200, 400, 800, 1000]);
+    });
+
+    it('should add jitter below the exponential delay', () => {
+      const jittered = createPolicy({ baseDelay: 100, maxDelay: 1000 });
+      for (let n = 0; n < 20; n += 1) {
+        expect(backoff(jittered, 2)).to.be.within(0, 400);
+      }
+    });
+  });
+
+  describe('retry', () => {
+    it('should repeat retryable failures until they succeed', (done) => {
+      let attempts = 0;
+      const task = () => {
+        attempts += 1;
+        return attempts < 3 ? Promise.reject(networkError('ECONNRESET')) : Promise.resolve({ error: [], result: 'ok' });
+      };
+      retry(task, policy).then((response) => {
+        expect(attempts).to.be.equal(3);
+        expect(response.result).to.be.equal('ok');
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should resolve the last response when the attempts are exhausted', (done) => {
+      let attempts = 0;
+      const task = () => {
+        attempts += 1;
+        return Promise.resolve({ error: ['EService:Unavailable'] });
+      };
+      retry(task, createPolicy({ attempts: 2, baseDelay: 1 })).then((response) => {
+        expect(attempts).to.be.equal(2);
+        expect(response.error).to.deep.equal(['EService:Unavailable']);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT retry when retries are disabled', (done) => {
+      let attempts = 0;
+      const task = () => {
+        attempts += 1;
+        return Promise.reject(httpError(503));
+      };
+      retry(task, createPolicy(false)).catch((error) => {
+        expect(attempts).to.be.equal(1);
+        expect(error.statusCode).to.be.equal(503);
+        done();
+      });
+    });
+  });
+
+  describe('Kraken.canRetry', () => {
+    const sent = { retryable: true, sent: true };
+
+    it('should retry idempotent calls', (done) => {
+      const kraken = new Kraken('key', 'secret');
+      kraken.canRetry('Balance', {}, sent, 0).then((decision) => {
+        expect(decision).to.be.true;
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT blindly retry orders and withdrawals', (done) => {
+      const kraken = new Kraken('key', 'secret', { retry: { dedupe: true } });
+      Promise.all([
+        kraken.canRetry('AddOrder', { pair: 'ETHUSD' }, sent, 0),
+        kraken.canRetry('Withdraw', { asset: 'XETH' }, sent, 0),
+        new Kraken('key', 'secret').canRetry('AddOrder', { userref: 42 }, sent, 0)
+      ]).then((decisions) => {
+        expect(decisions).to.deep.equal([false, false, false]);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should retry orders that never left the client', (done) => {
+      const kraken = new Kraken('key', 'secret');
+      kraken.canRetry('AddOrder', {}, { retryable: true, sent: false }, 0).then((decision) => {
+        expect(decision).to.be.true;
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should retry an order with userref that was not placed', (done) => {
+      const kraken = new Kraken('key', 'secret', { retry: { dedupe: true } });
+      kraken.doRequest = (type, endPoint) => Promise.resolve(endPoint === 'OpenOrders' ? { open: {} } : { closed: {}, count: 0 });
+      kraken.canRetry('AddOrder', { userref: 42 }, sent, 1498506263).then((decision) => {
+        expect(decision).to.be.true;
+        done();
+      }).catch(error => done(error));
+    });
+
+    const order = { pair: 'XETHZUSD', type: 'buy', ordertype: 'limit', price: '300.00', volume: '1', userref: 42 };
+    const placed = (opentm, descr = {}) => ({
+      userref: 42,
+      opentm,
+      vol: '1.00000000',
+      descr: Object.assign({
+        pair: 'ETHUSD', type: 'buy', ordertype: 'limit', price: '300.00', order: 'buy 1.00000000 ETHUSD @ limit 300.00'
+      }, descr)
+    });
+
+    it('should answer with the placed order instead of sending it twice', (done) => {
+      const kraken = new Kraken('key', 'secret', { retry: { dedupe: true } });
+      const queries = [];
+      kraken.doRequest = (type, endPoint, params) => {
+        queries.push({ endPoint, params });
+        const open = endPoint === 'OpenOrders'
+          ? { 'OLMMW7-XXXXX-XXXXX': placed(1498506264.5), 'OAAAAA-XXXXX-XXXXX': placed(1498506000) }
+          : {};
+        return Promise.resolve({ open, closed: {} });
+      };
+      kraken.canRetry('AddOrder', order, sent, 1498506263).then((decision) => {
+        expect(queries[0]).to.deep.equal({ endPoint: 'OpenOrders', params: { userref: 42 } });
+        expect(queries[1]).to.deep.equal({ endPoint: 'ClosedOrders', params: { userref: 42, start: 1498506262 } });
+        expect(decision).to.deep.equal({
+          error: [],
+          result: { txid: ['OLMMW7-XXXXX-XXXXX'], descr: { order: 'buy 1.00000000 ETHUSD @ limit 300.00' } }
+        });
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should NOT take the other orders of the userref for the retried one', (done) => {
+      const kraken = new Kraken('key', 'secret', { retry: { dedupe: true } });
+      kraken.doRequest = endPoint => Promise.resolve(endPoint === 'OpenOrders' ? {
+        open: {
+          'OLD000-XXXXX-XXXXX': placed(1498506000),
+          'OSELL0-XXXXX-XXXXX': placed(1498506264, { type: 'sell' }),
+          'OPRICE-XXXXX-XXXXX': placed(1498506264, { price: '301.00' })
+        }
+      } : { closed: { 'OXBT00-XXXXX-XXXXX': placed(1498506264, { pair: 'XBTUSD' }) } });
+      kraken.canRetry('AddOrder', order, sent, 1498506263).then((decision) => {
+        expect(decision).to.be.true;
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import SafetyPolicy from '../src/SafetyPolicy';
+import KrakenMockServer from '../src/KrakenMockServer';
+import { KrakenApiError, KrakenPolicyError, KrakenValidationError } from '../src/errors';
+
+chai.config.includeStack = true;
+
+describe('SafetyPolicy', () => {
+  const { MOCK_API_KEY, MOCK_API_SECRET } = KrakenMockServer;
+  // The mock price of ETHUSD is 2000 at this time
+  const now = 1600000000 - (1600000000 % (2 * Math.PI * 3600));
+  let server;
+
+  const client = policy => new Kraken(MOCK_API_KEY, MOCK_API_SECRET, Object.assign({
+    rateLimit: false,
+    retry: false,
+    policy
+  }, server.clientOptions));
+  const sell = (kraken, volume, price) => kraken.setAddOrder({
+    pair: 'ETHUSD', type: 'sell', ordertype: 'limit', volume: String(volume), price: String(price)
+  });
+  // chai can't include the fields of an Error
+  const expectFields = (error, fields) => expect(Object.keys(fields)
+    .reduce((picked, field) => Object.assign(picked, { [field]: error[field] }), {}))
+    .to.deep.equal(fields);
+  const sent = endPoint => server.requests.filter(call => call.endPoint === endPoint).length;
+
+  beforeEach(() => {
+    server = new KrakenMockServer({ now: () => now });
+    return server.start();
+  });
+
+  afterEach(() => server.stop());
+
+  it('should reject the orders above the maximum notional of the pair', (done) => {
+    const kraken = client({ maxNotional: 100000, pairs: { 'ETH/USD': { maxNotional: 5000 } } });
+    sell(kraken, 3, 2100).catch(error => error).then((error) => {
+      expect(error).to.be.instanceof(KrakenPolicyError);
+      expect(error).to.be.instanceof(KrakenValidationError);
+      expectFields(error, { rule: 'maxNotional', limit: 5000, value: 6300, endpoint: 'AddOrder' });
+      expect(error.message).to.be.equal('Order notional 6300 ZUSD of ETHUSD exceeds the maximum 5000');
+      expect(sent('AddOrder')).to.be.equal(0);
+      // A market order is valued at the ask
+      return kraken.setAddOrder({ pair: 'XETHZUSD', type: 'buy', ordertype: 'market', volume: '2.6' }).catch(market => market);
+    }).then((error) => {
+      expect(error.rule).to.be.equal('maxNotional');
+      expect(error.value).to.be.closeTo(2.6 * 2000.4, 1e-9);
+      return sell(kraken, 2, 2100);
+    }).then((result) => {
+      expect(result.txid).to.have.lengthOf(1);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should cap the daily volume of a pair', (done) => {
+    let time = now * 1000;
+    const kraken = client({ maxDailyVolume: 5000, now: () => time });
+    Promise.all([sell(kraken, 1, 2100), sell(kraken, 1, 2100)]).then(() => sell(kraken, 0.5, 2100).catch(error => error)).then((error) => {
+      // The orders being placed count as well
+      expectFields(error, { rule: 'maxDailyVolume', value: 5250 });
+      expect(sent('AddOrder')).to.be.equal(2);
+      expect(kraken.policy.dailyVolumes).to.deep.equal({ XETHZUSD: 4200 });
+      time += 86400000;
+      return sell(kraken, 0.5, 2100);
+    }).then(() => {
+      expect(kraken.policy.dailyVolumes).to.deep.equal({ XETHZUSD: 1050 });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should count the orders checked at the same time', (done) => {
+    const kraken = client({ maxDailyVolume: 150, maxOpenOrders: 10 });
+    Promise.all([sell(kraken, 0.05, 2000), sell(kraken, 0.05, 2000)].map(call => call.catch(error => error))).then((results) => {
+      const rejected = results.filter(result => result instanceof KrakenPolicyError);
+      expect(rejected).to.have.lengthOf(1);
+      expectFields(rejected[0], { rule: 'maxDailyVolume', value: 200 });
+      expect(sent('AddOrder')).to.be.equal(1);
+      expect(kraken.policy.dailyVolumes).to.deep.equal({ XETHZUSD: 100 });
+      // The order placed above is open
+      const limited = client({ maxOpenOrders: 2 });
+      return Promise.all([sell(limited, 0.05, 2000), sell(limited, 0.05, 2000)].map(call => call.catch(error => error)));
+    }).then((results) => {
+      const rejected = results.filter(result => result instanceof KrakenPolicyError);
+      expect(rejected).to.have.lengthOf(1);
+      expectFields(rejected[0], { rule: 'maxOpenOrders', limit: 2, value: 3 });
+      expect(sent('AddOrder')).to.be.equal(2);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should reject the prices too far from the last price', (done) => {
+    const kraken = client({ maxPriceDeviation: 0.05 });
+    sell(kraken, 1, 2500).catch(error => error).then((error) => {
+      expect(error.rule).to.be.equal('maxPriceDeviation');
+      expect(error.message).to.be.equal('Order price is 25.00% away from the last price 2000 of ETHUSD, the maximum is 5%');
+      expect(sent('Ticker')).to.be.equal(1);
+      expect(sent('AddOrder')).to.be.equal(0);
+      return sell(kraken, 1, 2050);
+    }).then(() => done()).catch(error => done(error));
+  });
+
+  it('should limit the number of open orders', (done) => {
+    const kraken = client({ maxOpenOrders: 1 });
+    sell(kraken, 1, 2100).then(() => sell(kraken, 1, 2100).catch(error => error)).then((error) => {
+      expectFields(error, { rule: 'maxOpenOrders', limit: 1, value: 2 });
+      expect(sent('AddOrder')).to.be.equal(1);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should stop the orders with the kill switch and every call in read-only mode', (done) => {
+    const kraken = client({ killSwitch: true });
+    let txid;
+    sell(kraken, 1, 2100).catch(error => error).then((error) => {
+      expect(error.rule).to.be.equal('killSwitch');
+      kraken.policy.killSwitch = false;
+      return sell(kraken, 1, 2100);
+    }).then((result) => {
+      [txid] = result.txid;
+      kraken.policy.killSwitch = true;
+      kraken.policy.readOnly = true;
+      return kraken.setCancelOrder({ txid }).catch(error => error);
+    }).then((error) => {
+      expect(error.rule).to.be.equal('readOnly');
+      expect(error.message).to.be.equal('CancelOrder is not allowed in read-only mode');
+      kraken.policy.readOnly = false;
+      // The cancels reduce the exposure, the kill switch lets them go
+      return kraken.setCancelOrder({ txid });
+    }).then((result) => {
+      expect(result).to.deep.equal({ count: 1 });
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should only allow the withdrawals to the keys of the allowlist', (done) => {
+    const kraken = client(new SafetyPolicy({ withdrawals: { BTC: ['cold wallet'] } }));
+    kraken.setWithdraw({ asset: 'XXBT', key: 'hot wallet', amount: '0.1' }).catch(error => error).then((error) => {
+      expectFields(error, { rule: 'withdrawals', value: 'hot wallet' });
+      expect(error.limit).to.deep.equal(['cold wallet']);
+      expect(sent('Withdraw')).to.be.equal(0);
+      return kraken.setWithdraw({ asset: 'XBT', key: 'cold wallet', amount: '0.1' }).catch(other => other);
+    }).then((error) => {
+      // The mock has no Withdraw method, the call reached it
+      expect(error).to.be.instanceof(KrakenApiError);
+      expect(sent('Withdraw')).to.be.equal(1);
+      done();
+    }).catch(error => done(error));
+  });
+
+  it('should only allow the withdrawal addresses of the allowlist', (done) => {
+    const kraken = client({ withdrawals: { XBT: ['hot wallet', { key: 'cold wallet', address: 'bc1qcold' }] } });
+    const withdraw = (key, address) => kraken.setWithdraw({ asset: 'XBT', key, address, amount: '0.1' })
+      .catch(error => error);
+    withdraw('cold wallet', 'bc1qother').then((error) => {
+      expectFields(error, { rule: 'withdrawals', value: 'bc1qother', limit: ['bc1qcold'] });
+      expect(error.message).to.be.equal('Withdrawal address bc1qother is not allowed for the key cold wallet');
+      // A key allowed without address can't be sent to an address
+      return withdraw('hot wallet', 'bc1qcold');
+    }).then((error) => {
+      expectFields(error, { rule: 'withdrawals', value: 'bc1qcold' });
+      expect(sent('Withdraw')).to.be.equal(0);
+      return Promise.all([withdraw('cold wallet', 'bc1qcold'), withdraw('cold wallet'), withdraw('hot wallet')]);
+    }).then((errors) => {
+      errors.forEach(error => expect(error).to.be.instanceof(KrakenApiError));
+      expect(sent('Withdraw')).to.be.equal(3);
+      done();
+    }).catch(error => done(error));
+  });
+});
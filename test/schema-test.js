@@ -0,0 +1,115 @@
+import chai, { expect } from 'chai';
+
+import Kraken from '../src/Kraken';
+import { KrakenValidationError } from '../src/errors';
+import validate, { SCHEMAS } from '../src/helpers/schema';
+
+chai.config.includeStack = true;
+
+describe('schema', () => {
+  describe('validate', () => {
+    it('should have a schema for every method of the client', () => {
+      ['Time', 'Assets', 'AssetPairs', 'Ticker', 'OHLC', 'Depth', 'Trades', 'Spread', 'Balance',
+        'TradeBalance', 'OpenOrders', 'ClosedOrders', 'QueryOrders', 'TradesHistory', 'QueryTrades',
+        'OpenPositions', 'Ledgers', 'QueryLedgers', 'TradeVolume', 'AddOrder', 'CancelOrder',
+        'DepositMethods', 'DepositAddresses', 'DepositStatus', 'WithdrawInfo', 'Withdraw',
+        'WithdrawStatus', 'WithdrawCancel', 'GetWebSocketsToken'].forEach((endPoint) => {
+        expect(SCHEMAS).to.have.property(endPoint);
+      });
+    });
+
+    it('should normalize the params without changing the original ones', () => {
+      const params = { pair: ' ETH USD ', interval: 60, since: null };
+      const validation = validate('OHLC', params);
+      expect(validation.errors).to.deep.equal([]);
+      expect(validation.params).to.deep.equal({ pair: 'ETHUSD', interval: 60 });
+      expect(params.pair).to.be.equal(' ETH USD ');
+    });
+
+    it('should join lists and drop the all values', () => {
+      expect(validate('Ticker', { pair: ['ETHUSD', ' XRPUSD'] }).params).to.deep.equal({ pair: 'ETHUSD,XRPUSD' });
+      expect(validate('AssetPairs', { pair: 'all', info: 'all' }).params).to.deep.equal({});
+    });
+
+    it('should collect every violation', () => {
+      const validation = validate('OHLC', { interval: 7, since: 'yesterday' });
+      expect(validation.errors).to.deep.equal([
+        'Pair option is required',
+        'Interval option must be a integer, and one of this intervals values 1 (default), 5, 15, 30, 60, 240, 1440, 10080, 21600',
+        'Since option must be a unix time, for example 1495864800'
+      ]);
+    });
+
+    it('should accept the last id of a previous response as cursor', () => {
+      expect(validate('Trades', { pair: 'ETHUSD', since: '1498520233816302300' }).errors).to.deep.equal([]);
+    });
+
+    it('should NOT accept more than 20 txids', () => {
+      const txid = Array.from({ length: 21 }, (v, i) => `OLMMW7-XXXXX-${i}`);
+      expect(validate('QueryOrders', { txid }).errors).to.deep.equal(['Txid option accepts 20 values at most, got 21']);
+      expect(validate('QueryOrders', { txid: txid.slice(1).join(',') }).errors).to.deep.equal([]);
+    });
+
+    it('should check the conditional and exclusive params of orders', () => {
+      const order = { pair: 'ETHUSD', type: 'buy', volume: '1.5' };
+      expect(validate('AddOrder', Object.assign({ ordertype: 'market' }, order)).errors).to.deep.equal([]);
+      expect(validate('AddOrder', Object.assign({ ordertype: 'stop-loss-limit', price: 300 }, order)).errors)
+        .to.deep.equal(['Price2 option is required when ordertype is stop-loss-limit']);
+      expect(validate('AddOrder', Object.assign({ ordertype: 'market', userref: 1, cl_ord_id: 'a' }, order)).errors)
+        .to.deep.equal(['Options userref and cl_ord_id can not be used together']);
+      expect(validate('AddOrder', { pair: 'ETHUSD', type: 'hold', ordertype: 'limit', price: '+5%', volume: -1, oflags: 'post,fast' }).errors)
+        .to.deep.equal([
+          'Type option must be one of buy, sell',
+          'Volume option must be a positive number or numeric string',
+          'Oflags option values must be some of viqc, fcib, fciq, nompp, post, got fast'
+        ]);
+    });
+
+    it('should accept the string forms of the Booleans and integers', () => {
+      expect(validate('OpenOrders', { trades: 'true', userref: '42' })).to.deep.equal({
+        params: { trades: true, userref: 42 },
+        errors: []
+      });
+      expect(validate('TradeVolume', { pair: 'ETHUSD', 'fee-info': 'false' }).params).to.deep.equal({ pair: 'ETHUSD', 'fee-info': false });
+      expect(validate('OpenOrders', { trades: 'yes', userref: '4.2' }).errors).to.deep.equal([
+        'Trades option must be a Boolean, default false',
+        'Userref option must be an integer'
+      ]);
+    });
+
+    it('should require the pairs of the ticker', () => {
+      expect(validate('Ticker', { curr1: 'ETH', curr2: 'XRP' }).errors).to.deep.equal(['Pair option is required']);
+      expect(validate('Ticker', { pair: 'all' })).to.deep.equal({ params: {}, errors: [] });
+    });
+
+    it('should send the params that are not in the schema', () => {
+      expect(validate('Trades', { pair: 'ETHUSD', extra: 1 }).params).to.deep.equal({ pair: 'ETHUSD', extra: 1 });
+    });
+  });
+
+  describe('Kraken', () => {
+    const createKraken = (done) => {
+      const kraken = new Kraken('key', 'secret');
+      kraken.__limiter.schedule = () => done(new Error('The request should not be sent'));
+      return kraken;
+    };
+
+    it('should reject before sending the request', (done) => {
+      const kraken = createKraken(done);
+      kraken.getQueryLedgers({ id: 42 }).then(() => done(new Error('The call should fail'))).catch((error) => {
+        expect(error).to.be.instanceof(KrakenValidationError);
+        expect(error.endpoint).to.be.equal('QueryLedgers');
+        expect(kraken.apiCounter.counter).to.be.equal(0);
+        done();
+      }).catch(error => done(error));
+    });
+
+    it('should report every violation in the error', (done) => {
+      createKraken(done).getOHLC({ interval: 2 }).then(() => done(new Error('The call should fail'))).catch((error) => {
+        expect(error.errors).to.have.lengthOf(2);
+        expect(error.message).to.be.equal(error.errors.join('; '));
+        done();
+      }).catch(error => done(error));
+    });
+  });
+});